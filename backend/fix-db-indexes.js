@@ -37,6 +37,23 @@ async function fixUserIndexes() {
       console.log('- Index:', JSON.stringify(index.key), 'Name:', index.name);
     });
 
+    // Multiple-choice polls store one vote per selected option and anonymous votes have no
+    // user, so the old one-vote-per-poll and non-partial per-option unique indexes have to go
+    // (mongoose recreates the current definitions on the next server start)
+    const votesCollection = db.collection('votes');
+    for (const indexName of ['user_1_poll_1', 'user_1_poll_1_pollOption_1']) {
+      try {
+        await votesCollection.dropIndex(indexName);
+        console.log(`✅ Successfully dropped votes ${indexName} index`);
+      } catch (error) {
+        if (error.code === 27) {
+          console.log(`ℹ️  votes ${indexName} index does not exist (already removed)`);
+        } else {
+          console.log(`❌ Error dropping votes ${indexName} index:`, error.message);
+        }
+      }
+    }
+
     console.log('\n✅ Database index cleanup completed!');
     console.log('You should now be able to register new users.');
 
@@ -1,43 +1,63 @@
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const { verifyAccessToken, touchSession } = require('../utils/authTokens');
+const { hasCapability } = require('../utils/permissions');
 
 const auth = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
-    
+
     if (!token) {
       return res.status(401).json({ error: 'Access denied. No token provided.' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-passwordHash');
-    
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid token. User not found.' });
-    }
+    const { user, sessionId, impersonatedBy } = await verifyAccessToken(token);
 
     req.user = user;
+    req.sessionId = sessionId;
+    req.impersonatedBy = impersonatedBy;
+    touchSession(sessionId, req.ip);
     next();
   } catch (error) {
-    res.status(401).json({ error: 'Invalid token.' });
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Token expired.', code: 'TOKEN_EXPIRED' });
+    }
+    res.status(401).json({ error: error.name === 'AuthTokenError' ? error.message : 'Invalid token.' });
   }
 };
 
+// Revoked or expired tokens are treated like no token at all
 const optionalAuth = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
-    
+
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.userId).select('-passwordHash');
+      const { user, sessionId, impersonatedBy } = await verifyAccessToken(token);
       req.user = user;
+      req.sessionId = sessionId;
+      req.impersonatedBy = impersonatedBy;
+      touchSession(sessionId, req.ip);
     }
-    
+
     next();
   } catch (error) {
-   
+
     next();
   }
 };
 
-module.exports = { auth, optionalAuth };
+// Only let users whose role grants the capability through (use after auth)
+const requireCapability = (capability) => (req, res, next) => {
+  if (!hasCapability(req.user, capability)) {
+    return res.status(403).json({ error: 'Access denied. You do not have permission to do this.', capability });
+  }
+  next();
+};
+
+// Keep admins acting as another user away from that user's security settings
+const rejectImpersonation = (req, res, next) => {
+  if (req.impersonatedBy) {
+    return res.status(403).json({ error: 'Not available while impersonating another user' });
+  }
+  next();
+};
+
+module.exports = { auth, optionalAuth, requireCapability, rejectImpersonation };
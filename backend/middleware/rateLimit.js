@@ -156,7 +156,7 @@ const enhancedVoteLimiter = rateLimit({
   store: new CustomStore(),
   keyGenerator: (req) => {
     // Combine user ID and poll ID for per-poll rate limiting
-    const pollId = req.body.poll;
+    const pollId = req.body.poll || req.params.pollId;
     const userId = req.user ? req.user._id.toString() : req.ip;
     return `vote:${userId}:${pollId}`;
   },
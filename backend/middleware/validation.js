@@ -1,5 +1,14 @@
 const { body, param, query, validationResult } = require('express-validator');
 const mongoose = require('mongoose');
+const { TIMELINE_BUCKETS, isValidTimezone } = require('../utils/voteTimeline');
+const { WORKSPACE_ROLES } = require('../models/Workspace');
+const { USER_ROLES } = require('../utils/permissions');
+const { QUESTION_TYPES, DEFAULT_RATING_SCALE } = require('../models/Survey');
+const { QUIZ_REVEAL_MODES } = require('../models/Poll');
+
+const POLL_VISIBILITIES = ['public', 'workspace', 'invite_link', 'unlisted'];
+const WRITE_IN_MODERATION = ['queue', 'auto'];
+const POLL_SORTS = ['newest', 'relevance', 'most_votes', 'trending', 'ending_soon'];
 
 // Custom validators
 const isObjectId = (value) => {
@@ -112,6 +121,44 @@ const loginValidation = [
 ];
 
 // Email validation
+// A six digit authenticator code, or a recovery code where one is accepted
+const secondFactorValidation = (allowRecoveryCode) => [
+  body('code')
+    .optional({ values: 'falsy' })
+    .trim()
+    .matches(/^\d{6}$/).withMessage('Authentication code must be 6 digits'),
+
+  ...(allowRecoveryCode ? [
+    body('recoveryCode')
+      .optional({ values: 'falsy' })
+      .trim()
+      .isLength({ min: 10, max: 20 }).withMessage('Invalid recovery code')
+  ] : []),
+
+  body('code').custom((value, { req }) => {
+    if (!value && !(allowRecoveryCode && req.body.recoveryCode)) {
+      throw new Error(allowRecoveryCode ? 'Authentication code or recovery code is required' : 'Authentication code is required');
+    }
+    return true;
+  })
+];
+
+const loginTwoFactorValidation = [
+  body('challengeToken')
+    .notEmpty().withMessage('Sign-in attempt is missing, please log in again'),
+
+  ...secondFactorValidation(true)
+];
+
+const twoFactorCodeValidation = secondFactorValidation(false);
+
+const disableTwoFactorValidation = [
+  body('password')
+    .notEmpty().withMessage('Password is required'),
+
+  ...secondFactorValidation(true)
+];
+
 const emailValidation = [
   body('email')
     .notEmpty().withMessage('Email is required')
@@ -171,6 +218,22 @@ const emailVerificationValidation = [
     .notEmpty().withMessage('Verification token is required')
     .isLength({ min: 64, max: 64 }).withMessage('Invalid token format')
 ];
+// Scheduled publish dates must be in the future and before the poll expires
+const validatePublishDate = (value, { req }) => {
+  if (!value) return true; // Optional field
+
+  const publishDate = new Date(value);
+  if (publishDate <= new Date()) {
+    throw new Error('Publish date must be in the future');
+  }
+
+  if (req.body.expiresAt && publishDate >= new Date(req.body.expiresAt)) {
+    throw new Error('Publish date must be before the expiration date');
+  }
+
+  return true;
+};
+
 const validateExpirationDate = (value) => {
   if (!value) return true; // Optional field
   
@@ -192,6 +255,24 @@ const validateExpirationDate = (value) => {
   return true;
 };
 
+// A quiz's correct options, given as indexes into the options sent alongside them
+const validateCorrectOptionIndexes = (indexes, { req }) => {
+  if (!req.body.isQuiz) {
+    throw new Error('Only quiz polls have correct options');
+  }
+  const optionCount = Array.isArray(req.body.options) ? req.body.options.length : 0;
+  if (indexes.some(index => !Number.isInteger(index) || index < 0 || index >= optionCount)) {
+    throw new Error('correctOptions must be positions of the poll\'s options');
+  }
+  if (new Set(indexes).size !== indexes.length) {
+    throw new Error('correctOptions must not repeat');
+  }
+  if (req.body.votingMode === 'limited' && indexes.length > Number(req.body.maxSelections)) {
+    throw new Error('A limited poll cannot have more correct options than voters may pick');
+  }
+  return true;
+};
+
 // Enhanced create poll validation with expiration
 const createPollValidation = [
   body('question')
@@ -225,6 +306,11 @@ const createPollValidation = [
     .optional()
     .isBoolean().withMessage('isPublished must be a boolean'),
   
+  body('publishAt')
+    .optional({ values: 'falsy' })
+    .isISO8601().withMessage('Publish date must be a valid date')
+    .custom(validatePublishDate),
+  
   body('expiresAt')
     .optional()
     .isISO8601().withMessage('Expiration date must be a valid date')
@@ -240,7 +326,76 @@ const createPollValidation = [
   
   body('autoArchive')
     .optional()
-    .isBoolean().withMessage('autoArchive must be a boolean')
+    .isBoolean().withMessage('autoArchive must be a boolean'),
+  
+  body('allowVoteChange')
+    .optional()
+    .isBoolean().withMessage('allowVoteChange must be a boolean'),
+  
+  body('allowAnonymous')
+    .optional()
+    .isBoolean().withMessage('allowAnonymous must be a boolean'),
+  
+  body('anonymousDuplicatePolicy')
+    .optional()
+    .isIn(['cookie', 'fingerprint', 'none']).withMessage('anonymousDuplicatePolicy must be cookie, fingerprint, or none'),
+  
+  body('votingMode')
+    .optional()
+    .isIn(['single', 'multiple', 'limited', 'ranked']).withMessage('votingMode must be single, multiple, limited, or ranked'),
+  
+  body('allowWriteIns')
+    .optional()
+    .isBoolean().withMessage('allowWriteIns must be a boolean')
+    .custom((value, { req }) => !value || req.body.votingMode !== 'ranked')
+    .withMessage('Ranked polls cannot take write-in options'),
+  
+  body('writeInModeration')
+    .optional()
+    .isIn(WRITE_IN_MODERATION).withMessage('writeInModeration must be queue or auto'),
+  
+  body('workspace')
+    .optional({ values: 'null' })
+    .custom(isObjectId).withMessage('Invalid workspace ID format'),
+  
+  body('visibility')
+    .optional()
+    .isIn(POLL_VISIBILITIES).withMessage('visibility must be public, workspace, invite_link, or unlisted')
+    .custom((value, { req }) => value === 'public' || value === 'unlisted' || !!req.body.workspace)
+    .withMessage('Only workspace polls can be limited to workspace members or an invite link'),
+  
+  body('maxSelections')
+    .if(body('votingMode').equals('limited'))
+    .notEmpty().withMessage('maxSelections is required for limited polls')
+    .isInt({ min: 2 }).withMessage('maxSelections must be an integer of at least 2')
+    .custom((value, { req }) => {
+      const optionCount = Array.isArray(req.body.options) ? req.body.options.length : 0;
+      if (Number(value) > optionCount) {
+        throw new Error('maxSelections cannot exceed the number of options');
+      }
+      return true;
+    }),
+
+  body('isQuiz')
+    .optional()
+    .isBoolean().withMessage('isQuiz must be a boolean'),
+
+  body('quizReveal')
+    .optional()
+    .isIn(QUIZ_REVEAL_MODES).withMessage('quizReveal must be after_close or after_vote'),
+
+  body('quizSpeedWindow')
+    .optional()
+    .isInt({ min: 0, max: 3600 }).withMessage('quizSpeedWindow must be between 0 and 3600 seconds'),
+
+  body('correctOptions')
+    .if(body('isQuiz').equals('true'))
+    .isArray({ min: 1 }).withMessage('Mark at least one correct option for a quiz'),
+
+  body('correctOptions')
+    .optional()
+    .isArray().withMessage('correctOptions must be a list of option positions')
+    .custom(validateCorrectOptionIndexes)
 ];
 
 // Enhanced update poll validation
@@ -258,6 +413,11 @@ const updatePollValidation = [
     .optional()
     .isBoolean().withMessage('isPublished must be a boolean'),
   
+  body('publishAt')
+    .optional({ values: 'falsy' })
+    .isISO8601().withMessage('Publish date must be a valid date')
+    .custom(validatePublishDate),
+  
   body('expiresAt')
     .optional()
     .isISO8601().withMessage('Expiration date must be a valid date')
@@ -275,6 +435,34 @@ const updatePollValidation = [
     .optional()
     .isBoolean().withMessage('autoArchive must be a boolean'),
   
+  body('allowVoteChange')
+    .optional()
+    .isBoolean().withMessage('allowVoteChange must be a boolean'),
+  
+  body('allowAnonymous')
+    .optional()
+    .isBoolean().withMessage('allowAnonymous must be a boolean'),
+  
+  body('anonymousDuplicatePolicy')
+    .optional()
+    .isIn(['cookie', 'fingerprint', 'none']).withMessage('anonymousDuplicatePolicy must be cookie, fingerprint, or none'),
+  
+  body('visibility')
+    .optional()
+    .isIn(POLL_VISIBILITIES).withMessage('visibility must be public, workspace, invite_link, or unlisted'),
+  
+  body('regenerateInviteToken')
+    .optional()
+    .isBoolean().withMessage('regenerateInviteToken must be a boolean'),
+  
+  body('allowWriteIns')
+    .optional()
+    .isBoolean().withMessage('allowWriteIns must be a boolean'),
+  
+  body('writeInModeration')
+    .optional()
+    .isIn(WRITE_IN_MODERATION).withMessage('writeInModeration must be queue or auto'),
+  
   body('options')
     .optional()
     .isArray({ min: 2, max: 10 }).withMessage('Poll must have between 2 and 10 options')
@@ -295,18 +483,95 @@ const updatePollValidation = [
         throw new Error('Poll options must be unique');
       }
       
+      return true;
+    }),
+
+  // Quiz polls: which of the new options are correct (positions in options)
+  body('correctOptions')
+    .optional()
+    .isArray({ min: 1 }).withMessage('correctOptions must list at least one option position')
+    .custom((indexes, { req }) => {
+      const optionCount = Array.isArray(req.body.options) ? req.body.options.length : 0;
+      if (!optionCount) {
+        throw new Error('correctOptions can only be sent with options');
+      }
+      if (indexes.some(index => !Number.isInteger(index) || index < 0 || index >= optionCount) ||
+        new Set(indexes).size !== indexes.length) {
+        throw new Error('correctOptions must be distinct positions of the poll\'s options');
+      }
+      return true;
+    })
+];
+
+// Mark which of a quiz poll's current options are correct
+const quizAnswersValidation = [
+  param('id')
+    .notEmpty().withMessage('Poll ID is required')
+    .custom(isObjectId).withMessage('Invalid poll ID format'),
+
+  body('correctOptions')
+    .isArray({ min: 1 }).withMessage('Mark at least one correct option')
+    .custom((ids) => {
+      if (ids.some(id => typeof id !== 'string' || !mongoose.Types.ObjectId.isValid(id))) {
+        throw new Error('Invalid option ID format');
+      }
+      if (new Set(ids).size !== ids.length) {
+        throw new Error('Each option can only appear once');
+      }
+      return true;
+    })
+];
+
+// Selected option(s) for a vote: a single pollOption, or pollOptions for multi-select polls
+const voteSelectionValidation = [
+  body('pollOption')
+    .if(body('pollOptions').not().exists())
+    .if(body('writeIn').not().exists())
+    .notEmpty().withMessage('Poll option ID is required')
+    .custom(isObjectId).withMessage('Invalid poll option ID format'),
+  
+  // Several selections at once; in preference order for ranked polls
+  body('pollOptions')
+    .optional()
+    .isArray({ min: 1, max: 10 }).withMessage('pollOptions must contain between 1 and 10 option IDs')
+    .custom((ids) => {
+      if (ids.some(id => typeof id !== 'string' || !mongoose.Types.ObjectId.isValid(id))) {
+        throw new Error('Invalid poll option ID format');
+      }
+      if (new Set(ids).size !== ids.length) {
+        throw new Error('Poll options must not repeat');
+      }
       return true;
     })
 ];
+
 // Vote validation
 const voteValidation = [
   body('poll')
     .notEmpty().withMessage('Poll ID is required')
     .custom(isObjectId).withMessage('Invalid poll ID format'),
   
-  body('pollOption')
-    .notEmpty().withMessage('Poll option ID is required')
-    .custom(isObjectId).withMessage('Invalid poll option ID format')
+  ...voteSelectionValidation,
+  
+  // A new option typed in by the voter, on polls that allow write-ins
+  body('writeIn')
+    .optional()
+    .isString().withMessage('Write-in must be text')
+    .trim()
+    .notEmpty().withMessage('Write-in cannot be empty')
+    .isLength({ max: 200 }).withMessage('Options must be less than 200 characters')
+];
+
+const votePollIdValidation = [
+  param('pollId')
+    .notEmpty().withMessage('Poll ID is required')
+    .custom(isObjectId).withMessage('Invalid poll ID format')
+];
+
+// Change vote validation
+const changeVoteValidation = [
+  ...votePollIdValidation,
+  ...voteSelectionValidation
 ];
 
 const pollIdValidation = [
@@ -321,6 +586,131 @@ const optionIdValidation = [
     .custom(isObjectId).withMessage('Invalid option ID format')
 ];
 
+// Option management validations
+const optionTextValidation = body('text')
+  .trim()
+  .notEmpty().withMessage('Option text is required')
+  .isLength({ max: 200 }).withMessage('Options must be less than 200 characters');
+
+const optionQueryValidation = [
+  query('poll')
+    .notEmpty().withMessage('Poll ID is required')
+    .custom(isObjectId).withMessage('Invalid poll ID format')
+];
+
+const createOptionValidation = [
+  body('poll')
+    .notEmpty().withMessage('Poll ID is required')
+    .custom(isObjectId).withMessage('Invalid poll ID format'),
+
+  optionTextValidation
+];
+
+const updateOptionValidation = [...optionIdValidation, optionTextValidation];
+
+const reorderOptionsValidation = [
+  body('poll')
+    .notEmpty().withMessage('Poll ID is required')
+    .custom(isObjectId).withMessage('Invalid poll ID format'),
+
+  body('options')
+    .isArray({ min: 2 }).withMessage('Options must be a list of option IDs')
+    .custom((options) => {
+      if (options.some(id => typeof id !== 'string' || !mongoose.Types.ObjectId.isValid(id))) {
+        throw new Error('Invalid option ID format');
+      }
+      if (new Set(options).size !== options.length) {
+        throw new Error('Each option can only appear once');
+      }
+      return true;
+    })
+];
+
+const sessionIdValidation = [
+  param('id')
+    .notEmpty().withMessage('Session ID is required')
+    .custom(isObjectId).withMessage('Invalid session ID format')
+];
+
+// Share link validations
+const createShareLinkValidation = [
+  ...pollIdValidation,
+
+  body('label')
+    .optional()
+    .trim()
+    .isLength({ max: 80 }).withMessage('Label cannot exceed 80 characters'),
+
+  body('expiresAt')
+    .optional({ values: 'null' })
+    .isISO8601().withMessage('Expiration date must be a valid date')
+    .custom(validateExpirationDate)
+];
+
+const shareLinkIdValidation = [
+  ...pollIdValidation,
+
+  param('linkId')
+    .notEmpty().withMessage('Share link ID is required')
+    .custom(isObjectId).withMessage('Invalid share link ID format')
+];
+
+const shareTokenValidation = [
+  param('token')
+    .isLength({ min: 16, max: 128 }).withMessage('Invalid share link')
+    .matches(/^[A-Za-z0-9_-]+$/).withMessage('Invalid share link')
+];
+
+// Workspace validations
+const workspaceIdValidation = [
+  param('id')
+    .notEmpty().withMessage('Workspace ID is required')
+    .custom(isObjectId).withMessage('Invalid workspace ID format')
+];
+
+const workspaceValidation = (optional) => [
+  (optional ? body('name').optional() : body('name').notEmpty().withMessage('Workspace name is required'))
+    .trim()
+    .isLength({ min: 2, max: 80 }).withMessage('Workspace name must be between 2 and 80 characters'),
+
+  body('description')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 500 }).withMessage('Description must be at most 500 characters')
+];
+
+const createWorkspaceValidation = workspaceValidation(false);
+const updateWorkspaceValidation = [...workspaceIdValidation, ...workspaceValidation(true)];
+
+const addWorkspaceMemberValidation = [
+  ...workspaceIdValidation,
+
+  body('email')
+    .notEmpty().withMessage('Email is required')
+    .custom(isEmail).withMessage('Invalid email format')
+    .normalizeEmail(),
+
+  body('role')
+    .optional()
+    .isIn(WORKSPACE_ROLES).withMessage('Role must be owner, editor, or voter')
+];
+
+const workspaceMemberValidation = [
+  ...workspaceIdValidation,
+
+  param('userId')
+    .notEmpty().withMessage('User ID is required')
+    .custom(isObjectId).withMessage('Invalid user ID format')
+];
+
+const updateWorkspaceMemberValidation = [
+  ...workspaceMemberValidation,
+
+  body('role')
+    .notEmpty().withMessage('Role is required')
+    .isIn(WORKSPACE_ROLES).withMessage('Role must be owner, editor, or voter')
+];
+
 const userIdValidation = [
   param('id')
     .notEmpty().withMessage('User ID is required')
@@ -343,7 +733,41 @@ const pollQueryValidation = [
   
   query('status')
     .optional()
-    .isIn(['active', 'expired', 'draft', 'all']).withMessage('Status must be active, expired, draft, or all'),
+    .isIn(['active', 'expired', 'draft', 'scheduled', 'all']).withMessage('Status must be active, expired, draft, scheduled, or all'),
+  
+  query('workspace')
+    .optional()
+    .custom(isObjectId).withMessage('Invalid workspace ID format'),
+
+  query('q')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 }).withMessage('Search query must be between 2 and 100 characters')
+    .matches(/^[\p{L}\p{N}\s.,!?()'"-]+$/u).withMessage('Search query contains invalid characters'),
+
+  query('creator')
+    .optional()
+    .custom(isObjectId).withMessage('Invalid creator ID format'),
+
+  query('createdFrom')
+    .optional()
+    .isISO8601().withMessage('createdFrom must be a valid date'),
+
+  query('createdTo')
+    .optional()
+    .isISO8601().withMessage('createdTo must be a valid date'),
+
+  query('minVotes')
+    .optional()
+    .isInt({ min: 0 }).withMessage('minVotes must be a non-negative integer'),
+
+  query('expiringWithin')
+    .optional()
+    .isInt({ min: 1, max: 8760 }).withMessage('expiringWithin must be between 1 and 8760 hours'),
+
+  query('sort')
+    .optional()
+    .isIn(POLL_SORTS).withMessage('Sort must be newest, relevance, most_votes, trending, or ending_soon'),
   
   query('page')
     .optional()
@@ -354,6 +778,25 @@ const pollQueryValidation = [
     .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
 ];
 
+// Results export format
+const exportQueryValidation = [
+  query('format')
+    .optional()
+    .isIn(['csv', 'json', 'xlsx']).withMessage('Format must be csv, json, or xlsx')
+];
+
+// Vote timeline bucket size and timezone
+const timelineQueryValidation = [
+  query('bucket')
+    .optional()
+    .isIn(TIMELINE_BUCKETS).withMessage('Bucket must be minute, hour, or day'),
+
+  query('tz')
+    .optional()
+    .isLength({ max: 64 }).withMessage('Timezone is too long')
+    .custom(isValidTimezone).withMessage('Timezone must be an IANA name like Europe/Berlin or an offset like +02:00')
+];
+
 // User query validation
 const userQueryValidation = [
   query('page')
@@ -371,7 +814,11 @@ const userQueryValidation = [
   
   query('role')
     .optional()
-    .isIn(['user', 'admin']).withMessage('Role must be either user or admin')
+    .isIn(USER_ROLES).withMessage('Role must be user, moderator, or admin'),
+
+  query('status')
+    .optional()
+    .isIn(['active', 'suspended']).withMessage('Status must be active or suspended')
 ];
 
 // Admin user update validation
@@ -382,7 +829,7 @@ const adminUserUpdateValidation = [
   
   body('role')
     .optional()
-    .isIn(['user', 'admin']).withMessage('Role must be either user or admin'),
+    .isIn(USER_ROLES).withMessage('Role must be user, moderator, or admin'),
   
   body('isVerified')
     .optional()
@@ -390,7 +837,12 @@ const adminUserUpdateValidation = [
   
   body('isActive')
     .optional()
-    .isBoolean().withMessage('isActive must be a boolean')
+    .isBoolean().withMessage('isActive must be a boolean'),
+
+  body('suspensionReason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 }).withMessage('Suspension reason cannot exceed 200 characters')
 ];
 
 // Search validation
@@ -405,6 +857,206 @@ const searchValidation = [
     .isIn(['polls', 'users', 'all']).withMessage('Type must be polls, users, or all')
 ];
 
+// Audit log validations
+const AUDIT_TARGET_TYPES = ['poll', 'survey', 'user', 'session', 'share_link', 'workspace'];
+
+const auditQueryValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+
+  query('action')
+    .optional()
+    .matches(/^[a-z0-9_]+(\.[a-z0-9_]+)?$/).withMessage('Action must look like poll.publish or poll'),
+
+  query('actor')
+    .optional()
+    .custom(isObjectId).withMessage('Invalid actor ID format'),
+
+  query('owner')
+    .optional()
+    .custom(isObjectId).withMessage('Invalid owner ID format'),
+
+  query('targetType')
+    .optional()
+    .isIn(AUDIT_TARGET_TYPES).withMessage('Target type must be poll, survey, user, session, share_link, or workspace'),
+
+  query('targetId')
+    .optional()
+    .custom(isObjectId).withMessage('Invalid target ID format'),
+
+  query('from')
+    .optional()
+    .isISO8601().withMessage('From must be a valid date'),
+
+  query('to')
+    .optional()
+    .isISO8601().withMessage('To must be a valid date')
+];
+
+// Survey validations
+const MAX_SURVEY_QUESTIONS = 20;
+
+// A new question's branch rules: { option: index into its options (ratings count from 0),
+// goTo: index of a later question or 'end' }
+const validateQuestionBranches = (question, index, questionCount) => {
+  const label = `Question ${index + 1}`;
+  if (question.branches === undefined) return;
+  if (!Array.isArray(question.branches)) {
+    throw new Error(`${label}: branches must be a list`);
+  }
+  if (question.branches.length && question.type === 'text') {
+    throw new Error(`${label}: free text questions can't branch`);
+  }
+
+  const optionCount = question.type === 'rating'
+    ? question.ratingScale || DEFAULT_RATING_SCALE
+    : question.options.length;
+  const seen = new Set();
+  question.branches.forEach(branch => {
+    if (!branch || !Number.isInteger(branch.option) || branch.option < 0 || branch.option >= optionCount) {
+      throw new Error(`${label}: each branch needs one of the question's options`);
+    }
+    if (seen.has(branch.option)) {
+      throw new Error(`${label}: an option can only have one branch`);
+    }
+    seen.add(branch.option);
+    if (branch.goTo !== 'end' &&
+      (!Number.isInteger(branch.goTo) || branch.goTo <= index || branch.goTo >= questionCount)) {
+      throw new Error(`${label}: branches can only skip ahead to a later question or the end`);
+    }
+  });
+};
+
+// One question of a new survey: { text, type, options (choice questions), ratingScale, required,
+// branches }
+const validateSurveyQuestion = (question, index, questions) => {
+  const label = `Question ${index + 1}`;
+  if (!question || typeof question !== 'object') {
+    throw new Error(`${label} is invalid`);
+  }
+  if (typeof question.text !== 'string' || question.text.trim().length < 3 || question.text.length > 500) {
+    throw new Error(`${label} must be between 3 and 500 characters`);
+  }
+  if (!QUESTION_TYPES.includes(question.type)) {
+    throw new Error(`${label} type must be single, multiple, rating, or text`);
+  }
+  if (question.required !== undefined && typeof question.required !== 'boolean') {
+    throw new Error(`${label}: required must be a boolean`);
+  }
+
+  if (question.type === 'single' || question.type === 'multiple') {
+    const { options } = question;
+    if (!Array.isArray(options) || options.length < 2 || options.length > 10) {
+      throw new Error(`${label} must have between 2 and 10 options`);
+    }
+    if (options.some(opt => typeof opt !== 'string' || opt.trim().length === 0 || opt.length > 200)) {
+      throw new Error(`${label} options must be non-empty text under 200 characters`);
+    }
+    if (new Set(options.map(opt => opt.toLowerCase().trim())).size !== options.length) {
+      throw new Error(`${label} options must be unique`);
+    }
+  }
+
+  if (question.type === 'rating' && question.ratingScale !== undefined) {
+    if (!Number.isInteger(question.ratingScale) || question.ratingScale < 3 || question.ratingScale > 10) {
+      throw new Error(`${label} rating scale must be a whole number from 3 to 10`);
+    }
+  }
+
+  validateQuestionBranches(question, index, questions.length);
+  return true;
+};
+
+const createSurveyValidation = [
+  body('title')
+    .notEmpty().withMessage('Survey title is required')
+    .isLength({ min: 3, max: 200 }).withMessage('Title must be between 3 and 200 characters'),
+
+  body('description')
+    .optional()
+    .isLength({ max: 1000 }).withMessage('Description must be less than 1000 characters'),
+
+  body('isPublished')
+    .optional()
+    .isBoolean().withMessage('isPublished must be a boolean'),
+
+  body('expiresAt')
+    .optional({ values: 'falsy' })
+    .isISO8601().withMessage('Expiration date must be a valid date')
+    .custom(validateExpirationDate),
+
+  body('allowAnonymous')
+    .optional()
+    .isBoolean().withMessage('allowAnonymous must be a boolean'),
+
+  body('questions')
+    .isArray({ min: 1, max: MAX_SURVEY_QUESTIONS })
+    .withMessage(`A survey must have between 1 and ${MAX_SURVEY_QUESTIONS} questions`)
+    .custom((questions) => questions.every(validateSurveyQuestion))
+];
+
+const surveyIdValidation = [
+  param('id')
+    .notEmpty().withMessage('Survey ID is required')
+    .custom(isObjectId).withMessage('Invalid survey ID format')
+];
+
+const surveyQueryValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+
+  query('mine')
+    .optional()
+    .isIn(['true', 'false']).withMessage('mine must be true or false')
+];
+
+// Replace one question's branch rules; options and targets are checked against the survey in the route
+const surveyBranchValidation = [
+  ...surveyIdValidation,
+
+  param('questionId')
+    .custom(isObjectId).withMessage('Invalid question ID format'),
+
+  body('rules')
+    .isArray({ max: 10 }).withMessage('rules must be a list of at most 10 rules')
+    .custom((rules) => {
+      const valid = rules.every(rule => rule && typeof rule === 'object' &&
+        mongoose.Types.ObjectId.isValid(rule.option) &&
+        (rule.goTo === null || mongoose.Types.ObjectId.isValid(rule.goTo)));
+      if (!valid) {
+        throw new Error('Every rule needs a valid option ID and a question ID (or null to end the survey)');
+      }
+      return true;
+    })
+];
+
+// Answers are checked against the questions in the route; here only their shape
+const surveyResponseValidation = [
+  ...surveyIdValidation,
+
+  body('answers')
+    .isArray({ max: MAX_SURVEY_QUESTIONS }).withMessage('answers must be a list')
+    .custom((answers) => {
+      if (answers.some(answer => !answer || typeof answer !== 'object' || !mongoose.Types.ObjectId.isValid(answer.question))) {
+        throw new Error('Every answer needs a valid question ID');
+      }
+      if (new Set(answers.map(answer => answer.question)).size !== answers.length) {
+        throw new Error('Each question can only be answered once');
+      }
+      return true;
+    })
+];
+
 // Export all validation rules
 module.exports = {
   // Core functions
@@ -424,21 +1076,59 @@ module.exports = {
   changePasswordValidation,
   updateProfileValidation,
   emailVerificationValidation,
+  sessionIdValidation,
+  loginTwoFactorValidation,
+  twoFactorCodeValidation,
+  disableTwoFactorValidation,
 
   // Poll validations
   createPollValidation,
   updatePollValidation,
+  quizAnswersValidation,
   voteValidation,
+  changeVoteValidation,
+  votePollIdValidation,
   pollIdValidation,
   optionIdValidation,
   pollQueryValidation,
+  exportQueryValidation,
+  timelineQueryValidation,
   validateExpirationDate,
 
+  // Option management validations
+  optionQueryValidation,
+  createOptionValidation,
+  updateOptionValidation,
+  reorderOptionsValidation,
+
+  // Share link validations
+  createShareLinkValidation,
+  shareLinkIdValidation,
+  shareTokenValidation,
+
+  // Workspace validations
+  workspaceIdValidation,
+  createWorkspaceValidation,
+  updateWorkspaceValidation,
+  addWorkspaceMemberValidation,
+  workspaceMemberValidation,
+  updateWorkspaceMemberValidation,
+
   // User validations
   userIdValidation,
   userQueryValidation,
   adminUserUpdateValidation,
 
   // Search validation
-  searchValidation
+  searchValidation,
+
+  // Audit log validations
+  auditQueryValidation,
+
+  // Survey validations
+  createSurveyValidation,
+  surveyIdValidation,
+  surveyQueryValidation,
+  surveyBranchValidation,
+  surveyResponseValidation
 };
\ No newline at end of file
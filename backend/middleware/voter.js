@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+
+const VOTER_COOKIE = 'voter_token';
+const VOTER_HEADER = 'x-voter-token';
+const VOTER_COOKIE_MAX_AGE = 365 * 24 * 60 * 60 * 1000; // 1 year
+
+const getSecret = () => process.env.VOTER_TOKEN_SECRET || process.env.JWT_SECRET;
+
+const sign = (voterId) => crypto.createHmac('sha256', getSecret()).update(voterId).digest('hex');
+
+// One-way hash so raw voter ids, IPs and user agents never reach the database
+const hashIdentifier = (...parts) => crypto.createHash('sha256').update(parts.join('|')).digest('hex');
+
+const parseCookies = (header = '') => {
+  return header.split(';').reduce((cookies, pair) => {
+    const index = pair.indexOf('=');
+    if (index > 0) {
+      const name = pair.slice(0, index).trim();
+      try {
+        cookies[name] = decodeURIComponent(pair.slice(index + 1).trim());
+      } catch (_) { /* ignore malformed cookie values */ }
+    }
+    return cookies;
+  }, {});
+};
+
+// Voter tokens look like "<voterId>.<hmac>"; returns the voter id when the signature checks out
+const verifyVoterToken = (token) => {
+  if (!token || typeof token !== 'string') return null;
+  const [voterId, signature] = token.split('.');
+  if (!voterId || !signature || !/^[a-f0-9]{32}$/.test(voterId)) return null;
+
+  const expected = Buffer.from(sign(voterId));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  return voterId;
+};
+
+const issueVoterToken = () => {
+  const voterId = crypto.randomBytes(16).toString('hex');
+  return { voterId, token: `${voterId}.${sign(voterId)}` };
+};
+
+// Per-poll IP + user agent fingerprint, salted with the poll id so it can't be correlated across polls
+const getFingerprint = (req, pollId) => {
+  return hashIdentifier(pollId.toString(), req.ip || '', req.get('User-Agent') || '');
+};
+
+// Identify guests by a signed voter cookie or device token header, issuing one if absent.
+// Authenticated requests are left alone - req.user takes precedence everywhere.
+const identifyVoter = (req, res, next) => {
+  if (req.user) return next();
+
+  const presented = req.get(VOTER_HEADER) || parseCookies(req.headers.cookie)[VOTER_COOKIE];
+  let voterId = verifyVoterToken(presented);
+  let token = presented;
+
+  if (!voterId) {
+    ({ voterId, token } = issueVoterToken());
+    res.cookie(VOTER_COOKIE, token, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: process.env.NODE_ENV === 'production',
+      maxAge: VOTER_COOKIE_MAX_AGE
+    });
+  }
+
+  req.voter = {
+    token,
+    tokenHash: hashIdentifier(voterId)
+  };
+  next();
+};
+
+module.exports = {
+  VOTER_COOKIE,
+  VOTER_HEADER,
+  identifyVoter,
+  issueVoterToken,
+  verifyVoterToken,
+  getFingerprint,
+  hashIdentifier,
+  parseCookies
+};
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// Entries are kept this long, then removed by MongoDB
+const AUDIT_LOG_RETENTION_DAYS = Number(process.env.AUDIT_LOG_RETENTION_DAYS) || 365;
+
+// One state-changing action: who did what to which record, from where, and which fields changed.
+// Entries are append-only - they can be written and read but never edited or deleted by the app.
+const auditLogSchema = new mongoose.Schema({
+  // Null for actions taken by the server itself
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Kept so the entry still says who it was after the account is deleted
+  actorEmail: String,
+  // Set when an admin was acting as the actor
+  impersonatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  target: {
+    type: {
+      type: String,
+      enum: ['poll', 'survey', 'user', 'session', 'share_link', 'workspace'],
+      required: true
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    // Poll question, survey title, account email or workspace name at the time, for records that no longer exist
+    label: String
+  },
+  // The user the target belongs to (poll or workspace creator, account holder); they can read the entry too
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Changed fields only: { field: { before, after } }
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  ip: String,
+  userAgent: String,
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + AUDIT_LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+const rejectChange = function() {
+  throw new Error('Audit log entries cannot be changed or deleted');
+};
+
+auditLogSchema.pre('save', function() {
+  if (!this.isNew) rejectChange();
+});
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: true, query: true },
+  rejectChange
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ owner: 1, createdAt: -1 });
+auditLogSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
+module.exports.AUDIT_LOG_RETENTION_DAYS = AUDIT_LOG_RETENTION_DAYS;
@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 
+// When a quiz's correct answers are shown to voters: once the poll closes, or to each voter as
+// soon as they have voted
+const QUIZ_REVEAL_MODES = ['after_close', 'after_vote'];
+
 const pollSchema = new mongoose.Schema({
   question: {
     type: String,
@@ -15,6 +19,72 @@ const pollSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Polls without a workspace belong to their creator alone
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null
+  },
+  // Set when the poll is one question of a survey; such polls are answered through the survey
+  // and left out of poll listings
+  survey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Survey',
+    default: null
+  },
+  surveyPosition: Number,
+  // Survey questions only: how the question is answered (see Survey.QUESTION_TYPES). Rating
+  // questions have the options "1".."ratingScale"; text questions have no options.
+  questionType: {
+    type: String,
+    enum: ['single', 'multiple', 'rating', 'text']
+  },
+  ratingScale: {
+    type: Number,
+    min: 3,
+    max: 10
+  },
+  answerRequired: {
+    type: Boolean,
+    default: undefined
+  },
+  // Survey questions only: where a respondent goes after this question. A respondent who picked
+  // a rule's option jumps to its goTo question (always a later one), or finishes the survey when
+  // goTo is null; the first matching rule wins. Anyone else continues to the next question.
+  branchRules: {
+    type: [{
+      _id: false,
+      option: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PollOption',
+        required: true
+      },
+      goTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Poll',
+        default: null
+      }
+    }],
+    default: undefined
+  },
+  // Who can see and vote: everyone, workspace members only, or workspace members plus anyone
+  // holding the poll's invite link (kept out of listings for everyone else). Unlisted polls are
+  // left out of listings and reached through share links (see ShareLink).
+  visibility: {
+    type: String,
+    enum: ['public', 'workspace', 'invite_link', 'unlisted'],
+    default: 'public',
+    validate: {
+      validator: function(value) {
+        return value === 'public' || value === 'unlisted' || !!this.workspace;
+      },
+      message: 'Only workspace polls can be limited to workspace members or an invite link'
+    }
+  },
+  inviteToken: {
+    type: String,
+    select: false
+  },
   expiresAt: {
     type: Date,
     validate: {
@@ -25,6 +95,23 @@ const pollSchema = new mongoose.Schema({
       message: 'Expiration date must be in the future'
     }
   },
+  // Draft polls with a publishAt are published by the scheduler at that time
+  publishAt: {
+    type: Date,
+    validate: {
+      validator: function(value) {
+        return !value || !this.expiresAt || value < this.expiresAt;
+      },
+      message: 'Publish date must be before the expiration date'
+    }
+  },
+  // Set by the scheduler once a poll's expiry has been processed (notified and, if enabled, archived)
+  expiryHandledAt: {
+    type: Date
+  },
+  archivedAt: {
+    type: Date
+  },
   allowVotingAfterExpiry: {
     type: Boolean,
     default: false
@@ -36,6 +123,91 @@ const pollSchema = new mongoose.Schema({
   autoArchive: {
     type: Boolean,
     default: false
+  },
+  // Lets guests vote without an account; duplicates are caught by voter cookie/device token,
+  // by IP + user agent fingerprint, or not at all
+  allowAnonymous: {
+    type: Boolean,
+    default: false
+  },
+  anonymousDuplicatePolicy: {
+    type: String,
+    enum: ['cookie', 'fingerprint', 'none'],
+    default: 'cookie'
+  },
+  // Lets voters add their own option when voting. Write-ins wait in the creator's review queue
+  // (hidden from other voters until approved) or go live straight away.
+  allowWriteIns: {
+    type: Boolean,
+    default: false,
+    validate: {
+      validator: function(value) {
+        return !value || this.votingMode !== 'ranked';
+      },
+      message: 'Ranked polls cannot take write-in options'
+    }
+  },
+  writeInModeration: {
+    type: String,
+    enum: ['queue', 'auto'],
+    default: 'queue'
+  },
+  // Copy of the options' text for the full-text index (see syncOptionTexts)
+  optionTexts: {
+    type: [String],
+    select: false
+  },
+  // Distinct voters (accounts or anonymous ballots), kept in step with vote writes
+  voterCount: {
+    type: Number,
+    default: 0
+  },
+  // Votes cast in the trending window, refreshed every minute by the vote counter reconciler
+  recentVoteCount: {
+    type: Number,
+    default: 0
+  },
+  // Lets voters change or retract their vote while the poll still accepts votes
+  allowVoteChange: {
+    type: Boolean,
+    default: false
+  },
+  // How many options a voter may pick: exactly one, any number, up to maxSelections,
+  // or an ordered ranking counted by instant runoff
+  votingMode: {
+    type: String,
+    enum: ['single', 'multiple', 'limited', 'ranked'],
+    default: 'single'
+  },
+  // Quiz polls have correct options (PollOption.isCorrect) and score each signed-in voter; quiz
+  // settings are fixed once the poll is created
+  isQuiz: {
+    type: Boolean,
+    default: false
+  },
+  quizReveal: {
+    type: String,
+    enum: QUIZ_REVEAL_MODES,
+    default: 'after_close'
+  },
+  // Seconds after the first answer during which correct answers earn a (shrinking) speed bonus;
+  // 0 turns the bonus off
+  quizSpeedWindow: {
+    type: Number,
+    min: 0,
+    max: 3600,
+    default: 30
+  },
+  maxSelections: {
+    type: Number,
+    min: 2,
+    validate: {
+      validator: function(value) {
+        // Only meaningful (and then required) for limited polls
+        return this.votingMode !== 'limited' || (Number.isInteger(value) && value >= 2);
+      },
+      message: 'maxSelections is required for limited polls and must be at least 2'
+    }
   }
 }, {
   timestamps: true
@@ -45,7 +217,10 @@ const pollSchema = new mongoose.Schema({
 pollSchema.virtual('options', {
   ref: 'PollOption',
   localField: '_id',
-  foreignField: 'poll'
+  foreignField: 'poll',
+  // Write-ins awaiting review stay hidden (see PollOption.VISIBLE_OPTIONS)
+  match: { status: { $ne: 'pending' } },
+  options: { sort: { position: 1, _id: 1 } }
 });
 
 // Virtual for votes (through options)
@@ -63,7 +238,11 @@ pollSchema.virtual('totalVotes').get(async function() {
 
 // Virtual for poll status
 pollSchema.virtual('status').get(function() {
-  if (!this.isPublished) return 'draft';
+  if (!this.isPublished) {
+    if (this.publishAt) return 'scheduled';
+    if (this.archivedAt) return 'archived';
+    return 'draft';
+  }
   if (this.expiresAt && new Date() > this.expiresAt) return 'expired';
   return 'active';
 });
@@ -99,12 +278,31 @@ pollSchema.virtual('canVote').get(function() {
   return true;
 });
 
+// Virtual for the number of options a single voter may select (null = no limit)
+pollSchema.virtual('selectionLimit').get(function() {
+  if (this.votingMode === 'multiple' || this.votingMode === 'ranked') return null;
+  if (this.votingMode === 'limited') return this.maxSelections;
+  return 1;
+});
+
 // Virtual for canViewResults (considering expiry and settings)
 pollSchema.virtual('canViewResults').get(function() {
   if (this.isExpired) return this.showResultsAfterExpiry;
   return true; // Always show results for active polls
 });
 
+// Quiz scores are per account and final once cast, and the answers must not be visible to
+// anyone still able to vote
+pollSchema.pre('validate', function(next) {
+  if (!this.isQuiz) return next();
+  if (this.votingMode === 'ranked') {
+    this.invalidate('isQuiz', 'Ranked polls cannot be quizzes');
+  } else if (this.allowAnonymous || this.allowVoteChange || this.allowWriteIns || this.allowVotingAfterExpiry) {
+    this.invalidate('isQuiz', 'Quiz polls cannot allow anonymous votes, vote changes, write-ins or voting after expiry');
+  }
+  next();
+});
+
 // Middleware to handle expiry
 pollSchema.pre('save', function(next) {
   // If expiresAt is set but in the past, don't allow saving
@@ -147,14 +345,34 @@ pollSchema.statics.cleanupExpiredPolls = async function() {
   return expiredPolls.length;
 };
 
+// Copy the poll's current option texts onto it; call after adding, editing or removing options
+pollSchema.statics.syncOptionTexts = async function(pollId, { session } = {}) {
+  const options = await mongoose.model('PollOption').find({ poll: pollId, status: { $ne: 'pending' } })
+    .select('text')
+    .sort({ position: 1, _id: 1 })
+    .session(session || null);
+  await this.updateOne({ _id: pollId }, { $set: { optionTexts: options.map(option => option.text) } }, { session });
+};
+
 // Index for better query performance
 pollSchema.index({ isPublished: 1, expiresAt: 1, createdAt: -1 });
 pollSchema.index({ creator: 1 });
+pollSchema.index({ workspace: 1, visibility: 1, createdAt: -1 });
 pollSchema.index({ expiresAt: 1 }); // For expiry queries
+pollSchema.index({ isPublished: 1, publishAt: 1 }); // For scheduled publishing scans
+pollSchema.index({ voterCount: -1, createdAt: -1 }); // For sorting by most votes
+pollSchema.index({ recentVoteCount: -1, voterCount: -1, createdAt: -1 }); // For sorting by trending
+pollSchema.index({ survey: 1, surveyPosition: 1 }, { sparse: true });
+// Full-text search; a question match counts more than an option match
+pollSchema.index(
+  { question: 'text', optionTexts: 'text' },
+  { name: 'poll_text_search', weights: { question: 3, optionTexts: 1 } }
+);
 // Removed index on virtual 'status' field - virtuals can't be indexed
 
 // Ensure virtual fields are serialized
 pollSchema.set('toJSON', { virtuals: true });
 pollSchema.set('toObject', { virtuals: true });
 
-module.exports = mongoose.model('Poll', pollSchema);
\ No newline at end of file
+module.exports = mongoose.model('Poll', pollSchema);
+module.exports.QUIZ_REVEAL_MODES = QUIZ_REVEAL_MODES;
\ No newline at end of file
@@ -10,12 +10,77 @@ const pollOptionSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Poll',
     required: true
-  }
+  },
+  // Text in the form options are compared in (trimmed, lower case); set from the text on save.
+  // The unique index below keeps two options of a poll from reading the same.
+  normalizedText: {
+    type: String,
+    select: false
+  },
+  // Display order within the poll
+  position: {
+    type: Number,
+    default: 0
+  },
+  // First-preference votes, kept in step with vote writes (see utils/voteCounters)
+  voteCount: {
+    type: Number,
+    default: 0
+  },
+  // Write-ins added by voters: pending ones wait for the creator's review and are only shown to
+  // the creator. Options created with the poll have no submitter.
+  status: {
+    type: String,
+    enum: ['approved', 'pending'],
+    default: 'approved'
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  isWriteIn: {
+    type: Boolean,
+    default: false
+  },
+  // Quiz polls: marks a right answer. Not selected by default so it never leaks into option
+  // lists; read only where the reveal rules allow (see utils/quiz).
+  isCorrect: {
+    type: Boolean,
+    default: false,
+    select: false
+  },
+  // Earlier wordings of an option renamed after votes were cast, oldest first, so voters can
+  // see what they voted for
+  amendments: [{
+    _id: false,
+    text: String,
+    amendedAt: { type: Date, default: Date.now },
+    amendedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  }]
 }, {
   timestamps: true
 });
 
+const normalizeOptionText = (text) => text.trim().toLowerCase();
+
+pollOptionSchema.pre('validate', function(next) {
+  if (typeof this.text === 'string') this.normalizedText = normalizeOptionText(this.text);
+  next();
+});
+
 // Index for better query performance
-pollOptionSchema.index({ poll: 1 });
+pollOptionSchema.index({ poll: 1, position: 1 });
+pollOptionSchema.index({ poll: 1, status: 1 });
+// Options saved before normalizedText existed don't have it and are left out
+pollOptionSchema.index(
+  { poll: 1, normalizedText: 1 },
+  { name: 'unique_option_text', unique: true, partialFilterExpression: { normalizedText: { $type: 'string' } } }
+);
+
+// Options voters can see and pick. Older options have no status, so match on "not pending".
+const VISIBLE_OPTIONS = { status: { $ne: 'pending' } };
 
-module.exports = mongoose.model('PollOption', pollOptionSchema);
\ No newline at end of file
+module.exports = mongoose.model('PollOption', pollOptionSchema);
+module.exports.VISIBLE_OPTIONS = VISIBLE_OPTIONS;
+module.exports.normalizeOptionText = normalizeOptionText;
\ No newline at end of file
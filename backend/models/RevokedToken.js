@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Revocation list for access tokens: one entry per revoked session, kept only as long as an
+// access token issued for that session could still be valid.
+const revokedTokenSchema = new mongoose.Schema({
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+revokedTokenSchema.index({ session: 1 }, { unique: true });
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// One signed-in device. Holds the hash of its current refresh token; access tokens carry the
+// session id (sid) so revoking the session cuts them off too.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // The token this one replaced - presenting it again means it leaked, so the session is revoked
+  previousRefreshTokenHash: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Where the session was started and last seen from
+  device: String,
+  userAgent: String,
+  ip: String,
+  lastActiveAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set on short-lived sessions an admin opened to act as this user
+  impersonatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokedAt: Date,
+  revokedReason: String
+}, {
+  timestamps: true
+});
+
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+sessionSchema.index({ refreshTokenHash: 1 }, { unique: true });
+sessionSchema.index({ previousRefreshTokenHash: 1 }, { sparse: true });
+sessionSchema.index({ user: 1, revokedAt: 1, lastActiveAt: -1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// A secret link to an unlisted poll. Only the hash of its token is stored, so the link itself is
+// shown once when it is created; it stops working when revoked or past expiresAt.
+const shareLinkSchema = new mongoose.Schema({
+  poll: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Poll',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  // Helps tell links apart once created, e.g. "Team newsletter"
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 80
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+shareLinkSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > Date.now());
+});
+
+// Drop the hash from API responses
+shareLinkSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    delete ret.id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+shareLinkSchema.index({ tokenHash: 1 }, { unique: true });
+shareLinkSchema.index({ poll: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ShareLink', shareLinkSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// Single choice, any number of choices, a 1..N rating, or a typed answer
+const QUESTION_TYPES = ['single', 'multiple', 'rating', 'text'];
+// Rating questions without a scale of their own are rated 1..5
+const DEFAULT_RATING_SCALE = 5;
+
+// An ordered set of questions answered in one go. Each question is a Poll (with survey set),
+// so its options, votes and live counts work like any other poll's; typed answers are kept on
+// the respondent's SurveyResponse.
+const surveySchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  creator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  isPublished: {
+    type: Boolean,
+    default: false
+  },
+  expiresAt: {
+    type: Date,
+    validate: {
+      validator: function(value) {
+        return !value || !this.isModified('expiresAt') || value > new Date();
+      },
+      message: 'Expiration date must be in the future'
+    }
+  },
+  // Lets guests respond without an account, once per voter cookie/device token
+  allowAnonymous: {
+    type: Boolean,
+    default: false
+  },
+  // Questions are fixed once the survey is created
+  questionCount: {
+    type: Number,
+    default: 0
+  },
+  // Kept in step with response writes
+  responseCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+surveySchema.virtual('questions', {
+  ref: 'Poll',
+  localField: '_id',
+  foreignField: 'survey',
+  options: { sort: { surveyPosition: 1 } }
+});
+
+surveySchema.virtual('isExpired').get(function() {
+  return !!this.expiresAt && new Date() > this.expiresAt;
+});
+
+surveySchema.virtual('canRespond').get(function() {
+  return this.isPublished && !this.isExpired;
+});
+
+surveySchema.index({ isPublished: 1, createdAt: -1 });
+surveySchema.index({ creator: 1, createdAt: -1 });
+
+surveySchema.set('toJSON', { virtuals: true });
+surveySchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Survey', surveySchema);
+module.exports.QUESTION_TYPES = QUESTION_TYPES;
+module.exports.DEFAULT_RATING_SCALE = DEFAULT_RATING_SCALE;
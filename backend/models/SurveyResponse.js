@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// One respondent's submission of a survey. Choice answers are stored as votes on the question
+// polls (sharing the response's identity); typed answers live here.
+const surveyResponseSchema = new mongoose.Schema({
+  survey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Survey',
+    required: true
+  },
+  // Absent for anonymous responses
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Anonymous responses: hashed voter token and the ballot id shared with their votes
+  voterToken: String,
+  ballotId: String,
+  // Questions the respondent was shown, in order, each with the option whose branch rule they
+  // followed from it (null when they moved on to the next question). Feeds the funnel counts.
+  path: [{
+    _id: false,
+    question: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Poll',
+      required: true
+    },
+    via: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PollOption',
+      default: null
+    }
+  }],
+  textAnswers: [{
+    _id: false,
+    question: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Poll',
+      required: true
+    },
+    text: {
+      type: String,
+      required: true,
+      trim: true
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// One response per account; partial so anonymous responses don't collide with each other
+surveyResponseSchema.index(
+  { survey: 1, user: 1 },
+  { unique: true, partialFilterExpression: { user: { $type: 'objectId' } } }
+);
+surveyResponseSchema.index({ survey: 1, voterToken: 1 }, { sparse: true });
+surveyResponseSchema.index({ 'textAnswers.question': 1, createdAt: -1 });
+
+module.exports = mongoose.model('SurveyResponse', surveyResponseSchema);
@@ -1,6 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const { verifyTotp, decryptSecret, hashRecoveryCode } = require('../utils/totp');
+const { USER_ROLES, getCapabilities } = require('../utils/permissions');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -18,15 +20,32 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
   },
+  // Accounts created through single sign-on have no password until one is set via password reset
   passwordHash: {
     type: String,
-    required: true
+    required: function() { return !this.identities || this.identities.length === 0; }
   },
+  // External OpenID Connect identities that sign in to this account
+  identities: [{
+    provider: { type: String, required: true },
+    issuer: { type: String, required: true },
+    subject: { type: String, required: true },
+    email: String,
+    linkedAt: { type: Date, default: Date.now }
+  }],
+  // What the account may do beyond its own polls, see utils/permissions
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: USER_ROLES,
     default: 'user'
   },
+  // Suspended accounts can't sign in, and their sessions are revoked when suspended
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  suspendedAt: Date,
+  suspensionReason: String,
   isVerified: {
     type: Boolean,
     default: false
@@ -40,7 +59,21 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
-  lockUntil: Date
+  lockUntil: Date,
+  // TOTP two-factor authentication. Secrets are stored encrypted, recovery codes only as hashes.
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: String,
+  // Secret from a setup that hasn't been confirmed with a code yet
+  twoFactorPendingSecret: String,
+  twoFactorRecoveryCodes: [{
+    hash: { type: String, required: true },
+    usedAt: Date
+  }],
+  // Time step of the last accepted code, so a code can't be used twice
+  twoFactorLastUsedStep: Number
 }, {
   timestamps: true
 });
@@ -63,7 +96,7 @@ userSchema.virtual('isLocked').get(function() {
 
 // Method to check password
 userSchema.methods.checkPassword = function(password) {
-  if (this.isLocked) {
+  if (this.isLocked || !this.passwordHash) {
     return false;
   }
   
@@ -78,17 +111,63 @@ userSchema.methods.checkPassword = function(password) {
     this.lastLogin = new Date();
     return true;
   } else {
-    // Increment login attempts
-    this.loginAttempts += 1;
-    
-    // Lock account after 5 failed attempts for 30 minutes
-    if (this.loginAttempts >= 5) {
-      this.lockUntil = Date.now() + 30 * 60 * 1000; // 30 minutes
-    }
+    this.recordFailedLogin();
     return false;
   }
 };
 
+// Count a failed sign-in attempt (wrong password or second factor)
+userSchema.methods.recordFailedLogin = function() {
+  this.loginAttempts += 1;
+
+  // Lock account after 5 failed attempts for 30 minutes
+  if (this.loginAttempts >= 5) {
+    this.lockUntil = Date.now() + 30 * 60 * 1000; // 30 minutes
+  }
+};
+
+// Check a second factor: an authenticator code, or an unused recovery code (which is used up).
+// Returns 'totp', 'recovery_code' or null; the caller saves the user.
+userSchema.methods.checkSecondFactor = function({ code, recoveryCode } = {}) {
+  if (!this.twoFactorEnabled || !this.twoFactorSecret) {
+    return null;
+  }
+
+  if (code) {
+    const step = verifyTotp(decryptSecret(this.twoFactorSecret), code, {
+      lastUsedStep: this.twoFactorLastUsedStep ?? null
+    });
+    if (step === null) return null;
+    this.twoFactorLastUsedStep = step;
+    return 'totp';
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const entry = this.twoFactorRecoveryCodes.find(item => !item.usedAt && item.hash === hash);
+    if (!entry) return null;
+    entry.usedAt = new Date();
+    return 'recovery_code';
+  }
+
+  return null;
+};
+
+// Replace the recovery codes with new ones and return them in plain text (shown once)
+userSchema.methods.setRecoveryCodes = function(codes) {
+  this.twoFactorRecoveryCodes = codes.map(code => ({ hash: hashRecoveryCode(code) }));
+  return codes;
+};
+
+// Turn two-factor authentication off and forget its secrets
+userSchema.methods.clearTwoFactor = function() {
+  this.twoFactorEnabled = false;
+  this.twoFactorSecret = undefined;
+  this.twoFactorPendingSecret = undefined;
+  this.twoFactorRecoveryCodes = [];
+  this.twoFactorLastUsedStep = undefined;
+};
+
 // Generate email verification token
 userSchema.methods.generateEmailVerificationToken = function() {
   const token = crypto.randomBytes(32).toString('hex');
@@ -127,11 +206,21 @@ userSchema.methods.getPublicProfile = function() {
   delete userObject.passwordResetExpires;
   delete userObject.loginAttempts;
   delete userObject.lockUntil;
+  delete userObject.twoFactorSecret;
+  delete userObject.twoFactorPendingSecret;
+  delete userObject.twoFactorLastUsedStep;
+  // Only how many recovery codes are left, never the codes themselves
+  userObject.twoFactorRecoveryCodesLeft = (userObject.twoFactorRecoveryCodes || []).filter(item => !item.usedAt).length;
+  delete userObject.twoFactorRecoveryCodes;
+  userObject.identities = (userObject.identities || []).map(({ provider, email, linkedAt }) => ({ provider, email, linkedAt }));
+  userObject.capabilities = getCapabilities(this.role);
   return userObject;
 };
 
 // Explicit indexes (email already has an implicit unique index from the schema field)
 userSchema.index({ emailVerificationToken: 1 });
 userSchema.index({ passwordResetToken: 1 });
+userSchema.index({ 'identities.issuer': 1, 'identities.subject': 1 });
+userSchema.index({ role: 1, createdAt: -1 });
 
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -1,10 +1,10 @@
 const mongoose = require('mongoose');
 
 const voteSchema = new mongoose.Schema({
+  // Absent for anonymous votes
   user: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
+    ref: 'User'
   },
   poll: {
     type: mongoose.Schema.Types.ObjectId,
@@ -14,12 +14,62 @@ const voteSchema = new mongoose.Schema({
   pollOption: {
     type: mongoose.Schema.Types.ObjectId,
     required: true
-  }
+  },
+  // Preference position on ranked ballots (1 = first choice)
+  rank: {
+    type: Number,
+    min: 1
+  },
+  // Anonymous votes: hashed voter token and IP + user agent fingerprint for duplicate checks,
+  // plus a per-submission ballot id that groups the votes of one anonymous ballot
+  voterToken: String,
+  fingerprint: String,
+  ballotId: String,
+  // The poll's anonymousDuplicatePolicy when it blocks repeat guest ballots ('cookie' or
+  // 'fingerprint'); selects which of the guest indexes below applies to the ballot
+  duplicatePolicy: String,
+  // Set on the first vote of each ballot. The one_ballot_per_* indexes allow a single marked
+  // vote per voter and poll, so two ballots submitted at once can't both be stored.
+  ballotHead: Boolean
 }, {
   timestamps: true
 });
 
-// Prevent duplicate votes
-voteSchema.index({ user: 1, poll: 1 }, { unique: true });
+// Prevent voting for the same option twice; multiple-choice polls store one vote per selected option.
+// Partial so that anonymous votes (no user) don't collide with each other.
+voteSchema.index(
+  { user: 1, poll: 1, pollOption: 1 },
+  { unique: true, partialFilterExpression: { user: { $type: 'objectId' } } }
+);
+voteSchema.index(
+  { user: 1, poll: 1 },
+  {
+    name: 'one_ballot_per_user',
+    unique: true,
+    partialFilterExpression: { user: { $type: 'objectId' }, ballotHead: true }
+  }
+);
+// The same for guests, by device token or fingerprint as the poll's duplicate policy says
+voteSchema.index(
+  { poll: 1, voterToken: 1, duplicatePolicy: 1 },
+  {
+    name: 'one_ballot_per_voter_token',
+    unique: true,
+    partialFilterExpression: { duplicatePolicy: 'cookie', ballotHead: true }
+  }
+);
+voteSchema.index(
+  { poll: 1, fingerprint: 1, duplicatePolicy: 1 },
+  {
+    name: 'one_ballot_per_fingerprint',
+    unique: true,
+    partialFilterExpression: { duplicatePolicy: 'fingerprint', ballotHead: true }
+  }
+);
+voteSchema.index({ poll: 1, pollOption: 1 });
+voteSchema.index({ poll: 1, voterToken: 1 }, { sparse: true });
+voteSchema.index({ poll: 1, fingerprint: 1 }, { sparse: true });
+voteSchema.index({ poll: 1, createdAt: -1 }); // For a poll's recent activity
+voteSchema.index({ createdAt: -1, poll: 1 }); // For the trending counts (recent votes across polls)
 
 module.exports = mongoose.model('Vote', voteSchema);
\ No newline at end of file
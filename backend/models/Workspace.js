@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Owners manage the workspace and its members, editors create polls in it, voters take part
+const WORKSPACE_ROLES = ['owner', 'editor', 'voter'];
+
+const workspaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    minlength: 2,
+    maxlength: 80
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  members: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: WORKSPACE_ROLES,
+      default: 'voter'
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Role of a user in this workspace, or null for non-members
+workspaceSchema.methods.getRole = function(userId) {
+  if (!userId) return null;
+  // Works with and without members.user populated
+  const member = this.members.find(item => (item.user._id || item.user).toString() === userId.toString());
+  return member ? member.role : null;
+};
+
+workspaceSchema.methods.countOwners = function() {
+  return this.members.filter(item => item.role === 'owner').length;
+};
+
+// Ids of the workspaces a user belongs to
+workspaceSchema.statics.findIdsForUser = async function(userId) {
+  if (!userId) return [];
+  const workspaces = await this.find({ 'members.user': userId }).select('_id').lean();
+  return workspaces.map(workspace => workspace._id);
+};
+
+workspaceSchema.index({ 'members.user': 1 });
+
+module.exports = mongoose.model('Workspace', workspaceSchema);
+module.exports.WORKSPACE_ROLES = WORKSPACE_ROLES;
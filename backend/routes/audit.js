@@ -0,0 +1,81 @@
+const express = require('express');
+const AuditLog = require('../models/AuditLog');
+const { auth, requireCapability } = require('../middleware/auth');
+const { handleValidationErrors, auditQueryValidation } = require('../middleware/validation');
+const { CAPABILITIES } = require('../utils/permissions');
+const router = express.Router();
+
+// Mongo filter from the audit query string. "action" matches one action (poll.publish) or a
+// whole group (poll).
+const buildAuditFilter = (query) => {
+  const filter = {};
+  if (query.action) {
+    filter.action = query.action.includes('.') ? query.action : new RegExp(`^${query.action}\\.`);
+  }
+  if (query.actor) filter.actor = query.actor;
+  if (query.owner) filter.owner = query.owner;
+  if (query.targetType) filter['target.type'] = query.targetType;
+  if (query.targetId) filter['target.id'] = query.targetId;
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    if (query.from) filter.createdAt.$gte = new Date(query.from);
+    if (query.to) filter.createdAt.$lte = new Date(query.to);
+  }
+  return filter;
+};
+
+// One page of entries, newest first
+const findAuditPage = async (filter, query, actorFields) => {
+  const page = parseInt(query.page, 10) || 1;
+  const limit = parseInt(query.limit, 10) || 50;
+
+  const [entries, total] = await Promise.all([
+    AuditLog.find(filter)
+      .populate('actor', actorFields)
+      .populate('impersonatedBy', actorFields)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    AuditLog.countDocuments(filter)
+  ]);
+
+  return {
+    entries,
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    retentionDays: AuditLog.AUDIT_LOG_RETENTION_DAYS
+  };
+};
+
+// Every entry, filterable by actor, action, target, owner and date (audit log viewers only)
+router.get('/', auth, requireCapability(CAPABILITIES.VIEW_AUDIT_LOG), auditQueryValidation, handleValidationErrors, async (req, res) => {
+  try {
+    res.json(await findAuditPage(buildAuditFilter(req.query), req.query, 'name email role'));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Entries about the caller's own polls and account. Where someone else acted (a moderator, an
+// admin), their name is shown but not where they acted from.
+router.get('/mine', auth, auditQueryValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const filter = { ...buildAuditFilter(req.query), owner: req.user._id };
+    const result = await findAuditPage(filter, req.query, 'name');
+
+    const userId = req.user._id.toString();
+    result.entries.forEach(entry => {
+      const ownAction = entry.actor && entry.actor._id.toString() === userId && !entry.impersonatedBy;
+      if (ownAction) return;
+      delete entry.ip;
+      delete entry.userAgent;
+      delete entry.actorEmail;
+    });
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
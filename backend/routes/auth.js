@@ -1,8 +1,12 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const QRCode = require('qrcode');
 const User = require('../models/User');
-const { auth, optionalAuth } = require('../middleware/auth');
+const Session = require('../models/Session');
+const { auth, optionalAuth, requireCapability, rejectImpersonation } = require('../middleware/auth');
+const { CAPABILITIES } = require('../utils/permissions');
+const { parseCookies } = require('../middleware/voter');
+const { USER_AUDIT_FIELDS, snapshot, userTarget, recordAudit } = require('../utils/auditLog');
 const { 
   handleValidationErrors, 
   registerValidation, 
@@ -10,31 +14,57 @@ const {
   emailValidation,
   passwordResetValidation,
   changePasswordValidation,
-  updateProfileValidation
+  updateProfileValidation,
+  sessionIdValidation,
+  loginTwoFactorValidation,
+  twoFactorCodeValidation,
+  disableTwoFactorValidation
 } = require('../middleware/validation');
 const { authLimiter, strictLimiter } = require('../middleware/rateLimit');
 const { sendNotificationEmail } = require('../utils/mailer');
+const { FLOW_COOKIE, FLOW_COOKIE_PATH, FLOW_TTL_SECONDS, listProviders, beginLogin, completeLogin, resolveUser } = require('../utils/oidc');
+const { generateSecret, buildOtpauthUrl, encryptSecret, decryptSecret, verifyTotp, generateRecoveryCodes } = require('../utils/totp');
+const {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_COOKIE,
+  hashToken,
+  issueAccessToken,
+  issueTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  getClientInfo,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  disconnectSessions,
+  setRefreshCookie,
+  clearRefreshCookie
+} = require('../utils/authTokens');
 const router = express.Router();
 
-// Helper function to generate JWT token
-const generateToken = (userId, email) => {
-  return jwt.sign(
-    { userId, email },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-  );
+// Refresh token from the httpOnly cookie, or the body for clients that can't keep cookies
+const getPresentedRefreshToken = (req) => {
+  return parseCookies(req.headers.cookie)[REFRESH_COOKIE] || req.body?.refreshToken;
 };
 
-// Helper function to send response with token
-const sendTokenResponse = (user, statusCode, res) => {
-  const token = generateToken(user._id, user.email);
-  
+// Helper function to send the access token (and set the session's refresh token cookie)
+const sendTokenResponse = (user, session, refreshToken, statusCode, res) => {
+  setRefreshCookie(res, refreshToken);
+
   const userResponse = user.getPublicProfile();
-  userResponse.token = token;
+  userResponse.token = issueAccessToken(user, session);
+  userResponse.expiresIn = ACCESS_TOKEN_TTL_SECONDS;
+  userResponse.refreshToken = refreshToken;
 
   res.status(statusCode).json(userResponse);
 };
 
+// Sign a user in on this device: new session, new token pair
+const startSession = async (user, statusCode, req, res) => {
+  const { session, refreshToken } = await createSession(user, getClientInfo(req));
+  sendTokenResponse(user, session, refreshToken, statusCode, res);
+};
+
 // Register new user
 router.post('/register', authLimiter, registerValidation, handleValidationErrors, async (req, res) => {
   try {
@@ -66,7 +96,15 @@ router.post('/register', authLimiter, registerValidation, handleValidationErrors
     console.log(`Email verification token for ${user.email}: ${verificationToken}`);
     console.log(`Verification URL: http://localhost:3000/verify-email?token=${verificationToken}`);
 
-    sendTokenResponse(user, 201, res);
+    await recordAudit(req, {
+      action: 'user.register',
+      actor: user,
+      target: userTarget(user),
+      owner: user,
+      after: snapshot(user, USER_AUDIT_FIELDS)
+    });
+
+    await startSession(user, 201, req, res);
   } catch (error) {
     if (error.name === 'ValidationError') {
       return res.status(400).json({ 
@@ -110,14 +148,154 @@ router.post('/login', authLimiter, loginValidation, handleValidationErrors, asyn
       });
     }
 
+    if (!user.isActive) {
+      return res.status(403).json({ error: 'This account has been suspended' });
+    }
+
+    // With two-factor authentication on, the password alone doesn't sign in: the client gets a
+    // short-lived challenge to send back with a code. Nothing is saved yet, so failed attempts
+    // are only reset once the second step succeeds.
+    if (user.twoFactorEnabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: issueTwoFactorChallenge(user)
+      });
+    }
+
     await user.save(); // Save last login and reset attempts
 
-    sendTokenResponse(user, 200, res);
+    await recordAudit(req, {
+      action: 'user.login',
+      actor: user,
+      target: userTarget(user),
+      owner: user,
+      metadata: { method: 'password' }
+    });
+
+    await startSession(user, 200, req, res);
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 });
 
+// Second login step: the challenge from /login plus an authenticator or recovery code
+router.post('/login/2fa', authLimiter, loginTwoFactorValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const user = await verifyTwoFactorChallenge(challengeToken);
+
+    if (!user.isActive) {
+      return res.status(403).json({ error: 'This account has been suspended' });
+    }
+    if (user.isLocked) {
+      const lockTime = Math.ceil((user.lockUntil - Date.now()) / 60000); // minutes
+      return res.status(423).json({ 
+        error: 'Account temporarily locked',
+        message: `Too many failed login attempts. Try again in ${lockTime} minutes.`
+      });
+    }
+
+    const method = user.checkSecondFactor({ code, recoveryCode });
+    if (!method) {
+      user.recordFailedLogin();
+      await user.save();
+
+      const attemptsLeft = 5 - user.loginAttempts;
+      return res.status(401).json({ 
+        error: recoveryCode && !code ? 'Invalid or already used recovery code' : 'Invalid authentication code',
+        attemptsLeft: attemptsLeft > 0 ? attemptsLeft : 0
+      });
+    }
+
+    user.loginAttempts = 0;
+    user.lockUntil = undefined;
+    user.lastLogin = new Date();
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.login',
+      actor: user,
+      target: userTarget(user),
+      owner: user,
+      metadata: { method: 'password', secondFactor: method }
+    });
+
+    await startSession(user, 200, req, res);
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+});
+
+// Single sign-on providers to offer on the login screen
+router.get('/oidc/providers', (req, res) => {
+  res.json(listProviders());
+});
+
+// Send the browser to the identity provider; state, nonce and PKCE verifier wait in a cookie
+router.get('/oidc/:provider/login', async (req, res) => {
+  try {
+    const { url, flowToken } = await beginLogin(req.params.provider);
+    res.cookie(FLOW_COOKIE, flowToken, {
+      httpOnly: true,
+      // The provider redirects back cross-site, which strict cookies wouldn't survive
+      sameSite: 'lax',
+      secure: process.env.NODE_ENV === 'production',
+      path: FLOW_COOKIE_PATH,
+      maxAge: FLOW_TTL_SECONDS * 1000
+    });
+    res.redirect(url);
+  } catch (error) {
+    res.status(error.status || 502).json({ error: error.message });
+  }
+});
+
+// The provider sends the browser back here. The outcome goes to the frontend in the URL
+// fragment; on success the refresh cookie is set and the frontend exchanges it for a token.
+router.get('/oidc/:provider/callback', async (req, res) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const cookies = parseCookies(req.headers.cookie);
+  res.clearCookie(FLOW_COOKIE, { path: FLOW_COOKIE_PATH });
+
+  try {
+    const { provider, claims } = await completeLogin(req.params.provider, cookies[FLOW_COOKIE], req);
+    const { user, created, linked } = await resolveUser(provider, claims);
+    if (created) console.log(`Provisioned ${user.email} through single sign-on (${provider.id})`);
+    if (linked) console.log(`Linked ${provider.id} identity to ${user.email}`);
+
+    if (!user.isActive) {
+      return res.redirect(`${frontendUrl}/#sso_error=${encodeURIComponent('This account has been suspended')}`);
+    }
+    if (user.isLocked) {
+      return res.redirect(`${frontendUrl}/#sso_error=${encodeURIComponent('Account temporarily locked')}`);
+    }
+
+    // The local second factor still applies to accounts that turned it on
+    if (user.twoFactorEnabled) {
+      return res.redirect(`${frontendUrl}/#sso_challenge=${encodeURIComponent(issueTwoFactorChallenge(user))}`);
+    }
+
+    user.lastLogin = new Date();
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.login',
+      actor: user,
+      target: userTarget(user),
+      owner: user,
+      metadata: { method: 'oidc', provider: provider.id, created, linked }
+    });
+
+    const { refreshToken } = await createSession(user, getClientInfo(req));
+    setRefreshCookie(res, refreshToken);
+    res.redirect(`${frontendUrl}/#sso=success`);
+  } catch (error) {
+    console.error(`Single sign-on with ${req.params.provider} failed:`, error.message);
+    const message = error.name === 'OidcError' ? error.message : 'Single sign-on failed, please try again';
+    res.redirect(`${frontendUrl}/#sso_error=${encodeURIComponent(message)}`);
+  }
+});
+
 // Verify email
 router.post('/verify-email', async (req, res) => {
   try {
@@ -141,6 +319,15 @@ router.post('/verify-email', async (req, res) => {
     user.clearVerificationToken();
     await user.save();
 
+    await recordAudit(req, {
+      action: 'user.verify_email',
+      actor: user,
+      target: userTarget(user),
+      owner: user,
+      before: { isVerified: false },
+      after: { isVerified: true }
+    });
+
     res.json({ 
       message: 'Email verified successfully',
       user: user.getPublicProfile()
@@ -237,6 +424,18 @@ router.post('/reset-password', passwordResetValidation, handleValidationErrors,
     user.lockUntil = undefined;
     await user.save();
 
+    // Whoever had the old password may still be signed in
+    const revokedSessions = await revokeUserSessions(user._id, { reason: 'password_reset' });
+    disconnectSessions(req, revokedSessions);
+
+    await recordAudit(req, {
+      action: 'user.password_reset',
+      actor: user,
+      target: userTarget(user),
+      owner: user,
+      metadata: { revokedSessions: revokedSessions.length }
+    });
+
     res.json({ 
       message: 'Password reset successfully',
       user: user.getPublicProfile()
@@ -247,7 +446,7 @@ router.post('/reset-password', passwordResetValidation, handleValidationErrors,
 });
 
 // Change password (authenticated)
-router.put('/change-password', auth, strictLimiter, changePasswordValidation, handleValidationErrors, async (req, res) => {
+router.put('/change-password', auth, rejectImpersonation, strictLimiter, changePasswordValidation, handleValidationErrors, async (req, res) => {
   try {
     const { currentPassword, newPassword, confirmPassword } = req.body;
 
@@ -266,6 +465,20 @@ router.put('/change-password', auth, strictLimiter, changePasswordValidation, ha
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device; this one stays signed in
+    const revokedSessions = await revokeUserSessions(user._id, {
+      exceptSessionId: req.sessionId,
+      reason: 'password_changed'
+    });
+    disconnectSessions(req, revokedSessions);
+
+    await recordAudit(req, {
+      action: 'user.password_change',
+      target: userTarget(user),
+      owner: user,
+      metadata: { revokedSessions: revokedSessions.length }
+    });
+
     // WebSocket notify user
     try {
       req.app.locals.broadcastToUser && req.app.locals.broadcastToUser(req.user._id, 'password_changed', {
@@ -282,7 +495,7 @@ router.put('/change-password', auth, strictLimiter, changePasswordValidation, ha
       console.error('Password change email notification error:', emailErr.message);
     }
 
-    res.json({ message: 'Password changed successfully' });
+    res.json({ message: 'Password changed successfully', revokedSessions: revokedSessions.length });
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
@@ -291,18 +504,22 @@ router.put('/change-password', auth, strictLimiter, changePasswordValidation, ha
 // Get current user profile
 router.get('/me', auth, async (req, res) => {
   try {
-    res.json(req.user.getPublicProfile());
+    const profile = req.user.getPublicProfile();
+    // Lets the frontend show that an admin is acting as this user
+    if (req.impersonatedBy) profile.impersonatedBy = req.impersonatedBy;
+    res.json(profile);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 // Update user profile
-router.put('/profile', auth, updateProfileValidation, handleValidationErrors, async (req, res) => {
+router.put('/profile', auth, rejectImpersonation, updateProfileValidation, handleValidationErrors, async (req, res) => {
   try {
     const { name, email } = req.body;
     
     const user = await User.findById(req.user._id);
+    const before = snapshot(user, USER_AUDIT_FIELDS);
     
     if (email && email !== user.email) {
       // Check if new email is already taken
@@ -318,6 +535,14 @@ router.put('/profile', auth, updateProfileValidation, handleValidationErrors, as
     
     await user.save();
 
+    await recordAudit(req, {
+      action: 'user.update_profile',
+      target: userTarget(user),
+      owner: user,
+      before,
+      after: snapshot(user, USER_AUDIT_FIELDS)
+    });
+
     // Determine which fields changed for notification context
     const changed = [];
     if (name) changed.push('name');
@@ -350,13 +575,22 @@ router.put('/profile', auth, updateProfileValidation, handleValidationErrors, as
 });
 
 // Delete user account
-router.delete('/account', auth, strictLimiter, async (req, res) => {
+router.delete('/account', auth, rejectImpersonation, strictLimiter, async (req, res) => {
   try {
     const user = await User.findById(req.user._id);
     
     // In a real application, you might want to soft delete or archive the user
     // For now, we'll delete the user and their associated data
     await User.findByIdAndDelete(req.user._id);
+    disconnectSessions(req, await revokeUserSessions(req.user._id, { reason: 'account_deleted' }));
+    clearRefreshCookie(res);
+
+    await recordAudit(req, {
+      action: 'user.delete',
+      target: userTarget(user),
+      owner: user,
+      before: snapshot(user, USER_AUDIT_FIELDS)
+    });
 
     res.json({ 
       message: 'Account deleted successfully',
@@ -367,11 +601,247 @@ router.delete('/account', auth, strictLimiter, async (req, res) => {
   }
 });
 
-// Logout (client-side token invalidation)
-router.post('/logout', auth, (req, res) => {
-  // Since JWT is stateless, logout is handled client-side by removing the token
-  // In a real application, you might want to maintain a blacklist of tokens
-  res.json({ message: 'Logged out successfully' });
+// Exchange a refresh token for a new access token; the refresh token is rotated on every use
+router.post('/refresh', async (req, res) => {
+  try {
+    const { user, session, refreshToken } = await rotateRefreshToken(getPresentedRefreshToken(req), getClientInfo(req));
+    sendTokenResponse(user, session, refreshToken, 200, res);
+  } catch (error) {
+    clearRefreshCookie(res);
+    res.status(error.status || 400).json({ error: error.message });
+  }
+});
+
+// Logout: revoke this device's session so neither its refresh nor access tokens work anymore.
+// Works with an expired access token too, as long as the refresh token is presented.
+router.post('/logout', optionalAuth, async (req, res) => {
+  try {
+    const presented = getPresentedRefreshToken(req);
+    let session = null;
+
+    if (req.sessionId) {
+      session = await Session.findOne({ _id: req.sessionId, user: req.user._id });
+    } else if (presented) {
+      session = await Session.findOne({ refreshTokenHash: hashToken(presented) });
+    }
+
+    if (session) {
+      await revokeSession(session, 'logout');
+      disconnectSessions(req, [session._id]);
+
+      await recordAudit(req, {
+        action: 'user.logout',
+        actor: req.user || { _id: session.user },
+        target: { type: 'session', id: session._id, label: session.device },
+        owner: session.user
+      });
+    }
+    clearRefreshCookie(res);
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// List the devices this account is signed in on
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastActiveAt: -1 });
+
+    res.json(sessions.map(session => ({
+      _id: session._id,
+      device: session.device || 'Unknown device',
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastActiveAt: session.lastActiveAt,
+      expiresAt: session.expiresAt,
+      current: session._id.toString() === req.sessionId?.toString()
+    })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sign out every other device
+router.delete('/sessions', auth, rejectImpersonation, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user._id, {
+      exceptSessionId: req.sessionId,
+      reason: 'revoked_by_user'
+    });
+    disconnectSessions(req, revoked);
+
+    await recordAudit(req, {
+      action: 'session.revoke_all',
+      target: userTarget(req.user),
+      owner: req.user,
+      metadata: { revokedSessions: revoked.length }
+    });
+
+    res.json({ message: 'Signed out of all other sessions', revokedSessions: revoked.length });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Sign out one device; its live connections are closed right away
+router.delete('/sessions/:id', auth, rejectImpersonation, sessionIdValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id, revokedAt: null });
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await revokeSession(session, 'revoked_by_user');
+    disconnectSessions(req, [session._id]);
+
+    await recordAudit(req, {
+      action: 'session.revoke',
+      target: { type: 'session', id: session._id, label: session.device },
+      owner: req.user
+    });
+
+    const isCurrent = session._id.toString() === req.sessionId?.toString();
+    if (isCurrent) clearRefreshCookie(res);
+
+    res.json({ message: 'Session revoked', current: isCurrent });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Start two-factor setup: a new secret, kept pending until a code from it is confirmed
+router.post('/2fa/setup', auth, rejectImpersonation, strictLimiter, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    user.twoFactorPendingSecret = encryptSecret(secret);
+    await user.save();
+
+    const otpauthUrl = buildOtpauthUrl(secret, user.email);
+    res.json({
+      secret,
+      otpauthUrl,
+      qrCode: await QRCode.toDataURL(otpauthUrl)
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Finish setup with a code from the authenticator app; the recovery codes are shown only now
+router.post('/2fa/enable', auth, rejectImpersonation, strictLimiter, twoFactorCodeValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+
+    const step = verifyTotp(decryptSecret(user.twoFactorPendingSecret), req.body.code);
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    user.twoFactorEnabled = true;
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorLastUsedStep = step;
+    const recoveryCodes = user.setRecoveryCodes(generateRecoveryCodes());
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.2fa_enable',
+      target: userTarget(user),
+      owner: user,
+      before: { twoFactorEnabled: false },
+      after: { twoFactorEnabled: true }
+    });
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes,
+      user: user.getPublicProfile()
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Turn two-factor authentication off; needs the password and a current second factor
+router.post('/2fa/disable', auth, rejectImpersonation, strictLimiter, disableTwoFactorValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const user = await User.findById(req.user._id);
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!user.checkPassword(password)) {
+      await user.save(); // Track failed attempt
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+    if (!user.checkSecondFactor({ code, recoveryCode })) {
+      user.recordFailedLogin();
+      await user.save();
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+
+    user.clearTwoFactor();
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.2fa_disable',
+      target: userTarget(user),
+      owner: user,
+      before: { twoFactorEnabled: true },
+      after: { twoFactorEnabled: false }
+    });
+
+    res.json({ message: 'Two-factor authentication disabled', user: user.getPublicProfile() });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Replace the recovery codes (the old ones stop working)
+router.post('/2fa/recovery-codes', auth, rejectImpersonation, strictLimiter, twoFactorCodeValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!user.checkSecondFactor({ code: req.body.code })) {
+      await user.save();
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = user.setRecoveryCodes(generateRecoveryCodes());
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.2fa_recovery_codes',
+      target: userTarget(user),
+      owner: user
+    });
+
+    res.json({ message: 'New recovery codes generated', recoveryCodes, user: user.getPublicProfile() });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
 });
 
 // Check token validity
@@ -384,14 +854,9 @@ router.get('/check-token', auth, (req, res) => {
 });
 
 // Admin-only: Get all users (for admin purposes)
-router.get('/users', auth, async (req, res) => {
+router.get('/users', auth, requireCapability(CAPABILITIES.MANAGE_USERS), async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Access denied. Admin privileges required.' });
-    }
-
-    const users = await User.find().select('-passwordHash -emailVerificationToken -passwordResetToken');
+    const users = await User.find().select('-passwordHash -emailVerificationToken -passwordResetToken -twoFactorSecret -twoFactorPendingSecret -twoFactorRecoveryCodes');
     res.json(users);
   } catch (error) {
     res.status(500).json({ error: error.message });
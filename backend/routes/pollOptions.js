@@ -1,34 +1,229 @@
 const express = require('express');
+const Poll = require('../models/Poll');
 const PollOption = require('../models/PollOption');
 const Vote = require('../models/Vote');
+const { auth, optionalAuth } = require('../middleware/auth');
+const {
+  handleValidationErrors,
+  optionIdValidation,
+  optionQueryValidation,
+  createOptionValidation,
+  updateOptionValidation,
+  reorderOptionsValidation
+} = require('../middleware/validation');
+const { applyCountChange } = require('../utils/voteCounters');
+const { voterKey } = require('../utils/voteTally');
+const { canAccessPoll, getInviteToken, getShareToken, isCreator } = require('../utils/pollAccess');
+const { pollTarget, recordAudit } = require('../utils/auditLog');
+const {
+  getOptionList,
+  findOptionByText,
+  isDuplicateOptionError,
+  getNextPosition,
+  publishOptionsChange
+} = require('../utils/optionChanges');
 const router = express.Router();
 
-// Get all options (with optional poll filter)
-router.get('/', async (req, res) => {
+// Same limit as poll creation
+const MAX_OPTIONS = 10;
+
+// Load a poll the caller may read options of. Drafts are only visible to their creator, like
+// the poll itself. Sends the error response and returns null when that fails.
+async function loadReadablePoll(req, res, pollId) {
+  const poll = await Poll.findById(pollId).select('+inviteToken');
+  const userId = req.user && req.user._id;
+
+  if (!poll || (!poll.isPublished && !isCreator(poll, userId))) {
+    res.status(404).json({ error: 'Poll not found' });
+    return null;
+  }
+  const allowed = await canAccessPoll(poll, userId, {
+    inviteToken: getInviteToken(req),
+    shareToken: getShareToken(req)
+  });
+  if (!allowed) {
+    res.status(403).json({ error: 'You do not have access to this poll' });
+    return null;
+  }
+  return poll;
+}
+
+// Load a poll whose options the caller may change: their own, still open, and not a survey
+// question (rating scales and branches depend on those options).
+// Sends the error response and returns null when that fails.
+async function loadEditablePoll(req, res, pollId) {
+  const poll = await Poll.findById(pollId);
+
+  if (!poll) {
+    res.status(404).json({ error: 'Poll not found' });
+    return null;
+  }
+  if (!isCreator(poll, req.user._id)) {
+    res.status(403).json({ error: 'Access denied. You can only change the options of your own polls.' });
+    return null;
+  }
+  if (poll.survey) {
+    res.status(400).json({ error: 'Survey questions can only be changed through their survey' });
+    return null;
+  }
+  if (poll.isExpired || poll.archivedAt) {
+    res.status(400).json({ error: 'Options of an expired or archived poll cannot be changed' });
+    return null;
+  }
+  return poll;
+}
+
+// Load a write-in awaiting review together with its poll, for the poll's creator.
+// Sends the error response and returns null when that fails.
+async function loadPendingWriteIn(req, res) {
+  const option = await PollOption.findById(req.params.id);
+
+  if (!option) {
+    res.status(404).json({ error: 'Option not found' });
+    return null;
+  }
+  if (option.status !== 'pending') {
+    res.status(400).json({ error: 'This option is not awaiting review' });
+    return null;
+  }
+
+  const poll = await loadEditablePoll(req, res, option.poll);
+  if (!poll) return null;
+
+  return { option, poll };
+}
+
+// Options of one poll, in display order
+router.get('/', optionalAuth, optionQueryValidation, handleValidationErrors, async (req, res) => {
   try {
-    const { poll } = req.query;
-    let query = {};
-    
-    if (poll) {
-      query.poll = poll;
+    const poll = await loadReadablePoll(req, res, req.query.poll);
+    if (!poll) return;
+
+    res.json(await getOptionList(poll._id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add an option to a poll (creator only). Votes already cast are unaffected.
+router.post('/', auth, createOptionValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { poll: pollId, text } = req.body;
+
+    const poll = await loadEditablePoll(req, res, pollId);
+    if (!poll) return;
+
+    const count = await PollOption.countDocuments({ poll: poll._id, ...PollOption.VISIBLE_OPTIONS });
+    if (count >= MAX_OPTIONS) {
+      return res.status(400).json({ error: `Polls can have at most ${MAX_OPTIONS} options` });
+    }
+    if (await findOptionByText(poll._id, text)) {
+      return res.status(400).json({ error: 'Poll options must be unique' });
+    }
+
+    const option = await PollOption.create({
+      poll: poll._id,
+      text,
+      position: await getNextPosition(poll._id)
+    });
+
+    await recordAudit(req, {
+      action: 'poll.option_add',
+      target: pollTarget(poll),
+      owner: poll.creator,
+      after: { text: option.text },
+      metadata: { option: option._id }
+    });
+
+    const options = await publishOptionsChange(req, poll, 'added', option._id);
+    res.status(201).json({ option: options.find(item => item._id.equals(option._id)), options });
+  } catch (error) {
+    if (isDuplicateOptionError(error)) {
+      return res.status(400).json({ error: 'Poll options must be unique' });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Put a poll's options in a new order (creator only); the list must name every option once
+router.put('/order', auth, reorderOptionsValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { poll: pollId, options: order } = req.body;
+
+    const poll = await loadEditablePoll(req, res, pollId);
+    if (!poll) return;
+
+    const current = await PollOption.find({ poll: poll._id, ...PollOption.VISIBLE_OPTIONS })
+      .sort({ position: 1, _id: 1 })
+      .select('_id');
+    const currentIds = current.map(option => option._id.toString());
+    if (order.length !== currentIds.length || order.some(id => !currentIds.includes(id))) {
+      return res.status(400).json({ error: 'The new order must list every option of the poll exactly once' });
+    }
+
+    await PollOption.bulkWrite(order.map((optionId, position) => ({
+      updateOne: {
+        filter: { _id: optionId, poll: poll._id },
+        update: { $set: { position } }
+      }
+    })));
+
+    await recordAudit(req, {
+      action: 'poll.options_reorder',
+      target: pollTarget(poll),
+      owner: poll.creator,
+      before: { order: currentIds },
+      after: { order }
+    });
+
+    res.json({ options: await publishOptionsChange(req, poll, 'reordered') });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Write-ins waiting for the creator's review, oldest first, with the votes they already have
+router.get('/write-ins', auth, optionQueryValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const poll = await Poll.findById(req.query.poll);
+
+    if (!poll) {
+      return res.status(404).json({ error: 'Poll not found' });
     }
+    if (!isCreator(poll, req.user._id)) {
+      return res.status(403).json({ error: 'Access denied. You can only review write-ins on your own polls.' });
+    }
+
+    const writeIns = await PollOption.find({ poll: poll._id, status: 'pending' })
+      .populate('submittedBy', 'name')
+      .sort({ createdAt: 1 });
 
-    const options = await PollOption.find(query).populate('poll');
-    res.json(options);
+    res.json(writeIns.map(option => ({
+      ...option.toObject(),
+      votes: option.voteCount || 0
+    })));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 // Get single option
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, optionIdValidation, handleValidationErrors, async (req, res) => {
   try {
-    const option = await PollOption.findById(req.params.id).populate('poll');
-    
+    const option = await PollOption.findById(req.params.id);
+
     if (!option) {
       return res.status(404).json({ error: 'Option not found' });
     }
 
+    const poll = await loadReadablePoll(req, res, option.poll);
+    if (!poll) return;
+
+    // Write-ins awaiting review are only shown to the poll's creator
+    if (option.status === 'pending' && !isCreator(poll, req.user && req.user._id)) {
+      return res.status(404).json({ error: 'Option not found' });
+    }
+
     // Get vote count for this option
     const voteCount = await Vote.countDocuments({ pollOption: option._id });
 
@@ -43,49 +238,186 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Update option
-router.put('/:id', async (req, res) => {
+// Rename an option (creator only). Once it has votes the old wording is kept as an amendment,
+// so voters can see what they originally voted for.
+router.put('/:id', auth, updateOptionValidation, handleValidationErrors, async (req, res) => {
   try {
     const { text } = req.body;
-    
+
     const option = await PollOption.findById(req.params.id);
-    
+
     if (!option) {
       return res.status(404).json({ error: 'Option not found' });
     }
 
+    const poll = await loadEditablePoll(req, res, option.poll);
+    if (!poll) return;
+
+    if (text === option.text) {
+      return res.json({ option, options: await getOptionList(poll._id) });
+    }
+    if (await findOptionByText(poll._id, text, option._id)) {
+      return res.status(400).json({ error: 'Poll options must be unique' });
+    }
+
+    const previousText = option.text;
+    const hasVotes = await Vote.exists({ pollOption: option._id });
+    if (hasVotes) {
+      option.amendments.push({ text: previousText, amendedBy: req.user._id });
+    }
     option.text = text;
     await option.save();
 
-    res.json(option);
+    await recordAudit(req, {
+      action: 'poll.option_update',
+      target: pollTarget(poll),
+      owner: poll.creator,
+      before: { text: previousText },
+      after: { text: option.text },
+      metadata: { option: option._id, amended: !!hasVotes }
+    });
+
+    const options = await publishOptionsChange(req, poll, 'updated', option._id);
+    res.json({ option: options.find(item => item._id.equals(option._id)), options });
   } catch (error) {
+    if (isDuplicateOptionError(error)) {
+      return res.status(400).json({ error: 'Poll options must be unique' });
+    }
     res.status(400).json({ error: error.message });
   }
 });
 
-// Delete option
-router.delete('/:id', async (req, res) => {
+// Delete an option (creator only). Options with votes stay, so no ballot loses its choice.
+router.delete('/:id', auth, optionIdValidation, handleValidationErrors, async (req, res) => {
   try {
     const option = await PollOption.findById(req.params.id);
-    
+
     if (!option) {
       return res.status(404).json({ error: 'Option not found' });
     }
 
+    const poll = await loadEditablePoll(req, res, option.poll);
+    if (!poll) return;
+
     // Check if option has votes
     const voteCount = await Vote.countDocuments({ pollOption: option._id });
     if (voteCount > 0) {
-      return res.status(400).json({ 
+      return res.status(400).json({
         error: 'Cannot delete option that has votes',
         voteCount: voteCount
       });
     }
 
+    const remaining = await PollOption.countDocuments({ poll: poll._id, ...PollOption.VISIBLE_OPTIONS }) - 1;
+    if (remaining < 2) {
+      return res.status(400).json({ error: 'A poll needs at least 2 options' });
+    }
+    if (poll.votingMode === 'limited' && poll.maxSelections > remaining) {
+      return res.status(400).json({
+        error: `This poll lets voters pick up to ${poll.maxSelections} options, so it needs at least that many`
+      });
+    }
+
     await PollOption.findByIdAndDelete(req.params.id);
-    res.json({ message: 'Option deleted successfully' });
+
+    await recordAudit(req, {
+      action: 'poll.option_remove',
+      target: pollTarget(poll),
+      owner: poll.creator,
+      before: { text: option.text },
+      metadata: { option: option._id }
+    });
+
+    const options = await publishOptionsChange(req, poll, 'removed', option._id);
+    res.json({ message: 'Option deleted successfully', options });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Approve a write-in: it joins the end of the option list and appears to every voter
+router.patch('/:id/approve', auth, optionIdValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const loaded = await loadPendingWriteIn(req, res);
+    if (!loaded) return;
+    const { option, poll } = loaded;
+
+    option.status = 'approved';
+    option.position = await getNextPosition(poll._id);
+    await option.save();
+
+    await recordAudit(req, {
+      action: 'poll.write_in_approve',
+      target: pollTarget(poll),
+      owner: poll.creator,
+      after: { text: option.text },
+      metadata: { option: option._id }
+    });
+
+    const options = await publishOptionsChange(req, poll, 'added', option._id);
+    // Its votes were kept out of the live totals while it waited for review
+    if (option.voteCount > 0) {
+      await req.app.locals.voteBroadcaster.broadcastFullResults(poll);
+    }
+    res.json({ option: options.find(item => item._id.equals(option._id)), options });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Reject a write-in: the option goes, and so do the votes cast for it. Voters whose whole
+// ballot was the write-in stop counting as voters.
+router.patch('/:id/reject', auth, optionIdValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const loaded = await loadPendingWriteIn(req, res);
+    if (!loaded) return;
+    const { option, poll } = loaded;
+
+    let votersDelta = 0;
+    let removedVoteCount = 0;
+    const session = await Vote.startSession();
+    try {
+      await session.withTransaction(async () => {
+        const removedVotes = await Vote.find({ pollOption: option._id }).session(session);
+        const otherVotes = await Vote.find({
+          poll: poll._id,
+          pollOption: { $ne: option._id },
+          $or: [
+            { user: { $in: removedVotes.map(vote => vote.user).filter(Boolean) } },
+            { ballotId: { $in: removedVotes.map(vote => vote.ballotId).filter(Boolean) } }
+          ]
+        }).session(session);
+
+        const remainingVoters = new Set(otherVotes.map(voterKey));
+        const removedVoters = new Set(removedVotes.map(voterKey).filter(key => !remainingVoters.has(key)));
+        votersDelta = -removedVoters.size;
+        removedVoteCount = removedVotes.length;
+
+        await Vote.deleteMany({ pollOption: option._id }, { session });
+        await PollOption.deleteOne({ _id: option._id }, { session });
+        // The option's own counter goes with it; only the voter count needs adjusting
+        await applyCountChange(poll._id, { deltas: {}, votersDelta }, session);
+      });
+    } finally {
+      session.endSession();
+    }
+
+    // Voters still watching get the new voter count; the option's votes never reached them
+    req.app.locals.voteBroadcaster.record(poll, { deltas: {}, votersDelta });
+    req.app.locals.voteCountReconciler.markDirty(poll._id);
+
+    await recordAudit(req, {
+      action: 'poll.write_in_reject',
+      target: pollTarget(poll),
+      owner: poll.creator,
+      before: { text: option.text },
+      metadata: { option: option._id, removedVotes: removedVoteCount }
+    });
+
+    res.json({ message: 'Write-in rejected', removedVotes: removedVoteCount });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,24 +1,64 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body } = require('express-validator'); 
 const Poll = require('../models/Poll');
 const PollOption = require('../models/PollOption');
 const Vote = require('../models/Vote');
-const { auth, optionalAuth } = require('../middleware/auth');
+const ShareLink = require('../models/ShareLink');
+const User = require('../models/User');
+const { auth, optionalAuth, requireCapability } = require('../middleware/auth');
+const { CAPABILITIES, hasCapability } = require('../utils/permissions');
+const { VOTER_COOKIE, VOTER_HEADER, verifyVoterToken, hashIdentifier, parseCookies } = require('../middleware/voter');
 const { 
   handleValidationErrors, 
   createPollValidation, 
   pollIdValidation,
   pollQueryValidation,
-  updatePollValidation 
+  exportQueryValidation,
+  timelineQueryValidation,
+  updatePollValidation,
+  quizAnswersValidation,
+  createShareLinkValidation,
+  shareLinkIdValidation,
+  shareTokenValidation
 } = require('../middleware/validation');
 const { pollCreationLimiter } = require('../middleware/rateLimit');
 const { sendNotificationEmail } = require('../utils/mailer');
+const { isFirstPreference, tallyVotes, getRankedResults } = require('../utils/voteTally');
+const { streamResultsExport } = require('../utils/resultsExport');
+const { getVoteTimeline } = require('../utils/voteTimeline');
+const { POLL_AUDIT_FIELDS, snapshot, pollTarget, recordAudit } = require('../utils/auditLog');
+const {
+  CORRECT_POINTS,
+  MAX_SPEED_BONUS,
+  LEADERBOARD_SIZE,
+  canSeeAnswers,
+  isLeaderboardPublic,
+  getCorrectOptionIds,
+  getQuizScores,
+  publishQuizLeaderboard
+} = require('../utils/quiz');
+const {
+  generateInviteToken,
+  generateShareToken,
+  hashShareToken,
+  getInviteToken,
+  getShareToken,
+  findShareLink,
+  getWorkspaceRole,
+  canAccessPoll,
+  canManagePollSharing,
+  buildListingAccessMatch
+} = require('../utils/pollAccess');
 const router = express.Router();
 
 
 const pollListCache = new Map();
 const CACHE_TTL_MS = 5000; 
 
+// Survey questions are polls too, but only their survey may change or remove them
+const SURVEY_QUESTION_ERROR = { error: 'Survey questions can only be changed through their survey' };
+
 function getCacheKey(req) {
 
   const relevant = { ...req.query };
@@ -46,6 +86,15 @@ function pollListCacheMiddleware(req, res, next) {
 }
 
 
+// Moderators may take down polls they didn't create; the creator is told about it
+const canModerate = (poll, user) => poll.creator.toString() === user._id.toString() ||
+  hasCapability(user, CAPABILITIES.MODERATE_POLLS);
+
+// Who a poll notification goes to: the acting user for their own polls, otherwise the creator
+const getPollOwner = async (poll, user) => {
+  return poll.creator.toString() === user._id.toString() ? user : User.findById(poll.creator);
+};
+
 router.post('/', auth, pollCreationLimiter, createPollValidation, handleValidationErrors, async (req, res) => {
   const session = await Poll.startSession();
   session.startTransaction();
@@ -55,40 +104,94 @@ router.post('/', auth, pollCreationLimiter, createPollValidation, handleValidati
       question, 
       options, 
       isPublished = false,
+      publishAt,
       expiresAt,
       allowVotingAfterExpiry = false,
       showResultsAfterExpiry = true,
-      autoArchive = false
+      autoArchive = false,
+      allowVoteChange = false,
+      allowAnonymous = false,
+      anonymousDuplicatePolicy = 'cookie',
+      votingMode = 'single',
+      maxSelections,
+      allowWriteIns = false,
+      writeInModeration = 'queue',
+      isQuiz = false,
+      quizReveal = 'after_close',
+      quizSpeedWindow,
+      correctOptions = [],
+      workspace = null,
+      visibility
     } = req.body;
 
     // Validate input
     if (!question || !options || options.length < 2) {
+      await session.abortTransaction();
+      session.endSession();
       return res.status(400).json({ error: 'Question and at least 2 options are required' });
     }
 
     // Validate expiration date
     if (expiresAt && new Date(expiresAt) <= new Date()) {
+      await session.abortTransaction();
+      session.endSession();
       return res.status(400).json({ error: 'Expiration date must be in the future' });
     }
 
-    // Create the poll
+    // Validate scheduled publish date
+    if (publishAt && new Date(publishAt) <= new Date()) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ error: 'Publish date must be in the future' });
+    }
+
+    // Polls go into a workspace only for its owners and editors
+    if (workspace) {
+      const role = await getWorkspaceRole(workspace, req.user._id);
+      if (role !== 'owner' && role !== 'editor') {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(403).json({ error: 'Only workspace owners and editors can create polls in this workspace' });
+      }
+    }
+    // Workspace polls are members-only unless opened up explicitly
+    const pollVisibility = visibility || (workspace ? 'workspace' : 'public');
+
+    // Create the poll (scheduled polls stay drafts until the scheduler publishes them)
     const poll = new Poll({
       question,
       creator: req.user._id,
-      isPublished,
+      isPublished: publishAt ? false : isPublished,
+      publishAt: publishAt ? new Date(publishAt) : undefined,
       expiresAt: expiresAt ? new Date(expiresAt) : null,
       allowVotingAfterExpiry,
       showResultsAfterExpiry,
-      autoArchive
+      autoArchive,
+      allowVoteChange,
+      allowAnonymous,
+      anonymousDuplicatePolicy,
+      votingMode,
+      maxSelections: votingMode === 'limited' ? parseInt(maxSelections, 10) : undefined,
+      allowWriteIns,
+      writeInModeration,
+      isQuiz,
+      quizReveal,
+      quizSpeedWindow: quizSpeedWindow !== undefined ? parseInt(quizSpeedWindow, 10) : undefined,
+      workspace,
+      visibility: pollVisibility,
+      inviteToken: pollVisibility === 'invite_link' ? generateInviteToken() : undefined,
+      optionTexts: options.filter(opt => opt.trim() !== '').map(opt => opt.trim())
     });
 
     await poll.save({ session });
 
     // Create poll options
     const pollOptions = await PollOption.insertMany(
-      options.filter(opt => opt.trim() !== '').map(optionText => ({
+      options.filter(opt => opt.trim() !== '').map((optionText, position) => ({
         text: optionText,
-        poll: poll._id
+        poll: poll._id,
+        position,
+        isCorrect: isQuiz && correctOptions.includes(position)
       })),
       { session }
     );
@@ -98,15 +201,30 @@ router.post('/', auth, pollCreationLimiter, createPollValidation, handleValidati
 
     // Populate the poll with options and creator
     const populatedPoll = await Poll.findById(poll._id)
+      .select('+inviteToken')
       .populate('creator', 'name email')
       .populate('options');
 
+    req.app.locals.pollScheduler && req.app.locals.pollScheduler.schedulePoll(populatedPoll);
+
+    await recordAudit(req, {
+      action: 'poll.create',
+      target: pollTarget(populatedPoll),
+      owner: req.user,
+      after: {
+        ...snapshot(populatedPoll, POLL_AUDIT_FIELDS),
+        options: pollOptions.map(option => option.text),
+        correctOptions: isQuiz ? pollOptions.filter(option => option.isCorrect).map(option => option.text) : undefined
+      },
+      metadata: populatedPoll.workspace ? { workspace: populatedPoll.workspace } : undefined
+    });
+
     // Notify creator about poll creation (draft or published)
     try {
       req.app.locals.broadcastToUser && req.app.locals.broadcastToUser(req.user._id, 'poll_created', {
         pollId: populatedPoll._id,
         question: populatedPoll.question,
-        status: populatedPoll.isPublished ? 'published' : 'draft'
+        status: populatedPoll.isPublished ? 'published' : populatedPoll.publishAt ? 'scheduled' : 'draft'
       });
     } catch (notifyErr) {
       console.error('Poll creation notification error:', notifyErr.message);
@@ -117,7 +235,7 @@ router.post('/', auth, pollCreationLimiter, createPollValidation, handleValidati
       await sendNotificationEmail(req.user, 'poll_created', {
         pollId: populatedPoll._id,
         question: populatedPoll.question,
-        status: populatedPoll.isPublished ? 'published' : 'draft'
+        status: populatedPoll.isPublished ? 'published' : populatedPoll.publishAt ? 'scheduled' : 'draft'
       });
     } catch (emailErr) {
       console.error('Poll creation email notification error:', emailErr.message);
@@ -140,7 +258,15 @@ router.get('/', optionalAuth, pollQueryValidation, handleValidationErrors, pollL
       myPolls = false,
       status = 'active',
       page = 1,
-      limit = 20
+      limit = 20,
+      workspace,
+      q,
+      creator,
+      createdFrom,
+      createdTo,
+      minVotes,
+      expiringWithin,
+      sort
     } = req.query;
 
     const boolFrom = v => (v === true || v === 'true');
@@ -151,7 +277,8 @@ router.get('/', optionalAuth, pollQueryValidation, handleValidationErrors, pollL
     if (isNaN(page) || page < 1) page = 1;
     if (isNaN(limit) || limit < 1 || limit > 100) limit = 20;
 
-    const baseMatch = {};
+    // Survey questions are only shown as part of their survey
+    const baseMatch = { survey: null };
     const now = new Date();
     if (status !== 'all') {
       if (status === 'active') {
@@ -161,6 +288,8 @@ router.get('/', optionalAuth, pollQueryValidation, handleValidationErrors, pollL
         baseMatch.isPublished = true; baseMatch.expiresAt = { $lte: now };
       } else if (status === 'draft') {
         baseMatch.isPublished = false;
+      } else if (status === 'scheduled') {
+        baseMatch.isPublished = false; baseMatch.publishAt = { $ne: null };
       }
     } else {
       if (published === 'true') baseMatch.isPublished = true;
@@ -170,56 +299,93 @@ router.get('/', optionalAuth, pollQueryValidation, handleValidationErrors, pollL
     if (myPolls && req.user) baseMatch.creator = req.user._id;
     else if (myPolls && !req.user) return res.status(401).json({ error: 'Authentication required to view your polls' });
 
+    // One workspace's feed is for its members; the default feed is everything the caller may see
+    if (workspace) {
+      if (!req.user) return res.status(401).json({ error: 'Authentication required to view workspace polls' });
+      if (!(await getWorkspaceRole(workspace, req.user._id))) {
+        return res.status(403).json({ error: 'You are not a member of this workspace' });
+      }
+      baseMatch.workspace = new mongoose.Types.ObjectId(workspace);
+    }
+
+    // Search filters, each narrowing the listing further
+    const filters = [];
+    if (creator) filters.push({ creator: new mongoose.Types.ObjectId(creator) });
+    if (createdFrom || createdTo) {
+      const createdAt = {};
+      if (createdFrom) createdAt.$gte = new Date(createdFrom);
+      if (createdTo) createdAt.$lte = new Date(createdTo);
+      filters.push({ createdAt });
+    }
+    // Votes are counted per voter, so a multiple-choice ballot counts once
+    if (minVotes !== undefined) filters.push({ voterCount: { $gte: parseInt(minVotes, 10) } });
+    if (expiringWithin) {
+      filters.push({ expiresAt: { $gt: now, $lte: new Date(now.getTime() + parseInt(expiringWithin, 10) * 60 * 60 * 1000) } });
+    }
+
+    // Search results default to the best match, everything else to the newest poll
+    if (!sort) sort = q ? 'relevance' : 'newest';
+    if (sort === 'relevance' && !q) sort = 'newest';
+    if (sort === 'ending_soon') filters.push({ expiresAt: { $gt: now } });
+
+    const match = { $and: [baseMatch, await buildListingAccessMatch(req.user && req.user._id), ...filters] };
+    // $text has to sit at the top of the first $match, where it uses the poll_text_search index
+    if (q) match.$text = { $search: q };
+
+    const sortStages = {
+      newest: [{ $sort: { createdAt: -1 } }],
+      relevance: [{ $sort: { score: { $meta: 'textScore' }, createdAt: -1 } }],
+      most_votes: [{ $sort: { voterCount: -1, createdAt: -1 } }],
+      ending_soon: [{ $sort: { expiresAt: 1, createdAt: -1 } }],
+      // Recent votes come from the counter the reconciler refreshes (see utils/voteCounters)
+      trending: [{ $sort: { recentVoteCount: -1, voterCount: -1, createdAt: -1 } }]
+    };
+
     const skip = (page - 1) * limit;
 
-    // Aggregation pipeline to avoid N+1 queries for votes
+    // One aggregation for the page, with options and creator joined in
     const pipeline = [
-      { $match: baseMatch },
-      { $sort: { createdAt: -1 } },
+      { $match: match },
+      ...sortStages[sort],
       { $skip: skip },
       { $limit: limit },
-      // Join options
-      { $lookup: { from: 'polloptions', localField: '_id', foreignField: 'poll', as: 'options' } },
-      // Votes per option
-      { $lookup: { from: 'votes', localField: '_id', foreignField: 'poll', as: 'allVotes' } },
+      // Join options in display order. $lookup ignores select: false, so quiz answers and the
+      // comparison text are dropped here explicitly.
+      { $lookup: {
+          from: 'polloptions',
+          localField: '_id',
+          foreignField: 'poll',
+          pipeline: [
+            { $match: PollOption.VISIBLE_OPTIONS },
+            { $sort: { position: 1, _id: 1 } },
+            { $project: { isCorrect: 0, normalizedText: 0 } }
+          ],
+          as: 'options'
+        }
+      },
       // Creator minimal info
       { $lookup: { from: 'users', localField: 'creator', foreignField: '_id', as: 'creatorDoc' } },
       { $unwind: '$creatorDoc' },
-      // Compute counts
-      { $addFields: { 
-          totalVotes: { $size: '$allVotes' }
-        }
-      },
-      // Map option vote counts
+      // Totals come from the counters vote writes keep (see utils/voteCounters); ranked ballots
+      // only count first preferences towards option totals
       { $addFields: {
           options: {
             $map: {
               input: '$options',
               as: 'opt',
-              in: {
-                $mergeObjects: [
-                  '$$opt',
-                  { 
-                    votes: {
-                      $size: {
-                        $filter: {
-                          input: '$allVotes',
-                          as: 'v',
-                          cond: { $eq: ['$$v.pollOption', '$$opt._id'] }
-                        }
-                      }
-                    }
-                  }
-                ]
-              }
+              in: { $mergeObjects: ['$$opt', { votes: { $ifNull: ['$$opt.voteCount', 0] } }] }
             }
           },
+          totalVotes: { $sum: '$options.voteCount' },
+          totalVoters: { $ifNull: ['$voterCount', 0] },
           creator: { _id: '$creatorDoc._id', name: '$creatorDoc.name', email: '$creatorDoc.email' }
         }
       },
       { $project: {
-          allVotes: 0,
+          recentVoteCount: 0,
           'creatorDoc': 0,
+          inviteToken: 0,
+          optionTexts: 0,
           __v: 0
         }
       }
@@ -227,28 +393,64 @@ router.get('/', optionalAuth, pollQueryValidation, handleValidationErrors, pollL
 
     const [results, totalCountArr] = await Promise.all([
       Poll.aggregate(pipeline).exec(),
-      Poll.aggregate([{ $match: baseMatch }, { $count: 'total' }])
+      Poll.aggregate([{ $match: match }, { $count: 'total' }])
     ]);
 
     // Determine per-user vote state only if authenticated
     let userVotesMap = {};
     if (req.user && results.length) {
       const pollIds = results.map(p => p._id);
-      const userVotes = await Vote.find({ poll: { $in: pollIds }, user: req.user._id }).select('poll pollOption').lean();
-      userVotes.forEach(v => { userVotesMap[v.poll.toString()] = v.pollOption.toString(); });
+      const userVotes = await Vote.find({ poll: { $in: pollIds }, user: req.user._id })
+        .select('poll pollOption rank')
+        .sort({ rank: 1 })
+        .lean();
+      userVotes.forEach(v => {
+        const key = v.poll.toString();
+        (userVotesMap[key] = userVotesMap[key] || []).push(v.pollOption.toString());
+      });
     }
 
-    const enriched = results.map(p => ({
-      ...p,
-      userVoted: !!(req.user && userVotesMap[p._id.toString()]),
-      userVoteOption: req.user && userVotesMap[p._id.toString()] ? userVotesMap[p._id.toString()] : null
-    }));
+    // Instant-runoff rounds can't be expressed in the pipeline, compute them for ranked polls here
+    const rankedResultsMap = {};
+    const rankedPolls = results.filter(p => p.votingMode === 'ranked');
+    if (rankedPolls.length) {
+      const rankedVotes = await Vote.find({ poll: { $in: rankedPolls.map(p => p._id) } })
+        .select('poll user pollOption rank')
+        .lean();
+      rankedPolls.forEach(p => {
+        const pollVotes = rankedVotes.filter(v => v.poll.toString() === p._id.toString());
+        rankedResultsMap[p._id.toString()] = getRankedResults(pollVotes, p.options);
+      });
+    }
+
+    const enriched = results.map(p => {
+      const userVoteOptions = (req.user && userVotesMap[p._id.toString()]) || [];
+      return {
+        ...p,
+        votingMode: p.votingMode || 'single',
+        rankedResults: rankedResultsMap[p._id.toString()],
+        userVoted: userVoteOptions.length > 0,
+        userVoteOption: userVoteOptions[0] || null,
+        userVoteOptions
+      };
+    });
 
     const total = totalCountArr[0]?.total || 0;
     res.json({
       polls: enriched,
       pagination: { page, limit, total, pages: Math.ceil(total / limit) },
-      filters: { status, myPolls }
+      filters: {
+        status,
+        myPolls,
+        workspace: workspace || null,
+        q: q || null,
+        creator: creator || null,
+        createdFrom: createdFrom || null,
+        createdTo: createdTo || null,
+        minVotes: minVotes !== undefined ? parseInt(minVotes, 10) : null,
+        expiringWithin: expiringWithin ? parseInt(expiringWithin, 10) : null,
+        sort
+      }
     });
   } catch (error) {
     console.error('Error in optimized GET /api/polls:', error);
@@ -256,10 +458,49 @@ router.get('/', optionalAuth, pollQueryValidation, handleValidationErrors, pollL
   }
 });
 
+// Poll as returned to a single viewer: options with vote counts and the viewer's own ballot.
+// Guests are matched by their voter token when the poll accepts anonymous votes.
+async function buildPollDetails(poll, req) {
+  const votes = await Vote.find({ poll: poll._id });
+
+  // Ballot of the current viewer, in preference order for ranked polls
+  const voterId = !req.user && poll.allowAnonymous
+    ? verifyVoterToken(req.get(VOTER_HEADER) || parseCookies(req.headers.cookie)[VOTER_COOKIE])
+    : null;
+  const voterTokenHash = voterId ? hashIdentifier(voterId) : null;
+  const userVoteOptions = votes
+    .filter(v => req.user
+      ? v.user && v.user.toString() === req.user._id.toString()
+      : voterTokenHash && v.voterToken === voterTokenHash)
+    .sort((a, b) => (a.rank || 1) - (b.rank || 1))
+    .map(v => v.pollOption.toString());
+
+  // Count votes per option
+  const { voteCounts, totalVotes, totalVoters } = tallyVotes(votes, poll.options);
+
+  // Add vote counts to options
+  const pollObj = poll.toObject();
+  pollObj.options = pollObj.options.map(option => ({
+    ...option,
+    votes: voteCounts[option._id] || 0
+  }));
+
+  pollObj.totalVotes = totalVotes;
+  pollObj.totalVoters = totalVoters;
+  if (poll.votingMode === 'ranked') {
+    pollObj.rankedResults = getRankedResults(votes, poll.options);
+  }
+  pollObj.userVoted = userVoteOptions.length > 0;
+  pollObj.userVoteOption = userVoteOptions[0] || null;
+  pollObj.userVoteOptions = userVoteOptions;
+  return pollObj;
+}
+
 // Get single poll with options and vote counts
 router.get('/:id', optionalAuth, pollIdValidation, handleValidationErrors, async (req, res) => {
   try {
     const poll = await Poll.findById(req.params.id)
+      .select('+inviteToken')
       .populate('creator', 'name email')
       .populate('options');
 
@@ -274,37 +515,136 @@ router.get('/:id', optionalAuth, pollIdValidation, handleValidationErrors, async
       }
     }
 
-    // Get votes for this poll
-    const votes = await Vote.find({ poll: poll._id });
-    
-    // Check if current user has voted on this poll
-    let userVoted = false;
-    let userVoteOption = null;
-    if (req.user) {
-      const userVote = await Vote.findOne({ poll: poll._id, user: req.user._id });
-      userVoted = !!userVote;
-      userVoteOption = userVote ? userVote.pollOption.toString() : null;
-    }
-
-    // Count votes per option
-    const optionVotes = {};
-    votes.forEach(vote => {
-      const optionId = vote.pollOption.toString();
-      optionVotes[optionId] = (optionVotes[optionId] || 0) + 1;
+    // Workspace, invite-link and unlisted polls are for members and link holders
+    const userId = req.user && req.user._id;
+    const accessTokens = { inviteToken: getInviteToken(req), shareToken: getShareToken(req) };
+    if (!(await canAccessPoll(poll, userId, accessTokens))) {
+      return res.status(403).json({ error: 'You do not have access to this poll' });
+    }
+
+    const pollObj = await buildPollDetails(poll, req);
+    // The invite link is only handed out to those who manage the poll
+    if (!userId || !(await canManagePollSharing(poll, userId))) {
+      delete pollObj.inviteToken;
+    }
+
+    res.json(pollObj);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Open an unlisted poll through one of its share links (the frontend's /p/:token page)
+router.get('/shared/:token', optionalAuth, shareTokenValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const link = await findShareLink(req.params.token);
+    const poll = link && await Poll.findById(link.poll)
+      .populate('creator', 'name email')
+      .populate('options');
+
+    // Links stop working once their poll is no longer unlisted
+    if (!poll || poll.visibility !== 'unlisted') {
+      return res.status(404).json({ error: 'This link is invalid, has expired or was revoked' });
+    }
+    if (!poll.isPublished && (!req.user || poll.creator._id.toString() !== req.user._id.toString())) {
+      return res.status(403).json({ error: 'This poll is not published' });
+    }
+
+    res.json(await buildPollDetails(poll, req));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Load a poll whose share links the current user manages. Sends the error response and returns
+// null when that fails.
+async function loadSharablePoll(req, res) {
+  const poll = await Poll.findById(req.params.id);
+  if (!poll) {
+    res.status(404).json({ error: 'Poll not found' });
+    return null;
+  }
+  if (!(await canManagePollSharing(poll, req.user._id))) {
+    res.status(403).json({ error: 'Access denied. Only the poll creator or workspace editors can manage share links.' });
+    return null;
+  }
+  return poll;
+}
+
+// Share links of a poll, newest first
+router.get('/:id/share-links', auth, pollIdValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const poll = await loadSharablePoll(req, res);
+    if (!poll) return;
+
+    const links = await ShareLink.find({ poll: poll._id })
+      .populate('createdBy', 'name')
+      .sort({ createdAt: -1 });
+    res.json(links);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a share link for an unlisted poll. The token is only returned here.
+router.post('/:id/share-links', auth, createShareLinkValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const poll = await loadSharablePoll(req, res);
+    if (!poll) return;
+
+    if (poll.visibility !== 'unlisted') {
+      return res.status(400).json({ error: 'Share links can only be created for unlisted polls' });
+    }
+
+    const token = generateShareToken();
+    const link = await ShareLink.create({
+      poll: poll._id,
+      createdBy: req.user._id,
+      tokenHash: hashShareToken(token),
+      label: req.body.label || undefined,
+      expiresAt: req.body.expiresAt ? new Date(req.body.expiresAt) : null
     });
 
-    // Add vote counts to options
-    const pollObj = poll.toObject();
-    pollObj.options = pollObj.options.map(option => ({
-      ...option,
-      votes: optionVotes[option._id] || 0
-    }));
+    await recordAudit(req, {
+      action: 'share_link.create',
+      target: { type: 'share_link', id: link._id, label: link.label },
+      owner: poll.creator,
+      metadata: { poll: poll._id, expiresAt: link.expiresAt }
+    });
 
-    pollObj.totalVotes = votes.length;
-    pollObj.userVoted = userVoted;
-    pollObj.userVoteOption = userVoteOption;
+    res.status(201).json({
+      ...link.toJSON(),
+      token,
+      url: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/p/${token}`
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
 
-    res.json(pollObj);
+// Revoke a share link; it stays listed so the poll's managers can see what was shared
+router.delete('/:id/share-links/:linkId', auth, shareLinkIdValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const poll = await loadSharablePoll(req, res);
+    if (!poll) return;
+
+    const link = await ShareLink.findOne({ _id: req.params.linkId, poll: poll._id });
+    if (!link) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+    if (!link.revokedAt) {
+      link.revokedAt = new Date();
+      await link.save();
+
+      await recordAudit(req, {
+        action: 'share_link.revoke',
+        target: { type: 'share_link', id: link._id, label: link.label },
+        owner: poll.creator,
+        metadata: { poll: poll._id }
+      });
+    }
+
+    res.json(link);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -317,6 +657,7 @@ router.get('/expiring-soon', optionalAuth, async (req, res) => {
     
     const expiringPolls = await Poll.find({
       isPublished: true,
+      visibility: { $in: ['public', null] },
       expiresAt: {
         $gte: new Date(),
         $lte: twentyFourHoursFromNow
@@ -342,13 +683,22 @@ router.put('/:id', auth, pollIdValidation, updatePollValidation, handleValidatio
       question, 
       isPublished, 
       options,
+      publishAt,
       expiresAt,
       allowVotingAfterExpiry,
       showResultsAfterExpiry,
-      autoArchive
+      autoArchive,
+      allowVoteChange,
+      allowAnonymous,
+      anonymousDuplicatePolicy,
+      allowWriteIns,
+      writeInModeration,
+      visibility,
+      regenerateInviteToken,
+      correctOptions
     } = req.body;
     
-    const poll = await Poll.findById(req.params.id).session(session);
+    const poll = await Poll.findById(req.params.id).select('+inviteToken').session(session);
     
     if (!poll) {
       await session.abortTransaction();
@@ -363,12 +713,42 @@ router.put('/:id', auth, pollIdValidation, updatePollValidation, handleValidatio
       return res.status(403).json({ error: 'Access denied. You can only update your own polls.' });
     }
 
+    if (poll.survey) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json(SURVEY_QUESTION_ERROR);
+    }
+
     // Check if poll has votes (restrict certain changes)
     const voteCount = await Vote.countDocuments({ poll: poll._id }).session(session);
+
+    const before = snapshot(poll, POLL_AUDIT_FIELDS);
+    const after = {};
     
     // Update basic poll information
     if (question) poll.question = question;
-    if (typeof isPublished === 'boolean') poll.isPublished = isPublished;
+    if (typeof isPublished === 'boolean') {
+      poll.isPublished = isPublished;
+      if (isPublished) {
+        poll.publishAt = undefined;
+        poll.archivedAt = undefined;
+      }
+    }
+
+    // Update scheduled publishing (only drafts can be scheduled)
+    if (publishAt !== undefined && !poll.isPublished) {
+      if (publishAt === null || publishAt === '') {
+        poll.publishAt = undefined;
+      } else {
+        const newPublishAt = new Date(publishAt);
+        if (newPublishAt <= new Date()) {
+          await session.abortTransaction();
+          session.endSession();
+          return res.status(400).json({ error: 'Publish date must be in the future' });
+        }
+        poll.publishAt = newPublishAt;
+      }
+    }
     
     // Update expiration settings
     if (expiresAt !== undefined) {
@@ -383,6 +763,8 @@ router.put('/:id', auth, pollIdValidation, updatePollValidation, handleValidatio
         }
         poll.expiresAt = newExpiry;
       }
+      // A new expiry date needs its own expiry run
+      poll.expiryHandledAt = undefined;
     }
     
     if (typeof allowVotingAfterExpiry === 'boolean') {
@@ -396,6 +778,34 @@ router.put('/:id', auth, pollIdValidation, updatePollValidation, handleValidatio
     if (typeof autoArchive === 'boolean') {
       poll.autoArchive = autoArchive;
     }
+
+    if (typeof allowVoteChange === 'boolean') {
+      poll.allowVoteChange = allowVoteChange;
+    }
+
+    if (typeof allowAnonymous === 'boolean') {
+      poll.allowAnonymous = allowAnonymous;
+    }
+
+    if (anonymousDuplicatePolicy) {
+      poll.anonymousDuplicatePolicy = anonymousDuplicatePolicy;
+    }
+
+    if (typeof allowWriteIns === 'boolean') {
+      poll.allowWriteIns = allowWriteIns;
+    }
+
+    if (writeInModeration) {
+      poll.writeInModeration = writeInModeration;
+    }
+
+    // Switching to invite-link sharing creates the link; regenerating it cuts off the old one
+    if (visibility) {
+      poll.visibility = visibility;
+    }
+    if (poll.visibility === 'invite_link' && (!poll.inviteToken || regenerateInviteToken === true)) {
+      poll.inviteToken = generateInviteToken();
+    }
     
     // Update options if provided (only if no votes exist)
     if (options && Array.isArray(options)) {
@@ -407,18 +817,33 @@ router.put('/:id', auth, pollIdValidation, updatePollValidation, handleValidatio
           currentVotes: voteCount
         });
       }
+      // New options need new correct answers; the old markings went with the old options
+      if (poll.isQuiz && !correctOptions) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(400).json({ error: 'Quiz polls need correctOptions along with new options' });
+      }
+
+      const previousOptions = await PollOption.find({ poll: poll._id })
+        .sort({ position: 1, _id: 1 })
+        .session(session);
+      before.options = previousOptions.map(option => option.text);
+      after.options = options.filter(opt => opt.trim() !== '');
 
       // Delete existing options
       await PollOption.deleteMany({ poll: poll._id }).session(session);
       
       // Create new options
       await PollOption.insertMany(
-        options.filter(opt => opt.trim() !== '').map(optionText => ({
+        options.filter(opt => opt.trim() !== '').map((optionText, position) => ({
           text: optionText,
-          poll: poll._id
+          poll: poll._id,
+          position,
+          isCorrect: poll.isQuiz && correctOptions.includes(position)
         })),
         { session }
       );
+      poll.optionTexts = after.options.map(opt => opt.trim());
     }
 
     poll.updatedAt = new Date();
@@ -429,23 +854,32 @@ router.put('/:id', auth, pollIdValidation, updatePollValidation, handleValidatio
 
     // Populate and return updated poll
     const updatedPoll = await Poll.findById(poll._id)
+      .select('+inviteToken')
       .populate('creator', 'name email')
       .populate('options');
 
+    req.app.locals.pollScheduler && req.app.locals.pollScheduler.schedulePoll(updatedPoll);
+
+    await recordAudit(req, {
+      action: 'poll.update',
+      target: pollTarget(updatedPoll),
+      owner: req.user,
+      before,
+      after: { ...snapshot(updatedPoll, POLL_AUDIT_FIELDS), ...after },
+      metadata: regenerateInviteToken === true ? { inviteTokenRegenerated: true } : undefined
+    });
+
     // Get updated vote counts
     const votes = await Vote.find({ poll: poll._id });
-    const optionVotes = {};
-    votes.forEach(vote => {
-      const optionId = vote.pollOption.toString();
-      optionVotes[optionId] = (optionVotes[optionId] || 0) + 1;
-    });
+    const { voteCounts, totalVotes, totalVoters } = tallyVotes(votes, updatedPoll.options);
 
     const pollObj = updatedPoll.toObject();
     pollObj.options = pollObj.options.map(option => ({
       ...option,
-      votes: optionVotes[option._id] || 0
+      votes: voteCounts[option._id] || 0
     }));
-    pollObj.totalVotes = votes.length;
+    pollObj.totalVotes = totalVotes;
+    pollObj.totalVoters = totalVoters;
 
     try {
       req.app.locals.broadcastToUser && req.app.locals.broadcastToUser(req.user._id, 'poll_updated', {
@@ -478,6 +912,104 @@ router.put('/:id', auth, pollIdValidation, updatePollValidation, handleValidatio
   }
 });
 
+// Quiz state for the caller: the correct options and their own score once the reveal setting
+// allows, and the leaderboard while it is public (always for the creator)
+router.get('/:id/quiz', optionalAuth, pollIdValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const poll = await Poll.findById(req.params.id).select('+inviteToken');
+    if (!poll) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    const userId = req.user && req.user._id;
+    const isCreator = !!userId && poll.creator.toString() === userId.toString();
+    if (!poll.isPublished && !isCreator) {
+      return res.status(403).json({ error: 'This poll is not published' });
+    }
+    const accessTokens = { inviteToken: getInviteToken(req), shareToken: getShareToken(req) };
+    if (!(await canAccessPoll(poll, userId, accessTokens))) {
+      return res.status(403).json({ error: 'You do not have access to this poll' });
+    }
+    if (!poll.isQuiz) {
+      return res.status(400).json({ error: 'This poll is not a quiz' });
+    }
+
+    const hasVoted = !!userId && !!(await Vote.exists({ poll: poll._id, user: userId }));
+    const revealed = canSeeAnswers(poll, { userId, hasVoted });
+    const { correctIds, scores } = await getQuizScores(poll);
+    const showLeaderboard = isCreator || isLeaderboardPublic(poll);
+
+    res.json({
+      pollId: poll._id,
+      quizReveal: poll.quizReveal,
+      scoring: { correctPoints: CORRECT_POINTS, maxSpeedBonus: MAX_SPEED_BONUS, speedWindow: poll.quizSpeedWindow },
+      revealed,
+      hasVoted,
+      correctOptions: revealed ? correctIds : undefined,
+      myResult: revealed && hasVoted
+        ? scores.find(entry => entry.user._id.toString() === userId.toString())
+        : undefined,
+      leaderboard: showLeaderboard ? scores.slice(0, LEADERBOARD_SIZE) : undefined,
+      totalPlayers: scores.length
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Change which options of a quiz are correct; scores are recomputed from the votes
+router.put('/:id/quiz-answers', auth, quizAnswersValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const poll = await Poll.findById(req.params.id);
+    if (!poll) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+    if (poll.creator.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Access denied. You can only update your own polls.' });
+    }
+    if (!poll.isQuiz) {
+      return res.status(400).json({ error: 'This poll is not a quiz' });
+    }
+
+    const { correctOptions } = req.body;
+    const optionCount = await PollOption.countDocuments({
+      _id: { $in: correctOptions },
+      poll: poll._id,
+      ...PollOption.VISIBLE_OPTIONS
+    });
+    if (optionCount !== correctOptions.length) {
+      return res.status(400).json({ error: 'Invalid poll option or option does not belong to this poll' });
+    }
+    if (poll.votingMode === 'limited' && correctOptions.length > poll.maxSelections) {
+      return res.status(400).json({ error: 'A limited poll cannot have more correct options than voters may pick' });
+    }
+
+    const before = await getCorrectOptionIds(poll._id);
+    await PollOption.bulkWrite([
+      { updateMany: { filter: { poll: poll._id, _id: { $nin: correctOptions } }, update: { $set: { isCorrect: false } } } },
+      { updateMany: { filter: { poll: poll._id, _id: { $in: correctOptions } }, update: { $set: { isCorrect: true } } } }
+    ]);
+
+    await recordAudit(req, {
+      action: 'poll.quiz_answers_update',
+      target: pollTarget(poll),
+      owner: req.user,
+      before: { correctOptions: before },
+      after: { correctOptions }
+    });
+
+    try {
+      await publishQuizLeaderboard(req.app.locals.broadcastToPoll, poll);
+    } catch (notifyErr) {
+      console.error('Quiz leaderboard broadcast error:', notifyErr.message);
+    }
+
+    res.json({ message: 'Correct answers updated successfully', correctOptions });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Partial update poll (PATCH) - for specific fields
 router.patch('/:id', auth, pollIdValidation, handleValidationErrors, async (req, res) => {
   try {
@@ -496,7 +1028,13 @@ router.patch('/:id', auth, pollIdValidation, handleValidationErrors, async (req,
 
     const updates = {};
     if (question !== undefined) updates.question = question;
-    if (isPublished !== undefined) updates.isPublished = isPublished;
+    if (isPublished !== undefined) {
+      updates.isPublished = isPublished;
+      if (isPublished) {
+        updates.publishAt = null;
+        updates.archivedAt = null;
+      }
+    }
     
     // Handle expiration date update
     if (expiresAt !== undefined) {
@@ -509,6 +1047,7 @@ router.patch('/:id', auth, pollIdValidation, handleValidationErrors, async (req,
         }
         updates.expiresAt = newExpiry;
       }
+      updates.expiryHandledAt = null;
     }
     
     // Check if there are any valid updates
@@ -517,6 +1056,7 @@ router.patch('/:id', auth, pollIdValidation, handleValidationErrors, async (req,
     }
 
     updates.updatedAt = new Date();
+    const before = snapshot(poll, POLL_AUDIT_FIELDS);
     
     const updatedPoll = await Poll.findByIdAndUpdate(
       req.params.id,
@@ -524,6 +1064,16 @@ router.patch('/:id', auth, pollIdValidation, handleValidationErrors, async (req,
       { new: true, runValidators: true }
     ).populate('creator', 'name email').populate('options');
 
+    req.app.locals.pollScheduler && req.app.locals.pollScheduler.schedulePoll(updatedPoll);
+
+    await recordAudit(req, {
+      action: 'poll.update',
+      target: pollTarget(updatedPoll),
+      owner: req.user,
+      before,
+      after: snapshot(updatedPoll, POLL_AUDIT_FIELDS)
+    });
+
     res.json({
       message: 'Poll updated successfully',
       poll: updatedPoll
@@ -572,10 +1122,22 @@ router.patch('/:id/extend', auth, pollIdValidation, [
       return res.status(400).json({ error: 'New expiration date must be after current expiration date' });
     }
 
+    const before = snapshot(poll, POLL_AUDIT_FIELDS);
     poll.expiresAt = newExpiryDate;
+    poll.expiryHandledAt = undefined;
     poll.updatedAt = new Date();
     await poll.save();
 
+    req.app.locals.pollScheduler && req.app.locals.pollScheduler.schedulePoll(poll);
+
+    await recordAudit(req, {
+      action: 'poll.extend',
+      target: pollTarget(poll),
+      owner: req.user,
+      before,
+      after: snapshot(poll, POLL_AUDIT_FIELDS)
+    });
+
     await poll.populate('creator', 'name email');
     await poll.populate('options');
 
@@ -607,10 +1169,23 @@ router.patch('/:id/publish', auth, pollIdValidation, handleValidationErrors, asy
       return res.status(400).json({ error: 'Poll is already published' });
     }
 
+    const before = snapshot(poll, POLL_AUDIT_FIELDS);
     poll.isPublished = true;
+    poll.publishAt = undefined; // publishing by hand replaces any schedule
+    poll.archivedAt = undefined;
     poll.updatedAt = new Date();
     await poll.save();
 
+    req.app.locals.pollScheduler && req.app.locals.pollScheduler.schedulePoll(poll);
+
+    await recordAudit(req, {
+      action: 'poll.publish',
+      target: pollTarget(poll),
+      owner: req.user,
+      before,
+      after: snapshot(poll, POLL_AUDIT_FIELDS)
+    });
+
     await poll.populate('creator', 'name email');
     await poll.populate('options');
 
@@ -651,8 +1226,7 @@ router.patch('/:id/unpublish', auth, pollIdValidation, handleValidationErrors, a
       return res.status(404).json({ error: 'Poll not found' });
     }
 
-    // Check if user is the creator
-    if (poll.creator.toString() !== req.user._id.toString()) {
+    if (!canModerate(poll, req.user)) {
       return res.status(403).json({ error: 'Access denied. You can only unpublish your own polls.' });
     }
 
@@ -660,15 +1234,28 @@ router.patch('/:id/unpublish', auth, pollIdValidation, handleValidationErrors, a
       return res.status(400).json({ error: 'Poll is already unpublished' });
     }
 
+    const before = snapshot(poll, POLL_AUDIT_FIELDS);
     poll.isPublished = false;
+    poll.publishAt = undefined; // unpublishing also cancels a pending schedule
     poll.updatedAt = new Date();
     await poll.save();
 
+    req.app.locals.pollScheduler && req.app.locals.pollScheduler.schedulePoll(poll);
+
+    await recordAudit(req, {
+      action: 'poll.unpublish',
+      target: pollTarget(poll),
+      owner: poll.creator,
+      before,
+      after: snapshot(poll, POLL_AUDIT_FIELDS)
+    });
+
+    const owner = await getPollOwner(poll, req.user);
     await poll.populate('creator', 'name email');
     await poll.populate('options');
 
     try {
-      req.app.locals.broadcastToUser && req.app.locals.broadcastToUser(req.user._id, 'poll_unpublished', {
+      req.app.locals.broadcastToUser && req.app.locals.broadcastToUser(poll.creator._id, 'poll_unpublished', {
         pollId: poll._id,
         question: poll.question
       });
@@ -678,7 +1265,7 @@ router.patch('/:id/unpublish', auth, pollIdValidation, handleValidationErrors, a
 
     // Send email notification
     try {
-      await sendNotificationEmail(req.user, 'poll_unpublished', {
+      owner && await sendNotificationEmail(owner, 'poll_unpublished', {
         pollId: poll._id,
         question: poll.question
       });
@@ -717,10 +1304,22 @@ router.patch('/:id/archive', auth, pollIdValidation, handleValidationErrors, asy
       return res.status(400).json({ error: 'Poll is already archived' });
     }
 
+    const before = snapshot(poll, POLL_AUDIT_FIELDS);
     poll.isPublished = false;
+    poll.archivedAt = new Date();
     poll.updatedAt = new Date();
     await poll.save();
 
+    req.app.locals.pollScheduler && req.app.locals.pollScheduler.unschedulePoll(poll._id);
+
+    await recordAudit(req, {
+      action: 'poll.archive',
+      target: pollTarget(poll),
+      owner: req.user,
+      before,
+      after: snapshot(poll, POLL_AUDIT_FIELDS)
+    });
+
     await poll.populate('creator', 'name email');
     await poll.populate('options');
 
@@ -747,13 +1346,19 @@ router.delete('/:id', auth, pollIdValidation, handleValidationErrors, async (req
       return res.status(404).json({ error: 'Poll not found' });
     }
 
-    // Check if user is the creator
-    if (poll.creator.toString() !== req.user._id.toString()) {
+    if (!canModerate(poll, req.user)) {
       await session.abortTransaction();
       session.endSession();
       return res.status(403).json({ error: 'Access denied. You can only delete your own polls.' });
     }
 
+    if (poll.survey) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json(SURVEY_QUESTION_ERROR);
+    }
+    const owner = await getPollOwner(poll, req.user);
+
     // Get poll info for response before deletion
     const pollInfo = {
       id: poll._id,
@@ -769,6 +1374,9 @@ router.delete('/:id', auth, pollIdValidation, handleValidationErrors, async (req
     
     // Delete associated options
     await PollOption.deleteMany({ poll: poll._id }, { session });
+
+    // Delete its share links
+    await ShareLink.deleteMany({ poll: poll._id }, { session });
     
     // Delete the poll
     await Poll.findByIdAndDelete(req.params.id, { session });
@@ -776,8 +1384,18 @@ router.delete('/:id', auth, pollIdValidation, handleValidationErrors, async (req
     await session.commitTransaction();
     session.endSession();
 
+    req.app.locals.pollScheduler && req.app.locals.pollScheduler.unschedulePoll(pollInfo.id);
+
+    await recordAudit(req, {
+      action: 'poll.delete',
+      target: pollTarget(poll),
+      owner: poll.creator,
+      before: snapshot(poll, POLL_AUDIT_FIELDS),
+      metadata: { totalVotes: pollInfo.totalVotes }
+    });
+
     try {
-      req.app.locals.broadcastToUser && req.app.locals.broadcastToUser(req.user._id, 'poll_deleted', {
+      req.app.locals.broadcastToUser && req.app.locals.broadcastToUser(poll.creator, 'poll_deleted', {
         pollId: pollInfo.id,
         question: pollInfo.question
       });
@@ -787,7 +1405,7 @@ router.delete('/:id', auth, pollIdValidation, handleValidationErrors, async (req
 
     // Send email notification
     try {
-      await sendNotificationEmail(req.user, 'poll_deleted', {
+      owner && await sendNotificationEmail(owner, 'poll_deleted', {
         pollId: pollInfo.id,
         question: pollInfo.question
       });
@@ -808,7 +1426,7 @@ router.delete('/:id', auth, pollIdValidation, handleValidationErrors, async (req
 });
 
 // Get poll statistics
-router.get('/:id/stats', auth, pollIdValidation, handleValidationErrors, async (req, res) => {
+router.get('/:id/stats', auth, pollIdValidation, timelineQueryValidation, handleValidationErrors, async (req, res) => {
   try {
     const poll = await Poll.findById(req.params.id);
     
@@ -822,7 +1440,13 @@ router.get('/:id/stats', auth, pollIdValidation, handleValidationErrors, async (
     }
 
     const votes = await Vote.find({ poll: poll._id }).populate('user', 'name email');
-    const options = await PollOption.find({ poll: poll._id });
+    const options = await PollOption.find({ poll: poll._id }).sort({ position: 1, _id: 1 });
+    // Percentages are relative to voters, so multiple-choice options can add up to more than 100%
+    const { voteCounts, totalVotes, totalVoters: uniqueVoters } = tallyVotes(votes, options);
+    const countedVotes = votes.filter(isFirstPreference);
+    const anonymousVotes = votes.filter(vote => !vote.user && vote.ballotId);
+    const anonymousTally = tallyVotes(anonymousVotes, options);
+    const timeline = await getVoteTimeline(poll._id, { bucket: 'hour', tz: req.query.tz || 'UTC' });
     
     const stats = {
       poll: {
@@ -835,30 +1459,45 @@ router.get('/:id/stats', auth, pollIdValidation, handleValidationErrors, async (
         allowVotingAfterExpiry: poll.allowVotingAfterExpiry,
         showResultsAfterExpiry: poll.showResultsAfterExpiry,
         autoArchive: poll.autoArchive,
+        allowVoteChange: poll.allowVoteChange,
+        allowAnonymous: poll.allowAnonymous,
+        anonymousDuplicatePolicy: poll.anonymousDuplicatePolicy,
+        votingMode: poll.votingMode,
+        maxSelections: poll.maxSelections,
+        allowWriteIns: poll.allowWriteIns,
+        writeInModeration: poll.writeInModeration,
         createdAt: poll.createdAt,
         updatedAt: poll.updatedAt
       },
       votes: {
-        total: votes.length,
+        total: totalVotes,
+        authenticated: totalVotes - anonymousTally.totalVotes,
+        anonymous: anonymousTally.totalVotes,
         perOption: options.map(option => ({
           optionId: option._id,
           optionText: option.text,
-          votes: votes.filter(v => v.pollOption.toString() === option._id.toString()).length,
-          percentage: votes.length > 0 ? 
-            Math.round((votes.filter(v => v.pollOption.toString() === option._id.toString()).length / votes.length) * 100) : 0
+          isWriteIn: option.isWriteIn,
+          pending: option.status === 'pending',
+          votes: voteCounts[option._id] || 0,
+          percentage: uniqueVoters > 0 ? 
+            Math.round(((voteCounts[option._id] || 0) / uniqueVoters) * 100) : 0
         })),
-        recentVotes: votes.slice(-10).map(vote => ({
-          user: vote.user.name,
+        rankedResults: poll.votingMode === 'ranked' ? getRankedResults(votes, options) : undefined,
+        recentVotes: countedVotes.slice(-10).map(vote => ({
+          user: vote.user ? vote.user.name : 'Anonymous',
           votedAt: vote.createdAt
         }))
       },
       participation: {
-        uniqueVoters: new Set(votes.map(v => v.user._id.toString())).size,
-        votingRate: votes.length > 0 ? Math.round((new Set(votes.map(v => v.user._id.toString())).size / votes.length) * 100) : 0
+        uniqueVoters,
+        authenticatedVoters: uniqueVoters - anonymousTally.totalVoters,
+        anonymousVoters: anonymousTally.totalVoters,
+        votingRate: totalVotes > 0 ? Math.round((uniqueVoters / totalVotes) * 100) : 0
       },
       timeline: {
-        votesPerHour: getVotesPerHour(votes),
-        peakVotingTime: getPeakVotingTime(votes)
+        timezone: timeline.timezone,
+        votesPerHour: timeline.series,
+        peakVotingTime: timeline.peakVotingTime
       }
     };
 
@@ -868,19 +1507,66 @@ router.get('/:id/stats', auth, pollIdValidation, handleValidationErrors, async (
   }
 });
 
-// Cleanup expired polls (admin endpoint)
-router.post('/cleanup/expired', auth, async (req, res) => {
+// Export results (per-option totals plus a per-vote ledger) as CSV, JSON or XLSX
+router.get('/:id/export', auth, pollIdValidation, exportQueryValidation, handleValidationErrors, async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Access denied. Admin privileges required.' });
+    const poll = await Poll.findById(req.params.id);
+    
+    if (!poll) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    // Same rule as /stats: only the creator can see the ledger
+    if (poll.creator.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Access denied. You can only export results for your own polls.' });
     }
 
-    const cleanedCount = await Poll.cleanupExpiredPolls();
+    await streamResultsExport(res, poll, req.query.format || 'csv');
+  } catch (error) {
+    // Once the download has started the only way to signal failure is to cut it off
+    if (res.headersSent) {
+      console.error(`Export failed for poll ${req.params.id}:`, error.message);
+      return res.destroy(error);
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Vote timeline: per-bucket, cumulative and per-option votes in the requested timezone
+router.get('/:id/timeline', auth, pollIdValidation, timelineQueryValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const poll = await Poll.findById(req.params.id);
+    
+    if (!poll) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    // Same rule as /stats
+    if (poll.creator.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Access denied. You can only view the timeline of your own polls.' });
+    }
+
+    const timeline = await getVoteTimeline(poll._id, {
+      bucket: req.query.bucket || 'hour',
+      tz: req.query.tz || 'UTC'
+    });
+
+    res.json({ pollId: poll._id, ...timeline });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cleanup expired polls (admin endpoint)
+router.post('/cleanup/expired', auth, requireCapability(CAPABILITIES.MODERATE_POLLS), async (req, res) => {
+  try {
+    // Runs any overdue scheduler jobs now (publish, expire and auto-archive)
+    const { published, expired } = await req.app.locals.pollScheduler.rescan();
     
     res.json({
-      message: `Cleaned up ${cleanedCount} expired polls`,
-      cleanedCount,
+      message: `Cleaned up ${expired} expired polls`,
+      cleanedCount: expired,
+      publishedCount: published,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -888,35 +1574,4 @@ router.post('/cleanup/expired', auth, async (req, res) => {
   }
 });
 
-// Helper functions for statistics
-function getVotesPerHour(votes) {
-  const votesByHour = {};
-  votes.forEach(vote => {
-    const hour = new Date(vote.createdAt).getHours();
-    votesByHour[hour] = (votesByHour[hour] || 0) + 1;
-  });
-  return votesByHour;
-}
-
-function getPeakVotingTime(votes) {
-  if (votes.length === 0) return null;
-  
-  const votesByHour = getVotesPerHour(votes);
-  let peakHour = 0;
-  let maxVotes = 0;
-  
-  Object.entries(votesByHour).forEach(([hour, count]) => {
-    if (count > maxVotes) {
-      maxVotes = count;
-      peakHour = parseInt(hour);
-    }
-  });
-  
-  return {
-    hour: peakHour,
-    votes: maxVotes,
-    time: `${peakHour}:00 - ${peakHour + 1}:00`
-  };
-}
-
 module.exports = router;
@@ -0,0 +1,610 @@
+const express = require('express');
+const crypto = require('crypto');
+const Survey = require('../models/Survey');
+const { DEFAULT_RATING_SCALE } = Survey;
+const SurveyResponse = require('../models/SurveyResponse');
+const Poll = require('../models/Poll');
+const PollOption = require('../models/PollOption');
+const Vote = require('../models/Vote');
+const { auth, optionalAuth } = require('../middleware/auth');
+const { identifyVoter } = require('../middleware/voter');
+const { voteLimiter } = require('../middleware/rateLimit');
+const {
+  handleValidationErrors,
+  sanitizeInput,
+  createSurveyValidation,
+  surveyIdValidation,
+  surveyQueryValidation,
+  surveyBranchValidation,
+  surveyResponseValidation
+} = require('../middleware/validation');
+const { countDeltas, applyCountChange, getCountedResults } = require('../utils/voteCounters');
+const { surveyTarget, recordAudit } = require('../utils/auditLog');
+const router = express.Router();
+
+const MAX_TEXT_ANSWER_LENGTH = 2000;
+// Typed answers listed per question in /stats
+const TEXT_ANSWERS_IN_STATS = 100;
+
+// Option texts a new question starts with; rating questions get "1".."N"
+const getQuestionOptions = (question) => {
+  if (question.type === 'rating') {
+    const scale = question.ratingScale || DEFAULT_RATING_SCALE;
+    return Array.from({ length: scale }, (_, index) => String(index + 1));
+  }
+  if (question.type === 'text') return [];
+  return question.options.map(opt => sanitizeInput(opt));
+};
+
+const isSurveyCreator = (survey, userId) => {
+  const creatorId = survey.creator && (survey.creator._id || survey.creator);
+  return !!userId && !!creatorId && creatorId.toString() === userId.toString();
+};
+
+// Load a survey the caller may see: published ones for everyone, drafts for their creator.
+// Sends the error response and returns null when that fails.
+async function loadSurvey(req, res) {
+  const survey = await Survey.findById(req.params.id).populate('creator', 'name email');
+  if (!survey || (!survey.isPublished && !isSurveyCreator(survey, req.user && req.user._id))) {
+    res.status(404).json({ error: 'Survey not found' });
+    return null;
+  }
+  return survey;
+}
+
+// Load a survey for its creator. Sends the error response and returns null when that fails.
+async function loadOwnSurvey(req, res, action) {
+  const survey = await Survey.findById(req.params.id);
+  if (!survey) {
+    res.status(404).json({ error: 'Survey not found' });
+    return null;
+  }
+  if (!isSurveyCreator(survey, req.user._id)) {
+    res.status(403).json({ error: `Access denied. You can only ${action} your own surveys.` });
+    return null;
+  }
+  return survey;
+}
+
+// A survey's questions in order, each with its options
+const getQuestions = (surveyId) => Poll.find({ survey: surveyId })
+  .sort({ surveyPosition: 1 })
+  .populate('options');
+
+// How many responses reached each question and left it by each route: keyed by question id,
+// then by the option whose branch was followed ('next' for moving on to the next question)
+async function getFunnelCounts(surveyId) {
+  const rows = await SurveyResponse.aggregate([
+    { $match: { survey: surveyId } },
+    { $unwind: '$path' },
+    { $group: { _id: { question: '$path.question', via: '$path.via' }, count: { $sum: 1 } } }
+  ]);
+  const counts = {};
+  rows.forEach(({ _id, count }) => {
+    const question = _id.question.toString();
+    counts[question] = counts[question] || {};
+    counts[question][_id.via ? _id.via.toString() : 'next'] = count;
+  });
+  return counts;
+}
+
+// Live totals for each question: option counts for choice questions, answer counts for text ones,
+// plus its branch rules with how many respondents reached the question and took each branch
+async function getQuestionResults(surveyId, questions) {
+  const funnel = await getFunnelCounts(surveyId);
+
+  return Promise.all(questions.map(async question => {
+    const exits = funnel[question._id.toString()] || {};
+    const result = {
+      _id: question._id,
+      question: question.question,
+      questionType: question.questionType,
+      ratingScale: question.ratingScale,
+      answerRequired: question.answerRequired,
+      options: question.options.map(option => ({ _id: option._id, text: option.text, votes: 0 })),
+      branchRules: (question.branchRules || []).map(rule => ({
+        option: rule.option,
+        goTo: rule.goTo,
+        taken: exits[rule.option.toString()] || 0
+      })),
+      reached: Object.values(exits).reduce((sum, count) => sum + count, 0),
+      continued: exits.next || 0
+    };
+
+    if (question.questionType === 'text') {
+      result.totalAnswers = await SurveyResponse.countDocuments({ 'textAnswers.question': question._id });
+      return result;
+    }
+
+    const { voteCounts, totalVotes, totalVoters } = await getCountedResults(question._id);
+    result.options.forEach(option => { option.votes = voteCounts[option._id] || 0; });
+    result.totalVotes = totalVotes;
+    result.totalAnswers = totalVoters;
+    if (question.questionType === 'rating') {
+      result.averageRating = totalVotes > 0
+        ? Math.round(result.options.reduce((sum, option) => sum + Number(option.text) * option.votes, 0) / totalVotes * 100) / 100
+        : null;
+    }
+    return result;
+  }));
+}
+
+// Where a respondent goes after a question, given the option ids they picked there: the index of
+// the next question to show (questions.length for the end) and the option whose rule was followed
+function followBranch(questions, index, selected) {
+  const rule = (questions[index].branchRules || []).find(item => selected.includes(item.option.toString()));
+  if (!rule) return { next: index + 1, via: null };
+  if (!rule.goTo) return { next: questions.length, via: rule.option };
+
+  const target = questions.findIndex(question => question._id.equals(rule.goTo));
+  // Rules only point forward; fall back to the next question if that ever stops holding
+  return { next: target > index ? target : index + 1, via: rule.option };
+}
+
+// Read one answer: { text } for text questions, { selected } option ids for choice ones, {} when
+// unanswered, or { error }
+function readAnswer(question, answer, label) {
+  const optionIds = question.options.map(option => option._id.toString());
+
+  if (question.questionType === 'text') {
+    const text = answer && typeof answer.text === 'string' ? sanitizeInput(answer.text) : '';
+    if (!text) return {};
+    if (text.length > MAX_TEXT_ANSWER_LENGTH) {
+      return { error: `${label}: answers must be less than ${MAX_TEXT_ANSWER_LENGTH} characters` };
+    }
+    return { text };
+  }
+
+  let selected = [];
+  if (answer && question.questionType === 'rating' && answer.rating !== undefined) {
+    const rating = Number(answer.rating);
+    const option = question.options.find(item => item.text === String(rating));
+    if (!Number.isInteger(rating) || !option) {
+      return { error: `${label}: rating must be a whole number from 1 to ${question.ratingScale}` };
+    }
+    selected = [option._id.toString()];
+  } else if (answer && question.questionType === 'multiple' && Array.isArray(answer.options)) {
+    selected = answer.options.map(String);
+  } else if (answer && answer.option) {
+    selected = [String(answer.option)];
+  }
+
+  if (selected.length === 0) return {};
+  if (new Set(selected).size !== selected.length || selected.some(id => !optionIds.includes(id))) {
+    return { error: `${label}: invalid option` };
+  }
+  return { selected };
+}
+
+// Turn the submitted answers into votes per question plus typed answers, following the branch
+// rules from the first question to find which questions the respondent is shown. Every question
+// is checked before anything is written: required questions on that path need an answer and
+// questions off it must not have one. Returns { errors } listing each problem otherwise.
+function buildSubmission(questions, answers) {
+  const answersByQuestion = new Map(answers.map(answer => [answer.question.toString(), answer]));
+  const questionIds = new Set(questions.map(question => question._id.toString()));
+  const errors = [];
+  const choices = [];
+  const textAnswers = [];
+  const path = [];
+
+  answers.forEach(answer => {
+    if (!questionIds.has(answer.question.toString())) {
+      errors.push({ field: `answers.${answer.question}`, message: 'This question is not part of the survey' });
+    }
+  });
+
+  let index = 0;
+  while (index < questions.length) {
+    const question = questions[index];
+    const field = `answers.${question._id}`;
+    const label = `Question ${index + 1}`;
+    const { error, text, selected } = readAnswer(question, answersByQuestion.get(question._id.toString()), label);
+
+    if (error) {
+      errors.push({ field, message: error });
+    } else if (text) {
+      textAnswers.push({ question: question._id, text });
+    } else if (selected) {
+      choices.push({ question, selected });
+    } else if (question.answerRequired) {
+      errors.push({ field, message: `${label} needs an answer` });
+    }
+
+    const { next, via } = followBranch(questions, index, selected || []);
+    path.push({ question: question._id, via });
+    index = next;
+  }
+
+  const shown = new Set(path.map(step => step.question.toString()));
+  questions.forEach((question, position) => {
+    if (!shown.has(question._id.toString()) && answersByQuestion.has(question._id.toString())) {
+      errors.push({
+        field: `answers.${question._id}`,
+        message: `Question ${position + 1} is skipped by your earlier answers and can't be answered`
+      });
+    }
+  });
+
+  return errors.length ? { errors } : { choices, textAnswers, path };
+}
+
+// Surveys the caller can take (published), or with mine=true the caller's own, newest first
+router.get('/', optionalAuth, surveyQueryValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const mine = req.query.mine === 'true';
+
+    if (mine && !req.user) {
+      return res.status(401).json({ error: 'Authentication required to view your surveys' });
+    }
+    const filter = mine ? { creator: req.user._id } : { isPublished: true };
+
+    const [surveys, total] = await Promise.all([
+      Survey.find(filter)
+        .populate('creator', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Survey.countDocuments(filter)
+    ]);
+
+    res.json({
+      surveys,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a survey and its questions together
+router.post('/', auth, createSurveyValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { title, description = '', isPublished = false, expiresAt, allowAnonymous = false, questions } = req.body;
+
+    const survey = new Survey({
+      title,
+      description,
+      creator: req.user._id,
+      isPublished,
+      expiresAt: expiresAt ? new Date(expiresAt) : undefined,
+      allowAnonymous,
+      questionCount: questions.length
+    });
+
+    const session = await Survey.startSession();
+    try {
+      await session.withTransaction(async () => {
+        await survey.save({ session });
+
+        const created = [];
+        for (const [position, question] of questions.entries()) {
+          const optionTexts = getQuestionOptions(question);
+          const [poll] = await Poll.create([{
+            question: sanitizeInput(question.text),
+            creator: req.user._id,
+            isPublished,
+            survey: survey._id,
+            surveyPosition: position,
+            questionType: question.type,
+            ratingScale: question.type === 'rating' ? question.ratingScale || DEFAULT_RATING_SCALE : undefined,
+            answerRequired: question.required !== false,
+            votingMode: question.type === 'multiple' ? 'multiple' : 'single',
+            allowAnonymous,
+            optionTexts
+          }], { session });
+
+          const options = optionTexts.length
+            ? await PollOption.insertMany(
+              optionTexts.map((text, index) => ({ text, poll: poll._id, position: index })),
+              { session }
+            )
+            : [];
+          created.push({ poll, options });
+        }
+
+        // Branches name options and questions by position; store them by id now that both exist
+        for (const [position, question] of questions.entries()) {
+          if (!question.branches || !question.branches.length) continue;
+          const { poll, options } = created[position];
+          await Poll.updateOne({ _id: poll._id }, {
+            $set: {
+              branchRules: question.branches.map(branch => ({
+                option: options[branch.option]._id,
+                goTo: branch.goTo === 'end' ? null : created[branch.goTo].poll._id
+              }))
+            }
+          }, { session });
+        }
+      });
+    } finally {
+      session.endSession();
+    }
+
+    await recordAudit(req, {
+      action: 'survey.create',
+      target: surveyTarget(survey),
+      owner: req.user,
+      after: { title: survey.title, isPublished: survey.isPublished, questions: questions.map(question => question.text) }
+    });
+
+    const questionDocs = await getQuestions(survey._id);
+    res.status(201).json({
+      message: 'Survey created successfully',
+      survey: { ...survey.toJSON(), questions: await getQuestionResults(survey._id, questionDocs) }
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// A survey with its questions and current per-question results
+router.get('/:id', optionalAuth, surveyIdValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const survey = await loadSurvey(req, res);
+    if (!survey) return;
+
+    const questions = await getQuestions(survey._id);
+    const userResponded = req.user
+      ? !!(await SurveyResponse.exists({ survey: survey._id, user: req.user._id }))
+      : false;
+
+    res.json({
+      ...survey.toJSON(),
+      questions: await getQuestionResults(survey._id, questions),
+      userResponded
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Submit answers to every question at once. Either the whole response is stored (votes,
+// counters and typed answers) or, if any answer is invalid, none of it is.
+router.post('/:id/responses', optionalAuth, identifyVoter, voteLimiter, surveyResponseValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const survey = await loadSurvey(req, res);
+    if (!survey) return;
+
+    if (!survey.canRespond) {
+      return res.status(400).json({ error: survey.isExpired ? 'This survey has closed' : 'This survey is not open yet' });
+    }
+    if (!req.user && !survey.allowAnonymous) {
+      return res.status(401).json({ error: 'Please log in to respond to this survey' });
+    }
+
+    const identity = req.user
+      ? { user: req.user._id }
+      : { voterToken: req.voter.tokenHash, ballotId: crypto.randomBytes(12).toString('hex') };
+    const alreadyResponded = await SurveyResponse.exists(
+      req.user ? { survey: survey._id, user: req.user._id } : { survey: survey._id, voterToken: req.voter.tokenHash }
+    );
+    if (alreadyResponded) {
+      return res.status(400).json({ error: 'You have already responded to this survey' });
+    }
+
+    const questions = await getQuestions(survey._id);
+    const submission = buildSubmission(questions, req.body.answers);
+    if (submission.errors) {
+      return res.status(400).json({ error: 'Some answers are missing or invalid', details: submission.errors });
+    }
+
+    const changes = submission.choices.map(({ question, selected }) => {
+      const votes = selected.map(optionId => ({ ...identity, poll: question._id, pollOption: optionId }));
+      return { question, votes, change: { deltas: countDeltas(votes), votersDelta: 1 } };
+    });
+
+    const session = await Survey.startSession();
+    try {
+      await session.withTransaction(async () => {
+        await SurveyResponse.create([{
+          survey: survey._id,
+          ...identity,
+          path: submission.path,
+          textAnswers: submission.textAnswers
+        }], { session });
+        for (const { question, votes, change } of changes) {
+          await Vote.insertMany(votes, { session });
+          await applyCountChange(question._id, change, session);
+        }
+        await Survey.updateOne({ _id: survey._id }, { $inc: { responseCount: 1 } }, { session });
+      });
+    } finally {
+      session.endSession();
+    }
+
+    // Per-question live updates: vote deltas for choice questions, answer counts for text ones
+    changes.forEach(({ question, change }) => {
+      req.app.locals.voteBroadcaster.record(question, change);
+      req.app.locals.voteCountReconciler.markDirty(question._id);
+    });
+    try {
+      for (const { question } of submission.textAnswers) {
+        req.app.locals.broadcastToPoll && req.app.locals.broadcastToPoll(question, {
+          type: 'text_answers_update',
+          pollId: question,
+          surveyId: survey._id,
+          totalAnswers: await SurveyResponse.countDocuments({ 'textAnswers.question': question })
+        });
+      }
+    } catch (notifyErr) {
+      console.error('Survey answer notification error:', notifyErr.message);
+    }
+
+    res.status(201).json({
+      message: 'Response submitted successfully',
+      anonymous: !req.user,
+      // Device token for guests whose client can't rely on the cookie
+      voterToken: req.user ? undefined : req.voter.token,
+      questions: await getQuestionResults(survey._id, questions)
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Per-question results for the survey's creator, including the typed answers
+router.get('/:id/stats', auth, surveyIdValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const survey = await loadOwnSurvey(req, res, 'view stats for');
+    if (!survey) return;
+
+    const questions = await getQuestions(survey._id);
+    const results = await getQuestionResults(survey._id, questions);
+
+    await Promise.all(results.map(async result => {
+      if (result.questionType === 'text') {
+        const responses = await SurveyResponse.find({ 'textAnswers.question': result._id })
+          .sort({ createdAt: -1 })
+          .limit(TEXT_ANSWERS_IN_STATS)
+          .lean();
+        result.answers = responses.map(response => ({
+          text: response.textAnswers.find(answer => answer.question.toString() === result._id.toString()).text,
+          answeredAt: response.createdAt
+        }));
+        return;
+      }
+      // Relative to respondents who answered the question, so multiple-choice can add up to over 100%
+      result.options.forEach(option => {
+        option.percentage = result.totalAnswers > 0 ? Math.round((option.votes / result.totalAnswers) * 100) : 0;
+      });
+    }));
+
+    res.json({
+      survey: {
+        _id: survey._id,
+        title: survey.title,
+        isPublished: survey.isPublished,
+        expiresAt: survey.expiresAt,
+        responseCount: survey.responseCount,
+        createdAt: survey.createdAt
+      },
+      questions: results
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Replace one question's branch rules. Only while the survey has no responses, so every response
+// and the funnel counts follow the same rules.
+router.put('/:id/questions/:questionId/branches', auth, surveyBranchValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const survey = await loadOwnSurvey(req, res, 'edit');
+    if (!survey) return;
+
+    if (survey.responseCount > 0) {
+      return res.status(400).json({ error: 'Branching can\'t change once the survey has responses' });
+    }
+
+    const questions = await getQuestions(survey._id);
+    const index = questions.findIndex(question => question._id.toString() === req.params.questionId);
+    if (index === -1) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+    const question = questions[index];
+    const { rules } = req.body;
+
+    if (rules.length && question.questionType === 'text') {
+      return res.status(400).json({ error: 'Free text questions can\'t branch' });
+    }
+    const optionIds = question.options.map(option => option._id.toString());
+    const laterIds = questions.slice(index + 1).map(item => item._id.toString());
+    if (rules.some(rule => !optionIds.includes(String(rule.option)))) {
+      return res.status(400).json({ error: 'Each rule must use one of the question\'s options' });
+    }
+    if (new Set(rules.map(rule => String(rule.option))).size !== rules.length) {
+      return res.status(400).json({ error: 'An option can only have one branch' });
+    }
+    if (rules.some(rule => rule.goTo !== null && !laterIds.includes(String(rule.goTo)))) {
+      return res.status(400).json({ error: 'Branches can only skip ahead to a later question or the end' });
+    }
+
+    const before = (question.branchRules || []).map(rule => ({ option: rule.option, goTo: rule.goTo }));
+    question.branchRules = rules.map(rule => ({ option: rule.option, goTo: rule.goTo }));
+    await question.save();
+
+    await recordAudit(req, {
+      action: 'survey.branches_update',
+      target: surveyTarget(survey),
+      owner: survey.creator,
+      before: { question: question._id, branchRules: before },
+      after: { question: question._id, branchRules: question.branchRules.map(rule => ({ option: rule.option, goTo: rule.goTo })) }
+    });
+
+    res.json({
+      message: 'Branching updated successfully',
+      questions: await getQuestionResults(survey._id, questions)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Open a draft survey for responses, or take it back to a draft; its questions follow along
+const setPublished = (isPublished) => async (req, res) => {
+  try {
+    const survey = await loadOwnSurvey(req, res, isPublished ? 'publish' : 'unpublish');
+    if (!survey) return;
+
+    if (survey.isPublished === isPublished) {
+      return res.status(400).json({ error: `Survey is already ${isPublished ? 'published' : 'a draft'}` });
+    }
+
+    survey.isPublished = isPublished;
+    await survey.save();
+    await Poll.updateMany({ survey: survey._id }, { $set: { isPublished } });
+
+    await recordAudit(req, {
+      action: isPublished ? 'survey.publish' : 'survey.unpublish',
+      target: surveyTarget(survey),
+      owner: survey.creator,
+      before: { isPublished: !isPublished },
+      after: { isPublished }
+    });
+
+    res.json({ message: `Survey ${isPublished ? 'published' : 'unpublished'} successfully`, survey });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+router.patch('/:id/publish', auth, surveyIdValidation, handleValidationErrors, setPublished(true));
+router.patch('/:id/unpublish', auth, surveyIdValidation, handleValidationErrors, setPublished(false));
+
+// Delete a survey with its questions, votes and responses
+router.delete('/:id', auth, surveyIdValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const survey = await loadOwnSurvey(req, res, 'delete');
+    if (!survey) return;
+
+    const session = await Survey.startSession();
+    try {
+      await session.withTransaction(async () => {
+        const questionIds = (await Poll.find({ survey: survey._id }).select('_id').session(session)).map(poll => poll._id);
+        await Vote.deleteMany({ poll: { $in: questionIds } }, { session });
+        await PollOption.deleteMany({ poll: { $in: questionIds } }, { session });
+        await Poll.deleteMany({ survey: survey._id }, { session });
+        await SurveyResponse.deleteMany({ survey: survey._id }, { session });
+        await Survey.deleteOne({ _id: survey._id }, { session });
+      });
+    } finally {
+      session.endSession();
+    }
+
+    await recordAudit(req, {
+      action: 'survey.delete',
+      target: surveyTarget(survey),
+      owner: survey.creator,
+      before: { title: survey.title, responseCount: survey.responseCount }
+    });
+
+    res.json({ message: 'Survey deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,37 @@
 const express = require('express');
 console.log('[load] users.js route file loaded');
 const User = require('../models/User');
+const Poll = require('../models/Poll');
 // Destructure auth & optionalAuth from middleware export (was incorrectly importing entire object before)
-const { auth } = require('../middleware/auth');
+const { auth, requireCapability, rejectImpersonation } = require('../middleware/auth');
+const {
+  handleValidationErrors,
+  userIdValidation,
+  userQueryValidation,
+  adminUserUpdateValidation,
+  searchValidation
+} = require('../middleware/validation');
+const { CAPABILITIES, getCapabilities, hasCapability } = require('../utils/permissions');
+const {
+  ACCESS_TOKEN_TTL_SECONDS,
+  getClientInfo,
+  createImpersonationSession,
+  revokeUserSessions,
+  disconnectSessions
+} = require('../utils/authTokens');
+const { USER_AUDIT_FIELDS, snapshot, userTarget, recordAudit } = require('../utils/auditLog');
 const router = express.Router();
 
-// Create user
-router.post('/', async (req, res) => {
+const manageUsers = requireCapability(CAPABILITIES.MANAGE_USERS);
+
+// Search terms are matched literally, not as patterns
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Create user (admins only)
+router.post('/', auth, manageUsers, async (req, res) => {
   try {
     const { name, email, password } = req.body;
-    
+
     // Check if user already exists
     const existingUser = await User.findOne({ email });
     if (existingUser) {
@@ -23,7 +45,14 @@ router.post('/', async (req, res) => {
     });
 
     await user.save();
-    
+
+    await recordAudit(req, {
+      action: 'user.create',
+      target: userTarget(user),
+      owner: user,
+      after: snapshot(user, USER_AUDIT_FIELDS)
+    });
+
     // Return user without password hash
     const userResponse = {
       id: user._id,
@@ -38,28 +67,177 @@ router.post('/', async (req, res) => {
   }
 });
 
-// Get all users
-router.get('/', async (req, res) => {
+// List users, newest first, filtered by name/email, role and suspension (admins only)
+router.get('/', auth, manageUsers, userQueryValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const { search, role, status } = req.query;
+
+    const filter = {};
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+    if (role) filter.role = role;
+    if (status) filter.isActive = status === 'active' ? { $ne: false } : false;
+
+    const [users, total] = await Promise.all([
+      User.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    res.json({
+      users: users.map(user => user.getPublicProfile()),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Search users and/or polls by text. Each kind needs its own capability; "all" returns whichever
+// the caller may see.
+router.get('/search', auth, searchValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { q, type = 'users' } = req.query;
+    const canSearchUsers = hasCapability(req.user, CAPABILITIES.MANAGE_USERS) && type !== 'polls';
+    const canSearchPolls = hasCapability(req.user, CAPABILITIES.MODERATE_POLLS) && type !== 'users';
+    if (!canSearchUsers && !canSearchPolls) {
+      return res.status(403).json({ error: 'Access denied. You do not have permission to do this.' });
+    }
+
+    const pattern = new RegExp(escapeRegex(q.trim()), 'i');
+    const results = {};
+    if (canSearchUsers) {
+      const users = await User.find({ $or: [{ name: pattern }, { email: pattern }] })
+        .sort({ createdAt: -1 })
+        .limit(20);
+      results.users = users.map(user => user.getPublicProfile());
+    }
+    if (canSearchPolls) {
+      results.polls = await Poll.find({ question: pattern })
+        .select('question creator workspace visibility isPublished archivedAt expiresAt createdAt')
+        .populate('creator', 'name email')
+        .sort({ createdAt: -1 })
+        .limit(20);
+    }
+
+    res.json({ query: q, ...results });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get user by ID (the user themselves or admins)
+router.get('/:id', auth, userIdValidation, handleValidationErrors, async (req, res) => {
   try {
-    const users = await User.find().select('-passwordHash');
-    res.json(users);
+    if (req.params.id !== req.user._id.toString() && !hasCapability(req.user, CAPABILITIES.MANAGE_USERS)) {
+      return res.status(403).json({ error: 'Access denied. You do not have permission to do this.' });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json(user.getPublicProfile());
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get user by ID
-router.get('/:id', async (req, res) => {
+// Change a user's role, verification or suspension (admins only). Suspending signs the user out
+// everywhere; admins can't change their own role or suspend themselves.
+router.patch('/:id', auth, manageUsers, rejectImpersonation, adminUserUpdateValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { role, isVerified, isActive, suspensionReason } = req.body;
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const isSelf = user._id.toString() === req.user._id.toString();
+    if (isSelf && ((role !== undefined && role !== user.role) || isActive === false)) {
+      return res.status(400).json({ error: 'You cannot change your own role or suspend yourself' });
+    }
+
+    const before = snapshot(user, USER_AUDIT_FIELDS);
+    if (role !== undefined) user.role = role;
+    if (isVerified !== undefined) {
+      user.isVerified = isVerified;
+      if (isVerified) user.clearVerificationToken();
+    }
+
+    const suspending = isActive === false && user.isActive;
+    if (isActive === false) {
+      if (suspending) user.suspendedAt = new Date();
+      user.isActive = false;
+      if (suspensionReason !== undefined) user.suspensionReason = suspensionReason;
+    } else if (isActive === true) {
+      user.isActive = true;
+      user.suspendedAt = undefined;
+      user.suspensionReason = undefined;
+    }
+
+    await user.save();
+
+    if (suspending) {
+      disconnectSessions(req, await revokeUserSessions(user._id, { reason: 'account_suspended' }));
+    }
+
+    await recordAudit(req, {
+      action: suspending ? 'user.suspend' : isActive === true && !before.isActive ? 'user.reactivate' : 'user.update',
+      target: userTarget(user),
+      owner: user,
+      before,
+      after: snapshot(user, USER_AUDIT_FIELDS)
+    });
+
+    res.json(user.getPublicProfile());
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Act as a user to see what they see (admins only). Returns a short-lived access token for the
+// user; the admin's own session is unaffected. Staff accounts can't be impersonated.
+router.post('/:id/impersonate', auth, manageUsers, rejectImpersonation, userIdValidation, handleValidationErrors, async (req, res) => {
   try {
-    const user = await User.findById(req.params.id).select('-passwordHash');
+    const user = await User.findById(req.params.id);
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
-    res.json(user);
+    if (user._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({ error: 'You cannot impersonate yourself' });
+    }
+    if (getCapabilities(user.role).length > 0) {
+      return res.status(403).json({ error: 'Accounts with admin or moderator permissions cannot be impersonated' });
+    }
+    if (!user.isActive) {
+      return res.status(400).json({ error: 'Suspended accounts cannot be impersonated' });
+    }
+
+    const { session, token } = await createImpersonationSession(user, req.user, getClientInfo(req));
+    console.warn(`${req.user.email} started impersonating ${user.email}`);
+
+    await recordAudit(req, {
+      action: 'user.impersonate',
+      target: userTarget(user),
+      owner: user,
+      metadata: { session: session._id, expiresAt: session.expiresAt }
+    });
+
+    const userResponse = user.getPublicProfile();
+    userResponse.token = token;
+    userResponse.expiresIn = ACCESS_TOKEN_TTL_SECONDS;
+    userResponse.impersonatedBy = req.user._id;
+
+    res.json(userResponse);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
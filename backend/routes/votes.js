@@ -1,29 +1,227 @@
 const express = require('express');
+const crypto = require('crypto');
 const Vote = require('../models/Vote');
 const Poll = require('../models/Poll');
 const PollOption = require('../models/PollOption');
-const { auth } = require('../middleware/auth');
-const { voteValidation, handleValidationErrors } = require('../middleware/validation');
+const { auth, optionalAuth } = require('../middleware/auth');
+const { identifyVoter, getFingerprint } = require('../middleware/voter');
+const { 
+  voteValidation, 
+  changeVoteValidation, 
+  votePollIdValidation, 
+  handleValidationErrors 
+} = require('../middleware/validation');
 const { voteLimiter } = require('../middleware/rateLimit');
+const { getLiveResults } = require('../utils/liveResults');
+const { countDeltas, mergeChanges, getVisibleChange, applyCountChange } = require('../utils/voteCounters');
+const { getInviteToken, getShareToken, canAccessPoll } = require('../utils/pollAccess');
+const { findOptionByText, isDuplicateOptionError, getNextPosition, publishOptionsChange } = require('../utils/optionChanges');
+const { pollTarget, recordAudit } = require('../utils/auditLog');
+const { publishQuizLeaderboard } = require('../utils/quiz');
 const router = express.Router();
 
-// Submit vote with expiration check
-router.post('/', auth, voteLimiter, voteValidation, handleValidationErrors, async (req, res) => {
+// Survey responses are submitted as a whole (see routes/surveys), never one question at a time
+const SURVEY_QUESTION_ERROR = { error: 'Survey questions can only be answered by submitting the survey' };
+
+// Write-ins stop being accepted once a poll has this many options, pending ones included
+const MAX_OPTIONS_WITH_WRITE_INS = 50;
+
+// Check selected options against the poll's voting mode and option list; a write-in counts as one
+// more choice. Returns an error response body, or null when the selection is valid.
+async function validateSelection(pollDoc, selectedOptions, writeInCount = 0) {
+  const selectionLimit = pollDoc.selectionLimit;
+  if (selectionLimit !== null && selectedOptions.length + writeInCount > selectionLimit) {
+    return { 
+      error: selectionLimit === 1 
+        ? 'This poll only allows a single choice' 
+        : `This poll allows at most ${selectionLimit} choices`,
+      votingMode: pollDoc.votingMode,
+      maxSelections: selectionLimit
+    };
+  }
+
+  const optionCount = await PollOption.countDocuments({
+    _id: { $in: selectedOptions },
+    poll: pollDoc._id,
+    ...PollOption.VISIBLE_OPTIONS
+  });
+  if (optionCount !== selectedOptions.length) {
+    return { error: 'Invalid poll option or option does not belong to this poll' };
+  }
+
+  return null;
+}
+
+// Who a new ballot belongs to: the account, or the anonymous voter's hashed identifiers and the
+// duplicate policy the ballot is held to
+function getVoterIdentity(req, pollDoc) {
+  if (req.user) return { user: req.user._id };
+  const policy = pollDoc.anonymousDuplicatePolicy || 'cookie';
+  return {
+    voterToken: req.voter.tokenHash,
+    fingerprint: getFingerprint(req, pollDoc._id),
+    ballotId: crypto.randomBytes(12).toString('hex'),
+    ...(policy !== 'none' ? { duplicatePolicy: policy } : {})
+  };
+}
+
+// Look up an earlier ballot from the same voter, following the poll's duplicate policy for guests
+function findExistingVote(req, pollDoc) {
+  if (req.user) return Vote.findOne({ user: req.user._id, poll: pollDoc._id });
+
+  switch (pollDoc.anonymousDuplicatePolicy) {
+    case 'fingerprint':
+      return Vote.findOne({ poll: pollDoc._id, fingerprint: getFingerprint(req, pollDoc._id) });
+    case 'none':
+      return null;
+    case 'cookie':
+    default:
+      return Vote.findOne({ poll: pollDoc._id, voterToken: req.voter.tokenHash });
+  }
+}
+
+// One vote document per selected option; ranked ballots keep the submitted order as preference ranks.
+// The first one carries the ballot marker that keeps accounts to one ballot per poll.
+function buildVotes(pollDoc, identity, selectedOptions) {
+  const isRanked = pollDoc.votingMode === 'ranked';
+  return selectedOptions.map((optionId, index) => ({
+    ...identity,
+    poll: pollDoc._id,
+    pollOption: optionId,
+    ...(isRanked ? { rank: index + 1 } : {}),
+    ...(index === 0 ? { ballotHead: true } : {})
+  }));
+}
+
+// Duplicate key on a one_ballot_per_* index: another ballot from the same account, device or
+// fingerprint won the race
+const isDuplicateBallotError = (error) => error.code === 11000 &&
+  /one_ballot_per_(user|voter_token|fingerprint)/.test(error.message);
+
+// Queue the committed count change for live subscribers and return the current totals
+async function broadcastVoteChange(req, pollDoc, change) {
+  req.app.locals.voteBroadcaster.record(
+    pollDoc,
+    pollDoc.allowWriteIns ? await getVisibleChange(pollDoc._id, change) : change
+  );
+  req.app.locals.voteCountReconciler.markDirty(pollDoc._id);
+
+  const { voteCounts, totalVotes, totalVoters, rankedResults } = await getLiveResults(pollDoc);
+  return { voteCounts, totalVotes, totalVoters, rankedResults };
+}
+
+// Work out what a write-in adds to the ballot. Text matching an option voters can already pick
+// (ignoring case) becomes a vote for that option; text matching a write-in still under review
+// joins it; anything else becomes a new option. Returns { error } when write-ins aren't possible.
+async function resolveWriteIn(pollDoc, writeIn, selectedOptions) {
+  if (!pollDoc.allowWriteIns) {
+    return { error: 'This poll does not accept write-in options' };
+  }
+
+  const existing = await findOptionByText(pollDoc._id, writeIn);
+  if (existing && existing.status !== 'pending') {
+    const optionId = existing._id.toString();
+    return { selectedOptions: selectedOptions.includes(optionId) ? selectedOptions : [...selectedOptions, optionId] };
+  }
+  if (existing) {
+    return { selectedOptions, writeInOption: existing };
+  }
+
+  const optionCount = await PollOption.countDocuments({ poll: pollDoc._id });
+  if (optionCount >= MAX_OPTIONS_WITH_WRITE_INS) {
+    return { error: 'This poll is not taking more write-in options' };
+  }
+  return { selectedOptions, newWriteIn: writeIn };
+}
+
+// Tell the poll's voters about an approved write-in, or its creator about one to review
+async function announceWriteIn(req, pollDoc, option) {
+  await recordAudit(req, {
+    action: 'poll.write_in_submit',
+    target: pollTarget(pollDoc),
+    owner: pollDoc.creator,
+    after: { text: option.text, status: option.status },
+    metadata: { option: option._id }
+  });
+
+  if (option.status === 'approved') {
+    await publishOptionsChange(req, pollDoc, 'added', option._id);
+    return;
+  }
+
   try {
-    const { poll, pollOption } = req.body;
-    const user = req.user._id;
+    req.app.locals.broadcastToUser && req.app.locals.broadcastToUser(pollDoc.creator, 'write_in_submitted', {
+      pollId: pollDoc._id,
+      question: pollDoc.question,
+      optionId: option._id,
+      text: option.text
+    });
+  } catch (notifyErr) {
+    console.error('Write-in notification error:', notifyErr.message);
+  }
+}
+
+// Workspace, invite-link and unlisted polls only take votes from members and link holders
+async function checkPollAccess(req, pollDoc) {
+  const allowed = await canAccessPoll(pollDoc, req.user && req.user._id, {
+    inviteToken: getInviteToken(req),
+    shareToken: getShareToken(req)
+  });
+  return allowed ? null : { status: 403, body: { error: 'You do not have access to this poll' } };
+}
+
+// Shared checks for changing or retracting an existing vote
+function checkVoteChangeAllowed(pollDoc) {
+  if (pollDoc.survey) {
+    return { status: 400, body: SURVEY_QUESTION_ERROR };
+  }
+  if (!pollDoc.allowVoteChange) {
+    return { status: 403, body: { error: 'This poll does not allow changing or retracting votes' } };
+  }
+  if (!pollDoc.canVote) {
+    return { 
+      status: 400, 
+      body: { 
+        error: 'Voting on this poll is closed',
+        pollStatus: pollDoc.status,
+        expiredAt: pollDoc.expiresAt
+      }
+    };
+  }
+  return null;
+}
+
+// Submit vote with expiration check (guests may vote on polls that allow anonymous voting)
+router.post('/', optionalAuth, identifyVoter, voteLimiter, voteValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { poll, pollOption, pollOptions, writeIn } = req.body;
+    let selectedOptions = Array.isArray(pollOptions) ? pollOptions : (pollOption ? [pollOption] : []);
 
     // Check if poll exists
-    const pollDoc = await Poll.findById(poll);
+    const pollDoc = await Poll.findById(poll).select('+inviteToken');
     if (!pollDoc) {
       return res.status(404).json({ error: 'Poll not found' });
     }
 
+    const noAccess = await checkPollAccess(req, pollDoc);
+    if (noAccess) {
+      return res.status(noAccess.status).json(noAccess.body);
+    }
+
+    if (pollDoc.survey) {
+      return res.status(400).json(SURVEY_QUESTION_ERROR);
+    }
+
     // Check if poll is published
     if (!pollDoc.isPublished) {
       return res.status(400).json({ error: 'Cannot vote on an unpublished poll' });
     }
 
+    // Guests can only vote on polls that accept anonymous votes
+    if (!req.user && !pollDoc.allowAnonymous) {
+      return res.status(401).json({ error: 'Please log in to vote on this poll' });
+    }
+
     // Check if poll is expired and voting is allowed after expiry
     if (pollDoc.isExpired && !pollDoc.allowVotingAfterExpiry) {
       return res.status(400).json({ 
@@ -33,50 +231,111 @@ router.post('/', auth, voteLimiter, voteValidation, handleValidationErrors, asyn
       });
     }
 
-    // Check if poll option exists and belongs to poll
-    const optionDoc = await PollOption.findOne({ _id: pollOption, poll: poll });
-    if (!optionDoc) {
-      return res.status(400).json({ error: 'Invalid poll option or option does not belong to this poll' });
+    // A typed-in option is matched against the existing ones first
+    let writeInOption = null;
+    let newWriteIn = null;
+    if (writeIn) {
+      const resolved = await resolveWriteIn(pollDoc, writeIn, selectedOptions);
+      if (resolved.error) {
+        return res.status(400).json({ error: resolved.error });
+      }
+      ({ selectedOptions, writeInOption = null, newWriteIn = null } = resolved);
+    }
+
+    // Check the selection against the poll's voting mode and options
+    const selectionError = await validateSelection(pollDoc, selectedOptions, writeInOption || newWriteIn ? 1 : 0);
+    if (selectionError) {
+      return res.status(400).json(selectionError);
     }
 
     // Check if user already voted on this poll
-    const existingVote = await Vote.findOne({ user, poll });
+    const alreadyVoted = {
+      error: 'You have already voted on this poll',
+      canChangeVote: !!req.user && pollDoc.allowVoteChange
+    };
+    const existingVote = await findExistingVote(req, pollDoc);
     if (existingVote) {
-      return res.status(400).json({ error: 'You have already voted on this poll' });
+      return res.status(400).json(alreadyVoted);
     }
 
-    const vote = new Vote({
-      user,
-      poll,
-      pollOption
-    });
+    // Write the ballot (and any new write-in option) and bump the counters together so they
+    // can't drift apart
+    const identity = getVoterIdentity(req, pollDoc);
+    let votes;
+    let change;
 
-    await vote.save();
+    const session = await Vote.startSession();
+    const writeBallot = () => session.withTransaction(async () => {
+      if (newWriteIn) {
+        [writeInOption] = await PollOption.create([{
+          poll: pollDoc._id,
+          text: newWriteIn,
+          position: await getNextPosition(pollDoc._id),
+          status: pollDoc.writeInModeration === 'auto' ? 'approved' : 'pending',
+          isWriteIn: true,
+          submittedBy: req.user ? req.user._id : null
+        }], { session });
+      }
 
-    // Get updated vote counts
-    const votes = await Vote.find({ poll });
-    const options = await PollOption.find({ poll });
-    
-    const voteCounts = {};
-    options.forEach(option => {
-      voteCounts[option._id] = votes.filter(v => v.pollOption.toString() === option._id.toString()).length;
+      const ballot = writeInOption ? [...selectedOptions, writeInOption._id.toString()] : selectedOptions;
+      votes = buildVotes(pollDoc, identity, ballot);
+      change = { deltas: countDeltas(votes), votersDelta: 1 };
+
+      await Vote.insertMany(votes, { session });
+      await applyCountChange(pollDoc._id, change, session);
     });
 
+    try {
+      try {
+        await writeBallot();
+      } catch (error) {
+        if (!newWriteIn || !isDuplicateOptionError(error)) throw error;
+        // The same write-in was submitted at the same time and saved first: vote for that option
+        const resolved = await resolveWriteIn(pollDoc, newWriteIn, selectedOptions);
+        if (resolved.error) {
+          return res.status(400).json({ error: resolved.error });
+        }
+        ({ selectedOptions, writeInOption = null, newWriteIn = null } = resolved);
+        await writeBallot();
+      }
+    } catch (error) {
+      // A ballot submitted at the same time got in first; nothing of this one was stored
+      if (isDuplicateBallotError(error)) {
+        return res.status(400).json(alreadyVoted);
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    if (newWriteIn) {
+      await announceWriteIn(req, pollDoc, writeInOption);
+    }
+
     // Broadcast real-time update
-    const broadcastData = {
-      type: 'vote_update',
-      pollId: poll,
-      voteCounts,
-      totalVotes: votes.length,
-      isExpired: pollDoc.isExpired
-    };
+    const { voteCounts, totalVotes, totalVoters, rankedResults } = await broadcastVoteChange(req, pollDoc, change);
 
-    req.app.locals.broadcastToPoll(poll, broadcastData);
+    if (pollDoc.isQuiz) {
+      try {
+        await publishQuizLeaderboard(req.app.locals.broadcastToPoll, pollDoc);
+      } catch (notifyErr) {
+        console.error('Quiz leaderboard broadcast error:', notifyErr.message);
+      }
+    }
 
     res.status(201).json({
       message: 'Vote submitted successfully',
       voteCounts,
-      totalVotes: votes.length,
+      totalVotes,
+      totalVoters,
+      rankedResults,
+      selectedOptions: votes.map(vote => vote.pollOption.toString()),
+      writeIn: writeInOption
+        ? { _id: writeInOption._id, text: writeInOption.text, status: writeInOption.status }
+        : undefined,
+      anonymous: !req.user,
+      // Device token for guests whose client can't rely on the cookie
+      voterToken: req.user ? undefined : req.voter.token,
       pollStatus: pollDoc.status,
       expiresAt: pollDoc.expiresAt
     });
@@ -85,4 +344,123 @@ router.post('/', auth, voteLimiter, voteValidation, handleValidationErrors, asyn
   }
 });
 
+// Change an existing vote (poll must allow vote changes and still accept votes)
+router.put('/:pollId', auth, voteLimiter, changeVoteValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { pollOption, pollOptions } = req.body;
+    const user = req.user._id;
+    const selectedOptions = Array.isArray(pollOptions) ? pollOptions : [pollOption];
+
+    const pollDoc = await Poll.findById(req.params.pollId).select('+inviteToken');
+    if (!pollDoc) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    const notAllowed = checkVoteChangeAllowed(pollDoc) || await checkPollAccess(req, pollDoc);
+    if (notAllowed) {
+      return res.status(notAllowed.status).json(notAllowed.body);
+    }
+
+    const selectionError = await validateSelection(pollDoc, selectedOptions);
+    if (selectionError) {
+      return res.status(400).json(selectionError);
+    }
+
+    const session = await Vote.startSession();
+    let change = null;
+    try {
+      await session.withTransaction(async () => {
+        const previousVotes = await Vote.find({ user, poll: pollDoc._id }).session(session);
+        if (previousVotes.length === 0) {
+          change = null;
+          return;
+        }
+
+        const votes = buildVotes(pollDoc, { user }, selectedOptions);
+        change = mergeChanges(
+          { deltas: countDeltas(previousVotes, -1) },
+          { deltas: countDeltas(votes) }
+        );
+
+        await Vote.deleteMany({ user, poll: pollDoc._id }, { session });
+        await Vote.insertMany(votes, { session });
+        await applyCountChange(pollDoc._id, change, session);
+      });
+    } finally {
+      session.endSession();
+    }
+
+    if (!change) {
+      return res.status(404).json({ error: 'You have not voted on this poll yet' });
+    }
+
+    const { voteCounts, totalVotes, totalVoters, rankedResults } = await broadcastVoteChange(req, pollDoc, change);
+
+    res.json({
+      message: 'Vote changed successfully',
+      voteCounts,
+      totalVotes,
+      totalVoters,
+      rankedResults,
+      selectedOptions,
+      pollStatus: pollDoc.status,
+      expiresAt: pollDoc.expiresAt
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Retract a vote (poll must allow vote changes and still accept votes)
+router.delete('/:pollId', auth, voteLimiter, votePollIdValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const user = req.user._id;
+
+    const pollDoc = await Poll.findById(req.params.pollId).select('+inviteToken');
+    if (!pollDoc) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    const notAllowed = checkVoteChangeAllowed(pollDoc) || await checkPollAccess(req, pollDoc);
+    if (notAllowed) {
+      return res.status(notAllowed.status).json(notAllowed.body);
+    }
+
+    const session = await Vote.startSession();
+    let change = null;
+    try {
+      await session.withTransaction(async () => {
+        const previousVotes = await Vote.find({ user, poll: pollDoc._id }).session(session);
+        if (previousVotes.length === 0) {
+          change = null;
+          return;
+        }
+
+        change = { deltas: countDeltas(previousVotes, -1), votersDelta: -1 };
+        await Vote.deleteMany({ user, poll: pollDoc._id }, { session });
+        await applyCountChange(pollDoc._id, change, session);
+      });
+    } finally {
+      session.endSession();
+    }
+
+    if (!change) {
+      return res.status(404).json({ error: 'You have not voted on this poll yet' });
+    }
+
+    const { voteCounts, totalVotes, totalVoters, rankedResults } = await broadcastVoteChange(req, pollDoc, change);
+
+    res.json({
+      message: 'Vote retracted successfully',
+      voteCounts,
+      totalVotes,
+      totalVoters,
+      rankedResults,
+      pollStatus: pollDoc.status
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
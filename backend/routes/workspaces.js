@@ -0,0 +1,270 @@
+const express = require('express');
+const Workspace = require('../models/Workspace');
+const User = require('../models/User');
+const Poll = require('../models/Poll');
+const { auth } = require('../middleware/auth');
+const { WORKSPACE_AUDIT_FIELDS, snapshot, workspaceTarget, recordAudit } = require('../utils/auditLog');
+const {
+  handleValidationErrors,
+  workspaceIdValidation,
+  createWorkspaceValidation,
+  updateWorkspaceValidation,
+  addWorkspaceMemberValidation,
+  workspaceMemberValidation,
+  updateWorkspaceMemberValidation
+} = require('../middleware/validation');
+const router = express.Router();
+
+// Workspace as returned to a member: members with names, plus the caller's own role
+const toWorkspaceResponse = (workspace, userId) => {
+  const workspaceObj = workspace.toObject();
+  workspaceObj.role = workspace.getRole(userId);
+  workspaceObj.memberCount = workspace.members.length;
+  return workspaceObj;
+};
+
+// Load a workspace the current user belongs to, optionally requiring one of the given roles.
+// Sends the error response and returns null when that fails.
+async function loadWorkspace(req, res, roles) {
+  const workspace = await Workspace.findById(req.params.id).populate('members.user', 'name email');
+  const role = workspace && workspace.getRole(req.user._id);
+
+  if (!workspace || !role) {
+    res.status(404).json({ error: 'Workspace not found' });
+    return null;
+  }
+  if (roles && !roles.includes(role)) {
+    res.status(403).json({ error: `Access denied. Requires workspace role: ${roles.join(' or ')}` });
+    return null;
+  }
+  return workspace;
+}
+
+const notifyMember = (req, userId, type, data) => {
+  try {
+    req.app.locals.broadcastToUser && req.app.locals.broadcastToUser(userId, type, data);
+  } catch (notifyErr) {
+    console.error('Workspace notification error:', notifyErr.message);
+  }
+};
+
+// Workspaces the current user belongs to
+router.get('/', auth, async (req, res) => {
+  try {
+    const workspaces = await Workspace.find({ 'members.user': req.user._id }).sort({ name: 1 });
+    res.json(workspaces.map(workspace => {
+      const { members, ...summary } = toWorkspaceResponse(workspace, req.user._id);
+      return summary;
+    }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a workspace; the creator becomes its first owner
+router.post('/', auth, createWorkspaceValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    const workspace = await Workspace.create({
+      name,
+      description,
+      createdBy: req.user._id,
+      members: [{ user: req.user._id, role: 'owner' }]
+    });
+    await workspace.populate('members.user', 'name email');
+
+    await recordAudit(req, {
+      action: 'workspace.create',
+      target: workspaceTarget(workspace),
+      owner: req.user,
+      after: snapshot(workspace, WORKSPACE_AUDIT_FIELDS)
+    });
+
+    res.status(201).json(toWorkspaceResponse(workspace, req.user._id));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Workspace details and members (members only)
+router.get('/:id', auth, workspaceIdValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const workspace = await loadWorkspace(req, res);
+    if (!workspace) return;
+
+    res.json(toWorkspaceResponse(workspace, req.user._id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Rename or describe a workspace (owners only)
+router.patch('/:id', auth, updateWorkspaceValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const workspace = await loadWorkspace(req, res, ['owner']);
+    if (!workspace) return;
+
+    const before = snapshot(workspace, WORKSPACE_AUDIT_FIELDS);
+    const { name, description } = req.body;
+    if (name !== undefined) workspace.name = name;
+    if (description !== undefined) workspace.description = description;
+    await workspace.save();
+
+    await recordAudit(req, {
+      action: 'workspace.update',
+      target: workspaceTarget(workspace),
+      owner: workspace.createdBy,
+      before,
+      after: snapshot(workspace, WORKSPACE_AUDIT_FIELDS)
+    });
+
+    res.json(toWorkspaceResponse(workspace, req.user._id));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Delete an empty workspace (owners only)
+router.delete('/:id', auth, workspaceIdValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const workspace = await loadWorkspace(req, res, ['owner']);
+    if (!workspace) return;
+
+    const pollCount = await Poll.countDocuments({ workspace: workspace._id });
+    if (pollCount > 0) {
+      return res.status(400).json({
+        error: 'Delete the workspace\'s polls first',
+        pollCount
+      });
+    }
+
+    await Workspace.findByIdAndDelete(workspace._id);
+
+    await recordAudit(req, {
+      action: 'workspace.delete',
+      target: workspaceTarget(workspace),
+      owner: workspace.createdBy,
+      before: snapshot(workspace, WORKSPACE_AUDIT_FIELDS),
+      metadata: { memberCount: workspace.members.length }
+    });
+    res.json({ message: 'Workspace deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add a registered user by email (owners only)
+router.post('/:id/members', auth, addWorkspaceMemberValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const workspace = await loadWorkspace(req, res, ['owner']);
+    if (!workspace) return;
+
+    const { email, role = 'voter' } = req.body;
+    const user = await User.findOne({ email: email.toLowerCase().trim() }).select('name email');
+    if (!user) {
+      return res.status(404).json({ error: 'No user with this email' });
+    }
+    if (workspace.getRole(user._id)) {
+      return res.status(400).json({ error: 'User is already a member of this workspace' });
+    }
+
+    workspace.members.push({ user: user._id, role });
+    await workspace.save();
+    await workspace.populate('members.user', 'name email');
+
+    await recordAudit(req, {
+      action: 'workspace.member_add',
+      target: workspaceTarget(workspace),
+      owner: workspace.createdBy,
+      after: { role },
+      metadata: { member: user._id, email: user.email }
+    });
+
+    notifyMember(req, user._id, 'workspace_joined', {
+      workspaceId: workspace._id,
+      name: workspace.name,
+      role
+    });
+
+    res.status(201).json(toWorkspaceResponse(workspace, req.user._id));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Change a member's role (owners only); a workspace always keeps at least one owner
+router.patch('/:id/members/:userId', auth, updateWorkspaceMemberValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const workspace = await loadWorkspace(req, res, ['owner']);
+    if (!workspace) return;
+
+    const member = workspace.members.find(item => item.user._id.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    if (member.role === 'owner' && req.body.role !== 'owner' && workspace.countOwners() === 1) {
+      return res.status(400).json({ error: 'A workspace needs at least one owner' });
+    }
+
+    const before = { role: member.role };
+    member.role = req.body.role;
+    await workspace.save();
+
+    await recordAudit(req, {
+      action: 'workspace.member_role_change',
+      target: workspaceTarget(workspace),
+      owner: workspace.createdBy,
+      before,
+      after: { role: member.role },
+      metadata: { member: member.user._id, email: member.user.email }
+    });
+
+    res.json(toWorkspaceResponse(workspace, req.user._id));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Remove a member (owners), or leave the workspace (any member removing themselves)
+router.delete('/:id/members/:userId', auth, workspaceMemberValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const isSelf = req.params.userId === req.user._id.toString();
+    const workspace = await loadWorkspace(req, res, isSelf ? null : ['owner']);
+    if (!workspace) return;
+
+    const member = workspace.members.find(item => item.user._id.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    if (member.role === 'owner' && workspace.countOwners() === 1) {
+      return res.status(400).json({ error: 'A workspace needs at least one owner' });
+    }
+
+    workspace.members.pull(member._id);
+    await workspace.save();
+
+    await recordAudit(req, {
+      action: isSelf ? 'workspace.member_leave' : 'workspace.member_remove',
+      target: workspaceTarget(workspace),
+      owner: workspace.createdBy,
+      before: { role: member.role },
+      metadata: { member: member.user._id, email: member.user.email }
+    });
+
+    if (!isSelf) {
+      notifyMember(req, req.params.userId, 'workspace_removed', {
+        workspaceId: workspace._id,
+        name: workspace.name
+      });
+    }
+
+    res.json(isSelf
+      ? { message: 'You left the workspace' }
+      : toWorkspaceResponse(workspace, req.user._id));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+module.exports = router;
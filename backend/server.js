@@ -12,6 +12,21 @@ const {
   authLimiter,
   pollCreationLimiter 
 } = require('./middleware/rateLimit');
+const { createPollScheduler } = require('./utils/pollScheduler');
+const { createRealtimeHub } = require('./utils/realtimeHub');
+const { createAdapterFromEnv } = require('./utils/pubsub');
+const { getPollSnapshot } = require('./utils/liveResults');
+const { verifyAccessToken } = require('./utils/authTokens');
+const { filterAccessiblePollIds } = require('./utils/pollAccess');
+const { createVoteBroadcaster } = require('./utils/voteBroadcaster');
+const { createVoteCountReconciler } = require('./utils/voteCounters');
+const {
+  getMessagePollIds,
+  getMessagePollTokens,
+  getResumePositions,
+  sanitizeWebSocketMessage
+} = require('./utils/realtimeMessages');
+const Poll = require('./models/Poll');
 
 const app = express();
 const server = http.createServer(app);
@@ -100,19 +115,22 @@ app.use('/api/polls', pollCreationLimiter, require('./routes/polls')); // Limit
 app.use('/api/votes', require('./routes/votes')); // Vote limiting applied in route
 app.use('/api/users', require('./routes/users'));
 app.use('/api/options', require('./routes/pollOptions'));
+app.use('/api/workspaces', require('./routes/workspaces'));
+app.use('/api/audit', require('./routes/audit'));
+app.use('/api/surveys', pollCreationLimiter, require('./routes/surveys'));
 // WebSocket connection handling with authentication and error handling
 wss.on('connection', (ws, req) => {
   console.log('New WebSocket client connected');
   
   // Validate and sanitize WebSocket URL parameters
+  let token;
   try {
     const url = new URL(req.url, `http://${req.headers.host}`);
-    const token = url.searchParams.get('token');
-    
+    token = url.searchParams.get('token');
+
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      ws.userId = decoded.userId;
-      console.log(`Authenticated WebSocket connection for user ${decoded.userId}`);
+      // Signature and expiry up front; revocation needs a lookup and is checked below
+      jwt.verify(token, process.env.JWT_SECRET);
     }
   } catch (error) {
     console.log('Invalid WebSocket token or URL');
@@ -120,13 +138,28 @@ wss.on('connection', (ws, req) => {
     return;
   }
 
+  // The connection only counts as the user's once the token is known not to be revoked.
+  // Subscriptions wait for this so members-only polls aren't refused while it runs.
+  ws.authenticated = token
+    ? verifyAccessToken(token)
+      .then(({ user, sessionId }) => {
+        ws.userId = user._id.toString();
+        ws.sessionId = sessionId;
+        console.log(`Authenticated WebSocket connection for user ${ws.userId}`);
+      })
+      .catch(() => {
+        console.log('Revoked or invalid WebSocket token');
+        ws.close(1008, 'Invalid authentication');
+      })
+    : Promise.resolve();
+
   // Set up heartbeat/ping-pong for connection health
   ws.isAlive = true;
   ws.on('pong', () => {
     ws.isAlive = true;
   });
 
-  ws.on('message', (message) => {
+  ws.on('message', async (message) => {
     try {
       // Validate message size
       if (message.length > 10000) { // 10KB max
@@ -144,24 +177,51 @@ wss.on('connection', (ws, req) => {
       const sanitizedData = sanitizeWebSocketMessage(data);
       
       switch (sanitizedData.type) {
-        case 'subscribe':
-          if (!sanitizedData.pollId || typeof sanitizedData.pollId !== 'string') {
-            throw new Error('Invalid subscription: pollId is required');
+        case 'subscribe': {
+          // Accepts a single pollId or a batch of pollIds
+          const pollIds = getMessagePollIds(sanitizedData);
+          if (!pollIds.length) {
+            throw new Error('Invalid subscription: pollId or pollIds is required');
           }
-          ws.pollId = sanitizedData.pollId;
-          console.log(`Client subscribed to poll ${sanitizedData.pollId}`);
+
+          // Members-only polls need membership or the poll's invite token, unlisted polls a share token
+          await ws.authenticated;
+          const { allowed, denied } = await filterAccessiblePollIds(pollIds, ws.userId, {
+            inviteTokens: getMessagePollTokens(sanitizedData, 'inviteToken'),
+            shareTokens: getMessagePollTokens(sanitizedData, 'shareToken')
+          });
+          // Closed while waiting (e.g. its token was rejected): its subscriptions are already gone
+          if (ws.readyState !== WebSocket.OPEN) break;
+          const { subscribed, rejected, streams } = realtimeHub.subscribe(ws, allowed);
+          denied.forEach(pollId => rejected.push({ pollId, reason: 'access_denied' }));
+          console.log(`Client subscribed to ${subscribed.length} poll(s), ${rejected.length} rejected`);
           
           ws.send(JSON.stringify({
             type: 'subscription_confirmed',
-            pollId: sanitizedData.pollId,
+            pollId: subscribed[0],
+            pollIds: subscribed,
+            rejected,
+            streams,
             timestamp: new Date().toISOString()
           }));
+
+          // Resuming clients get missed events replayed, or a snapshot if the gap is too old
+          const resumeFrom = getResumePositions(sanitizedData);
+          subscribed.forEach((pollId) => {
+            if (resumeFrom[pollId]) realtimeHub.resume(ws, pollId, resumeFrom[pollId]);
+          });
           break;
+        }
           
-        case 'unsubscribe':
-          console.log(`Client unsubscribed from poll ${ws.pollId}`);
-          ws.pollId = null;
+        case 'unsubscribe': {
+          // Without poll ids, drops every subscription on this socket
+          const pollIds = getMessagePollIds(sanitizedData);
+          const removed = pollIds.length
+            ? realtimeHub.unsubscribe(ws, pollIds)
+            : realtimeHub.unsubscribeAll(ws);
+          console.log(`Client unsubscribed from ${removed.length} poll(s)`);
           break;
+        }
           
         case 'ping':
           ws.send(JSON.stringify({
@@ -189,6 +249,7 @@ wss.on('connection', (ws, req) => {
   });
 
   ws.on('close', (code, reason) => {
+    realtimeHub.unsubscribeAll(ws);
     console.log(`WebSocket client disconnected. Code: ${code}, Reason: ${reason}`);
   });
 
@@ -200,21 +261,6 @@ wss.on('connection', (ws, req) => {
   }));
 });
 
-// WebSocket message sanitization
-function sanitizeWebSocketMessage(data) {
-  const sanitized = { ...data };
-  
-  if (sanitized.pollId && typeof sanitized.pollId === 'string') {
-    sanitized.pollId = sanitized.pollId.replace(/[^a-f0-9]/gi, ''); // Only allow hex characters for IDs
-  }
-  
-  if (sanitized.type && typeof sanitized.type === 'string') {
-    sanitized.type = sanitized.type.replace(/[^a-zA-Z_]/g, ''); // Only allow letters and underscores
-  }
-  
-  return sanitized;
-}
-
 // Heartbeat interval
 const heartbeatInterval = setInterval(() => {
   wss.clients.forEach((ws) => {
@@ -233,75 +279,42 @@ wss.on('close', () => {
   clearInterval(heartbeatInterval);
 });
 
-// Broadcast function with validation
-const broadcastToPoll = (pollId, data) => {
-  // Validate pollId format
-  if (!mongoose.Types.ObjectId.isValid(pollId)) {
-    console.error('Invalid poll ID for broadcast:', pollId);
-    return 0;
-  }
-
-  let recipientCount = 0;
-  
-  wss.clients.forEach((client) => {
-    if (client.readyState === WebSocket.OPEN && client.pollId === pollId) {
-      try {
-        // Sanitize broadcast data
-        const sanitizedData = JSON.parse(JSON.stringify(data)); // Deep clone
-        client.send(JSON.stringify({
-          ...sanitizedData,
-          timestamp: new Date().toISOString()
-        }));
-        recipientCount++;
-      } catch (error) {
-        console.error('Error sending WebSocket message to client:', error);
-      }
-    }
-  });
-  
-  console.log(`Broadcasted update to ${recipientCount} clients for poll ${pollId}`);
-  return recipientCount;
-};
+// Broadcasts fan out to other server instances through the configured pub/sub adapter
+const realtimeHub = createRealtimeHub({
+  wss,
+  adapter: createAdapterFromEnv({ connection: mongoose.connection }),
+  getSnapshot: getPollSnapshot
+});
+const { broadcastToPoll, broadcastToUser } = realtimeHub;
 
 app.locals.broadcastToPoll = broadcastToPoll;
+app.locals.broadcastToUser = broadcastToUser;
+app.locals.disconnectSessions = realtimeHub.disconnectSessions;
 
-// Broadcast a notification to all active WebSocket connections for a specific user
-const broadcastToUser = (userId, event, data = {}) => {
-  if (!userId || !event) return 0;
-  let recipientCount = 0;
-  const payload = {
-    type: 'notification',
-    event,
-    data,
-    timestamp: new Date().toISOString()
-  };
-  try {
-    wss.clients.forEach((client) => {
-      if (client.readyState === WebSocket.OPEN && client.userId && client.userId.toString() === userId.toString()) {
-        try {
-          client.send(JSON.stringify(payload));
-          recipientCount++;
-        } catch (err) {
-          console.error('Failed to send user notification:', err.message);
-        }
-      }
-    });
-  } catch (outerErr) {
-    console.error('broadcastToUser loop error:', outerErr.message);
-  }
-  if (recipientCount === 0) {
-    // Optional debug: user has no active WS connections
-  }
-  return recipientCount;
-};
+// Publishes, expires and auto-archives polls on schedule
+const pollScheduler = createPollScheduler({ broadcastToPoll, broadcastToUser });
+app.locals.pollScheduler = pollScheduler;
 
-app.locals.broadcastToUser = broadcastToUser;
+// Coalesces vote activity into one live update per poll every few hundred milliseconds
+const voteBroadcaster = createVoteBroadcaster({ broadcastToPoll });
+app.locals.voteBroadcaster = voteBroadcaster;
+
+// Repairs drifted vote counters and resyncs subscribers with full results
+const voteCountReconciler = createVoteCountReconciler({
+  onRepaired: async (pollId) => {
+    const pollDoc = await Poll.findById(pollId);
+    if (pollDoc) await voteBroadcaster.broadcastFullResults(pollDoc);
+  }
+});
+app.locals.voteCountReconciler = voteCountReconciler;
 
 // WebSocket status endpoint
 app.get('/api/websocket/status', (req, res) => {
   const stats = {
     totalConnections: wss.clients.size,
-    activeSubscriptions: Array.from(wss.clients).filter(client => client.pollId).length,
+    ...realtimeHub.getSubscriptionStats(),
+    pubsubAdapter: realtimeHub.adapterName,
+    instanceId: realtimeHub.instanceId,
     uptime: process.uptime()
   };
   
@@ -371,11 +384,16 @@ const PORT = process.env.PORT || 5000;
 server.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
   console.log(`WebSocket server available at ws://localhost:${PORT}`);
+  pollScheduler.start();
+  voteCountReconciler.start();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
+  pollScheduler.stop();
+  voteCountReconciler.stop();
+  realtimeHub.close().catch(err => console.error('Error closing realtime pub/sub:', err.message));
   
   wss.clients.forEach(client => {
     client.close(1001, 'Server shutting down');
@@ -0,0 +1,66 @@
+const express = require('express');
+const { createVoteBroadcaster } = require('../../utils/voteBroadcaster');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// The API routes on an app of their own, without the WebSocket server, scheduler or counter
+// reconciler. Broadcasts are recorded so tests can check what live clients would receive.
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+
+  const broadcasts = [];
+  app.locals.broadcasts = broadcasts;
+  app.locals.broadcastToPoll = (pollId, payload) => broadcasts.push({ pollId: pollId.toString(), payload });
+  app.locals.broadcastToUser = () => {};
+  app.locals.disconnectSessions = () => {};
+  app.locals.pollScheduler = { schedulePoll: () => {}, unschedulePoll: () => {}, rescan: async () => {} };
+  app.locals.voteBroadcaster = createVoteBroadcaster({ broadcastToPoll: app.locals.broadcastToPoll, windowMs: 0 });
+  app.locals.voteCountReconciler = { markDirty: () => {} };
+
+  app.use('/api/auth', require('../../routes/auth'));
+  app.use('/api/polls', require('../../routes/polls'));
+  app.use('/api/votes', require('../../routes/votes'));
+  app.use('/api/options', require('../../routes/pollOptions'));
+  app.use('/api/workspaces', require('../../routes/workspaces'));
+  app.use('/api/audit', require('../../routes/audit'));
+  return app;
+}
+
+// Start the app on a free port; returns a request helper and close()
+async function startTestServer(app = createTestApp()) {
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, { token, body, headers = {} } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      redirect: 'manual',
+      headers: {
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+        ...headers
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    let data = text;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      // Not JSON (e.g. a redirect); keep the text
+    }
+    return { status: response.status, headers: response.headers, data };
+  };
+
+  return {
+    app,
+    baseUrl,
+    request,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = { createTestApp, startTestServer };
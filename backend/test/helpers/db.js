@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Tests that need MongoDB run against MONGODB_TEST_URI, which must be a replica set since vote
+// writes use transactions. Each test file gets a database of its own, dropped afterwards.
+// Without the variable those tests are skipped.
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI;
+const skipWithoutDb = MONGODB_TEST_URI ? false : 'MONGODB_TEST_URI is not set';
+
+async function connectTestDb() {
+  await mongoose.connect(MONGODB_TEST_URI, { dbName: `polling-app-test-${process.pid}` });
+  // Unique indexes back several of the guarantees under test
+  await mongoose.connection.syncIndexes();
+}
+
+async function disconnectTestDb() {
+  await mongoose.connection.dropDatabase();
+  await mongoose.disconnect();
+}
+
+module.exports = { skipWithoutDb, connectTestDb, disconnectTestDb };
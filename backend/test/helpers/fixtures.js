@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const User = require('../../models/User');
+const Poll = require('../../models/Poll');
+const PollOption = require('../../models/PollOption');
+const Survey = require('../../models/Survey');
+const { createSession, issueAccessToken } = require('../../utils/authTokens');
+
+// A signed-in account: the user plus a Bearer token for it
+async function createUser(fields = {}) {
+  const id = crypto.randomBytes(4).toString('hex');
+  const user = await User.create({
+    name: `Tester ${id}`,
+    email: `tester-${id}@example.com`,
+    passwordHash: 'not-a-real-hash',
+    ...fields
+  });
+  const { session } = await createSession(user);
+  return { user, token: issueAccessToken(user, session) };
+}
+
+// A published poll with its options; pass correct option positions for a quiz
+async function createPoll(creator, { options = ['Red', 'Green', 'Blue'], correctOptions = [], ...fields } = {}) {
+  const poll = await Poll.create({
+    question: 'Which colour?',
+    creator: creator._id,
+    isPublished: true,
+    ...fields
+  });
+  const pollOptions = await PollOption.insertMany(options.map((text, position) => ({
+    text,
+    poll: poll._id,
+    position,
+    isCorrect: correctOptions.includes(position)
+  })));
+  await Poll.syncOptionTexts(poll._id);
+  return { poll, options: pollOptions };
+}
+
+// A published survey with one 1-5 rating question, which is stored as a poll of the survey
+async function createSurveyQuestion(creator) {
+  const survey = await Survey.create({ title: 'Weekly check-in', creator: creator._id, isPublished: true, questionCount: 1 });
+  const question = await createPoll(creator, {
+    question: 'How was your week?',
+    options: ['1', '2', '3', '4', '5'],
+    survey: survey._id,
+    surveyPosition: 0,
+    questionType: 'rating',
+    ratingScale: 5
+  });
+  return { survey, ...question };
+}
+
+module.exports = { createUser, createPoll, createSurveyQuestion };
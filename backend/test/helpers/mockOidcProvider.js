@@ -0,0 +1,119 @@
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Minimal OpenID Connect provider for tests: discovery, JWKS, an authorization endpoint that
+// signs the next user in without a login page, a token endpoint that checks the PKCE verifier,
+// and userinfo. Call nextLogin() before a flow to choose the claims of the signed-in user.
+async function startMockOidcProvider({ clientId = 'polls-test' } = {}) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+  const codes = new Map();
+  const accessTokens = new Map();
+  let pendingLogin = null;
+  let issuer;
+
+  const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const readForm = (req) => new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(new URLSearchParams(body)));
+    req.on('error', reject);
+  });
+
+  const handlers = {
+    'GET /.well-known/openid-configuration': (req, res) => sendJson(res, 200, {
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256'],
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'none']
+    }),
+
+    'GET /jwks': (req, res) => sendJson(res, 200, {
+      keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }]
+    }),
+
+    // Signs in whoever nextLogin() named and sends the browser back with a code
+    'GET /authorize': (req, res, url) => {
+      const params = url.searchParams;
+      const login = pendingLogin || { claims: {} };
+      pendingLogin = null;
+
+      const code = crypto.randomBytes(16).toString('hex');
+      codes.set(code, {
+        claims: login.claims,
+        nonce: login.nonce !== undefined ? login.nonce : params.get('nonce'),
+        codeChallenge: params.get('code_challenge'),
+        redirectUri: params.get('redirect_uri')
+      });
+
+      const redirect = new URL(params.get('redirect_uri'));
+      redirect.searchParams.set('code', code);
+      redirect.searchParams.set('state', params.get('state'));
+      res.writeHead(302, { Location: redirect.toString() });
+      res.end();
+    },
+
+    'POST /token': async (req, res) => {
+      const form = await readForm(req);
+      const grant = codes.get(form.get('code'));
+      codes.delete(form.get('code'));
+      if (form.get('grant_type') !== 'authorization_code' || !grant || form.get('redirect_uri') !== grant.redirectUri) {
+        return sendJson(res, 400, { error: 'invalid_grant' });
+      }
+
+      const challenge = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+      if (challenge !== grant.codeChallenge) {
+        return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+      }
+
+      const accessToken = crypto.randomBytes(16).toString('hex');
+      accessTokens.set(accessToken, grant.claims);
+      const idToken = jwt.sign(
+        { ...grant.claims, ...(grant.nonce ? { nonce: grant.nonce } : {}) },
+        privateKey,
+        { algorithm: 'RS256', keyid: kid, issuer, audience: clientId, expiresIn: 300 }
+      );
+      sendJson(res, 200, { access_token: accessToken, token_type: 'Bearer', expires_in: 300, id_token: idToken });
+    },
+
+    'GET /userinfo': (req, res) => {
+      const claims = accessTokens.get((req.headers.authorization || '').replace('Bearer ', ''));
+      if (!claims) return sendJson(res, 401, { error: 'invalid_token' });
+      sendJson(res, 200, claims);
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, issuer);
+    const handler = handlers[`${req.method} ${url.pathname}`];
+    if (!handler) return sendJson(res, 404, { error: 'not_found' });
+    Promise.resolve(handler(req, res, url)).catch(error => sendJson(res, 500, { error: error.message }));
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  issuer = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    issuer,
+    clientId,
+    // Claims of the user signed in by the next authorization request; a nonce here replaces the
+    // one the client sent, to test that a replayed or forged ID token is refused
+    nextLogin: ({ nonce, ...claims }) => {
+      pendingLogin = { claims: { sub: crypto.randomBytes(8).toString('hex'), ...claims }, nonce };
+    },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = { startMockOidcProvider };
@@ -0,0 +1,64 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipWithoutDb, connectTestDb, disconnectTestDb } = require('./helpers/db');
+const { startTestServer } = require('./helpers/app');
+const { createUser } = require('./helpers/fixtures');
+const { createImpersonationSession } = require('../utils/authTokens');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+describe('impersonation', { skip: skipWithoutDb }, () => {
+  let server;
+  let target;
+  let impersonationToken;
+
+  before(async () => {
+    await connectTestDb();
+    server = await startTestServer();
+    const { user: admin } = await createUser({ role: 'admin' });
+    target = await createUser();
+    ({ token: impersonationToken } = await createImpersonationSession(target.user, admin));
+  });
+
+  after(async () => {
+    await server.close();
+    await disconnectTestDb();
+  });
+
+  const ownSession = () => Session.findOne({ user: target.user._id, impersonatedBy: null });
+
+  it('cannot change the email or profile of the account', async () => {
+    const { status } = await server.request('PUT', '/api/auth/profile', {
+      token: impersonationToken,
+      body: { name: 'Taken Over', email: 'attacker@example.com' }
+    });
+    assert.equal(status, 403);
+
+    const user = await User.findById(target.user._id);
+    assert.equal(user.email, target.user.email);
+    assert.equal(user.name, target.user.name);
+  });
+
+  it('cannot sign the account out of its devices', async () => {
+    const session = await ownSession();
+
+    const all = await server.request('DELETE', '/api/auth/sessions', { token: impersonationToken });
+    assert.equal(all.status, 403);
+
+    const one = await server.request('DELETE', `/api/auth/sessions/${session._id}`, { token: impersonationToken });
+    assert.equal(one.status, 403);
+
+    assert.equal((await ownSession()).revokedAt, undefined);
+  });
+
+  it('leaves the account holder free to do both', async () => {
+    const profile = await server.request('PUT', '/api/auth/profile', {
+      token: target.token,
+      body: { name: 'Renamed Myself' }
+    });
+    assert.equal(profile.status, 200);
+
+    const sessions = await server.request('DELETE', '/api/auth/sessions', { token: target.token });
+    assert.equal(sessions.status, 200);
+  });
+});
@@ -0,0 +1,47 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipWithoutDb, connectTestDb, disconnectTestDb } = require('./helpers/db');
+const { createUser, createPoll } = require('./helpers/fixtures');
+const PollOption = require('../models/PollOption');
+const { getLiveResults } = require('../utils/liveResults');
+
+describe('live results', { skip: skipWithoutDb }, () => {
+  let creator;
+
+  before(async () => {
+    await connectTestDb();
+    ({ user: creator } = await createUser());
+  });
+
+  after(disconnectTestDb);
+
+  const addPendingWriteIn = (poll) => PollOption.create({
+    poll: poll._id,
+    text: 'Purple',
+    position: 3,
+    status: 'pending',
+    isWriteIn: true,
+    submittedBy: creator._id
+  });
+
+  it('leaves write-ins awaiting review out of the counts', async () => {
+    const { poll } = await createPoll(creator, { allowWriteIns: true });
+    const pending = await addPendingWriteIn(poll);
+
+    const results = await getLiveResults(poll);
+    assert.equal(Object.keys(results.voteCounts).length, 3);
+    assert.equal(pending._id.toString() in results.voteCounts, false);
+  });
+
+  it('runs the instant runoff over visible options in display order', async () => {
+    const { poll, options } = await createPoll(creator, { votingMode: 'ranked', allowWriteIns: true });
+    const pending = await addPendingWriteIn(poll);
+
+    const results = await getLiveResults(poll);
+    assert.deepEqual(
+      Object.keys(results.rankedResults.rounds[0].tallies),
+      options.map(option => option._id.toString())
+    );
+    assert.equal(pending._id.toString() in results.currentRound.tallies, false);
+  });
+});
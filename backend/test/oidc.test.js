@@ -0,0 +1,195 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipWithoutDb, connectTestDb, disconnectTestDb } = require('./helpers/db');
+const { startTestServer } = require('./helpers/app');
+const { startMockOidcProvider } = require('./helpers/mockOidcProvider');
+const { createUser } = require('./helpers/fixtures');
+const { beginLogin, completeLogin } = require('../utils/oidc');
+const User = require('../models/User');
+
+const FRONTEND_URL = 'http://frontend.test';
+
+describe('single sign-on', () => {
+  let provider;
+  let server;
+
+  before(async () => {
+    provider = await startMockOidcProvider();
+    server = await startTestServer();
+    process.env.FRONTEND_URL = FRONTEND_URL;
+    process.env.OIDC_PROVIDERS = JSON.stringify([{
+      id: 'mock',
+      name: 'Mock SSO',
+      issuer: provider.issuer,
+      clientId: provider.clientId,
+      redirectUri: `${server.baseUrl}/api/auth/oidc/mock/callback`
+    }]);
+  });
+
+  after(async () => {
+    await server.close();
+    await provider.close();
+  });
+
+  // The browser's part of a login: start it and follow the provider back to the callback URL
+  const authorize = async () => {
+    const login = await server.request('GET', '/api/auth/oidc/mock/login');
+    assert.equal(login.status, 302);
+    const flowCookie = login.headers.get('set-cookie').split(';')[0];
+
+    const signIn = await fetch(login.headers.get('location'), { redirect: 'manual' });
+    assert.equal(signIn.status, 302);
+    return { flowCookie, callback: new URL(signIn.headers.get('location')) };
+  };
+
+  // Hand the callback to the backend; returns the outcome it sends the frontend
+  const finishLogin = async (callback, flowCookie) => {
+    const response = await server.request('GET', `${callback.pathname}${callback.search}`, {
+      headers: flowCookie ? { Cookie: flowCookie } : {}
+    });
+    assert.equal(response.status, 302);
+    const location = response.headers.get('location');
+    assert.ok(location.startsWith(`${FRONTEND_URL}/#`));
+
+    const outcome = new URLSearchParams(location.slice(location.indexOf('#') + 1));
+    return {
+      success: outcome.get('sso') === 'success',
+      error: outcome.get('sso_error'),
+      sessionStarted: (response.headers.get('set-cookie') || '').includes('refresh_token=')
+    };
+  };
+
+  const login = async (claims) => {
+    provider.nextLogin(claims);
+    const { callback, flowCookie } = await authorize();
+    return finishLogin(callback, flowCookie);
+  };
+
+  describe('flow checks', () => {
+    it('sends the PKCE challenge, state and nonce to the provider', async () => {
+      const login = await server.request('GET', '/api/auth/oidc/mock/login');
+      const authorizationUrl = new URL(login.headers.get('location'));
+
+      assert.equal(authorizationUrl.origin, provider.issuer);
+      assert.equal(authorizationUrl.searchParams.get('code_challenge_method'), 'S256');
+      for (const param of ['code_challenge', 'state', 'nonce']) {
+        assert.ok(authorizationUrl.searchParams.get(param), `${param} is sent`);
+      }
+    });
+
+    it('redeems the code with the PKCE verifier and returns the verified claims', async () => {
+      provider.nextLogin({ email: 'flow@example.com', email_verified: true });
+      const { url, flowToken } = await beginLogin('mock');
+      const signIn = await fetch(url, { redirect: 'manual' });
+      const callback = new URL(signIn.headers.get('location'));
+
+      const { claims } = await completeLogin('mock', flowToken, { method: 'GET', url: `${callback.pathname}${callback.search}` });
+      assert.equal(claims.iss, provider.issuer);
+      assert.equal(claims.email, 'flow@example.com');
+    });
+
+    // The backend only tells the frontend that sign-on failed; check the reason at the source
+    const redeem = (callback, flowCookie) => completeLogin('mock', flowCookie.split('=')[1], {
+      method: 'GET',
+      url: `${callback.pathname}${callback.search}`
+    });
+
+    it('refuses a callback whose state belongs to another sign-in attempt', async () => {
+      provider.nextLogin({ email: 'state@example.com', email_verified: true });
+      const first = await authorize();
+      const second = await authorize();
+
+      await assert.rejects(redeem(first.callback, second.flowCookie), /state mismatch/);
+      const result = await finishLogin(second.callback, first.flowCookie);
+      assert.equal(result.error, 'Single sign-on failed, please try again');
+      assert.equal(result.sessionStarted, false);
+    });
+
+    it('refuses a code redeemed without the verifier of the attempt that requested it', async () => {
+      provider.nextLogin({ email: 'pkce@example.com', email_verified: true });
+      const intercepted = await authorize();
+      const attacker = await authorize();
+
+      // The stolen code, replayed with the attacker's own (matching) state and flow cookie
+      const callback = new URL(attacker.callback);
+      callback.searchParams.set('code', intercepted.callback.searchParams.get('code'));
+
+      await assert.rejects(redeem(callback, attacker.flowCookie), /PKCE verification failed/);
+    });
+
+    it('refuses an ID token issued for a different nonce', async () => {
+      provider.nextLogin({ email: 'nonce@example.com', email_verified: true, nonce: 'replayed-nonce' });
+      const { callback, flowCookie } = await authorize();
+
+      await assert.rejects(redeem(callback, flowCookie), /nonce mismatch/);
+    });
+
+    it('refuses a callback without the flow cookie', async () => {
+      provider.nextLogin({ email: 'cookie@example.com', email_verified: true });
+      const { callback } = await authorize();
+
+      const result = await finishLogin(callback, null);
+      assert.equal(result.error, 'Sign-in attempt expired, please try again');
+      assert.equal(result.sessionStarted, false);
+    });
+  });
+
+  describe('accounts', { skip: skipWithoutDb }, () => {
+    before(connectTestDb);
+    after(disconnectTestDb);
+
+    it('creates a verified account for a new verified email', async () => {
+      const result = await login({ email: 'new-sso@example.com', email_verified: true, name: 'New Person' });
+      assert.equal(result.success, true);
+      assert.equal(result.sessionStarted, true);
+
+      const user = await User.findOne({ email: 'new-sso@example.com' });
+      assert.equal(user.name, 'New Person');
+      assert.equal(user.isVerified, true);
+      assert.equal(user.identities.length, 1);
+      assert.equal(user.identities[0].issuer, provider.issuer);
+    });
+
+    it('links the identity to an existing account with the same verified email', async () => {
+      const { user: existing } = await createUser({ email: 'linked@example.com', isVerified: true });
+
+      const result = await login({ sub: 'linked-subject', email: 'Linked@Example.com', email_verified: true });
+      assert.equal(result.success, true);
+
+      const user = await User.findById(existing._id);
+      assert.deepEqual(user.identities.map(identity => identity.subject), ['linked-subject']);
+      assert.equal(user.passwordHash, existing.passwordHash, 'a verified account keeps its password');
+      assert.equal(await User.countDocuments({ email: 'linked@example.com' }), 1);
+
+      // The linked identity signs straight in next time, whatever email it reports
+      const again = await login({ sub: 'linked-subject', email: 'changed@example.com', email_verified: true });
+      assert.equal(again.success, true);
+      assert.equal((await User.findById(existing._id)).identities.length, 1);
+    });
+
+    it('takes over an unverified account with the same email from whoever registered it', async () => {
+      const { user: squatted } = await createUser({ email: 'claimed@example.com', isVerified: false });
+
+      const result = await login({ email: 'claimed@example.com', email_verified: true });
+      assert.equal(result.success, true);
+
+      const user = await User.findById(squatted._id);
+      assert.equal(user.isVerified, true);
+      assert.equal(user.passwordHash, undefined);
+    });
+
+    it('refuses an email the provider has not verified', async () => {
+      const { user: existing } = await createUser({ email: 'unverified@example.com', isVerified: true });
+
+      const result = await login({ email: 'unverified@example.com', email_verified: false });
+      assert.equal(result.success, false);
+      assert.equal(result.error, 'Your identity provider did not share a verified email address');
+      assert.equal(result.sessionStarted, false);
+      assert.equal((await User.findById(existing._id)).identities.length, 0);
+
+      const withoutClaim = await login({ email: 'nobody@example.com' });
+      assert.equal(withoutClaim.success, false);
+      assert.equal(await User.countDocuments({ email: 'nobody@example.com' }), 0);
+    });
+  });
+});
@@ -0,0 +1,45 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipWithoutDb, connectTestDb, disconnectTestDb } = require('./helpers/db');
+const { startTestServer } = require('./helpers/app');
+const { createUser, createPoll } = require('./helpers/fixtures');
+
+describe('quiz polls', { skip: skipWithoutDb }, () => {
+  let server;
+  let creator;
+  let quizPoll;
+
+  before(async () => {
+    await connectTestDb();
+    server = await startTestServer();
+    creator = await createUser();
+    ({ poll: quizPoll } = await createPoll(creator.user, {
+      question: 'Which colour is the sky?',
+      isQuiz: true,
+      correctOptions: [2]
+    }));
+  });
+
+  after(async () => {
+    await server.close();
+    await disconnectTestDb();
+  });
+
+  it('leaves the correct answers out of the poll list', async () => {
+    for (const token of [undefined, creator.token]) {
+      const { status, data } = await server.request('GET', '/api/polls', { token });
+      assert.equal(status, 200);
+
+      const listed = data.polls.find(poll => poll._id === quizPoll._id.toString());
+      assert.ok(listed, 'the quiz poll is listed');
+      assert.equal(listed.options.length, 3);
+      listed.options.forEach(option => assert.equal('isCorrect' in option, false));
+    }
+  });
+
+  it('leaves the correct answers out of a single poll', async () => {
+    const { status, data } = await server.request('GET', `/api/polls/${quizPoll._id}`);
+    assert.equal(status, 200);
+    data.options.forEach(option => assert.equal('isCorrect' in option, false));
+  });
+});
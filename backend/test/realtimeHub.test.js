@@ -0,0 +1,283 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { setTimeout: sleep } = require('timers/promises');
+const mongoose = require('mongoose');
+const WebSocket = require('ws');
+const { createRealtimeHub, SESSION_REVOKED_CLOSE_CODE } = require('../utils/realtimeHub');
+const { createMemoryAdapter } = require('../utils/pubsub');
+const { createVoteBroadcaster } = require('../utils/voteBroadcaster');
+const {
+  MAX_BATCH_SUBSCRIBE,
+  getMessagePollIds,
+  sanitizeWebSocketMessage
+} = require('../utils/realtimeMessages');
+
+// Stand-in for a connected client socket that records what it is sent
+function createSocket(fields = {}) {
+  return {
+    readyState: WebSocket.OPEN,
+    sent: [],
+    send(message) {
+      this.sent.push(JSON.parse(message));
+    },
+    close(code) {
+      this.readyState = WebSocket.CLOSED;
+      this.closeCode = code;
+    },
+    ...fields
+  };
+}
+
+const newPollId = () => new mongoose.Types.ObjectId().toString();
+
+// Two server instances in one process, sharing an in-memory pub/sub bus
+function createInstances(options = {}) {
+  const bus = new EventEmitter();
+  const createInstance = () => {
+    const wss = { clients: new Set() };
+    const hub = createRealtimeHub({ wss, adapter: createMemoryAdapter({ bus }), ...options });
+    // A connected socket on this instance, optionally subscribed to polls
+    const connect = (pollIds = [], fields = {}) => {
+      const socket = createSocket(fields);
+      wss.clients.add(socket);
+      if (pollIds.length) hub.subscribe(socket, pollIds);
+      return socket;
+    };
+    return { wss, hub, connect };
+  };
+  return [createInstance(), createInstance()];
+}
+
+describe('realtime hub across instances', () => {
+  let instanceA;
+  let instanceB;
+
+  beforeEach(() => {
+    [instanceA, instanceB] = createInstances({ replayBufferSize: 3 });
+  });
+
+  afterEach(async () => {
+    await instanceA.hub.close();
+    await instanceB.hub.close();
+  });
+
+  // Swap in instances with different hub options for one test
+  const recreateInstances = async (options) => {
+    await instanceA.hub.close();
+    await instanceB.hub.close();
+    [instanceA, instanceB] = createInstances(options);
+  };
+
+  it('delivers a vote on instance A to a subscriber on instance B', async () => {
+    const pollId = newPollId();
+    const optionId = newPollId();
+    const voterOnA = instanceA.connect([pollId]);
+    const watcherOnB = instanceB.connect([pollId]);
+
+    const voteBroadcaster = createVoteBroadcaster({ broadcastToPoll: instanceA.hub.broadcastToPoll, windowMs: 0 });
+    voteBroadcaster.record(
+      { _id: pollId, votingMode: 'single', isExpired: false },
+      { deltas: { [optionId]: 1 }, votersDelta: 1 }
+    );
+    await sleep(20);
+
+    for (const socket of [voterOnA, watcherOnB]) {
+      assert.equal(socket.sent.length, 1);
+      assert.equal(socket.sent[0].type, 'vote_delta');
+      assert.equal(socket.sent[0].pollId, pollId);
+      assert.deepEqual(socket.sent[0].deltas, { [optionId]: 1 });
+      assert.equal(socket.sent[0].totalVotersDelta, 1);
+    }
+  });
+
+  it('only delivers poll events to that poll\'s subscribers', () => {
+    const pollId = newPollId();
+    const other = instanceB.connect([newPollId()]);
+    const unsubscribed = instanceB.connect();
+
+    instanceA.hub.broadcastToPoll(pollId, { type: 'vote_update', pollId });
+
+    assert.equal(other.sent.length, 0);
+    assert.equal(unsubscribed.sent.length, 0);
+  });
+
+  it('numbers each poll\'s events in its own stream on every instance', () => {
+    const pollId = newPollId();
+    const otherPollId = newPollId();
+    const onA = instanceA.connect([pollId, otherPollId]);
+    const onB = instanceB.connect([pollId]);
+
+    instanceA.hub.broadcastToPoll(pollId, { type: 'vote_update', pollId });
+    instanceB.hub.broadcastToPoll(pollId, { type: 'vote_update', pollId });
+    instanceA.hub.broadcastToPoll(otherPollId, { type: 'vote_update', pollId: otherPollId });
+
+    const pollEventsOnA = onA.sent.filter(event => event.pollId === pollId);
+    assert.deepEqual(pollEventsOnA.map(event => event.seq), [1, 2]);
+    assert.deepEqual(onB.sent.map(event => event.seq), [1, 2]);
+    assert.deepEqual(onA.sent.filter(event => event.pollId === otherPollId).map(event => event.seq), [1]);
+
+    // Streams are per instance, so a position from one instance means nothing on the other
+    assert.ok(pollEventsOnA[0].streamId.startsWith(instanceA.hub.instanceId));
+    assert.ok(onB.sent[0].streamId.startsWith(instanceB.hub.instanceId));
+    assert.notEqual(pollEventsOnA[0].streamId, onB.sent[0].streamId);
+  });
+
+  it('reports the current stream position when subscribing', () => {
+    const pollId = newPollId();
+    instanceA.hub.broadcastToPoll(pollId, { type: 'vote_update', pollId });
+    instanceA.hub.broadcastToPoll(pollId, { type: 'vote_update', pollId });
+
+    const { subscribed, streams } = instanceB.hub.subscribe(createSocket(), [pollId]);
+    assert.deepEqual(subscribed, [pollId]);
+    assert.equal(streams[pollId].seq, 2);
+    assert.ok(streams[pollId].streamId.startsWith(instanceB.hub.instanceId));
+  });
+
+  it('replays the events a reconnecting client missed', () => {
+    const pollId = newPollId();
+    const socket = instanceB.connect([pollId]);
+    instanceA.hub.broadcastToPoll(pollId, { type: 'vote_update', pollId, round: 1 });
+    const { streamId, seq: lastSeq } = socket.sent[0];
+
+    // Disconnected while two more votes came in
+    instanceB.hub.unsubscribeAll(socket);
+    instanceA.hub.broadcastToPoll(pollId, { type: 'vote_update', pollId, round: 2 });
+    instanceA.hub.broadcastToPoll(pollId, { type: 'vote_update', pollId, round: 3 });
+    assert.equal(socket.sent.length, 1);
+
+    const reconnected = instanceB.connect([pollId]);
+    assert.equal(instanceB.hub.resume(reconnected, pollId, { streamId, lastSeq }), 'replayed');
+    assert.deepEqual(reconnected.sent.map(event => event.round), [2, 3]);
+    assert.deepEqual(reconnected.sent.map(event => event.seq), [2, 3]);
+    assert.ok(reconnected.sent.every(event => event.replayed));
+
+    assert.equal(instanceB.hub.resume(reconnected, pollId, { streamId, lastSeq: 3 }), 'current');
+    assert.equal(reconnected.sent.length, 2);
+  });
+
+  it('falls back to a snapshot when the missed events are no longer buffered', async () => {
+    const snapshots = [];
+    await recreateInstances({
+      replayBufferSize: 2,
+      getSnapshot: async (pollId) => {
+        snapshots.push(pollId);
+        return { voteCounts: {}, totalVotes: 5 };
+      }
+    });
+    const pollId = newPollId();
+    const socket = instanceB.connect([pollId]);
+    instanceA.hub.broadcastToPoll(pollId, { type: 'vote_update', pollId });
+    const { streamId } = socket.sent[0];
+
+    instanceB.hub.unsubscribeAll(socket);
+    for (let i = 0; i < 3; i++) instanceA.hub.broadcastToPoll(pollId, { type: 'vote_update', pollId });
+
+    const reconnected = instanceB.connect([pollId]);
+    assert.equal(instanceB.hub.resume(reconnected, pollId, { streamId, lastSeq: 1 }), 'snapshot');
+    await sleep(10);
+
+    assert.deepEqual(snapshots, [pollId]);
+    assert.equal(reconnected.sent.length, 1);
+    assert.equal(reconnected.sent[0].type, 'poll_snapshot');
+    assert.equal(reconnected.sent[0].totalVotes, 5);
+    assert.equal(reconnected.sent[0].seq, 4);
+    assert.equal(reconnected.sent[0].streamId, streamId);
+  });
+
+  it('sends a snapshot to clients resuming a stream from another instance', async () => {
+    await recreateInstances({ getSnapshot: async () => ({ totalVotes: 1 }) });
+    const pollId = newPollId();
+    const onA = instanceA.connect([pollId]);
+    instanceA.hub.broadcastToPoll(pollId, { type: 'vote_update', pollId });
+    const { streamId, seq } = onA.sent[0];
+
+    // The client reconnects to the other instance after a failover
+    const onB = instanceB.connect([pollId]);
+    assert.equal(instanceB.hub.resume(onB, pollId, { streamId, lastSeq: seq }), 'snapshot');
+    await sleep(10);
+    assert.equal(onB.sent[0].type, 'poll_snapshot');
+  });
+
+  it('delivers user notifications and session revocations on every instance', () => {
+    const userId = newPollId();
+    const sessionId = newPollId();
+    const onB = instanceB.connect([], { userId, sessionId });
+    const someoneElse = instanceB.connect([], { userId: newPollId(), sessionId: newPollId() });
+
+    instanceA.hub.broadcastToUser(userId, 'poll_expired', { question: 'Lunch?' });
+    assert.equal(onB.sent.length, 1);
+    assert.equal(onB.sent[0].event, 'poll_expired');
+    assert.equal(someoneElse.sent.length, 0);
+
+    instanceA.hub.disconnectSessions([sessionId]);
+    assert.equal(onB.closeCode, SESSION_REVOKED_CLOSE_CODE);
+    assert.equal(onB.sent[1].type, 'session_revoked');
+    assert.equal(someoneElse.closeCode, undefined);
+  });
+});
+
+describe('subscription limits', () => {
+  it('refuses polls beyond the per-socket limit', async () => {
+    const [{ hub }] = createInstances({ maxPollsPerSocket: 2 });
+    const pollIds = [newPollId(), newPollId(), newPollId()];
+
+    const { subscribed, rejected } = hub.subscribe(createSocket(), pollIds);
+    assert.deepEqual(subscribed, pollIds.slice(0, 2));
+    assert.deepEqual(rejected, [{ pollId: pollIds[2], reason: 'socket_subscription_limit' }]);
+    await hub.close();
+  });
+
+  it('refuses subscribers beyond the per-poll limit until one leaves', async () => {
+    const [{ hub }] = createInstances({ maxSubscribersPerPoll: 1 });
+    const pollId = newPollId();
+    const first = createSocket();
+
+    hub.subscribe(first, [pollId]);
+    assert.deepEqual(hub.subscribe(createSocket(), [pollId]).rejected, [{ pollId, reason: 'poll_subscriber_limit' }]);
+
+    hub.unsubscribe(first, [pollId]);
+    assert.deepEqual(hub.subscribe(createSocket(), [pollId]).subscribed, [pollId]);
+    await hub.close();
+  });
+
+  it('rejects malformed poll ids and counts repeated ones once', async () => {
+    const [{ hub }] = createInstances();
+    const pollId = newPollId();
+    const socket = createSocket();
+
+    const { subscribed, rejected } = hub.subscribe(socket, [pollId, 'not-a-poll', pollId]);
+    assert.deepEqual(subscribed, [pollId, pollId]);
+    assert.deepEqual(rejected, [{ pollId: 'not-a-poll', reason: 'invalid_poll_id' }]);
+    assert.deepEqual(hub.getSubscriptionStats(), { activeSubscriptions: 1, subscribedPolls: 1 });
+    await hub.close();
+  });
+
+  it('unsubscribes a batch of polls, or all of them', async () => {
+    const [{ hub }] = createInstances();
+    const pollIds = [newPollId(), newPollId(), newPollId()];
+    const socket = createSocket();
+    hub.subscribe(socket, pollIds);
+
+    assert.deepEqual(hub.unsubscribe(socket, [pollIds[0], pollIds[1], newPollId()]), pollIds.slice(0, 2));
+    assert.deepEqual(hub.getSubscriptionStats(), { activeSubscriptions: 1, subscribedPolls: 1 });
+    assert.deepEqual(hub.unsubscribeAll(socket), [pollIds[2]]);
+    assert.deepEqual(hub.getSubscriptionStats(), { activeSubscriptions: 0, subscribedPolls: 0 });
+    await hub.close();
+  });
+
+  it('caps the poll ids taken from one subscribe message', () => {
+    const pollIds = Array.from({ length: MAX_BATCH_SUBSCRIBE + 10 }, newPollId);
+    const message = sanitizeWebSocketMessage({ type: 'subscribe', pollIds: [...pollIds, 42] });
+
+    assert.equal(message.pollIds.length, MAX_BATCH_SUBSCRIBE);
+    assert.deepEqual(getMessagePollIds(message), pollIds.slice(0, MAX_BATCH_SUBSCRIBE));
+  });
+
+  it('reads a single pollId and drops duplicates and junk characters', () => {
+    const pollId = newPollId();
+    assert.deepEqual(getMessagePollIds(sanitizeWebSocketMessage({ type: 'subscribe', pollId: `${pollId}$<>` })), [pollId]);
+    assert.deepEqual(getMessagePollIds({ pollIds: [pollId, pollId, ''] }), [pollId]);
+    assert.deepEqual(getMessagePollIds({ type: 'unsubscribe' }), []);
+  });
+});
@@ -0,0 +1,64 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipWithoutDb, connectTestDb, disconnectTestDb } = require('./helpers/db');
+const { startTestServer } = require('./helpers/app');
+const { createUser, createSurveyQuestion } = require('./helpers/fixtures');
+const Poll = require('../models/Poll');
+const PollOption = require('../models/PollOption');
+
+// Survey questions are stored as polls, but only their survey may change them
+describe('survey questions through the poll routes', { skip: skipWithoutDb }, () => {
+  let server;
+  let creator;
+
+  before(async () => {
+    await connectTestDb();
+    server = await startTestServer();
+    creator = await createUser();
+  });
+
+  after(async () => {
+    await server.close();
+    await disconnectTestDb();
+  });
+
+  const optionTexts = async (poll) => (await PollOption.find({ poll: poll._id }).sort({ position: 1 })).map(option => option.text);
+
+  it('refuses to replace the options of a question', async () => {
+    const { poll } = await createSurveyQuestion(creator.user);
+
+    const { status, data } = await server.request('PUT', `/api/polls/${poll._id}`, {
+      token: creator.token,
+      body: { options: ['Good', 'Bad'] }
+    });
+    assert.equal(status, 400);
+    assert.equal(data.error, 'Survey questions can only be changed through their survey');
+    assert.deepEqual(await optionTexts(poll), ['1', '2', '3', '4', '5']);
+  });
+
+  it('refuses to delete a question', async () => {
+    const { poll } = await createSurveyQuestion(creator.user);
+
+    const { status } = await server.request('DELETE', `/api/polls/${poll._id}`, { token: creator.token });
+    assert.equal(status, 400);
+    assert.ok(await Poll.exists({ _id: poll._id }));
+    assert.equal((await optionTexts(poll)).length, 5);
+  });
+
+  it('refuses to add, rename, reorder or delete the options of a question', async () => {
+    const { poll, options } = await createSurveyQuestion(creator.user);
+    const attempts = [
+      ['POST', '/api/options', { poll: poll._id, text: '6' }],
+      ['PUT', `/api/options/${options[0]._id}`, { text: 'Awful' }],
+      ['PUT', '/api/options/order', { poll: poll._id, options: [...options].reverse().map(option => option._id) }],
+      ['DELETE', `/api/options/${options[4]._id}`]
+    ];
+
+    for (const [method, path, body] of attempts) {
+      const { status, data } = await server.request(method, path, { token: creator.token, body });
+      assert.equal(status, 400, `${method} ${path}`);
+      assert.equal(data.error, 'Survey questions can only be changed through their survey');
+    }
+    assert.deepEqual(await optionTexts(poll), ['1', '2', '3', '4', '5']);
+  });
+});
@@ -0,0 +1,40 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getRankedResults } = require('../utils/voteTally');
+
+// Ranked vote documents for one voter, in preference order
+const ballot = (user, ...optionIds) => optionIds.map((pollOption, index) => ({ user, pollOption, rank: index + 1 }));
+
+describe('ranked results', () => {
+  const options = [
+    { _id: 'option-a', position: 0, status: 'approved' },
+    { _id: 'option-b', position: 1, status: 'approved' },
+    { _id: 'option-c', position: 2, status: 'approved' },
+    { _id: 'option-d', position: 3, status: 'pending' }
+  ];
+  const votes = [
+    ...ballot('voter-1', 'option-a'),
+    ...ballot('voter-2', 'option-a'),
+    ...ballot('voter-3', 'option-b'),
+    ...ballot('voter-4', 'option-c', 'option-b')
+  ];
+
+  it('breaks a tie for last place by position, whatever order the options come in', () => {
+    for (const order of [options, [...options].reverse(), [options[1], options[3], options[2], options[0]]]) {
+      const { rounds } = getRankedResults(votes, order);
+      assert.deepEqual(rounds[0].eliminated, ['option-c']);
+      assert.deepEqual(rounds[0].transfers, { 'option-c': { 'option-b': 1 } });
+    }
+  });
+
+  it('leaves write-ins awaiting review out of the count', () => {
+    const { rounds } = getRankedResults(votes, options);
+    rounds.forEach(round => assert.equal('option-d' in round.tallies, false));
+  });
+
+  it('does not reorder the options it is given', () => {
+    const given = [...options].reverse();
+    getRankedResults(votes, given);
+    assert.deepEqual(given.map(option => option._id), ['option-d', 'option-c', 'option-b', 'option-a']);
+  });
+});
@@ -0,0 +1,182 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipWithoutDb, connectTestDb, disconnectTestDb } = require('./helpers/db');
+const { startTestServer } = require('./helpers/app');
+const { createUser, createPoll } = require('./helpers/fixtures');
+const Poll = require('../models/Poll');
+const PollOption = require('../models/PollOption');
+const Vote = require('../models/Vote');
+const { refreshTrendingCounts } = require('../utils/voteCounters');
+const { VOTER_HEADER, issueVoterToken } = require('../middleware/voter');
+
+describe('submitting votes', { skip: skipWithoutDb }, () => {
+  let server;
+  let creator;
+
+  before(async () => {
+    await connectTestDb();
+    server = await startTestServer();
+    creator = await createUser();
+  });
+
+  after(async () => {
+    await server.close();
+    await disconnectTestDb();
+  });
+
+  // Two ballots from one account sent at the same moment, e.g. a double click or two tabs
+  const voteTwiceAtOnce = (token, firstBallot, secondBallot) => Promise.all([
+    server.request('POST', '/api/votes', { token, body: firstBallot }),
+    server.request('POST', '/api/votes', { token, body: secondBallot })
+  ]);
+
+  it('stores only one of two single-choice ballots sent at once', async () => {
+    const { poll, options } = await createPoll(creator.user);
+    const voter = await createUser();
+
+    const responses = await voteTwiceAtOnce(
+      voter.token,
+      { poll: poll._id, pollOption: options[0]._id },
+      { poll: poll._id, pollOption: options[1]._id }
+    );
+
+    assert.deepEqual(responses.map(response => response.status).sort(), [201, 400]);
+    const rejected = responses.find(response => response.status === 400);
+    assert.equal(rejected.data.error, 'You have already voted on this poll');
+
+    assert.equal(await Vote.countDocuments({ poll: poll._id, user: voter.user._id }), 1);
+    const counters = await PollOption.find({ poll: poll._id }).select('voteCount');
+    assert.equal(counters.reduce((sum, option) => sum + option.voteCount, 0), 1);
+    assert.equal((await Poll.findById(poll._id)).voterCount, 1);
+  });
+
+  it('stores only one of two multiple-choice ballots sent at once', async () => {
+    const { poll, options } = await createPoll(creator.user, { votingMode: 'multiple' });
+    const voter = await createUser();
+
+    const responses = await voteTwiceAtOnce(
+      voter.token,
+      { poll: poll._id, pollOptions: [options[0]._id, options[1]._id] },
+      { poll: poll._id, pollOptions: [options[1]._id, options[2]._id] }
+    );
+
+    assert.deepEqual(responses.map(response => response.status).sort(), [201, 400]);
+    const accepted = responses.find(response => response.status === 201);
+    const stored = await Vote.find({ poll: poll._id, user: voter.user._id });
+    assert.deepEqual(
+      stored.map(vote => vote.pollOption.toString()).sort(),
+      [...accepted.data.selectedOptions].sort()
+    );
+    assert.equal((await Poll.findById(poll._id)).voterCount, 1);
+  });
+
+  // Two guest ballots sent at once, from the given device tokens
+  const guestVoteTwiceAtOnce = (poll, options, voterTokens) => Promise.all(voterTokens.map((voterToken, index) =>
+    server.request('POST', '/api/votes', {
+      headers: { [VOTER_HEADER]: voterToken },
+      body: { poll: poll._id, pollOption: options[index]._id }
+    })
+  ));
+
+  it('stores only one of two guest ballots sent at once from one device', async () => {
+    const { poll, options } = await createPoll(creator.user, { allowAnonymous: true, anonymousDuplicatePolicy: 'cookie' });
+    const { token } = issueVoterToken();
+
+    const responses = await guestVoteTwiceAtOnce(poll, options, [token, token]);
+
+    assert.deepEqual(responses.map(response => response.status).sort(), [201, 400]);
+    assert.equal(responses.find(response => response.status === 400).data.error, 'You have already voted on this poll');
+    assert.equal(await Vote.countDocuments({ poll: poll._id }), 1);
+    assert.equal((await Poll.findById(poll._id)).voterCount, 1);
+  });
+
+  it('stores only one of two guest ballots sent at once with the same fingerprint', async () => {
+    const { poll, options } = await createPoll(creator.user, { allowAnonymous: true, anonymousDuplicatePolicy: 'fingerprint' });
+
+    const responses = await guestVoteTwiceAtOnce(poll, options, [issueVoterToken().token, issueVoterToken().token]);
+
+    assert.deepEqual(responses.map(response => response.status).sort(), [201, 400]);
+    assert.equal(await Vote.countDocuments({ poll: poll._id }), 1);
+  });
+
+  it('stores both guest ballots when the poll allows repeat votes', async () => {
+    const { poll, options } = await createPoll(creator.user, { allowAnonymous: true, anonymousDuplicatePolicy: 'none' });
+    const { token } = issueVoterToken();
+
+    const responses = await guestVoteTwiceAtOnce(poll, options, [token, token]);
+
+    assert.deepEqual(responses.map(response => response.status), [201, 201]);
+    assert.equal(await Vote.countDocuments({ poll: poll._id }), 2);
+  });
+
+  it('lets a voter change their ballot once the poll allows it', async () => {
+    const { poll, options } = await createPoll(creator.user, { allowVoteChange: true });
+    const voter = await createUser();
+
+    const first = await server.request('POST', '/api/votes', {
+      token: voter.token,
+      body: { poll: poll._id, pollOption: options[0]._id }
+    });
+    assert.equal(first.status, 201);
+
+    const changed = await server.request('PUT', `/api/votes/${poll._id}`, {
+      token: voter.token,
+      body: { pollOption: options[2]._id }
+    });
+    assert.equal(changed.status, 200);
+
+    const stored = await Vote.find({ poll: poll._id, user: voter.user._id });
+    assert.deepEqual(stored.map(vote => vote.pollOption.toString()), [options[2]._id.toString()]);
+    assert.equal((await Poll.findById(poll._id)).voterCount, 1);
+  });
+
+  it('lists the counted totals with each poll', async () => {
+    const { poll, options } = await createPoll(creator.user, { question: 'Counted in the list?' });
+    for (const option of [options[0], options[0], options[2]]) {
+      const voter = await createUser();
+      const response = await server.request('POST', '/api/votes', {
+        token: voter.token,
+        body: { poll: poll._id, pollOption: option._id }
+      });
+      assert.equal(response.status, 201);
+    }
+
+    for (const sort of ['most_votes', 'trending']) {
+      const { status, data } = await server.request('GET', `/api/polls?sort=${sort}`);
+      assert.equal(status, 200);
+
+      const listed = data.polls.find(item => item._id === poll._id.toString());
+      assert.ok(listed, `the poll is listed when sorted by ${sort}`);
+      assert.deepEqual(listed.options.map(option => option.votes), [2, 0, 1]);
+      assert.equal(listed.totalVotes, 3);
+      assert.equal(listed.totalVoters, 3);
+    }
+  });
+
+  it('ranks trending polls by the votes of the last day', async () => {
+    const { poll: popular, options: popularOptions } = await createPoll(creator.user, { question: 'Popular last week?' });
+    const { poll: rising, options: risingOptions } = await createPoll(creator.user, { question: 'Rising today?' });
+    const vote = async (poll, option) => {
+      const voter = await createUser();
+      const response = await server.request('POST', '/api/votes', {
+        token: voter.token,
+        body: { poll: poll._id, pollOption: option._id }
+      });
+      assert.equal(response.status, 201);
+    };
+
+    for (let i = 0; i < 3; i++) await vote(popular, popularOptions[0]);
+    await vote(rising, risingOptions[0]);
+    // Age the popular poll's votes out of the window, past the timestamps Mongoose keeps
+    await Vote.collection.updateMany({ poll: popular._id }, { $set: { createdAt: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000) } });
+    await refreshTrendingCounts();
+
+    assert.equal((await Poll.findById(popular._id)).recentVoteCount, 0);
+    assert.equal((await Poll.findById(rising._id)).recentVoteCount, 1);
+
+    const { data } = await server.request('GET', '/api/polls?sort=trending&limit=100');
+    const order = data.polls.map(item => item._id);
+    assert.ok(order.indexOf(rising._id.toString()) < order.indexOf(popular._id.toString()));
+    assert.equal('recentVoteCount' in data.polls[0], false);
+  });
+});
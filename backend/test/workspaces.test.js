@@ -0,0 +1,144 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipWithoutDb, connectTestDb, disconnectTestDb } = require('./helpers/db');
+const { startTestServer } = require('./helpers/app');
+const { createUser } = require('./helpers/fixtures');
+const AuditLog = require('../models/AuditLog');
+const Poll = require('../models/Poll');
+
+describe('workspaces', { skip: skipWithoutDb }, () => {
+  let server;
+  let owner;
+
+  before(async () => {
+    await connectTestDb();
+    server = await startTestServer();
+    owner = await createUser();
+  });
+
+  after(async () => {
+    await server.close();
+    await disconnectTestDb();
+  });
+
+  const createWorkspace = async (name = 'Design team') => {
+    const { status, data } = await server.request('POST', '/api/workspaces', {
+      token: owner.token,
+      body: { name, description: 'Weekly polls' }
+    });
+    assert.equal(status, 201);
+    return data;
+  };
+
+  const entriesFor = (workspace) => AuditLog.find({ 'target.type': 'workspace', 'target.id': workspace._id })
+    .sort({ createdAt: 1, _id: 1 })
+    .lean();
+
+  it('records creating, renaming and deleting a workspace', async () => {
+    const workspace = await createWorkspace();
+
+    const renamed = await server.request('PATCH', `/api/workspaces/${workspace._id}`, {
+      token: owner.token,
+      body: { name: 'Product team' }
+    });
+    assert.equal(renamed.status, 200);
+
+    const deleted = await server.request('DELETE', `/api/workspaces/${workspace._id}`, { token: owner.token });
+    assert.equal(deleted.status, 200);
+
+    const [created, updated, removed] = await entriesFor(workspace);
+    assert.equal(created.action, 'workspace.create');
+    assert.deepEqual(created.changes, {
+      name: { before: null, after: 'Design team' },
+      description: { before: null, after: 'Weekly polls' }
+    });
+    assert.equal(created.owner.toString(), owner.user._id.toString());
+
+    assert.equal(updated.action, 'workspace.update');
+    assert.deepEqual(updated.changes, { name: { before: 'Design team', after: 'Product team' } });
+    assert.equal(updated.target.label, 'Product team');
+
+    assert.equal(removed.action, 'workspace.delete');
+    assert.deepEqual(removed.changes, {
+      name: { before: 'Product team', after: null },
+      description: { before: 'Weekly polls', after: null }
+    });
+    assert.equal(removed.actor.toString(), owner.user._id.toString());
+  });
+
+  it('records adding a member, changing their role and removing them', async () => {
+    const workspace = await createWorkspace();
+    const { user: member } = await createUser();
+    const memberPath = `/api/workspaces/${workspace._id}/members/${member._id}`;
+
+    const added = await server.request('POST', `/api/workspaces/${workspace._id}/members`, {
+      token: owner.token,
+      body: { email: member.email, role: 'voter' }
+    });
+    assert.equal(added.status, 201);
+    assert.equal((await server.request('PATCH', memberPath, { token: owner.token, body: { role: 'editor' } })).status, 200);
+    assert.equal((await server.request('DELETE', memberPath, { token: owner.token })).status, 200);
+
+    const [, addEntry, roleEntry, removeEntry] = await entriesFor(workspace);
+    assert.deepEqual(
+      [addEntry.action, roleEntry.action, removeEntry.action],
+      ['workspace.member_add', 'workspace.member_role_change', 'workspace.member_remove']
+    );
+    assert.deepEqual(addEntry.changes, { role: { before: null, after: 'voter' } });
+    assert.deepEqual(roleEntry.changes, { role: { before: 'voter', after: 'editor' } });
+    assert.deepEqual(removeEntry.changes, { role: { before: 'editor', after: null } });
+
+    for (const entry of [addEntry, roleEntry, removeEntry]) {
+      assert.equal(entry.metadata.member.toString(), member._id.toString());
+      assert.equal(entry.metadata.email, member.email);
+      assert.equal(entry.owner.toString(), owner.user._id.toString());
+    }
+  });
+
+  it('records a member leaving on their own', async () => {
+    const workspace = await createWorkspace();
+    const member = await createUser();
+    await server.request('POST', `/api/workspaces/${workspace._id}/members`, {
+      token: owner.token,
+      body: { email: member.user.email, role: 'voter' }
+    });
+
+    const left = await server.request('DELETE', `/api/workspaces/${workspace._id}/members/${member.user._id}`, {
+      token: member.token
+    });
+    assert.equal(left.status, 200);
+
+    const leaveEntry = (await entriesFor(workspace)).pop();
+    assert.equal(leaveEntry.action, 'workspace.member_leave');
+    assert.equal(leaveEntry.actor.toString(), member.user._id.toString());
+    assert.deepEqual(leaveEntry.changes, { role: { before: 'voter', after: null } });
+  });
+
+  it('lists workspace entries for the creator and filters them by target type', async () => {
+    const workspace = await createWorkspace('Audit filter');
+
+    const { status, data } = await server.request('GET', '/api/audit/mine?targetType=workspace', { token: owner.token });
+    assert.equal(status, 200);
+    assert.ok(data.entries.some(entry => entry.target.id === workspace._id && entry.action === 'workspace.create'));
+    data.entries.forEach(entry => assert.equal(entry.target.type, 'workspace'));
+  });
+
+  it('refuses a poll in the workspace from a voter and writes nothing', async () => {
+    const workspace = await createWorkspace('Voters only');
+    const voter = await createUser();
+    await server.request('POST', `/api/workspaces/${workspace._id}/members`, {
+      token: owner.token,
+      body: { email: voter.user.email, role: 'voter' }
+    });
+
+    const newPoll = { question: 'Lunch?', options: ['Pizza', 'Salad'], workspace: workspace._id };
+    const refused = await server.request('POST', '/api/polls', { token: voter.token, body: newPoll });
+    assert.equal(refused.status, 403);
+    assert.equal(await Poll.countDocuments({ workspace: workspace._id }), 0);
+
+    // The aborted transaction leaves nothing behind for the next request
+    const created = await server.request('POST', '/api/polls', { token: owner.token, body: newPoll });
+    assert.equal(created.status, 201);
+    assert.equal(await Poll.countDocuments({ workspace: workspace._id }), 1);
+  });
+});
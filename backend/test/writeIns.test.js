@@ -0,0 +1,94 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipWithoutDb, connectTestDb, disconnectTestDb } = require('./helpers/db');
+const { startTestServer } = require('./helpers/app');
+const { createUser, createPoll } = require('./helpers/fixtures');
+const PollOption = require('../models/PollOption');
+const Vote = require('../models/Vote');
+
+describe('write-in options', { skip: skipWithoutDb }, () => {
+  let server;
+  let creator;
+
+  before(async () => {
+    await connectTestDb();
+    server = await startTestServer();
+    creator = await createUser();
+  });
+
+  after(async () => {
+    await server.close();
+    await disconnectTestDb();
+  });
+
+  // Broadcasts of one type for the poll, once the expected number have gone out
+  const waitForBroadcasts = async (poll, type, count) => {
+    const matching = () => server.app.locals.broadcasts
+      .filter(({ pollId, payload }) => pollId === poll._id.toString() && payload.type === type);
+    for (let attempt = 0; attempt < 50 && matching().length < count; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    return matching();
+  };
+
+  it('adds one option when two voters write in the same text at once', async () => {
+    const { poll } = await createPoll(creator.user, { allowWriteIns: true });
+    const voters = await Promise.all([createUser(), createUser()]);
+
+    const responses = await Promise.all([
+      server.request('POST', '/api/votes', { token: voters[0].token, body: { poll: poll._id, writeIn: 'Purple' } }),
+      server.request('POST', '/api/votes', { token: voters[1].token, body: { poll: poll._id, writeIn: ' purple ' } })
+    ]);
+    assert.deepEqual(responses.map(response => response.status), [201, 201]);
+
+    const writeIns = await PollOption.find({ poll: poll._id, isWriteIn: true });
+    assert.equal(writeIns.length, 1);
+    responses.forEach(response => assert.equal(response.data.writeIn._id, writeIns[0]._id.toString()));
+    assert.equal(await Vote.countDocuments({ poll: poll._id, pollOption: writeIns[0]._id }), 2);
+    assert.equal((await PollOption.findById(writeIns[0]._id)).voteCount, 2);
+  });
+
+  it('refuses an option that reads the same as one added at the same time', async () => {
+    const { poll } = await createPoll(creator.user);
+
+    const responses = await Promise.all(['Yellow', 'YELLOW'].map(text =>
+      server.request('POST', '/api/options', { token: creator.token, body: { poll: poll._id, text } })
+    ));
+    assert.deepEqual(responses.map(response => response.status).sort(), [201, 400]);
+    assert.equal(responses.find(response => response.status === 400).data.error, 'Poll options must be unique');
+    assert.equal(await PollOption.countDocuments({ poll: poll._id }), 4);
+  });
+
+  it('keeps votes for a write-in awaiting review out of live vote deltas', async () => {
+    const { poll, options } = await createPoll(creator.user, { allowWriteIns: true });
+    const voters = await Promise.all([createUser(), createUser()]);
+
+    const writeIn = await server.request('POST', '/api/votes', { token: voters[0].token, body: { poll: poll._id, writeIn: 'Orange' } });
+    assert.equal(writeIn.status, 201);
+    assert.equal(writeIn.data.writeIn.status, 'pending');
+    const voted = await server.request('POST', '/api/votes', { token: voters[1].token, body: { poll: poll._id, pollOption: options[0]._id } });
+    assert.equal(voted.status, 201);
+
+    const deltas = await waitForBroadcasts(poll, 'vote_delta', 2);
+    deltas.forEach(({ payload }) => assert.equal(writeIn.data.writeIn._id in payload.deltas, false));
+    assert.equal(deltas.reduce((sum, { payload }) => sum + payload.totalVotesDelta, 0), 1);
+
+    const approved = await server.request('PATCH', `/api/options/${writeIn.data.writeIn._id}/approve`, { token: creator.token });
+    assert.equal(approved.status, 200);
+    const [update] = await waitForBroadcasts(poll, 'vote_update', 1);
+    assert.equal(update.payload.totalVotes, 2);
+  });
+
+  it('keeps the comparison text out of option lists', async () => {
+    const { poll } = await createPoll(creator.user);
+
+    const listed = await server.request('GET', `/api/options?poll=${poll._id}`);
+    assert.equal(listed.status, 200);
+    listed.data.forEach(option => assert.equal('normalizedText' in option, false));
+
+    const { data } = await server.request('GET', '/api/polls', { token: creator.token });
+    data.polls
+      .find(item => item._id === poll._id.toString())
+      .options.forEach(option => assert.equal('normalizedText' in option, false));
+  });
+});
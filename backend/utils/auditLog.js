@@ -0,0 +1,94 @@
+const AuditLog = require('../models/AuditLog');
+const { getClientInfo } = require('./authTokens');
+
+// Poll fields worth recording when a poll changes
+const POLL_AUDIT_FIELDS = [
+  'question',
+  'isPublished',
+  'publishAt',
+  'expiresAt',
+  'archivedAt',
+  'visibility',
+  'allowVotingAfterExpiry',
+  'showResultsAfterExpiry',
+  'autoArchive',
+  'allowVoteChange',
+  'allowAnonymous',
+  'anonymousDuplicatePolicy',
+  'allowWriteIns',
+  'writeInModeration',
+  'isQuiz',
+  'quizReveal',
+  'quizSpeedWindow'
+];
+
+// Account fields worth recording when a user changes; secrets and tokens never are
+const USER_AUDIT_FIELDS = ['name', 'email', 'role', 'isVerified', 'isActive', 'suspensionReason', 'twoFactorEnabled'];
+
+// Workspace fields worth recording; membership changes are recorded per member
+const WORKSPACE_AUDIT_FIELDS = ['name', 'description'];
+
+// Plain copy of the given fields, so later changes to the document don't leak into it
+const snapshot = (doc, fields) => {
+  const values = {};
+  fields.forEach(field => {
+    const value = doc[field];
+    if (value instanceof Date) values[field] = value.toISOString();
+    else if (value !== undefined) values[field] = value;
+  });
+  return values;
+};
+
+// Only the fields whose value differs between the two snapshots: { field: { before, after } }
+const diffSnapshots = (before = {}, after = {}) => {
+  const changes = {};
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach(field => {
+    const from = before[field] === undefined ? null : before[field];
+    const to = after[field] === undefined ? null : after[field];
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { before: from, after: to };
+    }
+  });
+  return Object.keys(changes).length > 0 ? changes : undefined;
+};
+
+// Target description for a poll, a survey, an account or a workspace
+const pollTarget = (poll) => ({ type: 'poll', id: poll._id, label: poll.question });
+const surveyTarget = (survey) => ({ type: 'survey', id: survey._id, label: survey.title });
+const userTarget = (user) => ({ type: 'user', id: user._id, label: user.email });
+const workspaceTarget = (workspace) => ({ type: 'workspace', id: workspace._id, label: workspace.name });
+
+// Append an audit entry for a request. The actor defaults to the signed-in user; sign-up and
+// sign-in pass the account explicitly. A failed write is logged and never fails the action.
+async function recordAudit(req, { action, target, owner, before, after, metadata, actor = req.user }) {
+  try {
+    const { ip, userAgent } = getClientInfo(req);
+    await AuditLog.create({
+      actor: actor ? actor._id : null,
+      actorEmail: actor ? actor.email : undefined,
+      impersonatedBy: req.impersonatedBy || null,
+      action,
+      target,
+      owner: owner ? owner._id || owner : null,
+      changes: diffSnapshots(before, after),
+      metadata,
+      ip,
+      userAgent
+    });
+  } catch (auditErr) {
+    console.error(`Audit log write failed for ${action}:`, auditErr.message);
+  }
+}
+
+module.exports = {
+  POLL_AUDIT_FIELDS,
+  USER_AUDIT_FIELDS,
+  WORKSPACE_AUDIT_FIELDS,
+  snapshot,
+  diffSnapshots,
+  pollTarget,
+  surveyTarget,
+  userTarget,
+  workspaceTarget,
+  recordAudit
+};
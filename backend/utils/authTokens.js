@@ -0,0 +1,264 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const RevokedToken = require('../models/RevokedToken');
+
+// Short-lived access tokens (JWT, sent as Bearer) plus long-lived refresh tokens that are
+// rotated on every use and stored only as hashes, one per device session.
+
+const ACCESS_TOKEN_TTL_SECONDS = Number(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+const REFRESH_TOKEN_TTL_MS = (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+// A just-rotated token presented again within this window is most likely a second tab racing
+// the first, not a stolen token
+const ROTATION_GRACE_MS = 30 * 1000;
+
+// Authenticated requests refresh a session's last activity at most this often
+const ACTIVITY_UPDATE_INTERVAL_MS = 60 * 1000;
+
+// Time to enter the second factor after the password was accepted
+const TWO_FACTOR_CHALLENGE_TTL_SECONDS = 5 * 60;
+
+const REFRESH_COOKIE = 'refresh_token';
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+class AuthTokenError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthTokenError';
+    this.status = status;
+  }
+}
+
+const issueAccessToken = (user, session) => {
+  return jwt.sign(
+    { userId: user._id, email: user.email, sid: session._id, ...(session.impersonatedBy ? { imp: session.impersonatedBy } : {}) },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+};
+
+// Proof that the password step of a two-factor login succeeded. It can't be used as an access
+// token: it has no session id and a purpose of its own.
+const issueTwoFactorChallenge = (user) => {
+  return jwt.sign(
+    { userId: user._id, purpose: '2fa' },
+    process.env.JWT_SECRET,
+    { expiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS }
+  );
+};
+
+async function verifyTwoFactorChallenge(challengeToken) {
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new AuthTokenError('Sign-in attempt expired. Please log in again.');
+  }
+  if (decoded.purpose !== '2fa') throw new AuthTokenError('Invalid sign-in attempt');
+
+  const user = await User.findById(decoded.userId);
+  if (!user || !user.twoFactorEnabled) throw new AuthTokenError('Invalid sign-in attempt');
+  return user;
+}
+
+// Short human-readable device description, e.g. "Firefox on Windows"
+function describeDevice(userAgent = '') {
+  const browsers = [
+    ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//], ['Firefox', /Firefox\//], ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['iOS', /iPhone|iPad|iPod/], ['Android', /Android/], ['Windows', /Windows/], ['macOS', /Mac OS X/], ['Linux', /Linux/]
+  ];
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) return userAgent ? 'Unknown device' : 'API client';
+  return [browser && browser[0], system && system[0]].filter(Boolean).join(' on ');
+}
+
+// Device details recorded with a session
+const getClientInfo = (req) => {
+  const userAgent = (req.get('User-Agent') || '').slice(0, 512);
+  return { userAgent, device: describeDevice(userAgent), ip: req.ip };
+};
+
+// Start a new device session and return its first refresh token
+async function createSession(user, clientInfo = {}) {
+  const refreshToken = generateRefreshToken();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    ...clientInfo
+  });
+  return { session, refreshToken };
+}
+
+// Let an admin act as another user. The session lasts as long as its single access token and has
+// no usable refresh token, so it ends on its own; the admin's own session is left untouched.
+async function createImpersonationSession(user, admin, clientInfo = {}) {
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(generateRefreshToken()),
+    expiresAt: new Date(Date.now() + ACCESS_TOKEN_TTL_SECONDS * 1000),
+    ...clientInfo,
+    device: `Impersonated by ${admin.name}`,
+    impersonatedBy: admin._id
+  });
+  return { session, token: issueAccessToken(user, session) };
+}
+
+// Record activity on a session, throttled so busy clients don't write on every request
+const lastActivityWrites = new Map();
+function touchSession(sessionId, ip) {
+  const key = sessionId.toString();
+  const now = Date.now();
+  if (now - (lastActivityWrites.get(key) || 0) < ACTIVITY_UPDATE_INTERVAL_MS) return;
+
+  lastActivityWrites.set(key, now);
+  if (lastActivityWrites.size > 10000) lastActivityWrites.clear();
+
+  Session.updateOne({ _id: sessionId, revokedAt: null }, { $set: { lastActiveAt: new Date(now), ...(ip ? { ip } : {}) } })
+    .catch(error => console.error(`Failed to record activity for session ${key}:`, error.message));
+}
+
+// Exchange a refresh token for a new one (the old one stops working) and a fresh access token
+async function rotateRefreshToken(presentedToken, clientInfo = {}) {
+  if (!presentedToken) throw new AuthTokenError('Refresh token required');
+
+  const presentedHash = hashToken(presentedToken);
+  const refreshToken = generateRefreshToken();
+  const now = new Date();
+
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(refreshToken),
+        previousRefreshTokenHash: presentedHash,
+        lastActiveAt: now,
+        ...(clientInfo.ip ? { ip: clientInfo.ip } : {})
+      }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    // An already rotated token: someone else holds the current one, so end the session
+    const reused = await Session.findOne({ previousRefreshTokenHash: presentedHash, revokedAt: null });
+    if (reused && now - reused.lastActiveAt > ROTATION_GRACE_MS) {
+      await revokeSession(reused, 'refresh_token_reuse');
+      console.warn(`Refresh token reuse detected, revoked session ${reused._id}`);
+    }
+    throw new AuthTokenError('Invalid or expired refresh token');
+  }
+
+  const user = await User.findById(session.user);
+  if (!user) {
+    await revokeSession(session, 'user_deleted');
+    throw new AuthTokenError('Invalid refresh token. User not found.');
+  }
+  if (!user.isActive) {
+    await revokeSession(session, 'account_suspended');
+    throw new AuthTokenError('This account has been suspended', 403);
+  }
+
+  return { user, session, refreshToken };
+}
+
+// Revoke one session: its refresh token stops working and its access tokens are listed as revoked
+async function revokeSession(session, reason = 'logout') {
+  const now = new Date();
+  await Session.updateOne({ _id: session._id, revokedAt: null }, { $set: { revokedAt: now, revokedReason: reason } });
+  await RevokedToken.updateOne(
+    { session: session._id },
+    {
+      $setOnInsert: {
+        user: session.user,
+        reason,
+        expiresAt: new Date(now.getTime() + ACCESS_TOKEN_TTL_SECONDS * 1000)
+      }
+    },
+    { upsert: true }
+  );
+}
+
+// Revoke every session of a user, optionally keeping the current one. Returns the revoked session ids.
+async function revokeUserSessions(userId, { exceptSessionId, reason = 'revoked' } = {}) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const sessions = await Session.find(filter).select('_id user');
+  for (const session of sessions) {
+    await revokeSession(session, reason);
+  }
+  return sessions.map(session => session._id.toString());
+}
+
+// Close the live WebSocket connections of revoked sessions, e.g. the ids revokeUserSessions returns
+const disconnectSessions = (req, sessionIds) => {
+  try {
+    req.app.locals.disconnectSessions && req.app.locals.disconnectSessions(sessionIds);
+  } catch (disconnectErr) {
+    console.error('Session disconnect error:', disconnectErr.message);
+  }
+};
+
+// Verify an access token against its signature, the revocation list and the user record.
+// Shared by the auth middlewares and the WebSocket handshake.
+async function verifyAccessToken(token) {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Tokens from before sessions existed can't be revoked, so they are no longer accepted.
+  // Two-factor challenge tokens have no sid either.
+  if (!decoded.sid) throw new AuthTokenError('Invalid token. Please log in again.');
+
+  if (await RevokedToken.exists({ session: decoded.sid })) {
+    throw new AuthTokenError('Token has been revoked');
+  }
+
+  const user = await User.findById(decoded.userId).select('-passwordHash');
+  if (!user) throw new AuthTokenError('Invalid token. User not found.');
+  if (!user.isActive) throw new AuthTokenError('This account has been suspended', 403);
+
+  return { user, sessionId: decoded.sid, impersonatedBy: decoded.imp || null };
+}
+
+const setRefreshCookie = (res, refreshToken) => {
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: process.env.NODE_ENV === 'production',
+    path: REFRESH_COOKIE_PATH,
+    maxAge: REFRESH_TOKEN_TTL_MS
+  });
+};
+
+const clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE, { path: REFRESH_COOKIE_PATH });
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_COOKIE,
+  AuthTokenError,
+  hashToken,
+  issueAccessToken,
+  issueTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  getClientInfo,
+  createSession,
+  createImpersonationSession,
+  touchSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  disconnectSessions,
+  verifyAccessToken,
+  setRefreshCookie,
+  clearRefreshCookie
+};
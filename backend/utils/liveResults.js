@@ -0,0 +1,44 @@
+const Poll = require('../models/Poll');
+const PollOption = require('../models/PollOption');
+const Vote = require('../models/Vote');
+const { getRankedResults } = require('./voteTally');
+const { getCountedResults } = require('./voteCounters');
+
+// Current results for a poll, in the shape pushed to live subscribers with vote_update.
+// Totals come from the maintained counters; only ranked polls read the ballots for the runoff.
+async function getLiveResults(pollDoc) {
+  const { voteCounts, totalVotes, totalVoters } = await getCountedResults(pollDoc._id);
+  const results = {
+    voteCounts,
+    totalVotes,
+    totalVoters,
+    votingMode: pollDoc.votingMode,
+    isExpired: pollDoc.isExpired
+  };
+
+  if (pollDoc.votingMode === 'ranked') {
+    const [votes, options] = await Promise.all([
+      Vote.find({ poll: pollDoc._id }),
+      PollOption.find({ poll: pollDoc._id, ...PollOption.VISIBLE_OPTIONS }).sort({ position: 1, _id: 1 })
+    ]);
+    results.rankedResults = getRankedResults(votes, options);
+    results.currentRound = results.rankedResults.rounds[results.rankedResults.rounds.length - 1];
+  }
+
+  return results;
+}
+
+// Full live state for a poll, sent to subscribers who missed too much to replay
+async function getPollSnapshot(pollId) {
+  const pollDoc = await Poll.findById(pollId);
+  if (!pollDoc) return null;
+
+  return {
+    ...(await getLiveResults(pollDoc)),
+    status: pollDoc.status,
+    isPublished: pollDoc.isPublished,
+    expiresAt: pollDoc.expiresAt
+  };
+}
+
+module.exports = { getLiveResults, getPollSnapshot };
@@ -505,6 +505,136 @@ function buildEmailContent(event, payload) {
       `
     },
     
+    poll_expired: {
+      subject: '⏰ Your Poll Has Ended - Real-Time Polling',
+      text: `Hi ${userName},\n\nYour poll "${payload.question}" has reached its expiration date and voting has closed.\n\nBest regards,\nReal-Time Polling Team`,
+      html: `
+        ${emailWrapper}
+          <div style="padding: 40px; text-align: center;">
+            <div style="
+              background: linear-gradient(135deg, #6c757d 0%, #495057 100%);
+              width: 80px;
+              height: 80px;
+              border-radius: 50%;
+              margin: 0 auto 30px;
+              display: flex;
+              align-items: center;
+              justify-content: center;
+              font-size: 35px;
+            ">⏰</div>
+            <h1 style="color: #212529; margin: 0 0 20px; font-size: 28px; font-weight: 700;">
+              Poll Has Ended
+            </h1>
+            <p style="color: #495057; font-size: 18px; line-height: 1.6; margin: 0 0 15px;">
+              Hi <strong>${userName}</strong>,
+            </p>
+            <p style="color: #6c757d; font-size: 16px; line-height: 1.6; margin: 0 0 30px;">
+              Your poll reached its expiration date and has stopped accepting new votes.
+            </p>
+            <div style="
+              background: #e9ecef;
+              border: 2px solid #ced4da;
+              border-radius: 15px;
+              padding: 25px;
+              margin: 30px 0;
+              text-align: left;
+            ">
+              <h3 style="color: #495057; margin: 0 0 15px; font-size: 16px;">📋 Ended Poll:</h3>
+              <p style="
+                color: #495057;
+                font-size: 18px;
+                font-weight: 600;
+                margin: 0 0 15px;
+                font-style: italic;
+                line-height: 1.4;
+              ">"${payload.question}"</p>
+              <div>
+                <span style="
+                  background: #495057;
+                  color: white;
+                  padding: 6px 12px;
+                  border-radius: 20px;
+                  font-size: 12px;
+                  font-weight: 600;
+                ">⏰ EXPIRED</span>
+              </div>
+              <p style="color: #495057; font-size: 14px; margin: 15px 0 0; line-height: 1.4;">
+                💡 <strong>Note:</strong> Final results stay available from your dashboard.
+              </p>
+            </div>
+            <a href="${baseUrl}/polls/${payload.pollId}" style="${buttonStyle('#6c757d', '#5a6268')}">
+              📊 View Final Results
+            </a>
+          </div>
+        ${emailFooter}
+      `
+    },
+    
+    poll_archived: {
+      subject: '🗄️ Poll Archived - Real-Time Polling',
+      text: `Hi ${userName},\n\nYour poll "${payload.question}" has expired and was archived automatically.\n\nBest regards,\nReal-Time Polling Team`,
+      html: `
+        ${emailWrapper}
+          <div style="padding: 40px; text-align: center;">
+            <div style="
+              background: linear-gradient(135deg, #17a2b8 0%, #138496 100%);
+              width: 80px;
+              height: 80px;
+              border-radius: 50%;
+              margin: 0 auto 30px;
+              display: flex;
+              align-items: center;
+              justify-content: center;
+              font-size: 35px;
+            ">🗄️</div>
+            <h1 style="color: #212529; margin: 0 0 20px; font-size: 28px; font-weight: 700;">
+              Poll Archived
+            </h1>
+            <p style="color: #495057; font-size: 18px; line-height: 1.6; margin: 0 0 15px;">
+              Hi <strong>${userName}</strong>,
+            </p>
+            <p style="color: #6c757d; font-size: 16px; line-height: 1.6; margin: 0 0 30px;">
+              Your poll has expired and was archived automatically, so it is no longer listed publicly.
+            </p>
+            <div style="
+              background: #d1ecf1;
+              border: 2px solid #bee5eb;
+              border-radius: 15px;
+              padding: 25px;
+              margin: 30px 0;
+              text-align: left;
+            ">
+              <h3 style="color: #0c5460; margin: 0 0 15px; font-size: 16px;">📋 Archived Poll:</h3>
+              <p style="
+                color: #0c5460;
+                font-size: 18px;
+                font-weight: 600;
+                margin: 0 0 15px;
+                font-style: italic;
+                line-height: 1.4;
+              ">"${payload.question}"</p>
+              <div>
+                <span style="
+                  background: #0c5460;
+                  color: white;
+                  padding: 6px 12px;
+                  border-radius: 20px;
+                  font-size: 12px;
+                  font-weight: 600;
+                ">🗄️ ARCHIVED</span>
+              </div>
+              <p style="color: #0c5460; font-size: 14px; margin: 15px 0 0; line-height: 1.4;">
+                💡 <strong>Note:</strong> You can republish this poll anytime from your dashboard.
+              </p>
+            </div>
+            <a href="${baseUrl}/my-polls" style="${buttonStyle('#17a2b8', '#138496')}">
+              🔧 Manage Polls
+            </a>
+          </div>
+        ${emailFooter}
+      `
+    },
+    
     poll_deleted: {
       subject: '🗑️ Poll Deleted - Real-Time Polling',
       text: `Hi ${userName},\n\nYour poll "${payload.question}" has been permanently deleted.\n\nBest regards,\nReal-Time Polling Team`,
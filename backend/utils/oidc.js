@@ -0,0 +1,212 @@
+const jwt = require('jsonwebtoken');
+const { Issuer, generators, custom } = require('openid-client');
+const User = require('../models/User');
+const { revokeUserSessions } = require('./authTokens');
+
+// OpenID Connect single sign-on (authorization code flow with PKCE). Providers are configured
+// through OIDC_PROVIDERS, a JSON array such as
+//   [{"id":"corp","name":"Company SSO","issuer":"https://login.example.com",
+//     "clientId":"polls","clientSecret":"...","scopes":"openid email profile"}]
+// clientSecret may be left out for public clients. Plain http issuers are accepted so a local
+// mock provider can be used in development.
+
+// Short-lived signed cookie carrying state, nonce and PKCE verifier between login and callback
+const FLOW_COOKIE = 'oidc_flow';
+const FLOW_COOKIE_PATH = '/api/auth/oidc';
+const FLOW_TTL_SECONDS = 10 * 60;
+const DEFAULT_SCOPES = 'openid email profile';
+
+custom.setHttpOptionsDefaults({ timeout: 10000 });
+
+class OidcError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'OidcError';
+    this.status = status;
+  }
+}
+
+function loadProviders() {
+  if (!process.env.OIDC_PROVIDERS) return [];
+
+  let configured;
+  try {
+    configured = JSON.parse(process.env.OIDC_PROVIDERS);
+  } catch (error) {
+    console.error('OIDC_PROVIDERS is not valid JSON, single sign-on is disabled:', error.message);
+    return [];
+  }
+
+  return (Array.isArray(configured) ? configured : []).filter(provider => {
+    const valid = provider && /^[a-z0-9-]+$/i.test(provider.id || '') && provider.issuer && provider.clientId;
+    if (!valid) console.error('Skipping OIDC provider without a valid id, issuer and clientId:', provider && provider.id);
+    return valid;
+  }).map(provider => ({
+    ...provider,
+    name: provider.name || provider.id,
+    scopes: provider.scopes || DEFAULT_SCOPES
+  }));
+}
+
+let providers = null;
+const getProviders = () => {
+  if (!providers) providers = loadProviders();
+  return providers;
+};
+
+// What the login screen needs to show the buttons
+const listProviders = () => getProviders().map(({ id, name }) => ({ id, name }));
+
+const getProvider = (providerId) => {
+  const provider = getProviders().find(item => item.id === providerId);
+  if (!provider) throw new OidcError('Unknown sign-in provider', 404);
+  return provider;
+};
+
+// The callback goes through the frontend's /api proxy so the session cookie lands on its origin
+const getRedirectUri = (provider) => {
+  return provider.redirectUri ||
+    `${process.env.FRONTEND_URL || 'http://localhost:3000'}/api/auth/oidc/${provider.id}/callback`;
+};
+
+// Discovery runs once per provider; a failed discovery is retried on the next login
+const clients = new Map();
+function getClient(provider) {
+  if (!clients.has(provider.id)) {
+    const pending = Issuer.discover(provider.issuer).then(issuer => new issuer.Client({
+      client_id: provider.clientId,
+      client_secret: provider.clientSecret,
+      redirect_uris: [getRedirectUri(provider)],
+      response_types: ['code'],
+      token_endpoint_auth_method: provider.clientSecret ? 'client_secret_basic' : 'none'
+    }));
+    pending.catch(error => {
+      clients.delete(provider.id);
+      console.error(`OIDC discovery failed for ${provider.id}:`, error.message);
+    });
+    clients.set(provider.id, pending);
+  }
+  return clients.get(provider.id);
+}
+
+// Start a login: the provider's authorization URL plus the flow token to keep in a cookie
+async function beginLogin(providerId) {
+  const provider = getProvider(providerId);
+  const client = await getClient(provider);
+
+  const state = generators.state();
+  const nonce = generators.nonce();
+  const codeVerifier = generators.codeVerifier();
+
+  const url = client.authorizationUrl({
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: generators.codeChallenge(codeVerifier),
+    code_challenge_method: 'S256'
+  });
+  const flowToken = jwt.sign(
+    { purpose: 'oidc', provider: provider.id, state, nonce, codeVerifier },
+    process.env.JWT_SECRET,
+    { expiresIn: FLOW_TTL_SECONDS }
+  );
+
+  return { url, flowToken };
+}
+
+// Finish a login: check the callback against the flow it belongs to, redeem the code and return
+// the ID token claims (merged with userinfo when the ID token has no email)
+async function completeLogin(providerId, flowToken, req) {
+  const provider = getProvider(providerId);
+
+  let flow;
+  try {
+    flow = jwt.verify(flowToken || '', process.env.JWT_SECRET);
+  } catch (error) {
+    throw new OidcError('Sign-in attempt expired, please try again');
+  }
+  if (flow.purpose !== 'oidc' || flow.provider !== provider.id) {
+    throw new OidcError('Sign-in attempt does not match this provider');
+  }
+
+  const client = await getClient(provider);
+  const params = client.callbackParams(req);
+  if (params.error) {
+    throw new OidcError(`Sign-in was cancelled or denied (${params.error})`, 401);
+  }
+
+  const tokenSet = await client.callback(getRedirectUri(provider), params, {
+    state: flow.state,
+    nonce: flow.nonce,
+    code_verifier: flow.codeVerifier
+  });
+
+  let claims = tokenSet.claims();
+  if (!claims.email && tokenSet.access_token && client.issuer.userinfo_endpoint) {
+    const userinfo = await client.userinfo(tokenSet);
+    if (userinfo.sub === claims.sub) claims = { ...userinfo, ...claims };
+  }
+
+  return { provider, claims };
+}
+
+// Display name from the usual claims, within the User name limits
+const nameFromClaims = (claims) => {
+  const fullName = [claims.given_name, claims.family_name].filter(Boolean).join(' ');
+  const name = (claims.name || fullName || claims.preferred_username || claims.email.split('@')[0]).trim().slice(0, 50);
+  return name.length >= 2 ? name : 'SSO user';
+};
+
+// Find the account for an external identity. Known identities sign straight in; otherwise the
+// identity is linked to the account with the same email, or a new verified account is created.
+// Only emails the provider has verified are trusted for either.
+async function resolveUser(provider, claims) {
+  const issuer = claims.iss;
+  const subject = claims.sub;
+
+  const linked = await User.findOne({ identities: { $elemMatch: { issuer, subject } } });
+  if (linked) return { user: linked, created: false, linked: false };
+
+  if (!claims.email || claims.email_verified !== true) {
+    throw new OidcError('Your identity provider did not share a verified email address', 403);
+  }
+
+  const email = claims.email.toLowerCase().trim();
+  const identity = { provider: provider.id, issuer, subject, email };
+  let user = await User.findOne({ email });
+
+  if (user) {
+    // An unverified account may have been registered by someone else with this address before
+    // its owner signed in: drop its password, second factor and sessions when linking
+    const claimed = !user.isVerified;
+    if (claimed) {
+      user.passwordHash = undefined;
+      user.clearTwoFactor();
+      user.clearVerificationToken();
+      user.isVerified = true;
+    }
+    user.identities.push(identity);
+    await user.save();
+    if (claimed) await revokeUserSessions(user._id, { reason: 'sso_account_claimed' });
+    return { user, created: false, linked: true };
+  }
+
+  user = await User.create({
+    name: nameFromClaims(claims),
+    email,
+    isVerified: true,
+    identities: [identity]
+  });
+  return { user, created: true, linked: false };
+}
+
+module.exports = {
+  FLOW_COOKIE,
+  FLOW_COOKIE_PATH,
+  FLOW_TTL_SECONDS,
+  OidcError,
+  listProviders,
+  beginLogin,
+  completeLogin,
+  resolveUser
+};
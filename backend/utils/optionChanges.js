@@ -0,0 +1,60 @@
+const Poll = require('../models/Poll');
+const PollOption = require('../models/PollOption');
+const { getCountedResults } = require('./voteCounters');
+
+// Options of a poll voters can see, in display order, with their current first-preference vote counts
+async function getOptionList(pollId) {
+  const [options, { voteCounts }] = await Promise.all([
+    PollOption.find({ poll: pollId, ...PollOption.VISIBLE_OPTIONS }).sort({ position: 1, _id: 1 }),
+    getCountedResults(pollId)
+  ]);
+  return options.map(option => ({
+    ...option.toObject(),
+    votes: voteCounts[option._id] || 0
+  }));
+}
+
+// The option of a poll that already reads the same as the text (ignoring case), pending write-ins
+// included, or null
+async function findOptionByText(pollId, text, exceptOptionId) {
+  const options = await PollOption.find({ poll: pollId, _id: { $ne: exceptOptionId } }).select('text status');
+  const wanted = PollOption.normalizeOptionText(text);
+  return options.find(option => PollOption.normalizeOptionText(option.text) === wanted) || null;
+}
+
+// Duplicate key on the unique_option_text index: an option reading the same was saved first
+const isDuplicateOptionError = (error) => error.code === 11000 && /unique_option_text/.test(error.message);
+
+// Position after the poll's last option
+async function getNextPosition(pollId) {
+  const last = await PollOption.findOne({ poll: pollId }).sort({ position: -1 }).select('position');
+  return last ? last.position + 1 : 0;
+}
+
+// Refresh the search copy of the texts and push the new option list to live subscribers
+async function publishOptionsChange(req, poll, change, optionId) {
+  await Poll.syncOptionTexts(poll._id);
+  const options = await getOptionList(poll._id);
+
+  try {
+    req.app.locals.broadcastToPoll && req.app.locals.broadcastToPoll(poll._id, {
+      type: 'options_changed',
+      pollId: poll._id,
+      change,
+      optionId,
+      options
+    });
+  } catch (notifyErr) {
+    console.error('Options change notification error:', notifyErr.message);
+  }
+
+  return options;
+}
+
+module.exports = {
+  getOptionList,
+  findOptionByText,
+  isDuplicateOptionError,
+  getNextPosition,
+  publishOptionsChange
+};
@@ -0,0 +1,27 @@
+// Account roles and the named capabilities each grants. Routes check capabilities, never role
+// names, so a role can be added or reshaped here without touching them.
+
+const CAPABILITIES = {
+  MANAGE_USERS: 'manage_users',
+  MODERATE_POLLS: 'moderate_polls',
+  VIEW_AUDIT_LOG: 'view_audit_log'
+};
+
+const ROLE_CAPABILITIES = {
+  user: [],
+  moderator: [CAPABILITIES.MODERATE_POLLS],
+  admin: Object.values(CAPABILITIES)
+};
+
+const USER_ROLES = Object.keys(ROLE_CAPABILITIES);
+
+const getCapabilities = (role) => ROLE_CAPABILITIES[role] || [];
+
+const hasCapability = (user, capability) => !!user && getCapabilities(user.role).includes(capability);
+
+module.exports = {
+  CAPABILITIES,
+  USER_ROLES,
+  getCapabilities,
+  hasCapability
+};
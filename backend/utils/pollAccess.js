@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Poll = require('../models/Poll');
+const Workspace = require('../models/Workspace');
+const ShareLink = require('../models/ShareLink');
+
+// Who may see, vote on and follow a poll. Public polls are open to everyone; workspace and
+// invite-link polls only to members of the poll's workspace, invite-link polls also to anyone
+// presenting the poll's invite token. Unlisted polls are open to anyone holding one of their
+// active share links. Creators can always reach their own polls.
+
+const INVITE_HEADER = 'X-Poll-Invite';
+const SHARE_HEADER = 'X-Poll-Share';
+
+const generateInviteToken = () => crypto.randomBytes(24).toString('base64url');
+const generateShareToken = generateInviteToken;
+const hashShareToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Invite token sent with an HTTP request, as a header or ?invite= query parameter
+const getInviteToken = (req) => req.get(INVITE_HEADER) || (typeof req.query.invite === 'string' ? req.query.invite : null);
+
+// Share token sent with an HTTP request, as a header or ?share= query parameter
+const getShareToken = (req) => req.get(SHARE_HEADER) || (typeof req.query.share === 'string' ? req.query.share : null);
+
+const isPublicPoll = (poll) => !poll.visibility || poll.visibility === 'public';
+
+const inviteTokenMatches = (poll, inviteToken) => {
+  if (poll.visibility !== 'invite_link' || !poll.inviteToken || typeof inviteToken !== 'string') return false;
+  const expected = Buffer.from(poll.inviteToken);
+  const presented = Buffer.from(inviteToken);
+  return expected.length === presented.length && crypto.timingSafeEqual(expected, presented);
+};
+
+// Share links that were neither revoked nor have expired
+const activeShareLinkMatch = () => ({
+  revokedAt: null,
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+});
+
+// Active share link behind a token
+async function findShareLink(token) {
+  if (typeof token !== 'string' || !token) return null;
+  return ShareLink.findOne({ tokenHash: hashShareToken(token), ...activeShareLinkMatch() });
+}
+
+// Share links only open up polls that are still unlisted
+async function shareTokenGrants(poll, shareToken) {
+  if (poll.visibility !== 'unlisted' || !shareToken) return false;
+  const link = await findShareLink(shareToken);
+  return !!link && link.poll.toString() === poll._id.toString();
+}
+
+const isCreator = (poll, userId) => {
+  const creatorId = poll.creator && (poll.creator._id || poll.creator);
+  return !!userId && !!creatorId && creatorId.toString() === userId.toString();
+};
+
+// Role of a user in a workspace, or null
+async function getWorkspaceRole(workspaceId, userId) {
+  if (!workspaceId || !userId) return null;
+  const workspace = await Workspace.findOne({ _id: workspaceId, 'members.user': userId }).select('members');
+  return workspace ? workspace.getRole(userId) : null;
+}
+
+// Whether a user (null for guests) may see and vote on a poll. Invite-link checks need the poll
+// loaded with +inviteToken.
+async function canAccessPoll(poll, userId, { inviteToken, shareToken } = {}) {
+  if (isPublicPoll(poll) || isCreator(poll, userId)) return true;
+  if (inviteTokenMatches(poll, inviteToken)) return true;
+  if (await shareTokenGrants(poll, shareToken)) return true;
+  return !!(await getWorkspaceRole(poll.workspace, userId));
+}
+
+// Whether a user may manage a poll's sharing settings: its creator or an owner/editor of its workspace
+async function canManagePollSharing(poll, userId) {
+  if (isCreator(poll, userId)) return true;
+  const role = await getWorkspaceRole(poll.workspace, userId);
+  return role === 'owner' || role === 'editor';
+}
+
+// $match condition limiting poll listings to what a user may see. Invite-link polls are only
+// listed for members and unlisted polls only for their creator; link holders reach them directly.
+async function buildListingAccessMatch(userId) {
+  const conditions = [{ visibility: { $in: ['public', null] } }];
+  if (userId) {
+    conditions.push({ creator: new mongoose.Types.ObjectId(userId.toString()) });
+    const workspaceIds = await Workspace.findIdsForUser(userId);
+    if (workspaceIds.length) conditions.push({ workspace: { $in: workspaceIds }, visibility: { $ne: 'unlisted' } });
+  }
+  return { $or: conditions };
+}
+
+// Split poll ids into those a user may follow live and those they may not. Ids that aren't
+// valid ObjectIds are passed through so the caller can reject them with its own reason.
+// inviteTokens and shareTokens map poll ids to the tokens presented for them.
+async function filterAccessiblePollIds(pollIds, userId, { inviteTokens = {}, shareTokens = {} } = {}) {
+  const validIds = pollIds.filter(id => mongoose.Types.ObjectId.isValid(id));
+  const polls = await Poll.find({ _id: { $in: validIds } })
+    .select('+inviteToken creator workspace visibility')
+    .lean();
+  const pollsById = new Map(polls.map(poll => [poll._id.toString(), poll]));
+  const memberOf = new Set((await Workspace.findIdsForUser(userId)).map(id => id.toString()));
+
+  // Unlisted polls whose share link was presented with the subscription
+  const sharedPollIds = Object.keys(shareTokens).filter(pollId => {
+    const poll = pollsById.get(pollId);
+    return poll && poll.visibility === 'unlisted' && typeof shareTokens[pollId] === 'string';
+  });
+  const shared = new Set();
+  if (sharedPollIds.length) {
+    const links = await ShareLink.find({
+      tokenHash: { $in: sharedPollIds.map(pollId => hashShareToken(shareTokens[pollId])) },
+      ...activeShareLinkMatch()
+    }).select('poll tokenHash').lean();
+    links.forEach(link => {
+      const pollId = link.poll.toString();
+      if (shareTokens[pollId] && hashShareToken(shareTokens[pollId]) === link.tokenHash) shared.add(pollId);
+    });
+  }
+
+  const allowed = [];
+  const denied = [];
+  pollIds.forEach((pollId) => {
+    const poll = pollsById.get(pollId);
+    if (!mongoose.Types.ObjectId.isValid(pollId)) {
+      allowed.push(pollId);
+    } else if (!poll) {
+      denied.push(pollId);
+    } else if (isPublicPoll(poll) || isCreator(poll, userId) || inviteTokenMatches(poll, inviteTokens[pollId]) ||
+      shared.has(pollId) || (poll.workspace && memberOf.has(poll.workspace.toString()))) {
+      allowed.push(pollId);
+    } else {
+      denied.push(pollId);
+    }
+  });
+  return { allowed, denied };
+}
+
+module.exports = {
+  INVITE_HEADER,
+  SHARE_HEADER,
+  generateInviteToken,
+  generateShareToken,
+  hashShareToken,
+  getInviteToken,
+  getShareToken,
+  findShareLink,
+  isCreator,
+  getWorkspaceRole,
+  canAccessPoll,
+  canManagePollSharing,
+  buildListingAccessMatch,
+  filterAccessiblePollIds
+};
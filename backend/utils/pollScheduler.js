@@ -0,0 +1,211 @@
+const Poll = require('../models/Poll');
+const { sendNotificationEmail } = require('./mailer');
+const { publishQuizLeaderboard } = require('./quiz');
+
+// Pending jobs live in MongoDB (publishAt / expiresAt); timers are only armed for jobs due
+// before the next rescan, which also keeps delays well under setTimeout's ~24.8 day limit
+const RESCAN_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
+const SCHEDULE_HORIZON_MS = 2 * RESCAN_INTERVAL_MS;
+
+// Expiries the server missed by more than this (e.g. long downtime) are processed without emailing
+const STALE_NOTIFICATION_MS = 24 * 60 * 60 * 1000; // 1 day
+
+// In-process scheduler that publishes, expires and auto-archives polls on time
+function createPollScheduler({ broadcastToPoll, broadcastToUser }) {
+  const timers = new Map(); // `${pollId}:${job}` -> timeout
+  let rescanInterval = null;
+
+  const clearJob = (pollId, job) => {
+    const key = `${pollId}:${job}`;
+    if (timers.has(key)) {
+      clearTimeout(timers.get(key));
+      timers.delete(key);
+    }
+  };
+
+  const scheduleJob = (pollId, job, runAt) => {
+    clearJob(pollId, job);
+
+    const delay = Math.max(0, new Date(runAt).getTime() - Date.now());
+    if (delay > SCHEDULE_HORIZON_MS) return; // picked up by a later rescan
+
+    const timer = setTimeout(() => {
+      timers.delete(`${pollId}:${job}`);
+      runJob(pollId, job).catch(err => {
+        console.error(`Scheduled ${job} failed for poll ${pollId}:`, err.message);
+      });
+    }, delay);
+    timers.set(`${pollId}:${job}`, timer);
+  };
+
+  // Tell subscribers, the creator's open sessions and the creator's inbox about a transition
+  const notifyTransition = async (poll, status, event, { sendEmail = true } = {}) => {
+    const pollId = poll._id.toString();
+
+    broadcastToPoll(pollId, {
+      type: 'poll_status_update',
+      pollId,
+      status,
+      isPublished: poll.isPublished,
+      expiresAt: poll.expiresAt
+    });
+
+    try {
+      broadcastToUser(poll.creator._id, event, {
+        pollId: poll._id,
+        question: poll.question,
+        status
+      });
+    } catch (notifyErr) {
+      console.error(`Scheduled ${event} notification error:`, notifyErr.message);
+    }
+
+    if (!sendEmail) return;
+    try {
+      await sendNotificationEmail(poll.creator, event, {
+        pollId: poll._id,
+        question: poll.question,
+        status
+      });
+    } catch (emailErr) {
+      console.error(`Scheduled ${event} email notification error:`, emailErr.message);
+    }
+  };
+
+  // Each transition is a conditional update, so a job that lost a race with a manual edit
+  // (or with another server instance) matches nothing and does nothing
+  const publishPoll = async (pollId) => {
+    const poll = await Poll.findOneAndUpdate(
+      { _id: pollId, isPublished: false, publishAt: { $lte: new Date() } },
+      { $set: { isPublished: true }, $unset: { publishAt: 1, archivedAt: 1 } },
+      { new: true }
+    ).populate('creator', 'name email');
+    if (!poll) return false;
+
+    console.log(`⏰ Published scheduled poll ${pollId}`);
+    await notifyTransition(poll, 'active', 'poll_published');
+    schedulePoll(poll); // arm the expiry job
+    return true;
+  };
+
+  const expirePoll = async (pollId) => {
+    const now = new Date();
+    const poll = await Poll.findOneAndUpdate(
+      { _id: pollId, isPublished: true, expiresAt: { $lte: now }, expiryHandledAt: null },
+      { $set: { expiryHandledAt: now } },
+      { new: true }
+    ).populate('creator', 'name email');
+    if (!poll) return false;
+
+    const sendEmail = now - poll.expiresAt < STALE_NOTIFICATION_MS;
+    console.log(`⏰ Expired poll ${pollId}`);
+    await notifyTransition(poll, 'expired', 'poll_expired', { sendEmail });
+
+    // A closed quiz reveals its answers and final standings to everyone watching
+    if (poll.isQuiz) {
+      try {
+        await publishQuizLeaderboard(broadcastToPoll, poll);
+      } catch (notifyErr) {
+        console.error('Quiz leaderboard broadcast error:', notifyErr.message);
+      }
+    }
+
+    if (poll.autoArchive) {
+      // A direct update, since the save hook rejects polls whose expiry is in the past
+      const archived = await Poll.findOneAndUpdate(
+        { _id: pollId, isPublished: true },
+        { $set: { isPublished: false, archivedAt: now } },
+        { new: true }
+      ).populate('creator', 'name email');
+      if (archived) {
+        console.log(`🗄️ Auto-archived poll ${pollId}`);
+        await notifyTransition(archived, 'archived', 'poll_archived', { sendEmail });
+      }
+    }
+    return true;
+  };
+
+  const runJob = (pollId, job) => {
+    if (job === 'publish') return publishPoll(pollId);
+    if (job === 'expire') return expirePoll(pollId);
+    return Promise.resolve(false);
+  };
+
+  // (Re)arm a poll's timers from its current state. Call after anything that changes
+  // isPublished, publishAt or expiresAt.
+  function schedulePoll(poll) {
+    const pollId = poll._id.toString();
+
+    if (!poll.isPublished && poll.publishAt) {
+      scheduleJob(pollId, 'publish', poll.publishAt);
+    } else {
+      clearJob(pollId, 'publish');
+    }
+
+    if (poll.isPublished && poll.expiresAt && !poll.expiryHandledAt) {
+      scheduleJob(pollId, 'expire', poll.expiresAt);
+    } else {
+      clearJob(pollId, 'expire');
+    }
+  }
+
+  const unschedulePoll = (pollId) => {
+    clearJob(pollId.toString(), 'publish');
+    clearJob(pollId.toString(), 'expire');
+  };
+
+  // Process everything that is already due and arm timers for what falls due before the next
+  // rescan. Runs at startup, so jobs pending while the server was down are not lost.
+  const rescan = async () => {
+    const now = new Date();
+    const horizon = new Date(now.getTime() + SCHEDULE_HORIZON_MS);
+
+    const pending = await Poll.find({
+      $or: [
+        { isPublished: false, publishAt: { $ne: null, $lte: horizon } },
+        { isPublished: true, expiryHandledAt: null, expiresAt: { $ne: null, $lte: horizon } }
+      ]
+    }).select('isPublished publishAt expiresAt expiryHandledAt');
+
+    let published = 0;
+    let expired = 0;
+    for (const poll of pending) {
+      const pollId = poll._id.toString();
+      if (!poll.isPublished && poll.publishAt <= now) {
+        if (await publishPoll(pollId)) published++;
+      } else if (poll.isPublished && poll.expiresAt <= now) {
+        if (await expirePoll(pollId)) expired++;
+      } else {
+        schedulePoll(poll);
+      }
+    }
+
+    return { published, expired, scheduled: timers.size };
+  };
+
+  const start = () => {
+    if (rescanInterval) return;
+    const runRescan = () => rescan().catch(err => console.error('Poll scheduler rescan failed:', err.message));
+    runRescan();
+    rescanInterval = setInterval(runRescan, RESCAN_INTERVAL_MS);
+    console.log('Poll scheduler started');
+  };
+
+  const stop = () => {
+    clearInterval(rescanInterval);
+    rescanInterval = null;
+    timers.forEach(timer => clearTimeout(timer));
+    timers.clear();
+  };
+
+  return {
+    start,
+    stop,
+    rescan,
+    schedulePoll,
+    unschedulePoll,
+    pendingJobs: () => timers.size
+  };
+}
+
+module.exports = { createPollScheduler };
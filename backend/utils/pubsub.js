@@ -0,0 +1,118 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+
+// Pub/sub adapters fan realtime events out to every server instance.
+// An adapter exposes:
+//   publish(message)      - send a message to every other instance (returns a promise)
+//   subscribe(handler)    - handler(message) is called for messages from other instances
+//   close()               - stop listening and release resources
+// Messages carry the publishing instance's id so an instance can skip its own events,
+// which it has already delivered to its local sockets.
+
+// Single-process adapter. Instances sharing a bus (e.g. several hubs in one process)
+// see each other's events; the default private bus makes it a no-op fan-out.
+function createMemoryAdapter({ bus = new EventEmitter() } = {}) {
+  const instanceId = crypto.randomBytes(8).toString('hex');
+  const handlers = [];
+
+  const onMessage = (message) => {
+    if (message.origin === instanceId) return;
+    handlers.forEach(handler => handler(message));
+  };
+  bus.on('message', onMessage);
+
+  return {
+    name: 'memory',
+    instanceId,
+    publish: async (message) => {
+      bus.emit('message', { ...message, origin: instanceId });
+    },
+    subscribe: (handler) => {
+      handlers.push(handler);
+    },
+    close: async () => {
+      bus.off('message', onMessage);
+      handlers.length = 0;
+    }
+  };
+}
+
+// Cross-process adapter built on a MongoDB change stream. Every instance inserts its events
+// into a shared collection and tails inserts made by the others. Change streams need a
+// replica set (a single-node replica set is enough); events expire after a minute.
+function createMongoAdapter({ connection, collectionName = 'realtime_events', ttlSeconds = 60 }) {
+  const instanceId = crypto.randomBytes(8).toString('hex');
+  const handlers = [];
+  let changeStream = null;
+  let closed = false;
+
+  const collection = () => connection.collection(collectionName);
+
+  const watch = async () => {
+    await connection.asPromise();
+    if (closed) return;
+
+    await collection().createIndex({ createdAt: 1 }, { expireAfterSeconds: ttlSeconds });
+
+    changeStream = collection().watch([
+      { $match: { operationType: 'insert', 'fullDocument.origin': { $ne: instanceId } } }
+    ]);
+
+    changeStream.on('change', (change) => {
+      const { message } = change.fullDocument;
+      handlers.forEach(handler => handler({ ...message, origin: change.fullDocument.origin }));
+    });
+
+    changeStream.on('error', (error) => {
+      console.error('Realtime change stream error:', error.message);
+      changeStream = null;
+      // Reopen after a short pause unless we are shutting down
+      if (!closed) setTimeout(() => watch().catch(onWatchError), 5000);
+    });
+
+    console.log(`Realtime pub/sub listening on ${collectionName} change stream`);
+  };
+
+  const onWatchError = (error) => {
+    console.error('Failed to open realtime change stream:', error.message);
+  };
+
+  watch().catch(onWatchError);
+
+  return {
+    name: 'mongo',
+    instanceId,
+    publish: async (message) => {
+      await collection().insertOne({ origin: instanceId, message, createdAt: new Date() });
+    },
+    subscribe: (handler) => {
+      handlers.push(handler);
+    },
+    close: async () => {
+      closed = true;
+      handlers.length = 0;
+      if (changeStream) await changeStream.close();
+    }
+  };
+}
+
+// Pick an adapter from REALTIME_ADAPTER ('memory' by default, or 'mongo')
+function createAdapterFromEnv({ connection }) {
+  const adapter = (process.env.REALTIME_ADAPTER || 'memory').toLowerCase();
+  if (adapter === 'mongo') {
+    return createMongoAdapter({
+      connection,
+      collectionName: process.env.REALTIME_COLLECTION || 'realtime_events'
+    });
+  }
+  if (adapter !== 'memory') {
+    console.warn(`Unknown REALTIME_ADAPTER "${adapter}", falling back to in-memory pub/sub`);
+  }
+  return createMemoryAdapter();
+}
+
+module.exports = {
+  createMemoryAdapter,
+  createMongoAdapter,
+  createAdapterFromEnv
+};
@@ -0,0 +1,106 @@
+const PollOption = require('../models/PollOption');
+const Vote = require('../models/Vote');
+
+// Points for a correct answer, plus up to MAX_SPEED_BONUS more for answering quickly
+const CORRECT_POINTS = 100;
+const MAX_SPEED_BONUS = 50;
+// Leaderboard entries sent to clients
+const LEADERBOARD_SIZE = 20;
+
+// A quiz is over once it stops taking votes (quizzes never allow voting after expiry)
+const isQuizClosed = (poll) => !!poll.isExpired || !!poll.archivedAt;
+
+const isPollCreator = (poll, userId) => {
+  const creatorId = poll.creator && (poll.creator._id || poll.creator);
+  return !!userId && !!creatorId && creatorId.toString() === userId.toString();
+};
+
+// Whether a viewer may see the correct options and their own score
+const canSeeAnswers = (poll, { userId, hasVoted }) =>
+  isPollCreator(poll, userId) || isQuizClosed(poll) || (poll.quizReveal === 'after_vote' && hasVoted);
+
+// Whether the leaderboard is public: while the quiz runs only when answers are revealed per voter
+const isLeaderboardPublic = (poll) => poll.quizReveal === 'after_vote' || isQuizClosed(poll);
+
+// Ids of the poll's correct options
+async function getCorrectOptionIds(pollId) {
+  const options = await PollOption.find({ poll: pollId, isCorrect: true }).select('_id');
+  return options.map(option => option._id.toString());
+}
+
+// Score every signed-in voter. An answer is correct when every picked option is a correct one
+// and, on polls taking several choices, all correct options were picked. Correct answers earn a
+// bonus that shrinks linearly from MAX_SPEED_BONUS over quizSpeedWindow seconds after the
+// poll's first answer. Sorted by score, then by who answered first.
+async function getQuizScores(poll) {
+  const [correctIds, votes] = await Promise.all([
+    getCorrectOptionIds(poll._id),
+    Vote.find({ poll: poll._id, user: { $type: 'objectId' } })
+      .select('user pollOption createdAt')
+      .populate('user', 'name')
+  ]);
+
+  const ballots = new Map();
+  votes.forEach(vote => {
+    if (!vote.user) return;
+    const key = vote.user._id.toString();
+    const ballot = ballots.get(key) || { user: { _id: vote.user._id, name: vote.user.name }, options: [], answeredAt: vote.createdAt };
+    ballot.options.push(vote.pollOption.toString());
+    if (vote.createdAt < ballot.answeredAt) ballot.answeredAt = vote.createdAt;
+    ballots.set(key, ballot);
+  });
+
+  const firstAnswerAt = Math.min(...Array.from(ballots.values(), ballot => ballot.answeredAt.getTime()));
+  const singleChoice = poll.selectionLimit === 1;
+  const windowMs = (poll.quizSpeedWindow || 0) * 1000;
+
+  const scores = Array.from(ballots.values()).map(ballot => {
+    const correct = correctIds.length > 0 &&
+      ballot.options.every(id => correctIds.includes(id)) &&
+      (singleChoice || ballot.options.length === correctIds.length);
+    const elapsedMs = ballot.answeredAt.getTime() - firstAnswerAt;
+    const speedBonus = correct && windowMs > 0
+      ? Math.round(MAX_SPEED_BONUS * Math.max(0, 1 - elapsedMs / windowMs))
+      : 0;
+    return {
+      user: ballot.user,
+      correct,
+      points: correct ? CORRECT_POINTS : 0,
+      speedBonus,
+      score: (correct ? CORRECT_POINTS : 0) + speedBonus,
+      answeredAt: ballot.answeredAt,
+      responseSeconds: Math.round(elapsedMs / 100) / 10
+    };
+  });
+
+  scores.sort((a, b) => b.score - a.score || a.answeredAt - b.answeredAt);
+  scores.forEach((entry, index) => { entry.rank = index + 1; });
+  return { correctIds, scores };
+}
+
+// Push the current leaderboard to the poll's live subscribers, with the answers once the quiz is
+// closed. Does nothing while the leaderboard is still private.
+async function publishQuizLeaderboard(broadcastToPoll, poll) {
+  if (!poll.isQuiz || !broadcastToPoll || !isLeaderboardPublic(poll)) return;
+
+  const { correctIds, scores } = await getQuizScores(poll);
+  broadcastToPoll(poll._id.toString(), {
+    type: 'quiz_leaderboard',
+    pollId: poll._id,
+    leaderboard: scores.slice(0, LEADERBOARD_SIZE),
+    totalPlayers: scores.length,
+    correctOptions: isQuizClosed(poll) ? correctIds : undefined
+  });
+}
+
+module.exports = {
+  CORRECT_POINTS,
+  MAX_SPEED_BONUS,
+  LEADERBOARD_SIZE,
+  isQuizClosed,
+  canSeeAnswers,
+  isLeaderboardPublic,
+  getCorrectOptionIds,
+  getQuizScores,
+  publishQuizLeaderboard
+};
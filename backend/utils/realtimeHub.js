@@ -0,0 +1,283 @@
+const mongoose = require('mongoose');
+const WebSocket = require('ws');
+
+const MAX_POLLS_PER_SOCKET = 100;
+const MAX_SUBSCRIBERS_PER_POLL = 5000;
+const REPLAY_BUFFER_SIZE = 100; // events kept per poll for resuming clients
+const MAX_BUFFERED_POLLS = 1000;
+// Close code telling clients their sign-in was revoked (reconnecting with the same token won't work)
+const SESSION_REVOKED_CLOSE_CODE = 4001;
+
+// Broadcast layer for the WebSocket server. Events are delivered to this instance's sockets
+// straight away and published through the pub/sub adapter so other instances deliver them
+// to theirs.
+function createRealtimeHub({
+  wss,
+  adapter,
+  getSnapshot,
+  maxPollsPerSocket = MAX_POLLS_PER_SOCKET,
+  maxSubscribersPerPoll = MAX_SUBSCRIBERS_PER_POLL,
+  replayBufferSize = REPLAY_BUFFER_SIZE,
+  maxBufferedPolls = MAX_BUFFERED_POLLS
+}) {
+  // pollId -> sockets subscribed to it, so poll broadcasts don't scan every client
+  const pollSubscribers = new Map();
+
+  // pollId -> { streamId, seq, events }. Every poll event delivered by this instance gets the
+  // next seq in its poll's stream; recent events are kept so reconnecting clients can catch up.
+  // A stream id changes whenever a stream starts over (server restart, eviction, another
+  // instance), telling clients their seq no longer applies. Map order doubles as LRU order.
+  const pollStreams = new Map();
+  let streamCounter = 0;
+
+  const getStream = (pollId) => {
+    let stream = pollStreams.get(pollId);
+    if (stream) {
+      pollStreams.delete(pollId);
+    } else {
+      streamCounter++;
+      stream = { streamId: `${adapter.instanceId}-${streamCounter.toString(36)}`, seq: 0, events: [] };
+    }
+    pollStreams.set(pollId, stream);
+
+    // Evict the least recently used streams nobody is subscribed to
+    for (const candidate of pollStreams.keys()) {
+      if (pollStreams.size <= maxBufferedPolls) break;
+      if (!pollSubscribers.has(candidate)) pollStreams.delete(candidate);
+    }
+    return stream;
+  };
+
+  const sendToClients = (clients, predicate, payload) => {
+    let recipientCount = 0;
+    const serialized = JSON.stringify(payload);
+
+    clients.forEach((client) => {
+      if (client.readyState === WebSocket.OPEN && predicate(client)) {
+        try {
+          client.send(serialized);
+          recipientCount++;
+        } catch (error) {
+          console.error('Error sending WebSocket message to client:', error);
+        }
+      }
+    });
+
+    return recipientCount;
+  };
+
+  const deliverToPoll = (pollId, payload) => {
+    const stream = getStream(pollId);
+    const event = { ...payload, seq: ++stream.seq, streamId: stream.streamId };
+    stream.events.push(event);
+    if (stream.events.length > replayBufferSize) stream.events.shift();
+
+    const subscribers = pollSubscribers.get(pollId);
+    if (!subscribers) return 0;
+
+    const recipientCount = sendToClients(subscribers, () => true, event);
+    console.log(`Broadcasted update to ${recipientCount} clients for poll ${pollId}`);
+    return recipientCount;
+  };
+
+  const deliverToUser = (userId, payload) => {
+    return sendToClients(
+      wss.clients,
+      client => client.userId && client.userId.toString() === userId,
+      payload
+    );
+  };
+
+  // Close the sockets opened with access tokens of the given (revoked) sessions
+  const deliverSessionRevocation = (sessionIds) => {
+    const revoked = new Set(sessionIds);
+    let closed = 0;
+    wss.clients.forEach((client) => {
+      if (!client.sessionId || !revoked.has(client.sessionId.toString())) return;
+      if (client.readyState === WebSocket.OPEN) {
+        client.send(JSON.stringify({ type: 'session_revoked', timestamp: new Date().toISOString() }));
+      }
+      client.close(SESSION_REVOKED_CLOSE_CODE, 'Session revoked');
+      closed++;
+    });
+    return closed;
+  };
+
+  // Add poll subscriptions for a socket. Returns the poll ids now subscribed, the ones that
+  // were refused (with a reason for each) and the current stream position of each subscribed poll.
+  const subscribe = (ws, pollIds) => {
+    if (!ws.pollIds) ws.pollIds = new Set();
+    const subscribed = [];
+    const rejected = [];
+    const streams = {};
+
+    pollIds.forEach((pollId) => {
+      if (!mongoose.Types.ObjectId.isValid(pollId)) {
+        rejected.push({ pollId, reason: 'invalid_poll_id' });
+        return;
+      }
+      if (ws.pollIds.has(pollId)) {
+        subscribed.push(pollId);
+        return;
+      }
+      if (ws.pollIds.size >= maxPollsPerSocket) {
+        rejected.push({ pollId, reason: 'socket_subscription_limit' });
+        return;
+      }
+
+      const subscribers = pollSubscribers.get(pollId) || new Set();
+      if (subscribers.size >= maxSubscribersPerPoll) {
+        rejected.push({ pollId, reason: 'poll_subscriber_limit' });
+        return;
+      }
+
+      subscribers.add(ws);
+      pollSubscribers.set(pollId, subscribers);
+      ws.pollIds.add(pollId);
+      subscribed.push(pollId);
+    });
+
+    subscribed.forEach((pollId) => {
+      const { streamId, seq } = getStream(pollId);
+      streams[pollId] = { streamId, seq };
+    });
+
+    return { subscribed, rejected, streams };
+  };
+
+  const sendSnapshot = async (ws, pollId) => {
+    const snapshot = getSnapshot ? await getSnapshot(pollId) : null;
+    if (!snapshot || ws.readyState !== WebSocket.OPEN || !ws.pollIds || !ws.pollIds.has(pollId)) return;
+
+    // Read the position after the lookup so events sent meanwhile aren't counted as missed
+    const { streamId, seq } = getStream(pollId);
+    ws.send(JSON.stringify({
+      type: 'poll_snapshot',
+      pollId,
+      ...JSON.parse(JSON.stringify(snapshot)),
+      seq,
+      streamId,
+      timestamp: new Date().toISOString()
+    }));
+  };
+
+  // Catch a resubscribing socket up from its last seen position: replay the missed events
+  // when the buffer still holds them, otherwise send a full snapshot of the poll.
+  // Returns 'current', 'replayed' or 'snapshot'.
+  const resume = (ws, pollId, { streamId, lastSeq } = {}) => {
+    const stream = getStream(pollId);
+
+    if (streamId === stream.streamId && Number.isInteger(lastSeq) && lastSeq >= 0 && lastSeq <= stream.seq) {
+      if (lastSeq === stream.seq) return 'current';
+
+      const oldestSeq = stream.events.length ? stream.events[0].seq : stream.seq + 1;
+      if (oldestSeq <= lastSeq + 1) {
+        stream.events
+          .filter(event => event.seq > lastSeq)
+          .forEach(event => ws.send(JSON.stringify({ ...event, replayed: true })));
+        return 'replayed';
+      }
+    }
+
+    sendSnapshot(ws, pollId).catch(error => {
+      console.error(`Failed to send snapshot for poll ${pollId}:`, error.message);
+    });
+    return 'snapshot';
+  };
+
+  const unsubscribe = (ws, pollIds) => {
+    if (!ws.pollIds) return [];
+    const removed = [];
+
+    pollIds.forEach((pollId) => {
+      if (!ws.pollIds.delete(pollId)) return;
+      const subscribers = pollSubscribers.get(pollId);
+      if (subscribers) {
+        subscribers.delete(ws);
+        if (subscribers.size === 0) pollSubscribers.delete(pollId);
+      }
+      removed.push(pollId);
+    });
+
+    return removed;
+  };
+
+  // Drop every subscription a socket holds (on unsubscribe-all or disconnect)
+  const unsubscribeAll = (ws) => unsubscribe(ws, ws.pollIds ? Array.from(ws.pollIds) : []);
+
+  const getSubscriptionStats = () => {
+    let activeSubscriptions = 0;
+    pollSubscribers.forEach(subscribers => { activeSubscriptions += subscribers.size; });
+    return { activeSubscriptions, subscribedPolls: pollSubscribers.size };
+  };
+
+  const publish = (message) => {
+    adapter.publish(message).catch(error => {
+      console.error(`Failed to publish ${message.kind} event:`, error.message);
+    });
+  };
+
+  // Events published by other instances
+  adapter.subscribe((message) => {
+    if (message.kind === 'poll') deliverToPoll(message.pollId, message.payload);
+    else if (message.kind === 'user') deliverToUser(message.userId, message.payload);
+    else if (message.kind === 'sessions_revoked') deliverSessionRevocation(message.sessionIds);
+  });
+
+  // Broadcast function with validation
+  const broadcastToPoll = (pollId, data) => {
+    // Validate pollId format
+    if (!mongoose.Types.ObjectId.isValid(pollId)) {
+      console.error('Invalid poll ID for broadcast:', pollId);
+      return 0;
+    }
+
+    // Deep clone so callers can't mutate what is being sent
+    const payload = {
+      ...JSON.parse(JSON.stringify(data)),
+      timestamp: new Date().toISOString()
+    };
+
+    publish({ kind: 'poll', pollId: pollId.toString(), payload });
+    return deliverToPoll(pollId.toString(), payload);
+  };
+
+  // Broadcast a notification to all active WebSocket connections for a specific user
+  const broadcastToUser = (userId, event, data = {}) => {
+    if (!userId || !event) return 0;
+    const payload = {
+      type: 'notification',
+      event,
+      data: JSON.parse(JSON.stringify(data)),
+      timestamp: new Date().toISOString()
+    };
+
+    publish({ kind: 'user', userId: userId.toString(), payload });
+    return deliverToUser(userId.toString(), payload);
+  };
+
+  // Disconnect every live connection of the given sessions, on all instances
+  const disconnectSessions = (sessionIds) => {
+    const ids = sessionIds.filter(Boolean).map(id => id.toString());
+    if (!ids.length) return 0;
+
+    publish({ kind: 'sessions_revoked', sessionIds: ids });
+    return deliverSessionRevocation(ids);
+  };
+
+  return {
+    broadcastToPoll,
+    broadcastToUser,
+    disconnectSessions,
+    subscribe,
+    resume,
+    unsubscribe,
+    unsubscribeAll,
+    getSubscriptionStats,
+    adapterName: adapter.name,
+    instanceId: adapter.instanceId,
+    close: () => adapter.close()
+  };
+}
+
+module.exports = { createRealtimeHub, SESSION_REVOKED_CLOSE_CODE };
@@ -0,0 +1,78 @@
+// Parsing of the subscribe/unsubscribe messages WebSocket clients send (see server.js)
+
+// Largest number of polls accepted in a single subscribe/unsubscribe message
+const MAX_BATCH_SUBSCRIBE = 50;
+
+// Poll ids named by a subscribe/unsubscribe message, from either pollIds or pollId
+function getMessagePollIds(data) {
+  const pollIds = data.pollIds || (data.pollId ? [data.pollId] : []);
+  return [...new Set(pollIds.filter(Boolean))];
+}
+
+// Invite or share tokens sent with a subscribe message, keyed by poll id. For field 'inviteToken'
+// accepts { pollId, inviteToken } for a single poll or { inviteTokens: { [pollId]: token } }.
+function getMessagePollTokens(data, field) {
+  const tokens = {};
+  const batch = data[`${field}s`];
+  if (data.pollId && typeof data[field] === 'string') tokens[data.pollId] = data[field];
+  if (batch && typeof batch === 'object') {
+    Object.entries(batch).forEach(([pollId, token]) => {
+      if (typeof token === 'string') tokens[pollId] = token;
+    });
+  }
+  return tokens;
+}
+
+// Last seen stream positions sent with a subscribe message, keyed by poll id. Accepts
+// { pollId, streamId, lastSeq } for a single poll or { resume: { [pollId]: { streamId, lastSeq } } }.
+function getResumePositions(data) {
+  const toPosition = (value) => {
+    if (!value || typeof value.streamId !== 'string' || !Number.isInteger(value.lastSeq)) return null;
+    return { streamId: value.streamId, lastSeq: value.lastSeq };
+  };
+
+  const positions = {};
+  if (data.pollId) {
+    const position = toPosition(data);
+    if (position) positions[data.pollId] = position;
+  }
+  if (data.resume && typeof data.resume === 'object') {
+    Object.entries(data.resume).forEach(([pollId, value]) => {
+      const position = toPosition(value);
+      if (position) positions[pollId] = position;
+    });
+  }
+  return positions;
+}
+
+// WebSocket message sanitization
+function sanitizeWebSocketMessage(data) {
+  const sanitized = { ...data };
+  
+  if (sanitized.pollId && typeof sanitized.pollId === 'string') {
+    sanitized.pollId = sanitized.pollId.replace(/[^a-f0-9]/gi, ''); // Only allow hex characters for IDs
+  }
+
+  if (Array.isArray(sanitized.pollIds)) {
+    sanitized.pollIds = sanitized.pollIds
+      .filter(id => typeof id === 'string')
+      .slice(0, MAX_BATCH_SUBSCRIBE)
+      .map(id => id.replace(/[^a-f0-9]/gi, ''));
+  } else {
+    delete sanitized.pollIds;
+  }
+  
+  if (sanitized.type && typeof sanitized.type === 'string') {
+    sanitized.type = sanitized.type.replace(/[^a-zA-Z_]/g, ''); // Only allow letters and underscores
+  }
+  
+  return sanitized;
+}
+
+module.exports = {
+  MAX_BATCH_SUBSCRIBE,
+  getMessagePollIds,
+  getMessagePollTokens,
+  getResumePositions,
+  sanitizeWebSocketMessage
+};
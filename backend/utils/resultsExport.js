@@ -0,0 +1,163 @@
+const ExcelJS = require('exceljs');
+const Vote = require('../models/Vote');
+const PollOption = require('../models/PollOption');
+const { hashIdentifier } = require('../middleware/voter');
+const { getCountedResults } = require('./voteCounters');
+
+// Results exports for poll creators: per-option totals plus a ledger with one row per vote.
+// The ledger is read through a cursor and written as it goes, so large polls aren't held in memory.
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// Guests get a stable per-ballot id that can't be traced back to their token or fingerprint
+function getVoterLabel(vote) {
+  if (vote.user) return vote.user.name || 'Deleted user';
+  const ballot = vote.ballotId || vote._id.toString();
+  return `guest-${hashIdentifier(vote.poll.toString(), ballot).slice(0, 10)}`;
+}
+
+async function getTotals(poll) {
+  const options = await PollOption.find({ poll: poll._id, ...PollOption.VISIBLE_OPTIONS }).sort({ position: 1, _id: 1 });
+  const { voteCounts, totalVotes, totalVoters } = await getCountedResults(poll._id);
+
+  return {
+    options,
+    totalVotes,
+    totalVoters,
+    rows: options.map(option => ({
+      optionId: option._id.toString(),
+      option: option.text,
+      votes: voteCounts[option._id] || 0,
+      // Relative to voters, as in /stats
+      percentage: totalVoters > 0 ? Math.round(((voteCounts[option._id] || 0) / totalVoters) * 100) : 0
+    }))
+  };
+}
+
+// Ledger rows in voting order
+async function* ledgerRows(poll, options) {
+  const optionText = new Map(options.map(option => [option._id.toString(), option.text]));
+  const isRanked = poll.votingMode === 'ranked';
+
+  const cursor = Vote.find({ poll: poll._id })
+    .sort({ createdAt: 1 })
+    .populate('user', 'name')
+    .cursor();
+
+  for await (const vote of cursor) {
+    yield {
+      voter: getVoterLabel(vote),
+      anonymous: !vote.user,
+      option: optionText.get(vote.pollOption.toString()) || 'Removed option',
+      ...(isRanked ? { rank: vote.rank || 1 } : {}),
+      votedAt: vote.createdAt.toISOString()
+    };
+  }
+}
+
+// Quote CSV fields and neutralize values a spreadsheet would run as formulas
+function toCsvField(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const toCsvLine = (fields) => fields.map(toCsvField).join(',') + '\r\n';
+
+// Wait for the response to drain when the client reads slower than we query
+function write(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise(resolve => res.once('drain', resolve));
+}
+
+async function writeCsv(res, poll, totals) {
+  const isRanked = poll.votingMode === 'ranked';
+
+  await write(res, '\uFEFF' + toCsvLine(['Option', 'Votes', 'Percentage']));
+  for (const row of totals.rows) {
+    await write(res, toCsvLine([row.option, row.votes, `${row.percentage}%`]));
+  }
+  await write(res, toCsvLine(['Total votes', totals.totalVotes, '']));
+  await write(res, toCsvLine(['Total voters', totals.totalVoters, '']));
+
+  await write(res, '\r\n' + toCsvLine(['Voter', 'Option', ...(isRanked ? ['Rank'] : []), 'Voted at']));
+  for await (const row of ledgerRows(poll, totals.options)) {
+    await write(res, toCsvLine([row.voter, row.option, ...(isRanked ? [row.rank] : []), row.votedAt]));
+  }
+  res.end();
+}
+
+async function writeJson(res, poll, totals) {
+  const header = {
+    poll: {
+      id: poll._id,
+      question: poll.question,
+      votingMode: poll.votingMode,
+      status: poll.status,
+      expiresAt: poll.expiresAt,
+      exportedAt: new Date()
+    },
+    totalVotes: totals.totalVotes,
+    totalVoters: totals.totalVoters,
+    totals: totals.rows
+  };
+
+  // Everything but the ledger up front, then the votes one by one
+  await write(res, JSON.stringify(header).slice(0, -1) + ',"votes":[');
+  let first = true;
+  for await (const row of ledgerRows(poll, totals.options)) {
+    await write(res, (first ? '' : ',') + JSON.stringify(row));
+    first = false;
+  }
+  res.end(']}');
+}
+
+async function writeXlsx(res, poll, totals) {
+  const isRanked = poll.votingMode === 'ranked';
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+
+  const totalsSheet = workbook.addWorksheet('Totals');
+  totalsSheet.columns = [
+    { header: 'Option', key: 'option', width: 40 },
+    { header: 'Votes', key: 'votes', width: 10 },
+    { header: 'Percentage', key: 'percentage', width: 12, style: { numFmt: '0%' } }
+  ];
+  totals.rows.forEach(row => totalsSheet.addRow({ ...row, percentage: row.percentage / 100 }).commit());
+  totalsSheet.addRow({ option: 'Total votes', votes: totals.totalVotes }).commit();
+  totalsSheet.addRow({ option: 'Total voters', votes: totals.totalVoters }).commit();
+  totalsSheet.commit();
+
+  const votesSheet = workbook.addWorksheet('Votes');
+  votesSheet.columns = [
+    { header: 'Voter', key: 'voter', width: 24 },
+    { header: 'Option', key: 'option', width: 40 },
+    ...(isRanked ? [{ header: 'Rank', key: 'rank', width: 8 }] : []),
+    { header: 'Voted at', key: 'votedAt', width: 22 }
+  ];
+  for await (const row of ledgerRows(poll, totals.options)) {
+    votesSheet.addRow({ ...row, votedAt: new Date(row.votedAt) }).commit();
+  }
+  votesSheet.commit();
+
+  await workbook.commit();
+}
+
+const writers = { csv: writeCsv, json: writeJson, xlsx: writeXlsx };
+
+// Stream a poll's results to the response in the requested format
+async function streamResultsExport(res, poll, format = 'csv') {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const totals = await getTotals(poll);
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="poll-${poll._id}-results.${extension}"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  await writers[format](res, poll, totals);
+}
+
+module.exports = { EXPORT_FORMATS, streamResultsExport };
@@ -0,0 +1,83 @@
+const { getLiveResults } = require('./liveResults');
+
+const DELTA_WINDOW_MS = 250;
+
+// Coalesces vote activity per poll into one message per short window. Plain polls get a
+// vote_delta (optionId -> +n); ranked polls need the whole ballot set for the runoff, so
+// they get a full vote_update instead, still at most once per window.
+function createVoteBroadcaster({ broadcastToPoll, windowMs = DELTA_WINDOW_MS }) {
+  const pending = new Map(); // pollId -> { pollDoc, deltas, votersDelta, timer }
+
+  const flush = async (pollId) => {
+    const entry = pending.get(pollId);
+    if (!entry) return;
+    pending.delete(pollId);
+
+    const { pollDoc, deltas, votersDelta } = entry;
+
+    if (pollDoc.votingMode === 'ranked') {
+      broadcastToPoll(pollId, {
+        type: 'vote_update',
+        pollId,
+        ...(await getLiveResults(pollDoc))
+      });
+      return;
+    }
+
+    const totalVotesDelta = Object.values(deltas).reduce((sum, delta) => sum + delta, 0);
+    if (totalVotesDelta === 0 && votersDelta === 0 && Object.keys(deltas).length === 0) return;
+
+    broadcastToPoll(pollId, {
+      type: 'vote_delta',
+      pollId,
+      deltas,
+      totalVotesDelta,
+      totalVotersDelta: votersDelta,
+      votingMode: pollDoc.votingMode,
+      isExpired: pollDoc.isExpired
+    });
+  };
+
+  // Queue a count change (from voteCounters) for the next broadcast of this poll
+  const record = (pollDoc, { deltas, votersDelta }) => {
+    const pollId = pollDoc._id.toString();
+    let entry = pending.get(pollId);
+
+    if (!entry) {
+      entry = { pollDoc, deltas: {}, votersDelta: 0 };
+      entry.timer = setTimeout(() => {
+        flush(pollId).catch(error => {
+          console.error(`Failed to broadcast vote changes for poll ${pollId}:`, error.message);
+        });
+      }, windowMs);
+      pending.set(pollId, entry);
+    }
+
+    entry.pollDoc = pollDoc;
+    Object.entries(deltas).forEach(([optionId, delta]) => {
+      entry.deltas[optionId] = (entry.deltas[optionId] || 0) + delta;
+      if (entry.deltas[optionId] === 0) delete entry.deltas[optionId];
+    });
+    entry.votersDelta += votersDelta || 0;
+  };
+
+  // Push full results right away, e.g. after the reconciler repaired drifted counters
+  const broadcastFullResults = async (pollDoc) => {
+    const pollId = pollDoc._id.toString();
+    const entry = pending.get(pollId);
+    if (entry) {
+      clearTimeout(entry.timer);
+      pending.delete(pollId);
+    }
+
+    broadcastToPoll(pollId, {
+      type: 'vote_update',
+      pollId,
+      ...(await getLiveResults(pollDoc))
+    });
+  };
+
+  return { record, broadcastFullResults };
+}
+
+module.exports = { createVoteBroadcaster };
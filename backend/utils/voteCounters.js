@@ -0,0 +1,250 @@
+const mongoose = require('mongoose');
+const Poll = require('../models/Poll');
+const PollOption = require('../models/PollOption');
+const Vote = require('../models/Vote');
+const { isFirstPreference } = require('./voteTally');
+
+// Denormalized vote counters: PollOption.voteCount holds first-preference votes per option and
+// Poll.voterCount the number of distinct voters. Vote writes update them in the same
+// transaction; the reconciler repairs any drift against the votes collection. It also keeps
+// Poll.recentVoteCount, the votes of the trending window, which ages and can't be kept by writes.
+
+const RECONCILE_INTERVAL_MS = 60 * 1000; // recently voted polls, every minute
+const TRENDING_WINDOW_MS = 24 * 60 * 60 * 1000; // trending polls rank by the votes of the last day
+const FULL_RECONCILE_INTERVAL_MS = 6 * 60 * 60 * 1000; // every poll, every 6 hours
+
+// Per-option change in first-preference counts for a set of vote documents (sign -1 for removals)
+function countDeltas(votes, sign = 1) {
+  const deltas = {};
+  votes.filter(isFirstPreference).forEach(vote => {
+    const optionId = vote.pollOption.toString();
+    deltas[optionId] = (deltas[optionId] || 0) + sign;
+  });
+  return deltas;
+}
+
+// Combine several count changes into one (e.g. removing the old ballot and adding the new one)
+function mergeChanges(...changes) {
+  return changes.reduce((merged, change) => {
+    Object.entries(change.deltas).forEach(([optionId, delta]) => {
+      merged.deltas[optionId] = (merged.deltas[optionId] || 0) + delta;
+      if (merged.deltas[optionId] === 0) delete merged.deltas[optionId];
+    });
+    merged.votersDelta += change.votersDelta || 0;
+    return merged;
+  }, { deltas: {}, votersDelta: 0 });
+}
+
+// The part of a count change voters may see: write-ins awaiting review are left out of the
+// live totals until they are approved
+async function getVisibleChange(pollId, { deltas, votersDelta }) {
+  const optionIds = Object.keys(deltas);
+  if (!optionIds.length) return { deltas, votersDelta };
+
+  const visible = await PollOption.find({ poll: pollId, _id: { $in: optionIds }, ...PollOption.VISIBLE_OPTIONS }).select('_id');
+  const visibleIds = new Set(visible.map(option => option._id.toString()));
+  return {
+    deltas: Object.fromEntries(Object.entries(deltas).filter(([optionId]) => visibleIds.has(optionId))),
+    votersDelta
+  };
+}
+
+// Apply a count change; pass the session of the transaction that writes the votes
+async function applyCountChange(pollId, { deltas, votersDelta }, session) {
+  const operations = Object.entries(deltas)
+    .filter(([, delta]) => delta !== 0)
+    .map(([optionId, delta]) => ({
+      updateOne: {
+        filter: { _id: optionId, poll: pollId },
+        update: { $inc: { voteCount: delta } }
+      }
+    }));
+
+  if (operations.length) {
+    await PollOption.bulkWrite(operations, { session });
+  }
+  if (votersDelta) {
+    await Poll.updateOne({ _id: pollId }, { $inc: { voterCount: votersDelta } }, { session });
+  }
+}
+
+// Current totals straight from the counters, without reading any votes. Write-ins awaiting
+// review are left out.
+async function getCountedResults(pollId) {
+  const [options, poll] = await Promise.all([
+    PollOption.find({ poll: pollId, ...PollOption.VISIBLE_OPTIONS }).select('voteCount').sort({ position: 1, _id: 1 }),
+    Poll.findById(pollId).select('voterCount')
+  ]);
+
+  const voteCounts = {};
+  let totalVotes = 0;
+  options.forEach(option => {
+    voteCounts[option._id] = option.voteCount || 0;
+    totalVotes += voteCounts[option._id];
+  });
+
+  return {
+    voteCounts,
+    totalVotes,
+    totalVoters: poll ? poll.voterCount || 0 : 0
+  };
+}
+
+// Recount a poll from the votes collection and fix any counter that drifted.
+// Returns true when something had to be repaired.
+async function reconcilePollCounts(pollId) {
+  const pollObjectId = new mongoose.Types.ObjectId(pollId.toString());
+
+  const [optionCounts, voterCounts, options, poll] = await Promise.all([
+    Vote.aggregate([
+      { $match: { poll: pollObjectId, rank: { $not: { $gt: 1 } } } },
+      { $group: { _id: '$pollOption', count: { $sum: 1 } } }
+    ]),
+    // Same voter identity as voteTally.voterKey: the account, else the anonymous ballot
+    Vote.aggregate([
+      { $match: { poll: pollObjectId } },
+      { $group: { _id: { $ifNull: ['$user', { $ifNull: ['$ballotId', '$_id'] }] } } },
+      { $count: 'voters' }
+    ]),
+    PollOption.find({ poll: pollObjectId }).select('voteCount text status').sort({ position: 1, _id: 1 }),
+    Poll.findById(pollObjectId).select('voterCount +optionTexts')
+  ]);
+  if (!poll) return false;
+
+  // The search copy of the option texts drifts the same way (and is missing on older polls);
+  // it isn't a counter, so fixing it doesn't count as a repair. Write-ins awaiting review stay out.
+  const optionTexts = options.filter(option => option.status !== 'pending').map(option => option.text);
+  if (JSON.stringify(poll.optionTexts) !== JSON.stringify(optionTexts)) {
+    await Poll.updateOne({ _id: pollObjectId }, { $set: { optionTexts } });
+  }
+
+  const actualCounts = new Map(optionCounts.map(entry => [entry._id.toString(), entry.count]));
+  const operations = options
+    .filter(option => (option.voteCount || 0) !== (actualCounts.get(option._id.toString()) || 0))
+    .map(option => ({
+      updateOne: {
+        filter: { _id: option._id },
+        update: { $set: { voteCount: actualCounts.get(option._id.toString()) || 0 } }
+      }
+    }));
+
+  const actualVoters = voterCounts.length ? voterCounts[0].voters : 0;
+  const votersDrifted = (poll.voterCount || 0) !== actualVoters;
+
+  if (operations.length) {
+    await PollOption.bulkWrite(operations);
+  }
+  if (votersDrifted) {
+    await Poll.updateOne({ _id: pollObjectId }, { $set: { voterCount: actualVoters } });
+  }
+
+  return operations.length > 0 || votersDrifted;
+}
+
+// Set each poll's recentVoteCount from the votes cast in the trending window. Only recent votes
+// are read; polls whose votes have all aged out drop back to 0.
+async function refreshTrendingCounts(now = new Date()) {
+  const recent = await Vote.aggregate([
+    { $match: { createdAt: { $gte: new Date(now.getTime() - TRENDING_WINDOW_MS) } } },
+    { $group: { _id: '$poll', count: { $sum: 1 } } }
+  ]);
+
+  await Poll.bulkWrite([
+    ...recent.map(entry => ({
+      updateOne: {
+        filter: { _id: entry._id },
+        update: { $set: { recentVoteCount: entry.count } }
+      }
+    })),
+    {
+      updateMany: {
+        filter: { recentVoteCount: { $gt: 0 }, _id: { $nin: recent.map(entry => entry._id) } },
+        update: { $set: { recentVoteCount: 0 } }
+      }
+    }
+  ]);
+}
+
+// Periodic job that recounts recently voted polls, plus every poll at startup and every few
+// hours (which also backfills counters for polls created before they existed)
+function createVoteCountReconciler({ onRepaired = () => {} } = {}) {
+  const dirtyPolls = new Set();
+  let interval = null;
+  let fullInterval = null;
+  let running = false;
+
+  const reconcile = async (pollIds) => {
+    let repaired = 0;
+    for (const pollId of pollIds) {
+      try {
+        if (await reconcilePollCounts(pollId)) {
+          repaired++;
+          console.log(`🔧 Repaired vote counters for poll ${pollId}`);
+          await onRepaired(pollId);
+        }
+      } catch (error) {
+        console.error(`Vote counter reconciliation failed for poll ${pollId}:`, error.message);
+      }
+    }
+    return repaired;
+  };
+
+  // Reconcile the polls voted on since the last run
+  const runDirty = async () => {
+    if (running || dirtyPolls.size === 0) return 0;
+    running = true;
+    const pollIds = Array.from(dirtyPolls);
+    dirtyPolls.clear();
+    try {
+      return await reconcile(pollIds);
+    } finally {
+      running = false;
+    }
+  };
+
+  const runFull = async () => {
+    if (running) return 0;
+    running = true;
+    try {
+      const polls = await Poll.find().select('_id').lean();
+      return await reconcile(polls.map(poll => poll._id.toString()));
+    } finally {
+      running = false;
+    }
+  };
+
+  const onError = (error) => console.error('Vote counter reconciliation failed:', error.message);
+
+  return {
+    markDirty: (pollId) => dirtyPolls.add(pollId.toString()),
+    runDirty,
+    runFull,
+    start: () => {
+      if (interval) return;
+      runFull().catch(onError);
+      refreshTrendingCounts().catch(onError);
+      interval = setInterval(() => {
+        runDirty().catch(onError);
+        refreshTrendingCounts().catch(onError);
+      }, RECONCILE_INTERVAL_MS);
+      fullInterval = setInterval(() => runFull().catch(onError), FULL_RECONCILE_INTERVAL_MS);
+    },
+    stop: () => {
+      clearInterval(interval);
+      clearInterval(fullInterval);
+      interval = null;
+      fullInterval = null;
+    }
+  };
+}
+
+module.exports = {
+  countDeltas,
+  mergeChanges,
+  getVisibleChange,
+  applyCountChange,
+  getCountedResults,
+  reconcilePollCounts,
+  refreshTrendingCounts,
+  createVoteCountReconciler
+};
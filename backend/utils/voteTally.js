@@ -0,0 +1,142 @@
+// Vote counting helpers shared by the poll and vote routes
+
+// Ranked ballots store one vote per ranked option; only first preferences
+// count towards the plain per-option totals
+function isFirstPreference(vote) {
+  return !vote.rank || vote.rank === 1;
+}
+
+// Identifies the ballot a vote belongs to: the voter's account, or the anonymous ballot id
+function voterKey(vote) {
+  if (vote.user) return (vote.user._id || vote.user).toString();
+  return `anonymous:${vote.ballotId || vote._id}`;
+}
+
+// Count votes per option plus totals for a poll's vote documents
+function tallyVotes(votes, options) {
+  const counted = votes.filter(isFirstPreference);
+  const voteCounts = {};
+  options.forEach(option => {
+    voteCounts[option._id] = counted.filter(v => v.pollOption.toString() === option._id.toString()).length;
+  });
+
+  return {
+    voteCounts,
+    totalVotes: counted.length,
+    totalVoters: new Set(votes.map(voterKey)).size
+  };
+}
+
+// Group ranked vote documents into one ordered ballot per voter
+function buildBallots(votes) {
+  const byVoter = new Map();
+  votes.forEach(vote => {
+    const voter = voterKey(vote);
+    if (!byVoter.has(voter)) byVoter.set(voter, []);
+    byVoter.get(voter).push(vote);
+  });
+
+  return Array.from(byVoter.values()).map(ballot =>
+    ballot
+      .sort((a, b) => (a.rank || 1) - (b.rank || 1))
+      .map(v => v.pollOption.toString())
+  );
+}
+
+// Instant-runoff count. Each round tallies every ballot for its highest-ranked
+// remaining option; if nobody has a majority of the active ballots, the last
+// placed option is eliminated and its ballots transfer onwards. Ties for last
+// place are broken by earlier rounds, then by the option's position in the poll.
+function computeInstantRunoff(options, ballots) {
+  const remaining = new Set(options.map(o => o._id.toString()));
+  const rounds = [];
+  let winner = null;
+  let tie = false;
+
+  const topChoice = (ballot) => ballot.find(id => remaining.has(id)) || null;
+
+  while (remaining.size > 0) {
+    const tallies = {};
+    remaining.forEach(id => { tallies[id] = 0; });
+
+    let exhausted = 0;
+    ballots.forEach(ballot => {
+      const top = topChoice(ballot);
+      if (top) tallies[top] += 1;
+      else exhausted += 1;
+    });
+
+    const activeBallots = ballots.length - exhausted;
+    const round = {
+      round: rounds.length + 1,
+      tallies,
+      activeBallots,
+      exhausted,
+      eliminated: [],
+      transfers: {}
+    };
+    rounds.push(round);
+
+    if (activeBallots === 0) break;
+
+    const counts = Object.values(tallies);
+    const max = Math.max(...counts);
+    const min = Math.min(...counts);
+
+    if (max * 2 > activeBallots || remaining.size === 1) {
+      winner = Object.keys(tallies).find(id => tallies[id] === max);
+      break;
+    }
+
+    let lowest = Object.keys(tallies).filter(id => tallies[id] === min);
+    for (let i = rounds.length - 2; i >= 0 && lowest.length > 1; i--) {
+      const earlier = rounds[i].tallies;
+      const earlierMin = Math.min(...lowest.map(id => earlier[id]));
+      lowest = lowest.filter(id => earlier[id] === earlierMin);
+    }
+
+    if (lowest.length === remaining.size) {
+      // Every remaining option is still tied, nothing can be eliminated
+      tie = true;
+      break;
+    }
+
+    const eliminated = lowest[lowest.length - 1];
+    const transferring = ballots.filter(ballot => topChoice(ballot) === eliminated);
+
+    remaining.delete(eliminated);
+    round.eliminated = [eliminated];
+    round.transfers[eliminated] = {};
+
+    transferring.forEach(ballot => {
+      const to = topChoice(ballot) || 'exhausted';
+      round.transfers[eliminated][to] = (round.transfers[eliminated][to] || 0) + 1;
+    });
+  }
+
+  return {
+    winner,
+    tie,
+    totalBallots: ballots.length,
+    rounds
+  };
+}
+
+// Display order of options: position, then creation order for options sharing a position
+const byPosition = (a, b) => (a.position || 0) - (b.position || 0) || a._id.toString().localeCompare(b._id.toString());
+
+// Convenience wrapper: ranked results straight from a poll's vote documents. Options are put in
+// display order, which breaks the last ties, and write-ins awaiting review are left out.
+function getRankedResults(votes, options) {
+  const candidates = options.filter(option => option.status !== 'pending').sort(byPosition);
+  return computeInstantRunoff(candidates, buildBallots(votes));
+}
+
+module.exports = {
+  voterKey,
+  isFirstPreference,
+  tallyVotes,
+  buildBallots,
+  computeInstantRunoff,
+  getRankedResults
+};
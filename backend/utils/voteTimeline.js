@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const Vote = require('../models/Vote');
+
+const TIMELINE_BUCKETS = ['minute', 'hour', 'day'];
+
+const LABEL_FORMATS = {
+  minute: '%Y-%m-%d %H:%M',
+  hour: '%Y-%m-%d %H:00',
+  day: '%Y-%m-%d'
+};
+
+// True for IANA zone names (e.g. "Europe/Berlin") and fixed offsets MongoDB accepts (e.g. "+02:00")
+function isValidTimezone(tz) {
+  if (/^[+-]\d{2}(:?\d{2})?$/.test(tz)) return true;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Votes over time for one poll, grouped into calendar buckets in the given timezone.
+// Buckets without votes are left out; each entry carries its own start time so charts can
+// place it on a time axis. Only first preferences count, as in the totals.
+async function getVoteTimeline(pollId, { bucket = 'hour', tz = 'UTC' } = {}) {
+  const groups = await Vote.aggregate([
+    { $match: { poll: new mongoose.Types.ObjectId(pollId.toString()), rank: { $not: { $gt: 1 } } } },
+    {
+      $group: {
+        _id: {
+          bucketStart: { $dateTrunc: { date: '$createdAt', unit: bucket, timezone: tz } },
+          option: '$pollOption'
+        },
+        votes: { $sum: 1 }
+      }
+    },
+    {
+      $group: {
+        _id: '$_id.bucketStart',
+        votes: { $sum: '$votes' },
+        perOption: { $push: { k: { $toString: '$_id.option' }, v: '$votes' } }
+      }
+    },
+    { $sort: { _id: 1 } },
+    {
+      $project: {
+        _id: 0,
+        bucketStart: '$_id',
+        label: { $dateToString: { date: '$_id', format: LABEL_FORMATS[bucket], timezone: tz } },
+        votes: 1,
+        perOption: { $arrayToObject: '$perOption' }
+      }
+    }
+  ]);
+
+  // Running totals, overall and per option
+  let cumulativeVotes = 0;
+  const runningPerOption = {};
+  const series = groups.map(point => {
+    cumulativeVotes += point.votes;
+    Object.entries(point.perOption).forEach(([optionId, votes]) => {
+      runningPerOption[optionId] = (runningPerOption[optionId] || 0) + votes;
+    });
+    return {
+      ...point,
+      cumulativeVotes,
+      cumulativePerOption: { ...runningPerOption }
+    };
+  });
+
+  return {
+    bucket,
+    timezone: tz,
+    series,
+    peakVotingTime: getPeakVotingTime(series, bucket)
+  };
+}
+
+// Busiest bucket of a timeline series (the earliest one on ties)
+function getPeakVotingTime(series, bucket) {
+  if (series.length === 0) return null;
+
+  const peak = series.reduce((best, point) => (point.votes > best.votes ? point : best));
+  return {
+    bucket,
+    bucketStart: peak.bucketStart,
+    label: peak.label,
+    votes: peak.votes
+  };
+}
+
+module.exports = { TIMELINE_BUCKETS, isValidTimezone, getVoteTimeline };
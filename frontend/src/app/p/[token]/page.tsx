@@ -0,0 +1,21 @@
+import type { Metadata } from 'next'
+import '../../Home.css'
+import SharedPoll from '@/components/SharedPoll'
+
+// Share links are secret: keep their pages out of search engines and Referer headers
+export const metadata: Metadata = {
+  title: 'Shared poll · Real-Time Polling App',
+  robots: { index: false, follow: false },
+  referrer: 'no-referrer'
+}
+
+export default async function SharedPollPage({ params }: { params: Promise<{ token: string }> }) {
+  const { token } = await params
+  return (
+    <div className="home-container">
+      <div className="main-content container animate-fade-up-slower">
+        <SharedPoll token={token} />
+      </div>
+    </div>
+  )
+}
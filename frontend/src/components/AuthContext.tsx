@@ -1,15 +1,20 @@
 'use client'
 
-import React, { createContext, useContext, useState, useEffect } from 'react'
-import { AuthUser, User } from '@/types'
+import React, { createContext, useCallback, useContext, useState, useEffect } from 'react'
+import { AuthUser, SsoResult, TwoFactorChallenge, User } from '@/types'
 import { authService } from '@/lib/auth'
 
 interface AuthContextType {
   user: AuthUser | null
-  login: (email: string, password: string) => Promise<void>
+  // Resolves with a challenge when a second factor is needed to finish signing in
+  login: (email: string, password: string) => Promise<TwoFactorChallenge | null>
+  completeTwoFactorLogin: (challengeToken: string, code: { code?: string, recoveryCode?: string }) => Promise<void>
   register: (name: string, email: string, password: string, confirmPassword?: string) => Promise<void>
   logout: () => void
   refreshUser: () => Promise<void>
+  // Set when a single sign-on redirect needs the login form (second factor or an error)
+  ssoResult: SsoResult | null
+  clearSsoResult: () => void
   isAuthenticated: boolean
   loading: boolean
 }
@@ -28,6 +33,8 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
   const [user, setUser] = useState<AuthUser | null>(null)
   const [loading, setLoading] = useState(true)
 
+  const [ssoResult, setSsoResult] = useState<SsoResult | null>(null)
+
   useEffect(() => {
     // Check if user is logged in on component mount
     const token = authService.getToken()
@@ -36,33 +43,77 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
     if (token && userData) {
       setUser(userData)
     }
-    setLoading(false)
+
+    // Token refreshes, failed refreshes and logouts in other tabs
+    const unsubscribe = authService.onChange(setUser)
+
+    // Back from single sign-on: the outcome is in the URL fragment
+    const params = new URLSearchParams(window.location.hash.slice(1))
+    if (params.has('sso') || params.has('sso_challenge') || params.has('sso_error')) {
+      window.history.replaceState(null, '', window.location.pathname + window.location.search)
+    }
+
+    if (params.get('sso') === 'success') {
+      // The session cookie is set; trade it for an access token before showing the page
+      authService.refresh().finally(() => setLoading(false))
+    } else {
+      if (params.has('sso_challenge') || params.has('sso_error')) {
+        setSsoResult({
+          challengeToken: params.get('sso_challenge') || undefined,
+          error: params.get('sso_error') || undefined
+        })
+      }
+      setLoading(false)
+    }
+
+    return unsubscribe
   }, [])
 
+  const storeSession = (userData: AuthUser & { expiresIn?: number }) => {
+    authService.setAuth(userData.token, userData, userData.expiresIn)
+    if (typeof window !== 'undefined' && userData?._id) {
+      localStorage.setItem('userId', userData._id)
+    }
+    setUser(userData)
+  }
+
   const login = async (email: string, password: string) => {
-    try {
-      const response = await fetch('/api/auth/login', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ email, password }),
-      })
+    const response = await fetch('/api/auth/login', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ email, password }),
+    })
+
+    if (!response.ok) {
+      const errorData = await response.json()
+      throw new Error(errorData.error || 'Login failed')
+    }
 
-      if (!response.ok) {
-        const errorData = await response.json()
-        throw new Error(errorData.error || 'Login failed')
-      }
+    const userData = await response.json()
+    if (userData.twoFactorRequired) {
+      return userData as TwoFactorChallenge
+    }
+    storeSession(userData)
+    return null
+  }
 
-      const userData = await response.json()
-      authService.setAuth(userData.token, userData)
-      if (typeof window !== 'undefined' && userData?._id) {
-        localStorage.setItem('userId', userData._id)
-      }
-      setUser(userData)
-    } catch (error) {
-      throw error
+  const completeTwoFactorLogin = async (challengeToken: string, code: { code?: string, recoveryCode?: string }) => {
+    const response = await fetch('/api/auth/login/2fa', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ challengeToken, ...code }),
+    })
+
+    if (!response.ok) {
+      const errorData = await response.json()
+      throw new Error(errorData.details?.[0]?.message || errorData.error || 'Verification failed')
     }
+
+    storeSession(await response.json())
   }
 
   const register = async (name: string, email: string, password: string, confirmPassword?: string) => {
@@ -80,12 +131,7 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
         throw new Error(errorData.error || 'Registration failed')
       }
 
-      const userData = await response.json()
-      authService.setAuth(userData.token, userData)
-      if (typeof window !== 'undefined' && userData?._id) {
-        localStorage.setItem('userId', userData._id)
-      }
-      setUser(userData)
+      storeSession(await response.json())
     } catch (error) {
       throw error
     }
@@ -115,12 +161,18 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
     } catch {}
   }
 
+  // Stable, so forms can clear the result from an effect once they have read it
+  const clearSsoResult = useCallback(() => setSsoResult(null), [])
+
   const value = {
     user,
     login,
+    completeTwoFactorLogin,
     register,
     logout,
     refreshUser,
+    ssoResult,
+    clearSsoResult,
     isAuthenticated: !!user,
     loading
   }
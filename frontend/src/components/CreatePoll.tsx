@@ -1,19 +1,48 @@
 'use client'
 
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
 import { Validator } from '@/lib/validation'
+import SurveyBuilder from './SurveyBuilder'
+import { AnonymousDuplicatePolicy, PollVisibility, QuizReveal, VotingMode, WriteInModeration, Workspace } from '@/types'
 import './CreatePoll.css'
 
-export default function CreatePoll() {
+interface CreatePollProps {
+  // Workspace selected in the switcher; polls are created in it when the user may do so
+  workspace?: Workspace | null
+}
+
+export default function CreatePoll({ workspace }: CreatePollProps) {
+  const canCreateInWorkspace = !!workspace && workspace.role !== 'voter'
+  const [visibility, setVisibility] = useState<PollVisibility>(canCreateInWorkspace ? 'workspace' : 'public')
+  // Workspace-only choices don't apply outside a workspace the user can create polls in
+  useEffect(() => {
+    setVisibility(canCreateInWorkspace ? 'workspace' : 'public')
+  }, [canCreateInWorkspace])
+
   const [formData, setFormData] = useState({
     question: '',
     options: ['', ''],
     isPublished: false,
+    publishAt: '',
     expiresAt: '',
     allowVotingAfterExpiry: false,
     showResultsAfterExpiry: true,
-    autoArchive: false
+    autoArchive: false,
+    allowVoteChange: false,
+    allowAnonymous: false,
+    anonymousDuplicatePolicy: 'cookie' as AnonymousDuplicatePolicy,
+    votingMode: 'single' as VotingMode,
+    maxSelections: 2,
+    allowWriteIns: false,
+    writeInModeration: 'queue' as WriteInModeration,
+    isQuiz: false,
+    quizReveal: 'after_close' as QuizReveal,
+    quizSpeedWindow: 30,
+    // Positions in options of the quiz's correct answers
+    correctOptions: [] as number[]
   })
+  // A single poll, or a survey of several questions answered together
+  const [createMode, setCreateMode] = useState<'poll' | 'survey'>('poll')
   const [isSubmitting, setIsSubmitting] = useState(false)
   const [message, setMessage] = useState('')
   const [errors, setErrors] = useState<{ [key: string]: string[] }>({})
@@ -29,6 +58,20 @@ export default function CreatePoll() {
       case 'options':
         result = Validator.validatePollOptions(value as string[]);
         break;
+      case 'maxSelections': {
+        const max = Number(value);
+        const optionCount = formData.options.filter(opt => opt.trim() !== '').length;
+        if (formData.votingMode !== 'limited') {
+          result = { isValid: true, errors: [] };
+        } else if (!Number.isInteger(max) || max < 2) {
+          result = { isValid: false, errors: ['Maximum selections must be at least 2'] };
+        } else if (max > optionCount) {
+          result = { isValid: false, errors: ['Maximum selections cannot exceed the number of options'] };
+        } else {
+          result = { isValid: true, errors: [] };
+        }
+        break;
+      }
       case 'expiresAt':
         if (value) {
           const date = new Date(value as string);
@@ -41,6 +84,20 @@ export default function CreatePoll() {
           result = { isValid: true, errors: [] };
         }
         break;
+      case 'publishAt':
+        if (value) {
+          const date = new Date(value as string);
+          if (date <= new Date()) {
+            result = { isValid: false, errors: ['Publish date must be in the future'] };
+          } else if (formData.expiresAt && date >= new Date(formData.expiresAt)) {
+            result = { isValid: false, errors: ['Publish date must be before the expiration date'] };
+          } else {
+            result = { isValid: true, errors: [] };
+          }
+        } else {
+          result = { isValid: true, errors: [] };
+        }
+        break;
       default:
         result = { isValid: true, errors: [] };
     }
@@ -84,13 +141,28 @@ export default function CreatePoll() {
 
     setFormData(prev => ({
       ...prev,
-      options: prev.options.filter((_, i) => i !== index)
+      options: prev.options.filter((_, i) => i !== index),
+      correctOptions: prev.correctOptions
+        .filter(position => position !== index)
+        .map(position => position > index ? position - 1 : position)
     }));
 
     // Revalidate after removal
     setTimeout(() => validateField('options', formData.options.filter((_, i) => i !== index)));
   }
 
+  // Ranked ballots have no single right answer
+  const isQuizSelected = formData.isQuiz && formData.votingMode !== 'ranked';
+
+  const toggleCorrectOption = (index: number) => {
+    setFormData(prev => ({
+      ...prev,
+      correctOptions: prev.correctOptions.includes(index)
+        ? prev.correctOptions.filter(position => position !== index)
+        : [...prev.correctOptions, index]
+    }));
+  };
+
   const updateOption = (index: number, value: string) => {
     const sanitizedValue = Validator.sanitizeInput(value);
     
@@ -128,21 +200,61 @@ export default function CreatePoll() {
       return;
     }
 
+    if (!validateField('maxSelections', String(formData.maxSelections))) {
+      setIsSubmitting(false);
+      return;
+    }
+
     // Validate expiration date if provided
     if (formData.expiresAt && !validateField('expiresAt', formData.expiresAt)) {
       setIsSubmitting(false);
       return;
     }
 
+    // Validate scheduled publish date if provided
+    if (formData.publishAt && !validateField('publishAt', formData.publishAt)) {
+      setIsSubmitting(false);
+      return;
+    }
+
+    // Correct answers are sent as positions among the non-empty options
+    const keptPositions = formData.options
+      .map((opt, index) => opt.trim() !== '' ? index : -1)
+      .filter(index => index >= 0);
+    const correctOptions = keptPositions.flatMap((original, position) =>
+      formData.correctOptions.includes(original) ? [position] : []);
+    if (isQuizSelected && correctOptions.length === 0) {
+      setErrors(prev => ({ ...prev, options: ['Mark at least one correct answer for the quiz'] }));
+      setIsSubmitting(false);
+      return;
+    }
+
     // Sanitize all inputs
     const sanitizedData = {
       question: Validator.sanitizeInput(formData.question),
       options: Validator.sanitizeOptions(formData.options.filter(opt => opt.trim() !== '')),
-      isPublished: publishNow || formData.isPublished,
+      // A scheduled poll is saved as a draft and published by the server at publishAt
+      isPublished: !formData.publishAt && (publishNow || formData.isPublished),
+      publishAt: formData.publishAt || undefined,
       expiresAt: formData.expiresAt || undefined,
-      allowVotingAfterExpiry: formData.allowVotingAfterExpiry,
+      // Quiz answers are final and per account, and stay hidden from anyone who can still vote
+      allowVotingAfterExpiry: !isQuizSelected && formData.allowVotingAfterExpiry,
       showResultsAfterExpiry: formData.showResultsAfterExpiry,
-      autoArchive: formData.autoArchive
+      autoArchive: formData.autoArchive,
+      allowVoteChange: !isQuizSelected && formData.allowVoteChange,
+      allowAnonymous: !isQuizSelected && formData.allowAnonymous,
+      anonymousDuplicatePolicy: !isQuizSelected && formData.allowAnonymous ? formData.anonymousDuplicatePolicy : undefined,
+      votingMode: formData.votingMode,
+      maxSelections: formData.votingMode === 'limited' ? formData.maxSelections : undefined,
+      // Ranked ballots can't take write-ins
+      allowWriteIns: !isQuizSelected && formData.votingMode !== 'ranked' && formData.allowWriteIns,
+      writeInModeration: !isQuizSelected && formData.allowWriteIns ? formData.writeInModeration : undefined,
+      isQuiz: isQuizSelected,
+      quizReveal: isQuizSelected ? formData.quizReveal : undefined,
+      quizSpeedWindow: isQuizSelected ? formData.quizSpeedWindow : undefined,
+      correctOptions: isQuizSelected ? correctOptions : undefined,
+      workspace: canCreateInWorkspace ? workspace._id : undefined,
+      visibility
     };
 
     try {
@@ -181,7 +293,9 @@ export default function CreatePoll() {
         throw new Error(data.error || 'Failed to create poll');
       }
 
-      let successMessage = `Poll created successfully! It is now ${sanitizedData.isPublished ? 'published' : 'a draft'}.`;
+      let successMessage = formData.publishAt
+        ? `Poll created successfully! It will be published on ${new Date(formData.publishAt).toLocaleString()}.`
+        : `Poll created successfully! It is now ${sanitizedData.isPublished ? 'published' : 'a draft'}.`;
       if (formData.expiresAt) {
         const expiryDate = new Date(formData.expiresAt).toLocaleDateString();
         successMessage += ` It will expire on ${expiryDate}.`;
@@ -192,10 +306,22 @@ export default function CreatePoll() {
         question: '',
         options: ['', ''],
         isPublished: false,
+        publishAt: '',
         expiresAt: '',
         allowVotingAfterExpiry: false,
         showResultsAfterExpiry: true,
-        autoArchive: false
+        autoArchive: false,
+        allowVoteChange: false,
+        allowAnonymous: false,
+        anonymousDuplicatePolicy: 'cookie',
+        votingMode: 'single',
+        maxSelections: 2,
+        allowWriteIns: false,
+        writeInModeration: 'queue',
+        isQuiz: false,
+        quizReveal: 'after_close',
+        quizSpeedWindow: 30,
+        correctOptions: []
       })
       setShowExpiryOptions(false)
       setErrors({})
@@ -260,6 +386,8 @@ export default function CreatePoll() {
     return !hasErrors('question') && 
            !hasErrors('options') && 
            !hasErrors('expiresAt') &&
+           !hasErrors('publishAt') &&
+           !hasErrors('maxSelections') &&
            formData.question.trim().length > 0 &&
            formData.options.filter(opt => opt.trim().length > 0).length >= 2;
   };
@@ -267,10 +395,31 @@ export default function CreatePoll() {
   return (
     <div className="create-poll">
       <div className="create-poll-header">
-        <h2>Create New Poll</h2>
-        <p>Create a new poll for others to vote on</p>
+        <h2>{createMode === 'survey' ? 'Create New Survey' : 'Create New Poll'}</h2>
+        <p>
+          {createMode === 'survey'
+            ? 'Ask several questions that respondents answer in one go'
+            : 'Create a new poll for others to vote on'}
+        </p>
+        <div className="create-mode-toggle">
+          <button
+            type="button"
+            className={`btn ${createMode === 'poll' ? 'btn-primary' : 'btn-secondary'}`}
+            onClick={() => setCreateMode('poll')}
+          >
+            Poll
+          </button>
+          <button
+            type="button"
+            className={`btn ${createMode === 'survey' ? 'btn-primary' : 'btn-secondary'}`}
+            onClick={() => setCreateMode('survey')}
+          >
+            Survey
+          </button>
+        </div>
       </div>
 
+      {createMode === 'survey' ? <SurveyBuilder /> : (
       <form onSubmit={handleSubmit} className="poll-form">
         {/* Question Field */}
         <div className="form-group">
@@ -326,6 +475,17 @@ export default function CreatePoll() {
                   {option.length}/200
                 </span>
               </div>
+              {isQuizSelected && (
+                <button
+                  type="button"
+                  onClick={() => toggleCorrectOption(index)}
+                  className={`correct-option-btn ${formData.correctOptions.includes(index) ? 'active' : ''}`}
+                  title={formData.correctOptions.includes(index) ? 'Correct answer' : 'Mark as correct answer'}
+                  aria-pressed={formData.correctOptions.includes(index)}
+                >
+                  ✓
+                </button>
+              )}
               {formData.options.length > 2 && (
                 <button
                   type="button"
@@ -358,6 +518,234 @@ export default function CreatePoll() {
           )}
         </div>
 
+        {/* Visibility */}
+        <div className="form-group">
+          <label htmlFor="visibility" className="form-label">
+            {canCreateInWorkspace ? `Visibility in ${workspace.name}` : 'Visibility'}
+          </label>
+          <select
+            id="visibility"
+            className="form-input"
+            value={visibility}
+            onChange={(e) => setVisibility(e.target.value as PollVisibility)}
+          >
+            {canCreateInWorkspace && (
+              <>
+                <option value="workspace">Workspace members only</option>
+                <option value="invite_link">Members and anyone with the invite link</option>
+              </>
+            )}
+            <option value="public">Public</option>
+            <option value="unlisted">Unlisted (only people with a share link)</option>
+          </select>
+          {visibility === 'unlisted' && (
+            <small className="visibility-note">
+              Create share links from the poll card once the poll is saved.
+            </small>
+          )}
+          {workspace && !canCreateInWorkspace && (
+            <small className="visibility-note">
+              Voters can&apos;t create polls in {workspace.name}; this poll won&apos;t belong to it.
+            </small>
+          )}
+        </div>
+
+        {/* Voting Mode */}
+        <div className="form-group">
+          <label htmlFor="votingMode" className="form-label">
+            Voting Mode
+          </label>
+          <select
+            id="votingMode"
+            className="form-input"
+            value={formData.votingMode}
+            onChange={(e) => {
+              setFormData(prev => ({ ...prev, votingMode: e.target.value as VotingMode }));
+              setErrors(prev => ({ ...prev, maxSelections: [] }));
+            }}
+          >
+            <option value="single">Single choice</option>
+            <option value="multiple">Multiple choice (select all that apply)</option>
+            <option value="limited">Pick up to N options</option>
+            <option value="ranked">Ranked choice (instant runoff)</option>
+          </select>
+          {formData.votingMode === 'limited' && (
+            <div className="max-selections">
+              <label htmlFor="maxSelections">Maximum selections per voter</label>
+              <input
+                type="number"
+                id="maxSelections"
+                className={`form-input ${hasErrors('maxSelections') ? 'error' : ''}`}
+                value={formData.maxSelections}
+                min={2}
+                max={formData.options.length}
+                onChange={(e) => {
+                  const max = parseInt(e.target.value, 10);
+                  setFormData(prev => ({ ...prev, maxSelections: max }));
+                  validateField('maxSelections', e.target.value);
+                }}
+              />
+            </div>
+          )}
+          {hasErrors('maxSelections') && (
+            <div className="error-messages">
+              {errors.maxSelections.map((error, index) => (
+                <span key={index} className="error-message">• {error}</span>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {formData.votingMode !== 'ranked' && (
+          <div className="form-group checkbox-group">
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={formData.isQuiz}
+                onChange={(e) => setFormData(prev => ({ ...prev, isQuiz: e.target.checked }))}
+              />
+              <span className="checkmark"></span>
+              Quiz mode
+            </label>
+            <small>
+              Mark the correct options with ✓. Signed-in voters score points for a right answer, plus a bonus for
+              answering quickly, and appear on a leaderboard. Votes are final and guests can&apos;t take part.
+            </small>
+            {formData.isQuiz && (
+              <div className="duplicate-policy">
+                <label htmlFor="quizReveal">Show the correct answer</label>
+                <select
+                  id="quizReveal"
+                  className="form-input"
+                  value={formData.quizReveal}
+                  onChange={(e) => setFormData(prev => ({ ...prev, quizReveal: e.target.value as QuizReveal }))}
+                >
+                  <option value="after_close">When the poll closes</option>
+                  <option value="after_vote">To each voter right after they vote</option>
+                </select>
+                <label htmlFor="quizSpeedWindow">Speed bonus window (seconds, 0 for none)</label>
+                <input
+                  id="quizSpeedWindow"
+                  type="number"
+                  className="form-input"
+                  min={0}
+                  max={3600}
+                  value={formData.quizSpeedWindow}
+                  onChange={(e) => setFormData(prev => ({
+                    ...prev,
+                    quizSpeedWindow: Math.min(3600, Math.max(0, parseInt(e.target.value, 10) || 0))
+                  }))}
+                />
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Settings a quiz can't use */}
+        {!isQuizSelected && (
+          <>
+          <div className="form-group checkbox-group">
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={formData.allowVoteChange}
+                onChange={(e) => setFormData(prev => ({ ...prev, allowVoteChange: e.target.checked }))}
+              />
+              <span className="checkmark"></span>
+              Allow voters to change or retract their vote
+            </label>
+            <small>Only while the poll is still accepting votes</small>
+          </div>
+
+          <div className="form-group checkbox-group">
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={formData.allowAnonymous}
+                onChange={(e) => setFormData(prev => ({ ...prev, allowAnonymous: e.target.checked }))}
+              />
+              <span className="checkmark"></span>
+              Allow guests to vote without an account
+            </label>
+            {formData.allowAnonymous && (
+              <div className="duplicate-policy">
+                <label htmlFor="anonymousDuplicatePolicy">Prevent repeat guest votes by</label>
+                <select
+                  id="anonymousDuplicatePolicy"
+                  className="form-input"
+                  value={formData.anonymousDuplicatePolicy}
+                  onChange={(e) => setFormData(prev => ({ 
+                    ...prev, 
+                    anonymousDuplicatePolicy: e.target.value as AnonymousDuplicatePolicy 
+                  }))}
+                >
+                  <option value="cookie">Browser cookie</option>
+                  <option value="fingerprint">Network and browser fingerprint</option>
+                  <option value="none">No protection</option>
+                </select>
+              </div>
+            )}
+          </div>
+
+          {formData.votingMode !== 'ranked' && (
+            <div className="form-group checkbox-group">
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={formData.allowWriteIns}
+                  onChange={(e) => setFormData(prev => ({ ...prev, allowWriteIns: e.target.checked }))}
+                />
+                <span className="checkmark"></span>
+                Let voters add their own option (&quot;Other&quot;)
+              </label>
+              {formData.allowWriteIns && (
+                <div className="duplicate-policy">
+                  <label htmlFor="writeInModeration">New options from voters</label>
+                  <select
+                    id="writeInModeration"
+                    className="form-input"
+                    value={formData.writeInModeration}
+                    onChange={(e) => setFormData(prev => ({
+                      ...prev,
+                      writeInModeration: e.target.value as WriteInModeration
+                    }))}
+                  >
+                    <option value="queue">Wait for my approval</option>
+                    <option value="auto">Appear right away</option>
+                  </select>
+                </div>
+              )}
+            </div>
+          )}
+          </>
+        )}
+
+        {/* Scheduled Publishing */}
+        <div className="form-group">
+          <label htmlFor="publishAt" className="form-label">
+            Schedule Publishing
+          </label>
+          <input
+            type="datetime-local"
+            id="publishAt"
+            className={`form-input ${hasErrors('publishAt') ? 'error' : ''}`}
+            value={formData.publishAt}
+            onChange={(e) => {
+              setFormData(prev => ({ ...prev, publishAt: e.target.value }));
+              validateField('publishAt', e.target.value);
+            }}
+            min={new Date().toISOString().slice(0, 16)}
+          />
+          <small>Leave empty to publish manually. The poll stays a draft until this time.</small>
+          {hasErrors('publishAt') && (
+            <div className="error-messages">
+              {errors.publishAt.map((error, index) => (
+                <span key={index} className="error-message">• {error}</span>
+              ))}
+            </div>
+          )}
+        </div>
+
         {/* Expiration Settings */}
         <div className="form-section">
           <div className="section-header">
@@ -412,18 +800,20 @@ export default function CreatePoll() {
                 <div className="expiry-behavior">
                   <h4>Expiration Behavior</h4>
                   
-                  <div className="form-group checkbox-group">
-                    <label className="checkbox-label">
-                      <input
-                        type="checkbox"
-                        checked={formData.allowVotingAfterExpiry}
-                        onChange={(e) => setFormData(prev => ({ ...prev, allowVotingAfterExpiry: e.target.checked }))}
-                      />
-                      <span className="checkmark"></span>
-                      Allow voting after expiration
-                    </label>
-                    <small>Users can still vote even after the poll expires</small>
-                  </div>
+                  {!isQuizSelected && (
+                    <div className="form-group checkbox-group">
+                      <label className="checkbox-label">
+                        <input
+                          type="checkbox"
+                          checked={formData.allowVotingAfterExpiry}
+                          onChange={(e) => setFormData(prev => ({ ...prev, allowVotingAfterExpiry: e.target.checked }))}
+                        />
+                        <span className="checkmark"></span>
+                        Allow voting after expiration
+                      </label>
+                      <small>Users can still vote even after the poll expires</small>
+                    </div>
+                  )}
 
                   <div className="form-group checkbox-group">
                     <label className="checkbox-label">
@@ -497,7 +887,7 @@ export default function CreatePoll() {
             disabled={isSubmitting || !isFormValid()}
             className="btn btn-primary submit-btn publish-btn"
           >
-            {isSubmitting ? 'Publishing...' : 'Publish Poll'}
+            {isSubmitting ? 'Publishing...' : formData.publishAt ? 'Schedule Poll' : 'Publish Poll'}
           </button>
         </div>
 
@@ -514,6 +904,7 @@ export default function CreatePoll() {
           </ul>
         </div>
       </form>
+      )}
     </div>
   )
 }
\ No newline at end of file
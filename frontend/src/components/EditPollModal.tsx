@@ -1,8 +1,11 @@
 'use client'
 
 import { useState, useEffect } from 'react'
-import { Poll } from '@/types'
+import { Poll, PollOption, QuizState, WriteInModeration } from '@/types'
 import { Validator } from '@/lib/validation'
+import VoteTimelineChart from './VoteTimelineChart'
+import OptionManager from './OptionManager'
+import WriteInQueue from './WriteInQueue'
 import './EditPollModal.css'
 
 interface EditPollModalProps {
@@ -17,26 +20,63 @@ export default function EditPollModal({ poll, isOpen, onClose, onUpdate, onDelet
   const [formData, setFormData] = useState({
     question: '',
     options: [''],
-    isPublished: false
+    isPublished: false,
+    allowWriteIns: false,
+    writeInModeration: 'queue' as WriteInModeration,
+    // Quiz polls: positions of the correct options in the options being edited
+    correctOptions: [] as number[]
   })
   const [isSubmitting, setIsSubmitting] = useState(false)
   const [message, setMessage] = useState('')
   const [errors, setErrors] = useState<{ [key: string]: string[] }>({})
   const [activeTab, setActiveTab] = useState<'edit' | 'stats' | 'danger'>('edit')
+  const [managedOptions, setManagedOptions] = useState<PollOption[]>([])
+  // Quiz polls: ids of the correct options as saved
+  const [correctIds, setCorrectIds] = useState<string[]>([])
 
   useEffect(() => {
     if (isOpen && poll) {
       setFormData({
         question: poll.question,
         options: poll.options.map(opt => opt.text),
-        isPublished: poll.isPublished
+        isPublished: poll.isPublished,
+        allowWriteIns: !!poll.allowWriteIns,
+        writeInModeration: poll.writeInModeration || 'queue',
+        correctOptions: []
       })
+      setManagedOptions(poll.options)
       setErrors({})
       setMessage('')
       setActiveTab('edit')
     }
   }, [isOpen, poll])
 
+  // Correct answers are hidden from poll listings; the creator always gets them from the quiz endpoint
+  useEffect(() => {
+    if (!isOpen || !poll?.isQuiz) return
+    const loadCorrectOptions = async () => {
+      try {
+        const token = localStorage.getItem('authToken')
+        const response = await fetch(`/api/polls/${poll._id}/quiz`, {
+          headers: { 'Authorization': `Bearer ${token}` }
+        })
+        if (!response.ok) return
+        const quiz: QuizState = await response.json()
+        const ids = quiz.correctOptions || []
+        setCorrectIds(ids)
+        setFormData(prev => ({
+          ...prev,
+          correctOptions: poll.options
+            .map((option, index) => ids.includes(option._id) ? index : -1)
+            .filter(index => index >= 0)
+        }))
+      } catch (error) {
+        console.error('Failed to load correct answers:', error)
+      }
+    }
+    loadCorrectOptions()
+  }, [isOpen, poll])
+
   const validateField = (field: string, value: string | string[]) => {
     let result: { isValid: boolean; errors: string[] };
 
@@ -84,20 +124,80 @@ export default function EditPollModal({ poll, isOpen, onClose, onUpdate, onDelet
     if (formData.options.length <= 2) return;
     setFormData(prev => ({
       ...prev,
-      options: prev.options.filter((_, i) => i !== index)
+      options: prev.options.filter((_, i) => i !== index),
+      correctOptions: prev.correctOptions
+        .filter(position => position !== index)
+        .map(position => position > index ? position - 1 : position)
+    }));
+  }
+
+  const toggleCorrectOption = (index: number) => {
+    setFormData(prev => ({
+      ...prev,
+      correctOptions: prev.correctOptions.includes(index)
+        ? prev.correctOptions.filter(position => position !== index)
+        : [...prev.correctOptions, index]
     }));
   }
 
+  // Once votes are in, correct answers are saved right away and the scores recomputed
+  const saveCorrectIds = async (ids: string[]) => {
+    if (!poll) return
+
+    setMessage('')
+    try {
+      const token = localStorage.getItem('authToken')
+      const response = await fetch(`/api/polls/${poll._id}/quiz-answers`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({ correctOptions: ids })
+      })
+      const data = await response.json().catch(() => ({}))
+      if (!response.ok) {
+        throw new Error(data.details?.[0]?.message || data.error || 'Failed to update correct answers')
+      }
+      setCorrectIds(data.correctOptions)
+    } catch (error) {
+      setMessage(error instanceof Error ? error.message : 'Failed to update correct answers')
+    }
+  }
+
   const handleUpdate = async () => {
     if (!poll) return
     
     setIsSubmitting(true)
     setMessage('')
 
+    // Blank options are dropped, so map the correct answers onto the positions that remain
+    const keptPositions = formData.options
+      .map((opt, index) => opt.trim() !== '' ? index : -1)
+      .filter(index => index >= 0)
+    const correctOptions = keptPositions
+      .map((position, index) => formData.correctOptions.includes(position) ? index : -1)
+      .filter(index => index >= 0)
+
+    if (poll.isQuiz && poll.totalVotes === 0 && correctOptions.length === 0) {
+      setMessage('Mark at least one correct answer for the quiz')
+      setIsSubmitting(false)
+      return
+    }
+
+    // Once votes are in, options are changed one at a time through the option manager
     const sanitizedData = {
       question: Validator.sanitizeInput(formData.question),
-      options: Validator.sanitizeOptions(formData.options.filter(opt => opt.trim() !== '')),
-      isPublished: formData.isPublished
+      ...(poll.totalVotes > 0
+        ? {}
+        : {
+            options: Validator.sanitizeOptions(formData.options.filter(opt => opt.trim() !== '')),
+            ...(poll.isQuiz ? { correctOptions } : {})
+          }),
+      isPublished: formData.isPublished,
+      ...(poll.votingMode === 'ranked' || poll.isQuiz
+        ? {}
+        : { allowWriteIns: formData.allowWriteIns, writeInModeration: formData.writeInModeration })
     };
 
     try {
@@ -251,36 +351,112 @@ export default function EditPollModal({ poll, isOpen, onClose, onUpdate, onDelet
               )}
             </div>
 
-            <div className="form-group">
-              <label>Options {poll.totalVotes > 0 && <span className="warning">(Cannot modify options after votes)</span>}</label>
-              {formData.options.map((option, index) => (
-                <div key={index} className="option-input-group">
+            {poll.totalVotes > 0 ? (
+              <div className="form-group">
+                <label>Options <span className="warning">(Changes are saved right away; voters see renamed options as edited)</span></label>
+                <OptionManager
+                  pollId={poll._id}
+                  options={managedOptions}
+                  onChange={(options) => {
+                    setManagedOptions(options)
+                    onUpdate({ ...poll, options })
+                  }}
+                />
+                {poll.isQuiz && (
+                  <div className="quiz-answers">
+                    <label>Correct answers <span className="warning">(Saved right away; scores are recalculated)</span></label>
+                    {managedOptions.map(option => (
+                      <label key={option._id} className="write-in-setting">
+                        <input
+                          type="checkbox"
+                          checked={correctIds.includes(option._id)}
+                          disabled={correctIds.length === 1 && correctIds.includes(option._id)}
+                          onChange={(e) => saveCorrectIds(e.target.checked
+                            ? [...correctIds, option._id]
+                            : correctIds.filter(id => id !== option._id))}
+                        />
+                        {option.text}
+                      </label>
+                    ))}
+                  </div>
+                )}
+              </div>
+            ) : (
+              <div className="form-group">
+                <label>Options</label>
+                {formData.options.map((option, index) => (
+                  <div key={index} className="option-input-group">
+                    <input
+                      type="text"
+                      value={option}
+                      onChange={(e) => updateOption(index, e.target.value)}
+                      className={errors.options ? 'error' : ''}
+                    />
+                    {poll.isQuiz && (
+                      <button
+                        type="button"
+                        onClick={() => toggleCorrectOption(index)}
+                        className={`correct-option-btn ${formData.correctOptions.includes(index) ? 'active' : ''}`}
+                        title={formData.correctOptions.includes(index) ? 'Correct answer' : 'Mark as correct answer'}
+                        aria-pressed={formData.correctOptions.includes(index)}
+                      >
+                        ✓
+                      </button>
+                    )}
+                    {formData.options.length > 2 && (
+                      <button
+                        type="button"
+                        onClick={() => removeOption(index)}
+                        className="remove-option-btn"
+                      >
+                        ×
+                      </button>
+                    )}
+                  </div>
+                ))}
+                
+                {formData.options.length < 10 && (
+                  <button type="button" onClick={addOption} className="btn btn-secondary">
+                    + Add Option
+                  </button>
+                )}
+              </div>
+            )}
+
+            {poll.votingMode !== 'ranked' && !poll.isQuiz && (
+              <div className="form-group">
+                <label className="write-in-setting">
                   <input
-                    type="text"
-                    value={option}
-                    onChange={(e) => updateOption(index, e.target.value)}
-                    disabled={poll.totalVotes > 0}
-                    className={errors.options ? 'error' : ''}
+                    type="checkbox"
+                    checked={formData.allowWriteIns}
+                    onChange={(e) => setFormData(prev => ({ ...prev, allowWriteIns: e.target.checked }))}
                   />
-                  {formData.options.length > 2 && (
-                    <button
-                      type="button"
-                      onClick={() => removeOption(index)}
-                      disabled={poll.totalVotes > 0}
-                      className="remove-option-btn"
-                    >
-                      ×
-                    </button>
-                  )}
-                </div>
-              ))}
-              
-              {formData.options.length < 10 && poll.totalVotes === 0 && (
-                <button type="button" onClick={addOption} className="btn btn-secondary">
-                  + Add Option
-                </button>
-              )}
-            </div>
+                  Let voters add their own option
+                </label>
+                {formData.allowWriteIns && (
+                  <select
+                    value={formData.writeInModeration}
+                    onChange={(e) => setFormData(prev => ({
+                      ...prev,
+                      writeInModeration: e.target.value as WriteInModeration
+                    }))}
+                    aria-label="New options from voters"
+                  >
+                    <option value="queue">Wait for my approval</option>
+                    <option value="auto">Appear right away</option>
+                  </select>
+                )}
+                {poll.allowWriteIns && (
+                  <WriteInQueue
+                    pollId={poll._id}
+                    onApprove={(options) => {
+                      setManagedOptions(options)
+                      onUpdate({ ...poll, options })
+                    }}
+                  />
+                )}
+              </div>
+            )}
 
             <div className="form-actions">
               <button 
@@ -340,6 +516,8 @@ export default function EditPollModal({ poll, isOpen, onClose, onUpdate, onDelet
                 </div>
               ))}
             </div>
+
+            <VoteTimelineChart pollId={poll._id} options={poll.options} />
           </div>
         )}
 
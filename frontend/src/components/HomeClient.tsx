@@ -1,22 +1,41 @@
 "use client"
-import { useState } from 'react'
-import { Poll } from '@/types'
+import { useEffect, useState } from 'react'
+import { Poll, Workspace } from '@/types'
 import PollList from '@/components/PollList'
 import CreatePoll from '@/components/CreatePoll'
+import SurveyList from '@/components/SurveyList'
 import UserList from '@/components/UserList'
 import UserProfile from '@/components/UserProfile'
 import LoginForm from '@/components/LoginForm'
 import RegisterForm from '@/components/RegisterForm'
 import WebSocketStatus from '@/components/WebSocketStatus'
+import WorkspaceSwitcher from '@/components/WorkspaceSwitcher'
 import { useAuth } from '@/components/AuthContext'
 
 interface Props { initialPolls: Poll[] }
 
 export default function HomeClient({ initialPolls }: Props) {
-  const { isAuthenticated, loading } = useAuth()
-  const [activeTab, setActiveTab] = useState<'polls' | 'create' | 'users'>('polls')
+  const { user, isAuthenticated, loading, ssoResult } = useAuth()
+  const [activeTab, setActiveTab] = useState<'polls' | 'surveys' | 'create' | 'users'>('polls')
   const [showLogin, setShowLogin] = useState(false)
   const [showRegister, setShowRegister] = useState(false)
+  const [workspace, setWorkspace] = useState<Workspace | null>(null)
+  const canManageUsers = !!user?.capabilities?.includes('manage_users')
+
+  // A single sign-on that needs a second factor or failed continues in the login form
+  useEffect(() => {
+    if (ssoResult) setShowLogin(true)
+  }, [ssoResult])
+
+  // Workspaces belong to the signed-in user
+  useEffect(() => {
+    if (!isAuthenticated) setWorkspace(null)
+  }, [isAuthenticated])
+
+  // The user list is an admin tool
+  useEffect(() => {
+    if (!canManageUsers && activeTab === 'users') setActiveTab('polls')
+  }, [canManageUsers, activeTab])
 
   if (loading) {
     return (
@@ -54,21 +73,28 @@ export default function HomeClient({ initialPolls }: Props) {
         <div className="container">
           <div className="nav-tabs">
             <button className={`nav-tab ${activeTab === 'polls' ? 'active' : ''}`} onClick={() => setActiveTab('polls')}>View Polls</button>
+            <button className={`nav-tab ${activeTab === 'surveys' ? 'active' : ''}`} onClick={() => setActiveTab('surveys')}>Surveys</button>
             <button className={`nav-tab ${activeTab === 'create' ? 'active' : ''}`} onClick={() => setActiveTab('create')} disabled={!isAuthenticated}>Create Poll</button>
-            <button className={`nav-tab ${activeTab === 'users' ? 'active' : ''}`} onClick={() => setActiveTab('users')}>Users</button>
+            {canManageUsers && (
+              <button className={`nav-tab ${activeTab === 'users' ? 'active' : ''}`} onClick={() => setActiveTab('users')}>Users</button>
+            )}
           </div>
         </div>
       </nav>
       <main className="main-content">
         <div className="container">
-          {activeTab === 'polls' && <PollList initialPolls={initialPolls} />}
-          {activeTab === 'create' && (isAuthenticated ? <CreatePoll /> : (
+          {isAuthenticated && (activeTab === 'polls' || activeTab === 'create') && (
+            <WorkspaceSwitcher workspaceId={workspace?._id || null} onChange={setWorkspace} />
+          )}
+          {activeTab === 'polls' && <PollList initialPolls={initialPolls} workspaceId={workspace?._id} />}
+          {activeTab === 'surveys' && <SurveyList />}
+          {activeTab === 'create' && (isAuthenticated ? <CreatePoll workspace={workspace} /> : (
             <div className="auth-required-message">
               <p>Please log in to create polls</p>
               <button onClick={() => setShowLogin(true)} className="btn btn-primary">Login</button>
             </div>
           ))}
-          {activeTab === 'users' && <UserList />}
+          {activeTab === 'users' && canManageUsers && <UserList />}
         </div>
       </main>
       {showLogin && <LoginForm onClose={() => setShowLogin(false)} onSwitchToRegister={() => { setShowLogin(false); setShowRegister(true) }} />}
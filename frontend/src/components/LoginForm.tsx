@@ -1,8 +1,9 @@
 'use client'
 
-import { useState } from 'react'
+import { useEffect, useState } from 'react'
 import { useAuth } from './AuthContext'
 import { Validator } from '@/lib/validation'
+import { SsoProvider } from '@/types'
 import './LoginForm.css'
 
 interface LoginFormProps {
@@ -13,10 +14,27 @@ interface LoginFormProps {
 export default function LoginForm({ onClose, onSwitchToRegister }: LoginFormProps) {
   const [email, setEmail] = useState('')
   const [password, setPassword] = useState('')
-  const [error, setError] = useState('')
+  const { login, completeTwoFactorLogin, ssoResult, clearSsoResult } = useAuth()
+  const [error, setError] = useState(ssoResult?.error || '')
   const [loading, setLoading] = useState(false)
   const [fieldErrors, setFieldErrors] = useState<{email?: string[], password?: string[]}>({})
-  const { login } = useAuth()
+  // Second step for accounts with two-factor authentication (also after single sign-on)
+  const [challengeToken, setChallengeToken] = useState<string | null>(ssoResult?.challengeToken || null)
+  const [code, setCode] = useState('')
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false)
+  const [ssoProviders, setSsoProviders] = useState<SsoProvider[]>([])
+
+  // The single sign-on outcome was copied into the form state above
+  useEffect(() => {
+    clearSsoResult()
+  }, [clearSsoResult])
+
+  useEffect(() => {
+    fetch('/api/auth/oidc/providers')
+      .then(res => res.ok ? res.json() : [])
+      .then(setSsoProviders)
+      .catch(() => setSsoProviders([]))
+  }, [])
 
   const validateForm = () => {
     const emailValidation = Validator.validateEmail(email)
@@ -43,7 +61,11 @@ export default function LoginForm({ onClose, onSwitchToRegister }: LoginFormProp
     setLoading(true)
 
     try {
-      await login(email, password)
+      const challenge = await login(email, password)
+      if (challenge) {
+        setChallengeToken(challenge.challengeToken)
+        return
+      }
       onClose()
     } catch (err) {
       setError(err instanceof Error ? err.message : 'Login failed')
@@ -52,6 +74,34 @@ export default function LoginForm({ onClose, onSwitchToRegister }: LoginFormProp
     }
   }
 
+  const handleCodeSubmit = async (e: React.FormEvent) => {
+    e.preventDefault()
+    if (!challengeToken) return
+    setError('')
+    setLoading(true)
+
+    try {
+      await completeTwoFactorLogin(challengeToken, useRecoveryCode ? { recoveryCode: code.trim() } : { code: code.trim() })
+      onClose()
+    } catch (err) {
+      const message = err instanceof Error ? err.message : 'Verification failed'
+      // The challenge is only valid for a few minutes; after that the password is needed again
+      if (/expired|log in again/i.test(message)) {
+        setChallengeToken(null)
+        setCode('')
+      }
+      setError(message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const toggleRecoveryCode = () => {
+    setUseRecoveryCode(prev => !prev)
+    setCode('')
+    setError('')
+  }
+
   const handleEmailChange = (value: string) => {
     setEmail(Validator.sanitizeInput(value))
     if (fieldErrors.email) {
@@ -66,6 +116,64 @@ export default function LoginForm({ onClose, onSwitchToRegister }: LoginFormProp
     }
   }
 
+  if (challengeToken) {
+    return (
+      <div className="auth-modal">
+        <div className="auth-content">
+          <button className="close-btn" onClick={onClose}>×</button>
+          <h2>Two-factor check</h2>
+          <form onSubmit={handleCodeSubmit}>
+            {error && <div className="error-message">{error}</div>}
+
+            <p className="two-factor-hint">
+              {useRecoveryCode
+                ? 'Enter one of the recovery codes you saved when you turned on two-factor authentication.'
+                : 'Enter the 6-digit code from your authenticator app.'}
+            </p>
+
+            <div className="form-group">
+              <label>{useRecoveryCode ? 'Recovery code' : 'Authentication code'}</label>
+              {useRecoveryCode ? (
+                <input
+                  type="text"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  placeholder="xxxxx-xxxxx"
+                  autoComplete="off"
+                  autoFocus
+                  required
+                />
+              ) : (
+                <input
+                  type="text"
+                  inputMode="numeric"
+                  pattern="[0-9]{6}"
+                  maxLength={6}
+                  value={code}
+                  onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+                  placeholder="123456"
+                  autoComplete="one-time-code"
+                  autoFocus
+                  required
+                />
+              )}
+            </div>
+
+            <button type="submit" disabled={loading}>
+              {loading ? 'Verifying...' : 'Verify'}
+            </button>
+          </form>
+
+          <p className="switch-auth">
+            <button type="button" onClick={toggleRecoveryCode}>
+              {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+            </button>
+          </p>
+        </div>
+      </div>
+    )
+  }
+
   return (
     <div className="auth-modal">
       <div className="auth-content">
@@ -114,6 +222,17 @@ export default function LoginForm({ onClose, onSwitchToRegister }: LoginFormProp
             {loading ? 'Logging in...' : 'Login'}
           </button>
         </form>
+
+        {ssoProviders.length > 0 && (
+          <div className="sso-options">
+            <span className="sso-divider">or</span>
+            {ssoProviders.map(provider => (
+              <a key={provider.id} className="sso-btn" href={`/api/auth/oidc/${encodeURIComponent(provider.id)}/login`}>
+                Continue with {provider.name}
+              </a>
+            ))}
+          </div>
+        )}
         
         <p className="switch-auth">
           Don&apos;t have an account?{' '}
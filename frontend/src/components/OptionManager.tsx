@@ -0,0 +1,153 @@
+'use client'
+
+import { useState } from 'react'
+import { PollOption } from '@/types'
+import { Validator } from '@/lib/validation'
+
+interface OptionManagerProps {
+  pollId: string
+  options: PollOption[]
+  onChange: (options: PollOption[]) => void
+}
+
+// Option editing for polls that already have votes. Each change is saved on its own through the
+// options API, so ballots already cast keep pointing at the same options.
+export default function OptionManager({ pollId, options, onChange }: OptionManagerProps) {
+  const [drafts, setDrafts] = useState<{ [optionId: string]: string }>({})
+  const [newOption, setNewOption] = useState('')
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+
+  const optionRequest = async (path: string, method: string, body?: object) => {
+    const token = localStorage.getItem('authToken')
+    const response = await fetch(`/api/options${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: body ? JSON.stringify(body) : undefined
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) {
+      throw new Error(data.details?.[0]?.message || data.error || 'Failed to update options')
+    }
+    return data as { options: PollOption[] }
+  }
+
+  const run = async (request: () => Promise<{ options: PollOption[] }>) => {
+    setBusy(true)
+    setError('')
+    try {
+      const data = await request()
+      onChange(data.options)
+      return true
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to update options')
+      return false
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const renameOption = async (option: PollOption) => {
+    const text = Validator.sanitizeInput(drafts[option._id] ?? option.text).trim()
+    if (!text || text === option.text) return
+    if ((option.votes || 0) > 0 &&
+      !confirm(`"${option.text}" already has votes. Voters will see it was edited and what it said before. Rename it?`)) {
+      return
+    }
+    if (await run(() => optionRequest(`/${option._id}`, 'PUT', { text }))) {
+      setDrafts(prev => {
+        const next = { ...prev }
+        delete next[option._id]
+        return next
+      })
+    }
+  }
+
+  const moveOption = (index: number, offset: number) => {
+    const order = options.map(option => option._id)
+    const [moved] = order.splice(index, 1)
+    order.splice(index + offset, 0, moved)
+    run(() => optionRequest('/order', 'PUT', { poll: pollId, options: order }))
+  }
+
+  const removeOption = (option: PollOption) => {
+    if (!confirm(`Remove "${option.text}"?`)) return
+    run(() => optionRequest(`/${option._id}`, 'DELETE'))
+  }
+
+  const addOption = async () => {
+    const text = Validator.sanitizeInput(newOption).trim()
+    if (!text) return
+    if (await run(() => optionRequest('', 'POST', { poll: pollId, text }))) {
+      setNewOption('')
+    }
+  }
+
+  return (
+    <div className="option-manager">
+      {options.map((option, index) => (
+        <div key={option._id} className="option-input-group">
+          <input
+            type="text"
+            value={drafts[option._id] ?? option.text}
+            onChange={(e) => setDrafts(prev => ({ ...prev, [option._id]: e.target.value }))}
+            onBlur={() => renameOption(option)}
+            maxLength={200}
+            disabled={busy}
+            aria-label={`Option ${index + 1}`}
+          />
+          <span className="option-manager-votes">{option.votes || 0} votes</span>
+          <button
+            type="button"
+            className="move-option-btn"
+            onClick={() => moveOption(index, -1)}
+            disabled={busy || index === 0}
+            aria-label="Move up"
+          >
+            ↑
+          </button>
+          <button
+            type="button"
+            className="move-option-btn"
+            onClick={() => moveOption(index, 1)}
+            disabled={busy || index === options.length - 1}
+            aria-label="Move down"
+          >
+            ↓
+          </button>
+          <button
+            type="button"
+            className="remove-option-btn"
+            onClick={() => removeOption(option)}
+            disabled={busy || (option.votes || 0) > 0 || options.length <= 2}
+            title={(option.votes || 0) > 0 ? 'Options with votes cannot be removed' : undefined}
+          >
+            ×
+          </button>
+        </div>
+      ))}
+
+      {options.length < 10 && (
+        <div className="option-input-group">
+          <input
+            type="text"
+            value={newOption}
+            onChange={(e) => setNewOption(e.target.value)}
+            onKeyDown={(e) => { if (e.key === 'Enter') addOption() }}
+            placeholder="New option"
+            maxLength={200}
+            disabled={busy}
+          />
+          <button type="button" onClick={addOption} disabled={busy || !newOption.trim()} className="btn btn-secondary">
+            + Add Option
+          </button>
+        </div>
+      )}
+
+      {error && <div className="error-messages"><span className="error-message">• {error}</span></div>}
+    </div>
+  )
+}
@@ -1,23 +1,57 @@
 'use client'
 
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useCallback } from 'react'
 import { useAuth } from './AuthContext'
 import { websocketService, WebSocketMessage } from '@/lib/websocket'
-import { Poll } from '@/types'
+import { Poll, PollStatus, QuizState, RankedResults } from '@/types'
+import ShareLinksModal from './ShareLinksModal'
 import './PollCard.css'
+
+// Guests have no account to remember their ballots, so keep them on this device
+const GUEST_VOTES_KEY = 'guestVotes'
+
+const getGuestVotes = (): Record<string, string[]> => {
+  try {
+    return JSON.parse(localStorage.getItem(GUEST_VOTES_KEY) || '{}')
+  } catch {
+    return {}
+  }
+}
+
+const saveGuestVote = (pollId: string, optionIds: string[]) => {
+  localStorage.setItem(GUEST_VOTES_KEY, JSON.stringify({ ...getGuestVotes(), [pollId]: optionIds }))
+}
+
+const EXPORT_FORMATS = [
+  { format: 'csv', label: 'CSV' },
+  { format: 'xlsx', label: 'Excel (XLSX)' },
+  { format: 'json', label: 'JSON' }
+] as const
+
+type ExportFormat = typeof EXPORT_FORMATS[number]['format']
+
 interface PollCardProps {
   poll: Poll
   onVote: () => void
+  // Share link the poll was opened through; sent along with votes and the live subscription
+  shareToken?: string
 }
 
-export default function PollCard({ poll, onVote }: PollCardProps) {
+export default function PollCard({ poll, onVote, shareToken }: PollCardProps) {
   const { isAuthenticated, user } = useAuth()
-  const [selectedOption, setSelectedOption] = useState('')
+  const [selectedOptions, setSelectedOptions] = useState<string[]>([])
   const [localPoll, setLocalPoll] = useState(poll)
   const [isSubmitting, setIsSubmitting] = useState(false)
+  const [isChangingVote, setIsChangingVote] = useState(false)
   const [wsStatus, setWsStatus] = useState<'connecting' | 'open' | 'closed'>('closed')
   const [reconnectAttempts, setReconnectAttempts] = useState(0)
   const [lastUpdate, setLastUpdate] = useState<Date | null>(null)
+  const [showExportMenu, setShowExportMenu] = useState(false)
+  const [isExporting, setIsExporting] = useState(false)
+  const [showShareLinks, setShowShareLinks] = useState(false)
+  const [writeInText, setWriteInText] = useState('')
+  const [writeInNotice, setWriteInNotice] = useState('')
+  const [quiz, setQuiz] = useState<QuizState | null>(null)
 
   useEffect(() => {
     if (!poll?._id) return
@@ -43,17 +77,85 @@ export default function PollCard({ poll, onVote }: PollCardProps) {
         
         if (message.type === 'vote_update' && message.pollId === poll._id) {
           console.log('Received real-time vote update')
-          const voteUpdate = message as { type: 'vote_update'; pollId?: string; voteCounts: { [key: string]: number }; totalVotes: number };
+          const voteUpdate = message as { type: 'vote_update'; pollId?: string; voteCounts: { [key: string]: number }; totalVotes: number; totalVoters?: number; rankedResults?: RankedResults };
           setLocalPoll(prev => ({
             ...prev,
             options: prev.options.map(opt => ({
               ...opt,
               votes: voteUpdate.voteCounts[opt._id] || 0
             })),
-            totalVotes: voteUpdate.totalVotes
+            totalVotes: voteUpdate.totalVotes,
+            totalVoters: voteUpdate.totalVoters ?? prev.totalVoters,
+            rankedResults: voteUpdate.rankedResults ?? prev.rankedResults
           }))
         }
         
+        // Coalesced vote changes since the last update, applied on top of the current counts
+        if (message.type === 'vote_delta' && message.pollId === poll._id) {
+          const voteDelta = message as Extract<WebSocketMessage, { type: 'vote_delta' }>
+          setLocalPoll(prev => ({
+            ...prev,
+            options: prev.options.map(opt => ({
+              ...opt,
+              votes: Math.max(0, (opt.votes || 0) + (voteDelta.deltas[opt._id] || 0))
+            })),
+            totalVotes: Math.max(0, prev.totalVotes + voteDelta.totalVotesDelta),
+            totalVoters: prev.totalVoters === undefined
+              ? prev.totalVoters
+              : Math.max(0, prev.totalVoters + voteDelta.totalVotersDelta)
+          }))
+        }
+
+        // Full state after a reconnect gap too long to replay
+        if (message.type === 'poll_snapshot' && message.pollId === poll._id) {
+          const snapshot = message as Extract<WebSocketMessage, { type: 'poll_snapshot' }>
+          setLocalPoll(prev => ({
+            ...prev,
+            options: prev.options.map(opt => ({
+              ...opt,
+              votes: snapshot.voteCounts[opt._id] || 0
+            })),
+            totalVotes: snapshot.totalVotes,
+            totalVoters: snapshot.totalVoters ?? prev.totalVoters,
+            rankedResults: snapshot.rankedResults ?? prev.rankedResults,
+            status: snapshot.status,
+            isPublished: snapshot.isPublished,
+            expiresAt: snapshot.expiresAt ?? prev.expiresAt
+          }))
+        }
+
+        // Scheduled publish, expiry and auto-archive transitions from the server
+        if (message.type === 'poll_status_update' && message.pollId === poll._id) {
+          const statusUpdate = message as { type: 'poll_status_update'; pollId: string; status: PollStatus; isPublished: boolean; expiresAt?: string | null };
+          setLocalPoll(prev => ({
+            ...prev,
+            status: statusUpdate.status,
+            isPublished: statusUpdate.isPublished,
+            publishAt: statusUpdate.isPublished ? null : prev.publishAt,
+            expiresAt: statusUpdate.expiresAt ?? prev.expiresAt
+          }))
+        }
+
+        // The creator added, renamed, removed or reordered options
+        if (message.type === 'options_changed' && message.pollId === poll._id) {
+          const { options } = message as Extract<WebSocketMessage, { type: 'options_changed' }>
+          const optionIds = options.map(option => option._id)
+          setLocalPoll(prev => ({ ...prev, options }))
+          setSelectedOptions(prev => prev.filter(id => optionIds.includes(id)))
+        }
+
+        // Quiz standings after each answer, with the correct options once the quiz closes
+        if (message.type === 'quiz_leaderboard' && message.pollId === poll._id) {
+          const standings = message as Extract<WebSocketMessage, { type: 'quiz_leaderboard' }>
+          setQuiz(prev => prev && {
+            ...prev,
+            leaderboard: standings.leaderboard,
+            totalPlayers: standings.totalPlayers,
+            revealed: prev.revealed || !!standings.correctOptions,
+            correctOptions: standings.correctOptions ?? prev.correctOptions
+          })
+        }
+
         if (message.type === 'subscription_confirmed') {
           console.log('Poll subscription confirmed')
         }
@@ -71,39 +173,99 @@ export default function PollCard({ poll, onVote }: PollCardProps) {
       }
     }
 
-    // Connect to WebSocket for this poll
-    websocketService.connect(poll._id, callbacks)
+    // Subscribe to this poll on the shared WebSocket connection
+    const unsubscribe = websocketService.subscribe(poll._id, callbacks, shareToken)
 
     // Cleanup on component unmount
-    return () => {
-      websocketService.unsubscribeFromPoll()
+    return unsubscribe
+  }, [poll._id, shareToken])
+
+  // Ranked ballots reuse the multi-select flow; the selection order is the preference order
+  const isRanked = localPoll.votingMode === 'ranked'
+  const isMultipleChoice = localPoll.votingMode === 'multiple' || localPoll.votingMode === 'limited' || isRanked
+  const selectionLimit = localPoll.votingMode === 'limited'
+    ? (localPoll.maxSelections || localPoll.options.length)
+    : isMultipleChoice ? localPoll.options.length : 1
+
+  // A typed-in option counts as one of the voter's choices; single-choice polls take one or the other
+  const writeIn = writeInText.trim()
+  const choiceCount = selectedOptions.length + (writeIn ? 1 : 0)
+
+  const toggleOption = (optionId: string) => {
+    if (!isMultipleChoice) {
+      setSelectedOptions([optionId])
+      setWriteInText('')
+      return
     }
-  }, [poll._id])
+    setSelectedOptions(prev => {
+      if (prev.includes(optionId)) return prev.filter(id => id !== optionId)
+      if (prev.length + (writeIn ? 1 : 0) >= selectionLimit) return prev
+      return [...prev, optionId]
+    })
+  }
+
+  const changeWriteIn = (value: string) => {
+    setWriteInText(value)
+    if (!isMultipleChoice && value.trim()) setSelectedOptions([])
+  }
+
+  // Mirrors the server's canVote rule; the list endpoint doesn't return virtuals
+  const isVotingOpen = localPoll.isPublished &&
+    (!localPoll.expiresAt || new Date(localPoll.expiresAt) > new Date() || localPoll.allowVotingAfterExpiry)
+  // Vote changes are tied to an account, guests only get a single ballot
+  const canChangeVote = !!localPoll.allowVoteChange && isVotingOpen && isAuthenticated
+  const canVoteHere = isAuthenticated || !!localPoll.allowAnonymous
 
   const handleVote = async () => {
-    if (!selectedOption || !isAuthenticated) return
+    if (!choiceCount || !canVoteHere) return
 
     setIsSubmitting(true)
     try {
       const token = localStorage.getItem('authToken')
-      const response = await fetch('/api/votes', {
-        method: 'POST',
+      const voterToken = !isAuthenticated ? localStorage.getItem('voterToken') : null
+      const selection = !selectedOptions.length
+        ? {}
+        : isMultipleChoice
+          ? { pollOptions: selectedOptions }
+          : { pollOption: selectedOptions[0] }
+      const response = await fetch(isChangingVote ? `/api/votes/${poll._id}` : '/api/votes', {
+        method: isChangingVote ? 'PUT' : 'POST',
         headers: {
           'Content-Type': 'application/json',
-          ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+          ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+          ...(voterToken ? { 'X-Voter-Token': voterToken } : {}),
+          ...(shareToken ? { 'X-Poll-Share': shareToken } : {})
         },
-        body: JSON.stringify({
-          poll: poll._id,
-          pollOption: selectedOption
-        })
+        body: JSON.stringify(isChangingVote
+          ? selection
+          : { poll: poll._id, ...selection, ...(writeIn ? { writeIn } : {}) })
       })
 
       if (!response.ok) {
         const errorData = await response.json()
         throw new Error(errorData.error || 'Failed to submit vote')
       }
+
+      const data = await response.json()
+      // The server may have matched the write-in to an existing option or added a new one
+      const votedOptions: string[] = data.selectedOptions || selectedOptions
+      if (data.anonymous) {
+        if (data.voterToken) localStorage.setItem('voterToken', data.voterToken)
+        saveGuestVote(poll._id, votedOptions)
+      }
+      if (data.writeIn?.status === 'pending') {
+        setWriteInNotice(`"${data.writeIn.text}" was sent to the poll creator for review.`)
+      }
       
-      setSelectedOption('')
+      setLocalPoll(prev => ({
+        ...prev,
+        userVoted: true,
+        userVoteOption: votedOptions[0],
+        userVoteOptions: votedOptions
+      }))
+      setSelectedOptions(votedOptions)
+      setWriteInText('')
+      setIsChangingVote(false)
       onVote() // Refresh the poll list
     } catch (error) {
       alert(error instanceof Error ? error.message : 'Failed to submit vote')
@@ -112,11 +274,77 @@ export default function PollCard({ poll, onVote }: PollCardProps) {
     }
   }
 
+  const handleRetractVote = async () => {
+    if (!confirm('Retract your vote?')) return
+
+    setIsSubmitting(true)
+    try {
+      const token = localStorage.getItem('authToken')
+      const response = await fetch(`/api/votes/${poll._id}`, {
+        method: 'DELETE',
+        headers: {
+          ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+          ...(shareToken ? { 'X-Poll-Share': shareToken } : {})
+        }
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || 'Failed to retract vote')
+      }
+
+      setLocalPoll(prev => ({ ...prev, userVoted: false, userVoteOption: null, userVoteOptions: [] }))
+      setSelectedOptions([])
+      setIsChangingVote(false)
+      onVote() // Refresh the poll list
+    } catch (error) {
+      alert(error instanceof Error ? error.message : 'Failed to retract vote')
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  // The export needs the auth header, so fetch it and hand the file to the browser ourselves
+  const handleExport = async (format: ExportFormat) => {
+    setShowExportMenu(false)
+    setIsExporting(true)
+    try {
+      const token = localStorage.getItem('authToken')
+      const response = await fetch(`/api/polls/${poll._id}/export?format=${format}`, {
+        headers: token ? { 'Authorization': `Bearer ${token}` } : {}
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || 'Failed to export results')
+      }
+
+      const blob = await response.blob()
+      const url = URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `poll-${poll._id}-results.${format}`
+      document.body.appendChild(link)
+      link.click()
+      link.remove()
+      URL.revokeObjectURL(url)
+    } catch (error) {
+      alert(error instanceof Error ? error.message : 'Failed to export results')
+    } finally {
+      setIsExporting(false)
+    }
+  }
+
+  // Multiple-choice percentages are relative to voters, not to individual selections
   const getPercentage = (votes: number) => {
-    if (localPoll.totalVotes === 0) return 0
-    return Math.round((votes / localPoll.totalVotes) * 100)
+    const base = isMultipleChoice ? (localPoll.totalVoters ?? localPoll.totalVotes) : localPoll.totalVotes
+    if (!base) return 0
+    return Math.round((votes / base) * 100)
   }
 
+  const getOptionText = (optionId: string) =>
+    localPoll.options.find(opt => opt._id === optionId)?.text || 'Unknown option'
+
   const getConnectionStatusText = () => {
     switch (wsStatus) {
       case 'connecting':
@@ -145,20 +373,57 @@ export default function PollCard({ poll, onVote }: PollCardProps) {
     }
   }
 
+  // What this viewer may see of a quiz: the answers, their score and the leaderboard
+  const fetchQuiz = useCallback(async () => {
+    try {
+      const token = localStorage.getItem('authToken')
+      const response = await fetch(`/api/polls/${poll._id}/quiz`, {
+        headers: {
+          ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+          ...(shareToken ? { 'X-Poll-Share': shareToken } : {})
+        }
+      })
+      if (!response.ok) return
+      setQuiz(await response.json())
+    } catch (error) {
+      console.error('Failed to load quiz results:', error)
+    }
+  }, [poll._id, shareToken])
+
+  // Reload after voting and when the quiz closes, either of which may reveal the answers
+  useEffect(() => {
+    if (localPoll.isQuiz) fetchQuiz()
+  }, [localPoll.isQuiz, localPoll.userVoted, localPoll.status, isAuthenticated, fetchQuiz])
+
+  // Pick up fresh server state (e.g. after onVote refreshes the list),
+  // restoring a guest's ballot from this device
+  useEffect(() => {
+    const guestVote = !isAuthenticated && poll.allowAnonymous ? getGuestVotes()[poll._id] : undefined
+    setLocalPoll(guestVote && !poll.userVoted
+      ? { ...poll, userVoted: true, userVoteOption: guestVote[0] || null, userVoteOptions: guestVote }
+      : poll)
+  }, [poll, isAuthenticated])
+
   // If user has already voted, show their selection
   useEffect(() => {
-    if (poll.userVoted && poll.userVoteOption) {
-      setSelectedOption(poll.userVoteOption)
+    if (localPoll.userVoted && localPoll.userVoteOptions?.length) {
+      setSelectedOptions(localPoll.userVoteOptions)
+    } else if (localPoll.userVoted && localPoll.userVoteOption) {
+      setSelectedOptions([localPoll.userVoteOption])
     }
-  }, [poll.userVoted, poll.userVoteOption])
+  }, [localPoll.userVoted, localPoll.userVoteOption, localPoll.userVoteOptions])
 
   return (
     <div className="poll-card">
-      {!poll.isPublished && (
+      {!localPoll.isPublished && (localPoll.publishAt ? (
+        <div className="draft-badge scheduled-badge" title="This poll will be published automatically at the scheduled time">
+          Scheduled · {new Date(localPoll.publishAt).toLocaleString()}
+        </div>
+      ) : (
         <div className="draft-badge" title="This poll is a draft and not visible to others until published">
-          Draft
+          {localPoll.archivedAt ? 'Archived' : 'Draft'}
         </div>
-      )}
+      ))}
       <div className="poll-header">
         <div className="poll-title-section">
           <h3 className="poll-question">{localPoll.question}</h3>
@@ -178,22 +443,57 @@ export default function PollCard({ poll, onVote }: PollCardProps) {
         <div className="poll-meta">
           <span>By {localPoll.creator.name}</span>
           <span>{new Date(localPoll.createdAt).toLocaleDateString()}</span>
+          {localPoll.isQuiz && <span className="visibility-badge quiz-badge">Quiz</span>}
+          {localPoll.visibility && localPoll.visibility !== 'public' && (
+            <span className="visibility-badge">
+              {localPoll.visibility === 'unlisted'
+                ? 'Unlisted'
+                : localPoll.visibility === 'invite_link' ? 'Workspace · invite link' : 'Workspace only'}
+            </span>
+          )}
         </div>
       </div>
 
+      {isMultipleChoice && (
+        <div className="selection-hint">
+          {isRanked
+            ? 'Pick options in order of preference (first pick = first choice)'
+            : localPoll.votingMode === 'limited'
+              ? `Select up to ${selectionLimit} options (${selectedOptions.length}/${selectionLimit} selected)`
+              : 'Select all that apply'}
+        </div>
+      )}
+
       <div className="poll-options">
         {localPoll.options.map(option => (
-          <div key={option._id} className="poll-option">
+          <div key={option._id} className={`poll-option ${quiz?.correctOptions?.includes(option._id) ? 'option-correct' : ''}`}>
             <label className="option-label">
               <input
-                type="radio"
+                type={isMultipleChoice ? 'checkbox' : 'radio'}
                 name={`poll-${poll._id}`}
                 value={option._id}
-                checked={selectedOption === option._id}
-                onChange={(e) => setSelectedOption(e.target.value)}
-                disabled={isSubmitting || !isAuthenticated || poll.userVoted}
+                checked={selectedOptions.includes(option._id)}
+                onChange={(e) => toggleOption(e.target.value)}
+                disabled={
+                  isSubmitting || !canVoteHere || (localPoll.userVoted && !isChangingVote) ||
+                  (isMultipleChoice && !selectedOptions.includes(option._id) && selectedOptions.length >= selectionLimit)
+                }
               />
               <span className="option-text">{option.text}</span>
+              {option.amendments && option.amendments.length > 0 && (
+                <span
+                  className="option-amended"
+                  title={`Previously: ${option.amendments.map(amendment => `"${amendment.text}"`).join(', ')}`}
+                >
+                  (edited)
+                </span>
+              )}
+              {quiz?.correctOptions?.includes(option._id) && (
+                <span className="quiz-correct-mark">✓ Correct</span>
+              )}
+              {isRanked && selectedOptions.includes(option._id) && (
+                <span className="rank-badge">#{selectedOptions.indexOf(option._id) + 1}</span>
+              )}
             </label>
             
             <div className="vote-results">
@@ -212,16 +512,132 @@ export default function PollCard({ poll, onVote }: PollCardProps) {
         ))}
       </div>
 
+      {localPoll.allowWriteIns && canVoteHere && isVotingOpen && !localPoll.userVoted && (
+        <div className="write-in">
+          <label htmlFor={`write-in-${poll._id}`}>Other:</label>
+          <input
+            id={`write-in-${poll._id}`}
+            type="text"
+            value={writeInText}
+            onChange={(e) => changeWriteIn(e.target.value)}
+            placeholder="Add your own option"
+            maxLength={200}
+            disabled={isSubmitting || (isMultipleChoice && !writeIn && selectedOptions.length >= selectionLimit)}
+          />
+        </div>
+      )}
+      {writeInNotice && <div className="write-in-notice">{writeInNotice}</div>}
+
+      {isRanked && localPoll.rankedResults && localPoll.rankedResults.totalBallots > 0 && (
+        <div className="ranked-results">
+          <div className="ranked-summary">
+            {localPoll.rankedResults.winner
+              ? `Winner: ${getOptionText(localPoll.rankedResults.winner)}`
+              : localPoll.rankedResults.tie ? 'Result: tie' : 'No winner yet'}
+            {' '}after {localPoll.rankedResults.rounds.length} round{localPoll.rankedResults.rounds.length !== 1 ? 's' : ''}
+          </div>
+          <ol className="ranked-rounds">
+            {localPoll.rankedResults.rounds.map(round => (
+              <li key={round.round}>
+                <strong>Round {round.round}:</strong>{' '}
+                {Object.entries(round.tallies)
+                  .sort(([, a], [, b]) => b - a)
+                  .map(([optionId, count]) => `${getOptionText(optionId)} ${count}`)
+                  .join(', ')}
+                {round.eliminated.map(optionId => (
+                  <span key={optionId} className="round-elimination">
+                    {' '}— eliminated {getOptionText(optionId)}
+                    {Object.keys(round.transfers[optionId] || {}).length > 0 && (
+                      ` (${Object.entries(round.transfers[optionId])
+                        .map(([to, count]) => `${count} → ${to === 'exhausted' ? 'exhausted' : getOptionText(to)}`)
+                        .join(', ')})`
+                    )}
+                  </span>
+                ))}
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+
+      {localPoll.isQuiz && quiz && (
+        <div className="quiz-results">
+          {quiz.myResult ? (
+            <div className={`quiz-my-result ${quiz.myResult.correct ? 'correct' : 'wrong'}`}>
+              {quiz.myResult.correct
+                ? `Correct! +${quiz.myResult.score} points${quiz.myResult.speedBonus ? ` (incl. ${quiz.myResult.speedBonus} speed bonus)` : ''}`
+                : 'Wrong answer'}
+              {' '}· Rank {quiz.myResult.rank} of {quiz.totalPlayers}
+            </div>
+          ) : !quiz.revealed && (
+            <div className="quiz-hint">
+              {quiz.quizReveal === 'after_vote'
+                ? 'Vote to see the answer and your score.'
+                : 'Answers and scores are revealed when the quiz closes.'}
+              {quiz.scoring.speedWindow > 0 &&
+                ` Correct answers score ${quiz.scoring.correctPoints}, plus up to ${quiz.scoring.maxSpeedBonus} for answering within ${quiz.scoring.speedWindow}s of the first answer.`}
+            </div>
+          )}
+          {quiz.leaderboard && quiz.leaderboard.length > 0 && (
+            <>
+              <div className="quiz-leaderboard-title">
+                Leaderboard ({quiz.totalPlayers} player{quiz.totalPlayers !== 1 ? 's' : ''})
+              </div>
+              <ol className="quiz-leaderboard">
+                {quiz.leaderboard.map(entry => (
+                  <li key={entry.user._id} value={entry.rank} className={entry.user._id === user?._id ? 'me' : ''}>
+                    <span className="quiz-player">{entry.user.name}</span>
+                    <span className="quiz-score">{entry.score} pts</span>
+                  </li>
+                ))}
+              </ol>
+            </>
+          )}
+        </div>
+      )}
+
       <div className="poll-footer">
         <div className="poll-stats">
           <div className="total-votes">
             Total votes: {localPoll.totalVotes}
           </div>
-          {poll.userVoted && (
+          {localPoll.userVoted && (
             <div className="user-voted-badge">
               ✓ You voted
             </div>
           )}
+          {user && user._id === poll.creator._id && (
+            <div className="export-menu">
+              <button
+                className="btn btn-secondary small-export-btn"
+                onClick={() => setShowExportMenu(open => !open)}
+                disabled={isExporting}
+                aria-haspopup="menu"
+                aria-expanded={showExportMenu}
+              >
+                {isExporting ? 'Exporting...' : 'Export'}
+              </button>
+              {showExportMenu && (
+                <ul className="export-menu-list" role="menu">
+                  {EXPORT_FORMATS.map(({ format, label }) => (
+                    <li key={format} role="none">
+                      <button role="menuitem" onClick={() => handleExport(format)}>
+                        {label}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+          {localPoll.visibility === 'unlisted' && user && user._id === poll.creator._id && (
+            <button
+              className="btn btn-secondary small-export-btn"
+              onClick={() => setShowShareLinks(true)}
+            >
+              Share links
+            </button>
+          )}
           {!poll.isPublished && user && user._id === poll.creator._id && (
             <button
               className="btn btn-success small-publish-btn"
@@ -237,7 +653,7 @@ export default function PollCard({ poll, onVote }: PollCardProps) {
                     throw new Error(data.error || 'Publish failed')
                   }
                   await res.json()
-                  setLocalPoll(prev => ({ ...prev, isPublished: true }))
+                  setLocalPoll(prev => ({ ...prev, isPublished: true, publishAt: null, archivedAt: null }))
                 } catch (e) {
                   alert(e instanceof Error ? e.message : 'Publish failed')
                 }
@@ -248,22 +664,61 @@ export default function PollCard({ poll, onVote }: PollCardProps) {
           )}
         </div>
         
-        {!isAuthenticated ? (
+        {!canVoteHere ? (
           <div className="auth-required">
             Please log in to vote
           </div>
-        ) : poll.userVoted ? (
-          <div className="already-voted">
-            Thank you for voting!
+        ) : localPoll.userVoted && !isChangingVote ? (
+          <div className="vote-actions">
+            <div className="already-voted">
+              Thank you for voting!
+            </div>
+            {canChangeVote && (
+              <>
+                <button
+                  onClick={() => setIsChangingVote(true)}
+                  disabled={isSubmitting}
+                  className="btn btn-secondary"
+                >
+                  Change vote
+                </button>
+                <button
+                  onClick={handleRetractVote}
+                  disabled={isSubmitting}
+                  className="btn btn-danger"
+                >
+                  Retract
+                </button>
+              </>
+            )}
           </div>
         ) : (
-          <button 
-            onClick={handleVote}
-            disabled={!selectedOption || isSubmitting}
-            className="btn btn-primary vote-btn"
-          >
-            {isSubmitting ? 'Voting...' : 'Vote'}
-          </button>
+          <div className="vote-actions">
+            {!isAuthenticated && (
+              <span className="guest-hint">Voting as guest</span>
+            )}
+            {isChangingVote && (
+              <button
+                onClick={() => {
+                  setIsChangingVote(false)
+                  setSelectedOptions(localPoll.userVoteOptions?.length
+                    ? localPoll.userVoteOptions
+                    : localPoll.userVoteOption ? [localPoll.userVoteOption] : [])
+                }}
+                disabled={isSubmitting}
+                className="btn btn-secondary"
+              >
+                Cancel
+              </button>
+            )}
+            <button 
+              onClick={handleVote}
+              disabled={!choiceCount || isSubmitting}
+              className="btn btn-primary vote-btn"
+            >
+              {isSubmitting ? 'Voting...' : isChangingVote ? 'Update vote' : 'Vote'}
+            </button>
+          </div>
         )}
       </div>
 
@@ -273,7 +728,7 @@ export default function PollCard({ poll, onVote }: PollCardProps) {
           <div className="banner-content">
             <span>Attempting to reconnect... ({reconnectAttempts}/5)</span>
             <button 
-              onClick={() => websocketService.connect(poll._id, {})}
+              onClick={() => websocketService.reconnect()}
               className="retry-btn"
             >
               Retry Now
@@ -289,7 +744,7 @@ export default function PollCard({ poll, onVote }: PollCardProps) {
             <button 
               onClick={() => {
                 setReconnectAttempts(0)
-                websocketService.connect(poll._id, {})
+                websocketService.reconnect()
               }}
               className="retry-btn"
             >
@@ -298,6 +753,10 @@ export default function PollCard({ poll, onVote }: PollCardProps) {
           </div>
         </div>
       )}
+
+      {showShareLinks && (
+        <ShareLinksModal pollId={poll._id} onClose={() => setShowShareLinks(false)} />
+      )}
     </div>
   )
 }
\ No newline at end of file
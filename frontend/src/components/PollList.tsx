@@ -6,8 +6,25 @@ import { useAuth } from './AuthContext'
 import { Poll } from '@/types'
 import './PollList.css'
 import PollSkeleton from './PollSkeleton'
-interface PollListProps { initialPolls?: Poll[] }
-export default function PollList({ initialPolls }: PollListProps) {
+
+type PollSort = 'newest' | 'relevance' | 'most_votes' | 'trending' | 'ending_soon'
+
+// Narrowing filters shown as toggleable chips
+interface PollFilters {
+  creator: { id: string; name: string } | null
+  createdFrom: string | null
+  expiringWithin: number | null
+  minVotes: number | null
+}
+
+const NO_FILTERS: PollFilters = { creator: null, createdFrom: null, expiringWithin: null, minVotes: null }
+
+interface PollListProps {
+  initialPolls?: Poll[]
+  // Limit the list to one workspace's polls
+  workspaceId?: string
+}
+export default function PollList({ initialPolls, workspaceId }: PollListProps) {
   const { isAuthenticated, user } = useAuth()
   const [polls, setPolls] = useState<Poll[]>(initialPolls || [])
   const [loading, setLoading] = useState(!initialPolls)
@@ -18,10 +35,14 @@ export default function PollList({ initialPolls }: PollListProps) {
   const [editingPoll, setEditingPoll] = useState<Poll | null>(null)
   const [isEditModalOpen, setIsEditModalOpen] = useState(false)
   const [pagination, setPagination] = useState({ page: 1, total: 0, pages: 0, limit: 10 })
+  const [searchInput, setSearchInput] = useState('')
+  const [searchQuery, setSearchQuery] = useState('')
+  const [sort, setSort] = useState<PollSort | ''>('')
+  const [filters, setFilters] = useState<PollFilters>(NO_FILTERS)
   interface PollsResponse {
     polls: Poll[]
     pagination?: { page: number; limit: number; total: number; pages: number }
-    filters?: { status?: string; myPolls?: boolean }
+    filters?: { status?: string; myPolls?: boolean; q?: string | null; sort?: PollSort }
   }
   // Simple in-memory cache (component instance scope)
   const cacheRef = useRef<Map<string, { ts: number; data: PollsResponse }>>(new Map())
@@ -69,6 +90,27 @@ export default function PollList({ initialPolls }: PollListProps) {
         setShowMyPolls(false)
         return
       }
+      if (workspaceId) {
+        params.push(`workspace=${workspaceId}`)
+      }
+      if (searchQuery) {
+        params.push(`q=${encodeURIComponent(searchQuery)}`)
+      }
+      if (sort) {
+        params.push(`sort=${sort}`)
+      }
+      if (filters.creator) {
+        params.push(`creator=${filters.creator.id}`)
+      }
+      if (filters.createdFrom) {
+        params.push(`createdFrom=${encodeURIComponent(filters.createdFrom)}`)
+      }
+      if (filters.expiringWithin) {
+        params.push(`expiringWithin=${filters.expiringWithin}`)
+      }
+      if (filters.minVotes) {
+        params.push(`minVotes=${filters.minVotes}`)
+      }
       // Pagination params
       if (pagination.page && pagination.page > 1) {
         params.push(`page=${pagination.page}`)
@@ -162,7 +204,7 @@ export default function PollList({ initialPolls }: PollListProps) {
     } finally {
       setLoading(false)
     }
-  }, [viewMode, showMyPolls, statusFilter, isRateLimited, isAuthenticated, handleRateLimit, pagination.page, pagination.limit, polls.length])
+  }, [viewMode, showMyPolls, statusFilter, workspaceId, searchQuery, sort, filters, isRateLimited, isAuthenticated, handleRateLimit, pagination.page, pagination.limit, polls.length])
 
   const handleEditPoll = (poll: Poll) => {
     setEditingPoll(poll)
@@ -224,7 +266,26 @@ export default function PollList({ initialPolls }: PollListProps) {
   // Reset to first page when filters change (but ignore when only page itself changes)
   useEffect(() => {
     setPagination(prev => prev.page === 1 ? prev : { ...prev, page: 1 })
-  }, [viewMode, statusFilter, showMyPolls])
+  }, [viewMode, statusFilter, showMyPolls, workspaceId, searchQuery, sort, filters])
+
+  // Search once typing pauses. The API needs at least two characters and rejects symbols,
+  // which don't affect text search anyway.
+  useEffect(() => {
+    const timeout = setTimeout(() => {
+      const trimmed = searchInput.replace(/[^\p{L}\p{N}\s.,!?()'"-]/gu, ' ').trim()
+      setSearchQuery(trimmed.length >= 2 ? trimmed : '')
+    }, 300)
+    return () => clearTimeout(timeout)
+  }, [searchInput])
+
+  const toggleFilter = (changes: Partial<PollFilters>) => {
+    setFilters(prev => {
+      const key = Object.keys(changes)[0] as keyof PollFilters
+      return { ...prev, [key]: prev[key] ? null : changes[key] }
+    })
+  }
+
+  const hasSearch = !!searchQuery || Object.values(filters).some(Boolean)
 
   // Auto-retry when rate limiting ends
   useEffect(() => {
@@ -308,6 +369,66 @@ export default function PollList({ initialPolls }: PollListProps) {
         </div>
       </div>
 
+      <div className="poll-search">
+        <input
+          type="search"
+          className="poll-search-input"
+          value={searchInput}
+          onChange={(e) => setSearchInput(e.target.value)}
+          placeholder="Search polls and options..."
+          maxLength={100}
+          aria-label="Search polls"
+        />
+        <select
+          aria-label="Sort polls"
+          value={sort}
+          onChange={(e) => setSort(e.target.value as PollSort | '')}
+          className="status-select"
+        >
+          <option value="">{searchQuery ? 'Best match' : 'Newest'}</option>
+          <option value="most_votes">Most votes</option>
+          <option value="trending">Trending</option>
+          <option value="ending_soon">Ending soonest</option>
+        </select>
+      </div>
+      <div className="filter-chips" role="group" aria-label="Poll filters">
+        <button
+          type="button"
+          className={`filter-chip ${filters.createdFrom ? 'active' : ''}`}
+          onClick={() => toggleFilter({ createdFrom: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString() })}
+        >
+          New this week
+        </button>
+        <button
+          type="button"
+          className={`filter-chip ${filters.expiringWithin ? 'active' : ''}`}
+          onClick={() => toggleFilter({ expiringWithin: 24 })}
+        >
+          Ending within 24h
+        </button>
+        <button
+          type="button"
+          className={`filter-chip ${filters.minVotes ? 'active' : ''}`}
+          onClick={() => toggleFilter({ minVotes: 10 })}
+        >
+          10+ votes
+        </button>
+        {filters.creator && (
+          <button type="button" className="filter-chip active" onClick={() => toggleFilter({ creator: null })}>
+            By {filters.creator.name} ×
+          </button>
+        )}
+        {hasSearch && (
+          <button
+            type="button"
+            className="filter-chip clear"
+            onClick={() => { setSearchInput(''); setSearchQuery(''); setFilters(NO_FILTERS) }}
+          >
+            Clear all
+          </button>
+        )}
+      </div>
+
       {/* Rate limit notice */}
       {isRateLimited && (
         <div className="rate-limit-notice">
@@ -323,13 +444,22 @@ export default function PollList({ initialPolls }: PollListProps) {
       
       {polls.length === 0 && !loading && !isRateLimited ? (
         <div className="no-polls">
-          <p>No polls available. Create the first one!</p>
+          <p>{hasSearch ? 'No polls match your search.' : 'No polls available. Create the first one!'}</p>
         </div>
       ) : (
         <div className="polls-grid">
           {polls.map(poll => (
             <div key={poll._id} className="poll-item">
               <PollCard poll={poll} onVote={fetchPolls} />
+              {poll.creator && filters.creator?.id !== poll.creator._id && (
+                <button
+                  type="button"
+                  className="creator-filter-btn"
+                  onClick={() => setFilters(prev => ({ ...prev, creator: { id: poll.creator._id, name: poll.creator.name } }))}
+                >
+                  More by {poll.creator.name}
+                </button>
+              )}
               
               {/* Poll management controls (only for poll creator) */}
               {user && poll.creator._id === user._id && (
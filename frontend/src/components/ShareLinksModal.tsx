@@ -0,0 +1,141 @@
+'use client'
+
+import { useState, useEffect, useCallback } from 'react'
+import { ShareLink } from '@/types'
+import './ShareLinksModal.css'
+
+interface ShareLinksModalProps {
+  pollId: string
+  onClose: () => void
+}
+
+// Create, copy and revoke the share links of an unlisted poll
+export default function ShareLinksModal({ pollId, onClose }: ShareLinksModalProps) {
+  const [links, setLinks] = useState<ShareLink[]>([])
+  const [label, setLabel] = useState('')
+  const [expiresAt, setExpiresAt] = useState('')
+  // Links are only readable right after they were created
+  const [newLink, setNewLink] = useState<ShareLink | null>(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  const shareLinkRequest = useCallback(async (path: string, method = 'GET', body?: object) => {
+    const token = localStorage.getItem('authToken')
+    const response = await fetch(`/api/polls/${pollId}/share-links${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) {
+      throw new Error(data.details?.[0]?.message || data.error || 'Share link request failed')
+    }
+    return data
+  }, [pollId])
+
+  useEffect(() => {
+    shareLinkRequest('')
+      .then(setLinks)
+      .catch(err => setError(err instanceof Error ? err.message : 'Failed to load share links'))
+      .finally(() => setLoading(false))
+  }, [shareLinkRequest])
+
+  const createLink = async (e: React.FormEvent) => {
+    e.preventDefault()
+    setError('')
+    try {
+      const link: ShareLink = await shareLinkRequest('', 'POST', {
+        label: label || undefined,
+        expiresAt: expiresAt ? new Date(expiresAt).toISOString() : undefined
+      })
+      setNewLink(link)
+      setLinks(prev => [link, ...prev])
+      setLabel('')
+      setExpiresAt('')
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to create share link')
+    }
+  }
+
+  const revokeLink = async (link: ShareLink) => {
+    if (!confirm('Revoke this link? Anyone using it loses access to the poll.')) return
+    setError('')
+    try {
+      const revoked: ShareLink = await shareLinkRequest(`/${link._id}`, 'DELETE')
+      setLinks(prev => prev.map(item => item._id === revoked._id ? revoked : item))
+      if (newLink?._id === revoked._id) setNewLink(null)
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to revoke share link')
+    }
+  }
+
+  const describeLink = (link: ShareLink) => {
+    if (link.revokedAt) return `Revoked ${new Date(link.revokedAt).toLocaleDateString()}`
+    if (!link.isActive) return 'Expired'
+    return link.expiresAt ? `Expires ${new Date(link.expiresAt).toLocaleString()}` : 'Never expires'
+  }
+
+  return (
+    <div className="modal">
+      <div className="modal-content">
+        <div className="modal-header">
+          <h3>Share links</h3>
+          <button onClick={onClose}>×</button>
+        </div>
+        {error && <div className="message error">• {error}</div>}
+
+        {newLink?.url && (
+          <div className="share-link-created">
+            <p>Copy this link now, it won&apos;t be shown again:</p>
+            <div className="share-link-url">
+              <input type="text" value={newLink.url} readOnly onFocus={(e) => e.target.select()} />
+              <button type="button" onClick={() => navigator.clipboard?.writeText(newLink.url || '')}>Copy</button>
+            </div>
+          </div>
+        )}
+
+        <form className="share-link-form" onSubmit={createLink}>
+          <input
+            type="text"
+            value={label}
+            onChange={(e) => setLabel(e.target.value)}
+            placeholder="Label (optional)"
+            maxLength={80}
+          />
+          <input
+            type="datetime-local"
+            value={expiresAt}
+            onChange={(e) => setExpiresAt(e.target.value)}
+            title="Expires (optional)"
+          />
+          <button type="submit">Create link</button>
+        </form>
+
+        {loading ? (
+          <p className="share-link-empty">Loading...</p>
+        ) : links.length === 0 ? (
+          <p className="share-link-empty">No share links yet.</p>
+        ) : (
+          <ul className="share-link-list">
+            {links.map(link => (
+              <li key={link._id} className={`share-link-item ${link.isActive ? '' : 'inactive'}`}>
+                <div className="share-link-details">
+                  <strong>{link.label || 'Untitled link'}</strong>
+                  <span>Created {new Date(link.createdAt).toLocaleDateString()} · {describeLink(link)}</span>
+                </div>
+                {link.isActive && (
+                  <button type="button" className="session-revoke-btn" onClick={() => revokeLink(link)}>
+                    Revoke
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  )
+}
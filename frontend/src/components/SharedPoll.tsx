@@ -0,0 +1,68 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import Link from 'next/link'
+import { Poll } from '@/types'
+import { useAuth } from './AuthContext'
+import PollCard from './PollCard'
+
+interface SharedPollProps {
+  token: string
+}
+
+// An unlisted poll opened through its share link
+export default function SharedPoll({ token }: SharedPollProps) {
+  const { loading: authLoading } = useAuth()
+  const [poll, setPoll] = useState<Poll | null>(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    if (authLoading) return
+
+    const fetchPoll = async () => {
+      try {
+        const authToken = localStorage.getItem('authToken')
+        const voterToken = !authToken ? localStorage.getItem('voterToken') : null
+        const response = await fetch(`/api/polls/shared/${encodeURIComponent(token)}`, {
+          headers: {
+            ...(authToken ? { 'Authorization': `Bearer ${authToken}` } : {}),
+            ...(voterToken ? { 'X-Voter-Token': voterToken } : {})
+          }
+        })
+        const data = await response.json().catch(() => ({}))
+        if (!response.ok) throw new Error(data.error || 'Failed to load poll')
+        setPoll(data)
+      } catch (err) {
+        setError(err instanceof Error ? err.message : 'Failed to load poll')
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchPoll()
+  }, [token, authLoading])
+
+  if (loading) {
+    return (
+      <div className="loading-screen">
+        <div className="loading-spinner" />
+        <p>Loading poll...</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="shared-poll">
+      {error || !poll ? (
+        <div className="auth-required-message">
+          <p>{error || 'Poll not found'}</p>
+          <Link href="/" className="btn btn-primary">Browse polls</Link>
+        </div>
+      ) : (
+        // Results update live over the WebSocket, so there is nothing to refetch after voting
+        <PollCard poll={poll} shareToken={token} onVote={() => {}} />
+      )}
+    </div>
+  )
+}
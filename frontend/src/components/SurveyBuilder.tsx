@@ -0,0 +1,399 @@
+'use client'
+
+import { useState, useRef } from 'react'
+import { SurveyQuestionDraft, SurveyQuestionType } from '@/types'
+import './Survey.css'
+
+const MAX_QUESTIONS = 20
+
+const QUESTION_TYPE_LABELS: Record<SurveyQuestionType, string> = {
+  single: 'Single choice',
+  multiple: 'Multiple choice',
+  rating: 'Rating',
+  text: 'Free text'
+}
+
+const newQuestion = (key: number): SurveyQuestionDraft => ({
+  key,
+  text: '',
+  type: 'single',
+  options: ['', ''],
+  ratingScale: 5,
+  required: true,
+  branches: {}
+})
+
+// The answers a question can branch on: its filled-in options, or each rating value
+const getBranchOptions = (question: SurveyQuestionDraft): string[] => {
+  if (question.type === 'rating') return Array.from({ length: question.ratingScale }, (_, i) => String(i + 1))
+  if (question.type === 'text') return []
+  return question.options.map(opt => opt.trim()).filter(Boolean)
+}
+
+// Form for a multi-question survey; each question becomes a poll answered as part of one response
+export default function SurveyBuilder() {
+  const [title, setTitle] = useState('')
+  const [description, setDescription] = useState('')
+  const [allowAnonymous, setAllowAnonymous] = useState(false)
+  const [expiresAt, setExpiresAt] = useState('')
+  const nextKey = useRef(1)
+  const [questions, setQuestions] = useState<SurveyQuestionDraft[]>([newQuestion(0)])
+  const [errors, setErrors] = useState<string[]>([])
+  const [message, setMessage] = useState('')
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  const updateQuestion = (index: number, changes: Partial<SurveyQuestionDraft>) => {
+    setQuestions(prev => prev.map((question, i) => i === index ? { ...question, ...changes } : question))
+  }
+
+  const moveQuestion = (index: number, direction: -1 | 1) => {
+    setQuestions(prev => {
+      const next = [...prev]
+      const target = index + direction
+      if (target < 0 || target >= next.length) return prev
+      ;[next[index], next[target]] = [next[target], next[index]]
+      return next
+    })
+  }
+
+  const removeQuestion = (index: number) => {
+    setQuestions(prev => prev.filter((_, i) => i !== index))
+  }
+
+  const addQuestion = () => {
+    setQuestions(prev => [...prev, newQuestion(nextKey.current++)])
+  }
+
+  // Branch targets that no longer come after the question (after a move) read as "next question"
+  const setBranch = (index: number, optionText: string, target: string) => {
+    const branches = { ...questions[index].branches }
+    if (target === '') delete branches[optionText]
+    else branches[optionText] = target === 'end' ? 'end' : Number(target)
+    updateQuestion(index, { branches })
+  }
+
+  const getBranchTarget = (index: number, optionText: string): string => {
+    const target = questions[index].branches[optionText]
+    if (target === undefined) return ''
+    if (target === 'end') return 'end'
+    return questions.findIndex(question => question.key === target) > index ? String(target) : ''
+  }
+
+  const updateOption = (questionIndex: number, optionIndex: number, value: string) => {
+    const options = questions[questionIndex].options.map((opt, i) => i === optionIndex ? value : opt)
+    updateQuestion(questionIndex, { options })
+  }
+
+  const validate = (): string[] => {
+    const found: string[] = []
+    if (title.trim().length < 3) found.push('Survey title must be at least 3 characters')
+    questions.forEach((question, index) => {
+      const label = `Question ${index + 1}`
+      if (question.text.trim().length < 3) found.push(`${label} must be at least 3 characters`)
+      if (question.type === 'single' || question.type === 'multiple') {
+        const options = question.options.map(opt => opt.trim()).filter(Boolean)
+        if (options.length < 2) found.push(`${label} needs at least 2 options`)
+        if (new Set(options.map(opt => opt.toLowerCase())).size !== options.length) {
+          found.push(`${label} options must be unique`)
+        }
+      }
+    })
+    return found
+  }
+
+  const handleSubmit = async (isPublished: boolean) => {
+    const found = validate()
+    setErrors(found)
+    setMessage('')
+    if (found.length) return
+
+    setIsSubmitting(true)
+    try {
+      const token = localStorage.getItem('authToken')
+      const response = await fetch('/api/surveys', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({
+          title: title.trim(),
+          description: description.trim(),
+          isPublished,
+          allowAnonymous,
+          expiresAt: expiresAt ? new Date(expiresAt).toISOString() : undefined,
+          questions: questions.map((question, index) => ({
+            text: question.text.trim(),
+            type: question.type,
+            required: question.required,
+            ...(question.type === 'rating' && { ratingScale: question.ratingScale }),
+            ...((question.type === 'single' || question.type === 'multiple') && {
+              options: question.options.map(opt => opt.trim()).filter(Boolean)
+            }),
+            // Sent as positions: the option's index and the target question's index
+            branches: getBranchOptions(question).flatMap((optionText, optionIndex) => {
+              const target = getBranchTarget(index, optionText)
+              if (!target) return []
+              return [{
+                option: optionIndex,
+                goTo: target === 'end' ? 'end' : questions.findIndex(item => item.key === Number(target))
+              }]
+            })
+          }))
+        })
+      })
+      const data = await response.json().catch(() => ({}))
+      if (!response.ok) {
+        setErrors([data.details?.[0]?.message || data.error || 'Failed to create survey'])
+        return
+      }
+
+      setMessage(isPublished ? 'Survey published successfully!' : 'Survey saved as draft!')
+      setTitle('')
+      setDescription('')
+      setAllowAnonymous(false)
+      setExpiresAt('')
+      setQuestions([newQuestion(nextKey.current++)])
+    } catch {
+      setErrors(['Network error. Please try again.'])
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="poll-form survey-builder">
+      {message && <div className="message success">{message}</div>}
+
+      <div className="form-group">
+        <label htmlFor="survey-title" className="form-label">Survey Title *</label>
+        <input
+          id="survey-title"
+          type="text"
+          className="form-input"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          placeholder="What is this survey about?"
+          maxLength={200}
+        />
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="survey-description" className="form-label">Description</label>
+        <textarea
+          id="survey-description"
+          className="form-input"
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+          rows={3}
+          maxLength={1000}
+        />
+      </div>
+
+      {questions.map((question, index) => (
+        <div key={question.key} className="survey-question-editor">
+          <div className="survey-question-header">
+            <span className="survey-question-number">Question {index + 1}</span>
+            <button
+              type="button"
+              className="survey-move-btn"
+              onClick={() => moveQuestion(index, -1)}
+              disabled={index === 0}
+              title="Move up"
+            >
+              ↑
+            </button>
+            <button
+              type="button"
+              className="survey-move-btn"
+              onClick={() => moveQuestion(index, 1)}
+              disabled={index === questions.length - 1}
+              title="Move down"
+            >
+              ↓
+            </button>
+            {questions.length > 1 && (
+              <button
+                type="button"
+                className="remove-option-btn"
+                onClick={() => removeQuestion(index)}
+                title="Remove question"
+              >
+                ×
+              </button>
+            )}
+          </div>
+
+          <input
+            type="text"
+            className="form-input"
+            value={question.text}
+            onChange={(e) => updateQuestion(index, { text: e.target.value })}
+            placeholder="Ask something"
+            maxLength={500}
+          />
+
+          <div className="survey-question-settings">
+            <select
+              className="form-input"
+              value={question.type}
+              onChange={(e) => updateQuestion(index, { type: e.target.value as SurveyQuestionType })}
+            >
+              {(Object.keys(QUESTION_TYPE_LABELS) as SurveyQuestionType[]).map(type => (
+                <option key={type} value={type}>{QUESTION_TYPE_LABELS[type]}</option>
+              ))}
+            </select>
+            {question.type === 'rating' && (
+              <label>
+                Scale 1 to
+                <input
+                  type="number"
+                  className="form-input"
+                  min={3}
+                  max={10}
+                  value={question.ratingScale}
+                  onChange={(e) => updateQuestion(index, {
+                    ratingScale: Math.min(10, Math.max(3, parseInt(e.target.value, 10) || 5))
+                  })}
+                />
+              </label>
+            )}
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={question.required}
+                onChange={(e) => updateQuestion(index, { required: e.target.checked })}
+              />
+              Required
+            </label>
+          </div>
+
+          {(question.type === 'single' || question.type === 'multiple') && (
+            <div className="survey-question-options">
+              {question.options.map((option, optionIndex) => (
+                <div key={optionIndex} className="option-input-group">
+                  <input
+                    type="text"
+                    className="form-input"
+                    value={option}
+                    onChange={(e) => updateOption(index, optionIndex, e.target.value)}
+                    placeholder={`Option ${optionIndex + 1}`}
+                    maxLength={200}
+                  />
+                  {question.options.length > 2 && (
+                    <button
+                      type="button"
+                      className="remove-option-btn"
+                      onClick={() => updateQuestion(index, { options: question.options.filter((_, i) => i !== optionIndex) })}
+                      title="Remove option"
+                    >
+                      ×
+                    </button>
+                  )}
+                </div>
+              ))}
+              {question.options.length < 10 && (
+                <button
+                  type="button"
+                  className="btn btn-secondary"
+                  onClick={() => updateQuestion(index, { options: [...question.options, ''] })}
+                >
+                  + Add Option
+                </button>
+              )}
+            </div>
+          )}
+
+          {getBranchOptions(question).length > 0 && index < questions.length - 1 && (
+            <details className="survey-branching">
+              <summary>
+                Branching
+                {getBranchOptions(question).some(optionText => getBranchTarget(index, optionText)) && ' (on)'}
+              </summary>
+              {getBranchOptions(question).map(optionText => (
+                <label key={optionText} className="survey-branch-rule">
+                  <span>If &quot;{optionText}&quot;</span>
+                  <select
+                    className="form-input"
+                    value={getBranchTarget(index, optionText)}
+                    onChange={(e) => setBranch(index, optionText, e.target.value)}
+                  >
+                    <option value="">Continue to the next question</option>
+                    {questions.slice(index + 2).map((target, offset) => (
+                      <option key={target.key} value={target.key}>
+                        Skip to question {index + offset + 3}
+                      </option>
+                    ))}
+                    <option value="end">End the survey</option>
+                  </select>
+                </label>
+              ))}
+            </details>
+          )}
+        </div>
+      ))}
+
+      {questions.length < MAX_QUESTIONS && (
+        <button
+          type="button"
+          className="btn btn-secondary add-option-btn"
+          onClick={addQuestion}
+        >
+          + Add Question
+        </button>
+      )}
+
+      <div className="form-group checkbox-group">
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={allowAnonymous}
+            onChange={(e) => setAllowAnonymous(e.target.checked)}
+          />
+          <span className="checkmark"></span>
+          Allow anonymous responses
+        </label>
+        <small>Guests can respond once per device without logging in</small>
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="survey-expires" className="form-label">Closes at</label>
+        <input
+          id="survey-expires"
+          type="datetime-local"
+          className="form-input"
+          value={expiresAt}
+          onChange={(e) => setExpiresAt(e.target.value)}
+          min={new Date().toISOString().slice(0, 16)}
+        />
+      </div>
+
+      {errors.length > 0 && (
+        <div className="error-messages">
+          {errors.map((error, index) => (
+            <span key={index} className="error-message">• {error}</span>
+          ))}
+        </div>
+      )}
+
+      <div className="submit-buttons">
+        <button
+          type="button"
+          className="btn btn-secondary submit-btn draft-btn"
+          onClick={() => handleSubmit(false)}
+          disabled={isSubmitting}
+        >
+          Save as Draft
+        </button>
+        <button
+          type="button"
+          className="btn btn-primary submit-btn publish-btn"
+          onClick={() => handleSubmit(true)}
+          disabled={isSubmitting}
+        >
+          {isSubmitting ? 'Saving...' : 'Publish Survey'}
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,445 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { useAuth } from './AuthContext'
+import { websocketService, WebSocketMessage } from '@/lib/websocket'
+import { Survey, SurveyAnswer, SurveyQuestion } from '@/types'
+import './PollCard.css'
+import './Survey.css'
+
+interface SurveyCardProps {
+  survey: Survey
+  // Called after the creator deletes the survey
+  onDelete?: (surveyId: string) => void
+}
+
+// The respondent's in-progress answer to one question
+type DraftAnswer = { option?: string; options?: string[]; rating?: number; text?: string }
+
+// Apply a live update for one question to the survey's question list
+const updateQuestion = (questions: SurveyQuestion[], questionId: string, update: (question: SurveyQuestion) => SurveyQuestion) =>
+  questions.map(question => question._id === questionId ? update(question) : question)
+
+export default function SurveyCard({ survey, onDelete }: SurveyCardProps) {
+  const { user, isAuthenticated } = useAuth()
+  const [details, setDetails] = useState<Survey | null>(null)
+  const [expanded, setExpanded] = useState(false)
+  const [answers, setAnswers] = useState<Record<string, DraftAnswer>>({})
+  const [typedAnswers, setTypedAnswers] = useState<Record<string, SurveyQuestion['answers']>>({})
+  const [errors, setErrors] = useState<string[]>([])
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [isPublished, setIsPublished] = useState(survey.isPublished)
+
+  const isCreator = !!user && user._id === survey.creator._id
+  const questions = details?.questions || []
+  const hasResponded = !!details?.userResponded
+  const canAnswer = !!details && details.canRespond && !hasResponded && (isAuthenticated || details.allowAnonymous)
+  const hasBranching = questions.some(question => question.branchRules?.length)
+
+  useEffect(() => {
+    if (!expanded || details) return
+
+    const loadSurvey = async () => {
+      try {
+        const token = localStorage.getItem('authToken')
+        const response = await fetch(`/api/surveys/${survey._id}`, {
+          headers: token ? { 'Authorization': `Bearer ${token}` } : {}
+        })
+        const data = await response.json().catch(() => ({}))
+        if (!response.ok) throw new Error(data.error || 'Failed to load survey')
+        // Guests who already answered on this device
+        const answeredHere = !isAuthenticated && localStorage.getItem(`surveyResponded:${survey._id}`) === 'true'
+        setDetails({ ...data, userResponded: data.userResponded || answeredHere })
+      } catch (err) {
+        setErrors([err instanceof Error ? err.message : 'Failed to load survey'])
+      }
+    }
+    loadSurvey()
+  }, [expanded, details, survey._id, isAuthenticated])
+
+  // Each question is a poll, so its results arrive on that poll's live updates
+  const questionIds = questions.map(question => question._id).join(',')
+  useEffect(() => {
+    if (!questionIds) return
+
+    const unsubscribes = questionIds.split(',').map(questionId => websocketService.subscribe(questionId, {
+      onMessage: (message: WebSocketMessage) => {
+        if (message.type === 'vote_update' && message.pollId === questionId) {
+          const voteUpdate = message as Extract<WebSocketMessage, { type: 'vote_update' }>
+          setDetails(prev => prev && {
+            ...prev,
+            questions: updateQuestion(prev.questions || [], questionId, question => ({
+              ...question,
+              options: question.options.map(opt => ({ ...opt, votes: voteUpdate.voteCounts[opt._id] || 0 })),
+              totalVotes: voteUpdate.totalVotes,
+              totalAnswers: voteUpdate.totalVoters ?? question.totalAnswers
+            }))
+          })
+        }
+
+        if (message.type === 'vote_delta' && message.pollId === questionId) {
+          const voteDelta = message as Extract<WebSocketMessage, { type: 'vote_delta' }>
+          setDetails(prev => prev && {
+            ...prev,
+            questions: updateQuestion(prev.questions || [], questionId, question => ({
+              ...question,
+              options: question.options.map(opt => ({
+                ...opt,
+                votes: Math.max(0, opt.votes + (voteDelta.deltas[opt._id] || 0))
+              })),
+              totalVotes: Math.max(0, (question.totalVotes || 0) + voteDelta.totalVotesDelta),
+              totalAnswers: Math.max(0, (question.totalAnswers || 0) + voteDelta.totalVotersDelta)
+            }))
+          })
+        }
+
+        if (message.type === 'text_answers_update' && message.pollId === questionId) {
+          const { totalAnswers } = message as Extract<WebSocketMessage, { type: 'text_answers_update' }>
+          setDetails(prev => prev && {
+            ...prev,
+            questions: updateQuestion(prev.questions || [], questionId, question => ({ ...question, totalAnswers }))
+          })
+        }
+      }
+    }))
+
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe())
+  }, [questionIds])
+
+  // Questions the respondent is shown given their answers so far, following the branch rules the
+  // same way the server checks them
+  const getShownQuestionIds = (): string[] => {
+    const shown: string[] = []
+    let index = 0
+    while (index < questions.length) {
+      const question = questions[index]
+      const answer = answers[question._id] || {}
+      shown.push(question._id)
+
+      const ratingOption = question.options.find(option => option.text === String(answer.rating))
+      const selected = answer.options || (answer.option ? [answer.option] : ratingOption ? [ratingOption._id] : [])
+      const rule = (question.branchRules || []).find(item => selected.includes(item.option))
+      if (!rule) {
+        index += 1
+      } else if (!rule.goTo) {
+        break
+      } else {
+        const target = questions.findIndex(item => item._id === rule.goTo)
+        index = target > index ? target : index + 1
+      }
+    }
+    return shown
+  }
+
+  const setAnswer = (questionId: string, answer: DraftAnswer) => {
+    setAnswers(prev => ({ ...prev, [questionId]: answer }))
+  }
+
+  const toggleMultiple = (questionId: string, optionId: string) => {
+    const selected = answers[questionId]?.options || []
+    setAnswer(questionId, {
+      options: selected.includes(optionId) ? selected.filter(id => id !== optionId) : [...selected, optionId]
+    })
+  }
+
+  const handleSubmit = async () => {
+    const shownIds = getShownQuestionIds()
+    const missing = questions
+      .map((question, index) => ({ question, index }))
+      .filter(({ question }) => shownIds.includes(question._id))
+      .filter(({ question }) => {
+        const answer = answers[question._id]
+        return question.answerRequired && !(answer?.option || answer?.options?.length || answer?.rating || answer?.text?.trim())
+      })
+      .map(({ index }) => `Question ${index + 1} needs an answer`)
+    setErrors(missing)
+    if (missing.length) return
+
+    // Answers to questions a later change of mind skipped are dropped, not rejected
+    const payload: SurveyAnswer[] = questions
+      .filter(question => answers[question._id] && shownIds.includes(question._id))
+      .map(question => ({ question: question._id, ...answers[question._id] }))
+
+    setIsSubmitting(true)
+    try {
+      const token = localStorage.getItem('authToken')
+      const voterToken = !isAuthenticated ? localStorage.getItem('voterToken') : null
+      const response = await fetch(`/api/surveys/${survey._id}/responses`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+          ...(voterToken ? { 'X-Voter-Token': voterToken } : {})
+        },
+        body: JSON.stringify({ answers: payload })
+      })
+      const data = await response.json().catch(() => ({}))
+      if (!response.ok) {
+        setErrors(data.details?.length
+          ? data.details.map((detail: { message: string }) => detail.message)
+          : [data.error || 'Failed to submit response'])
+        return
+      }
+
+      if (data.anonymous) {
+        if (data.voterToken) localStorage.setItem('voterToken', data.voterToken)
+        localStorage.setItem(`surveyResponded:${survey._id}`, 'true')
+      }
+      setDetails(prev => prev && {
+        ...prev,
+        questions: data.questions,
+        userResponded: true,
+        responseCount: prev.responseCount + 1
+      })
+    } catch {
+      setErrors(['Network error. Please try again.'])
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const changePublished = async (publish: boolean) => {
+    try {
+      const token = localStorage.getItem('authToken')
+      const response = await fetch(`/api/surveys/${survey._id}/${publish ? 'publish' : 'unpublish'}`, {
+        method: 'PATCH',
+        headers: { 'Authorization': `Bearer ${token}` }
+      })
+      const data = await response.json().catch(() => ({}))
+      if (!response.ok) throw new Error(data.error || 'Failed to update survey')
+      setIsPublished(publish)
+      setDetails(null)
+    } catch (err) {
+      setErrors([err instanceof Error ? err.message : 'Failed to update survey'])
+    }
+  }
+
+  const handleDelete = async () => {
+    if (!confirm(`Delete "${survey.title}" and all of its responses?`)) return
+    try {
+      const token = localStorage.getItem('authToken')
+      const response = await fetch(`/api/surveys/${survey._id}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` }
+      })
+      const data = await response.json().catch(() => ({}))
+      if (!response.ok) throw new Error(data.error || 'Failed to delete survey')
+      onDelete?.(survey._id)
+    } catch (err) {
+      setErrors([err instanceof Error ? err.message : 'Failed to delete survey'])
+    }
+  }
+
+  // Typed answers are only listed to the creator, from the stats endpoint
+  const loadTypedAnswers = async () => {
+    try {
+      const token = localStorage.getItem('authToken')
+      const response = await fetch(`/api/surveys/${survey._id}/stats`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      })
+      const data = await response.json().catch(() => ({}))
+      if (!response.ok) throw new Error(data.error || 'Failed to load answers')
+      setTypedAnswers(Object.fromEntries(
+        (data.questions as SurveyQuestion[])
+          .filter(question => question.questionType === 'text')
+          .map(question => [question._id, question.answers])
+      ))
+    } catch (err) {
+      setErrors([err instanceof Error ? err.message : 'Failed to load answers'])
+    }
+  }
+
+  // Funnel for branching surveys: how many respondents saw the question and where they went next
+  const renderFunnel = (question: SurveyQuestion) => {
+    const describeTarget = (goTo: string | null) => {
+      if (!goTo) return 'end of survey'
+      return `question ${questions.findIndex(item => item._id === goTo) + 1}`
+    }
+    return (
+      <div className="survey-funnel">
+        <span>Reached by {question.reached} respondents</span>
+        {question.branchRules.length > 0 && (
+          <ul>
+            {question.branchRules.map(rule => (
+              <li key={rule.option}>
+                &quot;{question.options.find(option => option._id === rule.option)?.text}&quot; → {describeTarget(rule.goTo)}: {rule.taken}
+              </li>
+            ))}
+            <li>Everyone else → next question: {question.continued}</li>
+          </ul>
+        )}
+      </div>
+    )
+  }
+
+  const renderResults = (question: SurveyQuestion) => {
+    if (question.questionType === 'text') {
+      const typed = typedAnswers[question._id]
+      return (
+        <div className="survey-text-results">
+          <span>{question.totalAnswers || 0} answers</span>
+          {typed && (
+            <ul>
+              {typed.map((answer, index) => <li key={index}>{answer.text}</li>)}
+            </ul>
+          )}
+        </div>
+      )
+    }
+
+    const answered = question.totalAnswers || 0
+    return (
+      <>
+        {question.questionType === 'rating' && question.averageRating !== undefined && (
+          <div className="survey-average">
+            Average: {question.averageRating ?? '–'} / {question.ratingScale}
+          </div>
+        )}
+        {question.options.map(option => {
+          const percentage = answered > 0 ? Math.round((option.votes / answered) * 100) : 0
+          return (
+            <div key={option._id} className="poll-option">
+              <span className="option-text">{option.text}</span>
+              <div className="vote-results">
+                <div className="vote-bar">
+                  <div className="vote-fill" style={{ width: `${percentage}%` }}></div>
+                </div>
+                <div className="vote-counts">
+                  <span>{option.votes} votes</span>
+                  <span>({percentage}%)</span>
+                </div>
+              </div>
+            </div>
+          )
+        })}
+      </>
+    )
+  }
+
+  const renderInput = (question: SurveyQuestion) => {
+    const answer = answers[question._id] || {}
+    switch (question.questionType) {
+      case 'text':
+        return (
+          <textarea
+            className="form-input"
+            rows={3}
+            maxLength={2000}
+            value={answer.text || ''}
+            onChange={(e) => setAnswer(question._id, { text: e.target.value })}
+            disabled={isSubmitting}
+          />
+        )
+      case 'rating':
+        return (
+          <div className="survey-rating">
+            {question.options.map(option => (
+              <button
+                key={option._id}
+                type="button"
+                className={`survey-rating-btn ${answer.rating === Number(option.text) ? 'selected' : ''}`}
+                onClick={() => setAnswer(question._id, { rating: Number(option.text) })}
+                disabled={isSubmitting}
+              >
+                {option.text}
+              </button>
+            ))}
+          </div>
+        )
+      default:
+        return question.options.map(option => (
+          <label key={option._id} className="option-label">
+            <input
+              type={question.questionType === 'multiple' ? 'checkbox' : 'radio'}
+              name={`survey-${question._id}`}
+              checked={question.questionType === 'multiple'
+                ? !!answer.options?.includes(option._id)
+                : answer.option === option._id}
+              onChange={() => question.questionType === 'multiple'
+                ? toggleMultiple(question._id, option._id)
+                : setAnswer(question._id, { option: option._id })}
+              disabled={isSubmitting}
+            />
+            <span className="option-text">{option.text}</span>
+          </label>
+        ))
+    }
+  }
+
+  const shownIds = canAnswer ? getShownQuestionIds() : []
+
+  return (
+    <div className="poll-card survey-card">
+      {!isPublished && <div className="draft-badge">Draft</div>}
+      <div className="poll-header">
+        <div className="poll-title-section">
+          <h3 className="poll-question">{survey.title}</h3>
+          {survey.description && <p className="survey-description">{survey.description}</p>}
+        </div>
+        <div className="poll-meta">
+          <span>By {survey.creator.name}</span>
+          <span>{survey.questionCount} questions</span>
+          <span>{details?.responseCount ?? survey.responseCount} responses</span>
+          {survey.isExpired && <span>Closed</span>}
+        </div>
+      </div>
+
+      {expanded && details && (
+        <ol className="survey-questions">
+          {(canAnswer ? questions.filter(question => shownIds.includes(question._id)) : questions).map(question => (
+            <li key={question._id} value={questions.indexOf(question) + 1} className="survey-question">
+              <div className="survey-question-text">
+                {question.question}
+                {question.answerRequired && <span className="survey-required"> *</span>}
+              </div>
+              {canAnswer ? renderInput(question) : renderResults(question)}
+              {!canAnswer && hasBranching && renderFunnel(question)}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {expanded && details && !details.canRespond && !hasResponded && (
+        <div className="selection-hint">{details.isExpired ? 'This survey has closed' : 'This survey is not open yet'}</div>
+      )}
+      {expanded && details && details.canRespond && !hasResponded && !isAuthenticated && !details.allowAnonymous && (
+        <div className="selection-hint">Please log in to respond to this survey</div>
+      )}
+
+      {errors.length > 0 && (
+        <div className="error-messages">
+          {errors.map((error, index) => (
+            <span key={index} className="error-message">• {error}</span>
+          ))}
+        </div>
+      )}
+
+      <div className="poll-footer">
+        <div className="poll-stats">
+          {hasResponded && <div className="user-voted-badge">✓ You responded</div>}
+        </div>
+        <div className="vote-actions">
+          <button className="btn btn-secondary" onClick={() => setExpanded(open => !open)}>
+            {expanded ? 'Hide' : canAnswer || !details ? 'Open' : 'Results'}
+          </button>
+          {canAnswer && expanded && (
+            <button className="btn btn-primary" onClick={handleSubmit} disabled={isSubmitting}>
+              {isSubmitting ? 'Submitting...' : 'Submit Response'}
+            </button>
+          )}
+          {isCreator && expanded && questions.some(question => question.questionType === 'text') && (
+            <button className="btn btn-secondary" onClick={loadTypedAnswers}>Show Typed Answers</button>
+          )}
+          {isCreator && (
+            <button className="btn btn-secondary" onClick={() => changePublished(!isPublished)}>
+              {isPublished ? 'Unpublish' : 'Publish'}
+            </button>
+          )}
+          {isCreator && (
+            <button className="btn btn-danger" onClick={handleDelete}>Delete</button>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
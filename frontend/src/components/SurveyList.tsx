@@ -0,0 +1,82 @@
+'use client'
+
+import { useState, useEffect, useCallback } from 'react'
+import SurveyCard from './SurveyCard'
+import { useAuth } from './AuthContext'
+import { Survey } from '@/types'
+import './PollList.css'
+
+export default function SurveyList() {
+  const { isAuthenticated } = useAuth()
+  const [surveys, setSurveys] = useState<Survey[]>([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  // Published surveys, or the signed-in user's own including drafts
+  const [showMine, setShowMine] = useState(false)
+
+  const fetchSurveys = useCallback(async () => {
+    setLoading(true)
+    setError('')
+    try {
+      const token = localStorage.getItem('authToken')
+      const response = await fetch(`/api/surveys${showMine ? '?mine=true' : ''}`, {
+        headers: token ? { 'Authorization': `Bearer ${token}` } : {}
+      })
+      const data = await response.json().catch(() => ({}))
+      if (!response.ok) throw new Error(data.error || 'Failed to fetch surveys')
+      setSurveys(data.surveys)
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to fetch surveys')
+    } finally {
+      setLoading(false)
+    }
+  }, [showMine])
+
+  useEffect(() => {
+    fetchSurveys()
+  }, [fetchSurveys])
+
+  return (
+    <div className="poll-list">
+      <div className="poll-list-header">
+        <h2>Surveys</h2>
+        {isAuthenticated && (
+          <div className="poll-controls">
+            <div className="view-controls">
+              <button className={`view-btn ${!showMine ? 'active' : ''}`} onClick={() => setShowMine(false)}>
+                Open Surveys
+              </button>
+              <button className={`view-btn ${showMine ? 'active' : ''}`} onClick={() => setShowMine(true)}>
+                My Surveys
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {error && (
+        <div className="error-notice">
+          <p>{error}</p>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="no-polls"><p>Loading surveys...</p></div>
+      ) : surveys.length === 0 ? (
+        <div className="no-polls">
+          <p>{showMine ? 'You have not created any surveys yet.' : 'No surveys available.'}</p>
+        </div>
+      ) : (
+        <div className="polls-grid">
+          {surveys.map(survey => (
+            <SurveyCard
+              key={survey._id}
+              survey={survey}
+              onDelete={(surveyId) => setSurveys(prev => prev.filter(item => item._id !== surveyId))}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
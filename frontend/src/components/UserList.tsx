@@ -1,53 +1,154 @@
 'use client'
 
-import { useState, useEffect } from 'react'
-import { User } from '@/types'
+import { useState, useEffect, useCallback } from 'react'
+import { ManagedUser, UserRole } from '@/types'
+import { useAuth } from './AuthContext'
 import './UserList.css'
 
+const ROLES: UserRole[] = ['user', 'moderator', 'admin']
+
+interface UsersResponse {
+  users: ManagedUser[]
+  pagination: { page: number; limit: number; total: number; pages: number }
+}
+
+// Admin console: find users, change their role and suspend or reactivate them
 export default function UserList() {
-  const [users, setUsers] = useState<User[]>([])
+  const { user: currentUser } = useAuth()
+  const [users, setUsers] = useState<ManagedUser[]>([])
+  const [search, setSearch] = useState('')
+  const [roleFilter, setRoleFilter] = useState('')
+  const [page, setPage] = useState(1)
+  const [pages, setPages] = useState(1)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState('')
 
+  const userRequest = async (path: string, method = 'GET', body?: object) => {
+    const token = localStorage.getItem('authToken')
+    const response = await fetch(`/api/users${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) {
+      throw new Error(data.details?.[0]?.message || data.error || 'User request failed')
+    }
+    return data
+  }
 
-  const fetchUsers = async () => {
+  const fetchUsers = useCallback(async () => {
     try {
-      const response = await fetch('/api/users')
-      if (!response.ok) throw new Error('Failed to fetch users')
-      const data = await response.json()
-      setUsers(data)
+      setError('')
+      const params = new URLSearchParams({ page: String(page), limit: '24' })
+      // The API only accepts search terms of two characters or more
+      if (search.trim().length >= 2) params.set('search', search.trim())
+      if (roleFilter) params.set('role', roleFilter)
+
+      const token = localStorage.getItem('authToken')
+      const response = await fetch(`/api/users?${params}`, {
+        headers: token ? { 'Authorization': `Bearer ${token}` } : {}
+      })
+      const data = await response.json().catch(() => ({}))
+      if (!response.ok) throw new Error(data.error || 'Failed to fetch users')
+      setUsers((data as UsersResponse).users)
+      setPages(Math.max(1, (data as UsersResponse).pagination.pages))
     } catch (err) {
       setError(err instanceof Error ? err.message : 'Failed to fetch users')
     } finally {
       setLoading(false)
     }
-  }
+  }, [page, search, roleFilter])
 
   useEffect(() => {
-    fetchUsers()
-  }, [])
+    // Wait for typing to settle before searching
+    const timeout = setTimeout(fetchUsers, 300)
+    return () => clearTimeout(timeout)
+  }, [fetchUsers])
 
+  const updateUser = async (target: ManagedUser, changes: Partial<Pick<ManagedUser, 'role' | 'isActive' | 'suspensionReason'>>) => {
+    try {
+      const updated: ManagedUser = await userRequest(`/${target._id}`, 'PATCH', changes)
+      setUsers(prev => prev.map(item => item._id === updated._id ? updated : item))
+    } catch (err) {
+      alert(err instanceof Error ? err.message : 'Failed to update user')
+    }
+  }
 
+  const toggleSuspension = (target: ManagedUser) => {
+    if (target.isActive) {
+      const reason = prompt(`Suspend ${target.name}? They will be signed out everywhere. Reason (optional):`)
+      if (reason === null) return
+      updateUser(target, { isActive: false, suspensionReason: reason || undefined })
+    } else {
+      updateUser(target, { isActive: true })
+    }
+  }
 
   if (loading) return <div className="loading">Loading users...</div>
-  if (error) return <div className="error">{error}</div>
 
   return (
     <div className="user-list">
       <div className="user-list-header">
         <h2>Users</h2>
-        <p>Browse registered users on the platform</p>
+        <p>Manage registered users, their roles and suspensions</p>
       </div>
 
+      <div className="user-list-filters">
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => { setSearch(e.target.value); setPage(1) }}
+          placeholder="Search by name or email"
+          maxLength={50}
+        />
+        <select value={roleFilter} onChange={(e) => { setRoleFilter(e.target.value); setPage(1) }}>
+          <option value="">All roles</option>
+          {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+        </select>
+      </div>
+
+      {error && <div className="error">{error}</div>}
+
       <div className="users-grid">
         {users.map(user => (
-          <div key={user._id} className="user-card">
+          <div key={user._id} className={`user-card ${user.isActive ? '' : 'suspended'}`}>
             <h3>{user.name}</h3>
             <p>{user.email}</p>
             <small>Joined: {new Date(user.createdAt).toLocaleDateString()}</small>
+            {!user.isActive && (
+              <p className="user-suspended-note">
+                Suspended{user.suspensionReason ? `: ${user.suspensionReason}` : ''}
+              </p>
+            )}
+            {user._id !== currentUser?._id && (
+              <div className="user-admin-actions">
+                <select
+                  value={user.role}
+                  onChange={(e) => updateUser(user, { role: e.target.value as UserRole })}
+                  aria-label={`Role of ${user.name}`}
+                >
+                  {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                </select>
+                <button type="button" onClick={() => toggleSuspension(user)}>
+                  {user.isActive ? 'Suspend' : 'Reactivate'}
+                </button>
+              </div>
+            )}
           </div>
         ))}
       </div>
+
+      {pages > 1 && (
+        <div className="user-list-pagination">
+          <button type="button" disabled={page <= 1} onClick={() => setPage(prev => prev - 1)}>Previous</button>
+          <span>Page {page} of {pages}</span>
+          <button type="button" disabled={page >= pages} onClick={() => setPage(prev => prev + 1)}>Next</button>
+        </div>
+      )}
     </div>
   )
-}
\ No newline at end of file
+}
@@ -1,8 +1,10 @@
 'use client'
 
 import { useState } from 'react'
+import Image from 'next/image'
 import { useAuth } from './AuthContext'
 import { Validator } from '@/lib/validation'
+import { TwoFactorSetup, UserSession } from '@/types'
 import './UserProfile.css'
 
 export default function UserProfile() {
@@ -10,6 +12,15 @@ export default function UserProfile() {
   const [showDropdown, setShowDropdown] = useState(false)
   const [showProfileModal, setShowProfileModal] = useState(false)
   const [showChangePassword, setShowChangePassword] = useState(false)
+  const [showSessions, setShowSessions] = useState(false)
+  const [sessions, setSessions] = useState<UserSession[]>([])
+  const [sessionsLoading, setSessionsLoading] = useState(false)
+  const [showTwoFactor, setShowTwoFactor] = useState(false)
+  const [twoFactorSetup, setTwoFactorSetup] = useState<TwoFactorSetup | null>(null)
+  const [twoFactorCode, setTwoFactorCode] = useState('')
+  const [twoFactorPassword, setTwoFactorPassword] = useState('')
+  // Shown once, right after they are generated
+  const [recoveryCodes, setRecoveryCodes] = useState<string[]>([])
   const [formData, setFormData] = useState({
     name: user?.name || '',
     email: user?.email || ''
@@ -109,6 +120,152 @@ export default function UserProfile() {
     }
   }
 
+  const sessionRequest = async (path: string, method = 'GET') => {
+    const token = localStorage.getItem('authToken')
+    const response = await fetch(`/api/auth/sessions${path}`, {
+      method,
+      headers: token ? { 'Authorization': `Bearer ${token}` } : {}
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) {
+      throw new Error(data.error || 'Session request failed')
+    }
+    return data
+  }
+
+  const loadSessions = async () => {
+    setSessionsLoading(true)
+    setErrors([])
+    try {
+      setSessions(await sessionRequest(''))
+    } catch (error) {
+      setErrors([error instanceof Error ? error.message : 'Failed to load sessions'])
+    } finally {
+      setSessionsLoading(false)
+    }
+  }
+
+  const openSessions = () => {
+    setShowSessions(true)
+    setShowDropdown(false)
+    setMessage('')
+    loadSessions()
+  }
+
+  const revokeSession = async (session: UserSession) => {
+    if (session.current && !confirm('Sign out of this device?')) return
+    setErrors([])
+    try {
+      await sessionRequest(`/${session._id}`, 'DELETE')
+      if (session.current) {
+        setShowSessions(false)
+        logout()
+        return
+      }
+      setSessions(prev => prev.filter(s => s._id !== session._id))
+      setMessage(`Signed out of ${session.device}`)
+    } catch (error) {
+      setErrors([error instanceof Error ? error.message : 'Failed to revoke session'])
+    }
+  }
+
+  const revokeOtherSessions = async () => {
+    if (!confirm('Sign out of all other devices?')) return
+    setErrors([])
+    try {
+      const data = await sessionRequest('', 'DELETE')
+      setSessions(prev => prev.filter(s => s.current))
+      setMessage(`Signed out of ${data.revokedSessions} other session(s)`)
+    } catch (error) {
+      setErrors([error instanceof Error ? error.message : 'Failed to revoke sessions'])
+    }
+  }
+
+  const twoFactorRequest = async (path: string, body: object = {}) => {
+    const token = localStorage.getItem('authToken')
+    const response = await fetch(`/api/auth/2fa/${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+      },
+      body: JSON.stringify(body)
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) {
+      throw new Error(data.details?.[0]?.message || data.error || 'Two-factor request failed')
+    }
+    return data
+  }
+
+  // Run a two-factor action with the shared loading/message/error handling
+  const runTwoFactorAction = async (action: () => Promise<void>, fallbackError: string) => {
+    setLoading(true)
+    setMessage('')
+    setErrors([])
+    try {
+      await action()
+    } catch (error) {
+      setErrors([error instanceof Error ? error.message : fallbackError])
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const openTwoFactor = () => {
+    setShowTwoFactor(true)
+    setShowDropdown(false)
+    setMessage('')
+    setErrors([])
+  }
+
+  const closeTwoFactor = () => {
+    setShowTwoFactor(false)
+    setTwoFactorSetup(null)
+    setTwoFactorCode('')
+    setTwoFactorPassword('')
+    setRecoveryCodes([])
+  }
+
+  const startTwoFactorSetup = () => runTwoFactorAction(async () => {
+    setTwoFactorSetup(await twoFactorRequest('setup'))
+  }, 'Failed to start two-factor setup')
+
+  const enableTwoFactor = (e: React.FormEvent) => {
+    e.preventDefault()
+    return runTwoFactorAction(async () => {
+      const data = await twoFactorRequest('enable', { code: twoFactorCode })
+      setTwoFactorSetup(null)
+      setTwoFactorCode('')
+      setRecoveryCodes(data.recoveryCodes)
+      setMessage('Two-factor authentication is on')
+      await refreshUser()
+    }, 'Failed to enable two-factor authentication')
+  }
+
+  const disableTwoFactor = (e: React.FormEvent) => {
+    e.preventDefault()
+    return runTwoFactorAction(async () => {
+      // Codes in the xxxxx-xxxxx format are recovery codes
+      const secondFactor = /^\d{6}$/.test(twoFactorCode.trim())
+        ? { code: twoFactorCode.trim() }
+        : { recoveryCode: twoFactorCode.trim() }
+      await twoFactorRequest('disable', { password: twoFactorPassword, ...secondFactor })
+      setTwoFactorCode('')
+      setTwoFactorPassword('')
+      setMessage('Two-factor authentication is off')
+      await refreshUser()
+    }, 'Failed to disable two-factor authentication')
+  }
+
+  const regenerateRecoveryCodes = () => runTwoFactorAction(async () => {
+    const data = await twoFactorRequest('recovery-codes', { code: twoFactorCode.trim() })
+    setTwoFactorCode('')
+    setRecoveryCodes(data.recoveryCodes)
+    setMessage('New recovery codes generated; the old ones no longer work')
+    await refreshUser()
+  }, 'Failed to generate recovery codes')
+
   if (!user) return null
 
   return (
@@ -137,6 +294,12 @@ export default function UserProfile() {
               <button onClick={() => { setShowChangePassword(true); setShowDropdown(false); }}>
                 Change Password
               </button>
+              <button onClick={openSessions}>
+                Where you&apos;re signed in
+              </button>
+              <button onClick={openTwoFactor}>
+                Two-factor authentication
+              </button>
               <button onClick={logout} className="logout-btn">
                 Logout
               </button>
@@ -203,6 +366,198 @@ export default function UserProfile() {
         </div>
       )}
 
+      {/* Active Sessions Modal */}
+      {showSessions && (
+        <div className="modal">
+          <div className="modal-content">
+            <div className="modal-header">
+              <h3>Where you&apos;re signed in</h3>
+              <button onClick={() => setShowSessions(false)}>×</button>
+            </div>
+            {message && <div className="message success">{message}</div>}
+            {errors.length > 0 && (
+              <div className="message error">
+                {errors.map((error, index) => (
+                  <div key={index}>• {error}</div>
+                ))}
+              </div>
+            )}
+
+            {sessionsLoading ? (
+              <p className="sessions-empty">Loading sessions...</p>
+            ) : sessions.length === 0 ? (
+              <p className="sessions-empty">No active sessions.</p>
+            ) : (
+              <ul className="session-list">
+                {sessions.map(session => (
+                  <li key={session._id} className={`session-item ${session.current ? 'current' : ''}`}>
+                    <div className="session-details">
+                      <strong>
+                        {session.device}
+                        {session.current && <span className="session-current-badge">This device</span>}
+                      </strong>
+                      <span>{session.ip || 'Unknown location'}</span>
+                      <span>
+                        Last active {new Date(session.lastActiveAt).toLocaleString()}
+                        {' · '}signed in {new Date(session.createdAt).toLocaleDateString()}
+                      </span>
+                    </div>
+                    <button className="session-revoke-btn" onClick={() => revokeSession(session)}>
+                      {session.current ? 'Sign out' : 'Revoke'}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <div className="form-actions">
+              {sessions.some(session => !session.current) && (
+                <button type="button" onClick={revokeOtherSessions}>
+                  Sign out all other devices
+                </button>
+              )}
+              <button type="button" onClick={() => setShowSessions(false)}>
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Two-Factor Authentication Modal */}
+      {showTwoFactor && (
+        <div className="modal">
+          <div className="modal-content">
+            <div className="modal-header">
+              <h3>Two-factor authentication</h3>
+              <button onClick={closeTwoFactor}>×</button>
+            </div>
+            {message && <div className="message success">{message}</div>}
+            {errors.length > 0 && (
+              <div className="message error">
+                {errors.map((error, index) => (
+                  <div key={index}>• {error}</div>
+                ))}
+              </div>
+            )}
+
+            {recoveryCodes.length > 0 ? (
+              <div className="two-factor-section">
+                <p className="two-factor-text">
+                  Save these recovery codes somewhere safe. Each one signs you in once if you lose your
+                  authenticator. They won&apos;t be shown again.
+                </p>
+                <ul className="recovery-code-list">
+                  {recoveryCodes.map(code => <li key={code}>{code}</li>)}
+                </ul>
+                <div className="form-actions">
+                  <button type="button" onClick={() => navigator.clipboard?.writeText(recoveryCodes.join('\n'))}>
+                    Copy codes
+                  </button>
+                  <button type="button" onClick={() => setRecoveryCodes([])}>
+                    I&apos;ve saved them
+                  </button>
+                </div>
+              </div>
+            ) : twoFactorSetup ? (
+              <form className="two-factor-section" onSubmit={enableTwoFactor}>
+                <p className="two-factor-text">
+                  Scan this QR code with an authenticator app, then enter the 6-digit code it shows.
+                </p>
+                <Image
+                  className="two-factor-qr"
+                  src={twoFactorSetup.qrCode}
+                  alt="Two-factor setup QR code"
+                  width={200}
+                  height={200}
+                  unoptimized
+                />
+                <p className="two-factor-text">
+                  Can&apos;t scan it? Enter this key instead: <code className="two-factor-secret">{twoFactorSetup.secret}</code>
+                </p>
+
+                <div className="form-group">
+                  <label>Authentication code</label>
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    pattern="[0-9]{6}"
+                    maxLength={6}
+                    value={twoFactorCode}
+                    onChange={(e) => setTwoFactorCode(e.target.value.replace(/\D/g, ''))}
+                    autoComplete="one-time-code"
+                    required
+                  />
+                </div>
+
+                <div className="form-actions">
+                  <button type="button" onClick={() => { setTwoFactorSetup(null); setTwoFactorCode('') }}>
+                    Cancel
+                  </button>
+                  <button type="submit" disabled={loading}>
+                    {loading ? 'Verifying...' : 'Turn on'}
+                  </button>
+                </div>
+              </form>
+            ) : user.twoFactorEnabled ? (
+              <form className="two-factor-section" onSubmit={disableTwoFactor}>
+                <p className="two-factor-text">
+                  Two-factor authentication is <strong>on</strong>. Signing in asks for a code from your
+                  authenticator app.
+                  {typeof user.twoFactorRecoveryCodesLeft === 'number' && (
+                    <> You have {user.twoFactorRecoveryCodesLeft} unused recovery code(s).</>
+                  )}
+                </p>
+
+                <div className="form-group">
+                  <label>Authentication or recovery code</label>
+                  <input
+                    type="text"
+                    value={twoFactorCode}
+                    onChange={(e) => setTwoFactorCode(e.target.value)}
+                    autoComplete="one-time-code"
+                    required
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label>Password (to turn it off)</label>
+                  <input
+                    type="password"
+                    value={twoFactorPassword}
+                    onChange={(e) => setTwoFactorPassword(e.target.value)}
+                  />
+                </div>
+
+                <div className="form-actions">
+                  <button type="button" disabled={loading || !/^\d{6}$/.test(twoFactorCode.trim())} onClick={regenerateRecoveryCodes}>
+                    New recovery codes
+                  </button>
+                  <button type="submit" className="two-factor-disable-btn" disabled={loading || !twoFactorPassword}>
+                    {loading ? 'Working...' : 'Turn off'}
+                  </button>
+                </div>
+              </form>
+            ) : (
+              <div className="two-factor-section">
+                <p className="two-factor-text">
+                  Add a second step to signing in: after your password, enter a code from an authenticator
+                  app such as Google Authenticator, 1Password or Authy.
+                </p>
+                <div className="form-actions">
+                  <button type="button" onClick={closeTwoFactor}>
+                    Close
+                  </button>
+                  <button type="submit" disabled={loading} onClick={startTwoFactorSetup}>
+                    {loading ? 'Starting...' : 'Set up'}
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* Change Password Modal */}
       {showChangePassword && (
         <div className="modal">
@@ -0,0 +1,169 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { PollOption, TimelineBucket, VoteTimeline } from '@/types'
+import './VoteTimelineChart.css'
+
+interface VoteTimelineChartProps {
+  pollId: string
+  options: PollOption[]
+}
+
+const BUCKETS: { value: TimelineBucket; label: string }[] = [
+  { value: 'minute', label: 'Minute' },
+  { value: 'hour', label: 'Hour' },
+  { value: 'day', label: 'Day' }
+]
+
+const LINE_COLORS = ['#6366f1', '#ec4899', '#10b981', '#f59e0b', '#0ea5e9', '#8b5cf6', '#ef4444', '#14b8a6']
+
+const WIDTH = 600
+const HEIGHT = 220
+const PADDING = { top: 12, right: 16, bottom: 28, left: 36 }
+
+export default function VoteTimelineChart({ pollId, options }: VoteTimelineChartProps) {
+  const [bucket, setBucket] = useState<TimelineBucket>('hour')
+  const [timeline, setTimeline] = useState<VoteTimeline | null>(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    let cancelled = false
+    const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+
+    const fetchTimeline = async () => {
+      setLoading(true)
+      setError('')
+      try {
+        const token = localStorage.getItem('authToken')
+        const params = new URLSearchParams({ bucket, tz: timezone })
+        const response = await fetch(`/api/polls/${pollId}/timeline?${params}`, {
+          headers: token ? { 'Authorization': `Bearer ${token}` } : {}
+        })
+        const data = await response.json().catch(() => ({}))
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to load vote timeline')
+        }
+        if (!cancelled) setTimeline(data)
+      } catch (err) {
+        if (!cancelled) setError(err instanceof Error ? err.message : 'Failed to load vote timeline')
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    fetchTimeline()
+    return () => { cancelled = true }
+  }, [pollId, bucket])
+
+  const series = timeline?.series || []
+  const times = series.map(point => new Date(point.bucketStart).getTime())
+  const minTime = times.length ? times[0] : 0
+  const maxTime = times.length ? times[times.length - 1] : 0
+  const maxVotes = series.length ? series[series.length - 1].cumulativeVotes : 0
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom
+  const x = (time: number) => PADDING.left + (maxTime > minTime ? ((time - minTime) / (maxTime - minTime)) * plotWidth : plotWidth / 2)
+  const y = (votes: number) => PADDING.top + plotHeight - (maxVotes > 0 ? (votes / maxVotes) * plotHeight : 0)
+
+  // Cumulative counts only change at bucket starts, so draw them as steps
+  const stepPath = (values: number[]) => values.reduce((path, value, index) => {
+    const px = x(times[index])
+    const py = y(value)
+    if (index === 0) return `M ${px} ${py}`
+    return `${path} H ${px} V ${py}`
+  }, '')
+
+  const lines = [
+    { key: 'total', label: 'All votes', color: '#334155', values: series.map(point => point.cumulativeVotes) },
+    ...options.map((option, index) => ({
+      key: option._id,
+      label: option.text,
+      color: LINE_COLORS[index % LINE_COLORS.length],
+      values: series.map(point => point.cumulativePerOption[option._id] || 0)
+    }))
+  ]
+
+  return (
+    <div className="vote-timeline">
+      <div className="vote-timeline-header">
+        <h4>Votes Over Time</h4>
+        <div className="bucket-toggle" role="group" aria-label="Timeline bucket size">
+          {BUCKETS.map(({ value, label }) => (
+            <button
+              key={value}
+              type="button"
+              className={bucket === value ? 'active' : ''}
+              onClick={() => setBucket(value)}
+              disabled={loading}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error ? (
+        <p className="vote-timeline-message error">{error}</p>
+      ) : loading && !timeline ? (
+        <p className="vote-timeline-message">Loading timeline...</p>
+      ) : series.length === 0 ? (
+        <p className="vote-timeline-message">No votes yet.</p>
+      ) : (
+        <>
+          <svg
+            className="vote-timeline-chart"
+            viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+            role="img"
+            aria-label={`Cumulative votes per ${bucket}`}
+          >
+            <line className="axis" x1={PADDING.left} y1={y(0)} x2={WIDTH - PADDING.right} y2={y(0)} />
+            <line className="axis" x1={PADDING.left} y1={PADDING.top} x2={PADDING.left} y2={y(0)} />
+            <text className="axis-label" x={PADDING.left - 6} y={y(maxVotes) + 4} textAnchor="end">{maxVotes}</text>
+            <text className="axis-label" x={PADDING.left - 6} y={y(0) + 4} textAnchor="end">0</text>
+            <text className="axis-label" x={x(minTime)} y={HEIGHT - 8} textAnchor="start">{series[0].label}</text>
+            {series.length > 1 && (
+              <text className="axis-label" x={x(maxTime)} y={HEIGHT - 8} textAnchor="end">{series[series.length - 1].label}</text>
+            )}
+
+            {lines.map(line => (
+              <path
+                key={line.key}
+                d={stepPath(line.values)}
+                fill="none"
+                stroke={line.color}
+                strokeWidth={line.key === 'total' ? 2.5 : 1.75}
+                strokeDasharray={line.key === 'total' ? '5 3' : undefined}
+              >
+                <title>{line.label}</title>
+              </path>
+            ))}
+
+            {series.map((point, index) => (
+              <circle key={point.bucketStart} className="point" cx={x(times[index])} cy={y(point.cumulativeVotes)} r={3}>
+                <title>{`${point.label}: +${point.votes} (${point.cumulativeVotes} total)`}</title>
+              </circle>
+            ))}
+          </svg>
+
+          <ul className="vote-timeline-legend">
+            {lines.map(line => (
+              <li key={line.key}>
+                <span className="swatch" style={{ background: line.color }} />
+                {line.label}
+              </li>
+            ))}
+          </ul>
+
+          {timeline?.peakVotingTime && (
+            <p className="vote-timeline-peak">
+              Peak: <strong>{timeline.peakVotingTime.label}</strong> with {timeline.peakVotingTime.votes} votes
+              <span className="timezone"> ({timeline.timezone})</span>
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,231 @@
+'use client'
+
+import { useState, useEffect, useCallback } from 'react'
+import { Workspace, WorkspaceRole } from '@/types'
+import { useAuth } from './AuthContext'
+import './WorkspaceSwitcher.css'
+
+interface WorkspaceSwitcherProps {
+  workspaceId: string | null
+  onChange: (workspace: Workspace | null) => void
+}
+
+const ROLES: WorkspaceRole[] = ['owner', 'editor', 'voter']
+
+export default function WorkspaceSwitcher({ workspaceId, onChange }: WorkspaceSwitcherProps) {
+  const { user } = useAuth()
+  const [workspaces, setWorkspaces] = useState<Workspace[]>([])
+  const [showCreate, setShowCreate] = useState(false)
+  const [newName, setNewName] = useState('')
+  const [managing, setManaging] = useState<Workspace | null>(null)
+  const [memberEmail, setMemberEmail] = useState('')
+  const [memberRole, setMemberRole] = useState<WorkspaceRole>('voter')
+  const [error, setError] = useState('')
+
+  const workspaceRequest = async (path: string, method = 'GET', body?: object) => {
+    const token = localStorage.getItem('authToken')
+    const response = await fetch(`/api/workspaces${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) {
+      throw new Error(data.details?.[0]?.message || data.error || 'Workspace request failed')
+    }
+    return data
+  }
+
+  const loadWorkspaces = useCallback(async () => {
+    try {
+      const token = localStorage.getItem('authToken')
+      const response = await fetch('/api/workspaces', {
+        headers: token ? { 'Authorization': `Bearer ${token}` } : {}
+      })
+      if (!response.ok) throw new Error('Failed to load workspaces')
+      setWorkspaces(await response.json())
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load workspaces')
+    }
+  }, [])
+
+  useEffect(() => {
+    loadWorkspaces()
+  }, [loadWorkspaces])
+
+  const current = workspaces.find(workspace => workspace._id === workspaceId) || null
+
+  const handleSelect = (id: string) => {
+    onChange(workspaces.find(workspace => workspace._id === id) || null)
+  }
+
+  const createWorkspace = async (e: React.FormEvent) => {
+    e.preventDefault()
+    setError('')
+    try {
+      const workspace: Workspace = await workspaceRequest('', 'POST', { name: newName })
+      setWorkspaces(prev => [...prev, workspace].sort((a, b) => a.name.localeCompare(b.name)))
+      setNewName('')
+      setShowCreate(false)
+      onChange(workspace)
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to create workspace')
+    }
+  }
+
+  const openMembers = async () => {
+    if (!current) return
+    setError('')
+    try {
+      setManaging(await workspaceRequest(`/${current._id}`))
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load members')
+    }
+  }
+
+  // Member changes answer with the updated workspace
+  const updateMembers = async (path: string, method: string, body?: object) => {
+    if (!managing) return
+    setError('')
+    try {
+      const workspace: Workspace = await workspaceRequest(`/${managing._id}/members${path}`, method, body)
+      setManaging(workspace)
+      setWorkspaces(prev => prev.map(item => item._id === workspace._id ? { ...item, role: workspace.role, memberCount: workspace.memberCount } : item))
+      return workspace
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to update members')
+    }
+  }
+
+  const addMember = async (e: React.FormEvent) => {
+    e.preventDefault()
+    if (await updateMembers('', 'POST', { email: memberEmail, role: memberRole })) {
+      setMemberEmail('')
+    }
+  }
+
+  const leaveWorkspace = async () => {
+    if (!managing || !user || !confirm(`Leave "${managing.name}"?`)) return
+    setError('')
+    try {
+      await workspaceRequest(`/${managing._id}/members/${user._id}`, 'DELETE')
+      setWorkspaces(prev => prev.filter(item => item._id !== managing._id))
+      setManaging(null)
+      onChange(null)
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to leave workspace')
+    }
+  }
+
+  const isOwner = managing?.role === 'owner'
+
+  return (
+    <div className="workspace-switcher">
+      <label htmlFor="workspace-select">Workspace</label>
+      <select
+        id="workspace-select"
+        value={workspaceId || ''}
+        onChange={(e) => handleSelect(e.target.value)}
+      >
+        <option value="">All polls</option>
+        {workspaces.map(workspace => (
+          <option key={workspace._id} value={workspace._id}>
+            {workspace.name} ({workspace.role})
+          </option>
+        ))}
+      </select>
+      {current && (
+        <button type="button" className="workspace-btn" onClick={openMembers}>
+          Members ({current.memberCount})
+        </button>
+      )}
+      {showCreate ? (
+        <form className="workspace-create" onSubmit={createWorkspace}>
+          <input
+            type="text"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder="Workspace name"
+            minLength={2}
+            maxLength={80}
+            required
+          />
+          <button type="submit" className="workspace-btn">Create</button>
+          <button type="button" className="workspace-btn secondary" onClick={() => setShowCreate(false)}>Cancel</button>
+        </form>
+      ) : (
+        <button type="button" className="workspace-btn secondary" onClick={() => setShowCreate(true)}>
+          + New workspace
+        </button>
+      )}
+      {error && !managing && <span className="workspace-error">{error}</span>}
+
+      {managing && (
+        <div className="modal">
+          <div className="modal-content">
+            <div className="modal-header">
+              <h3>{managing.name}</h3>
+              <button onClick={() => { setManaging(null); setError('') }}>×</button>
+            </div>
+            {error && <div className="message error">• {error}</div>}
+
+            <ul className="workspace-member-list">
+              {managing.members?.map(member => (
+                <li key={member._id} className="workspace-member">
+                  <div className="workspace-member-details">
+                    <strong>{member.user.name}</strong>
+                    <span>{member.user.email}</span>
+                  </div>
+                  {isOwner ? (
+                    <div className="workspace-member-actions">
+                      <select
+                        value={member.role}
+                        onChange={(e) => updateMembers(`/${member.user._id}`, 'PATCH', { role: e.target.value })}
+                      >
+                        {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                      </select>
+                      {member.user._id !== user?._id && (
+                        <button
+                          type="button"
+                          className="session-revoke-btn"
+                          onClick={() => updateMembers(`/${member.user._id}`, 'DELETE')}
+                        >
+                          Remove
+                        </button>
+                      )}
+                    </div>
+                  ) : (
+                    <span className="workspace-role-badge">{member.role}</span>
+                  )}
+                </li>
+              ))}
+            </ul>
+
+            {isOwner && (
+              <form className="workspace-add-member" onSubmit={addMember}>
+                <input
+                  type="email"
+                  value={memberEmail}
+                  onChange={(e) => setMemberEmail(e.target.value)}
+                  placeholder="Member email"
+                  required
+                />
+                <select value={memberRole} onChange={(e) => setMemberRole(e.target.value as WorkspaceRole)}>
+                  {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                </select>
+                <button type="submit" className="workspace-btn">Add</button>
+              </form>
+            )}
+
+            <div className="form-actions">
+              <button type="button" onClick={leaveWorkspace}>Leave workspace</button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,102 @@
+'use client'
+
+import { useState, useEffect, useCallback } from 'react'
+import { PollOption } from '@/types'
+
+interface WriteInQueueProps {
+  pollId: string
+  // Called with the poll's option list after a write-in is approved
+  onApprove: (options: PollOption[]) => void
+}
+
+// Options voters typed in, waiting for the poll creator to approve or reject them
+export default function WriteInQueue({ pollId, onApprove }: WriteInQueueProps) {
+  const [writeIns, setWriteIns] = useState<PollOption[]>([])
+  const [loading, setLoading] = useState(true)
+  const [busyId, setBusyId] = useState<string | null>(null)
+  const [error, setError] = useState('')
+
+  const fetchWriteIns = useCallback(async () => {
+    try {
+      const token = localStorage.getItem('authToken')
+      const response = await fetch(`/api/options/write-ins?poll=${pollId}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      })
+      const data = await response.json().catch(() => ({}))
+      if (!response.ok) throw new Error(data.error || 'Failed to load write-ins')
+      setWriteIns(data)
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load write-ins')
+    } finally {
+      setLoading(false)
+    }
+  }, [pollId])
+
+  useEffect(() => {
+    fetchWriteIns()
+  }, [fetchWriteIns])
+
+  const review = async (writeIn: PollOption, decision: 'approve' | 'reject') => {
+    if (decision === 'reject' && (writeIn.votes || 0) > 0 &&
+      !confirm(`Reject "${writeIn.text}"? Its ${writeIn.votes} vote(s) will be removed.`)) {
+      return
+    }
+
+    setBusyId(writeIn._id)
+    setError('')
+    try {
+      const token = localStorage.getItem('authToken')
+      const response = await fetch(`/api/options/${writeIn._id}/${decision}`, {
+        method: 'PATCH',
+        headers: { 'Authorization': `Bearer ${token}` }
+      })
+      const data = await response.json().catch(() => ({}))
+      if (!response.ok) throw new Error(data.error || `Failed to ${decision} write-in`)
+
+      setWriteIns(prev => prev.filter(item => item._id !== writeIn._id))
+      if (decision === 'approve') onApprove(data.options)
+    } catch (err) {
+      setError(err instanceof Error ? err.message : `Failed to ${decision} write-in`)
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  if (loading) return <div className="write-in-queue">Loading write-ins...</div>
+
+  return (
+    <div className="write-in-queue">
+      {writeIns.length === 0 ? (
+        <p className="write-in-empty">No write-ins waiting for review</p>
+      ) : (
+        writeIns.map(writeIn => (
+          <div key={writeIn._id} className="write-in-item">
+            <div className="write-in-details">
+              <span className="option-text">{writeIn.text}</span>
+              <small>
+                {writeIn.submittedBy?.name || 'Guest'} · {writeIn.votes || 0} votes
+              </small>
+            </div>
+            <button
+              type="button"
+              className="btn btn-success"
+              onClick={() => review(writeIn, 'approve')}
+              disabled={busyId === writeIn._id}
+            >
+              Approve
+            </button>
+            <button
+              type="button"
+              className="btn btn-danger"
+              onClick={() => review(writeIn, 'reject')}
+              disabled={busyId === writeIn._id}
+            >
+              Reject
+            </button>
+          </div>
+        ))
+      )}
+      {error && <div className="error-messages"><span className="error-message">• {error}</span></div>}
+    </div>
+  )
+}
@@ -1,25 +1,77 @@
 import { AuthUser } from '@/types';
 
+// Refresh this long before the access token expires
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+interface TokenResponse extends AuthUser {
+  expiresIn?: number;
+  refreshToken?: string;
+}
+
+// The account fields the app reads. Responses are copied field by field so that token fields
+// such as the refresh token never reach localStorage.
+const toStoredUser = (user: AuthUser, token: string): AuthUser => ({
+  _id: user._id,
+  name: user.name,
+  email: user.email,
+  createdAt: user.createdAt,
+  role: user.role,
+  capabilities: user.capabilities,
+  isVerified: user.isVerified,
+  twoFactorEnabled: user.twoFactorEnabled,
+  twoFactorRecoveryCodesLeft: user.twoFactorRecoveryCodesLeft,
+  token
+});
+
 class AuthService {
   private token: string | null = null;
   private user: AuthUser | null = null;
+  private expiresAt: number | null = null;
+  private refreshTimer: ReturnType<typeof setTimeout> | null = null;
+  private refreshing: Promise<string | null> | null = null;
+  private listeners = new Set<(user: AuthUser | null) => void>();
 
   constructor() {
     if (typeof window !== 'undefined') {
       this.token = localStorage.getItem('authToken');
       const userData = localStorage.getItem('userData');
       this.user = userData ? JSON.parse(userData) : null;
+      const expiresAt = localStorage.getItem('authTokenExpiresAt');
+      this.expiresAt = expiresAt ? Number(expiresAt) : null;
+
+      if (this.token) this.scheduleRefresh();
+
+      // Another tab refreshed or logged out
+      window.addEventListener('storage', (event) => {
+        if (event.key !== 'authToken') return;
+        this.token = event.newValue;
+        const storedExpiry = localStorage.getItem('authTokenExpiresAt');
+        this.expiresAt = storedExpiry ? Number(storedExpiry) : null;
+        if (!this.token) {
+          this.user = null;
+          this.clearRefreshTimer();
+          this.notify();
+        } else {
+          this.scheduleRefresh();
+        }
+      });
     }
   }
 
-  setAuth(token: string, user: AuthUser) {
+  // Store a token pair from login, register or refresh. The refresh token itself stays in its
+  // httpOnly cookie and is never kept in storage.
+  setAuth(token: string, user: AuthUser, expiresIn?: number) {
     this.token = token;
-    this.user = user;
-    
+    this.user = toStoredUser(user, token);
+    if (expiresIn) this.expiresAt = Date.now() + expiresIn * 1000;
+
     if (typeof window !== 'undefined') {
       localStorage.setItem('authToken', token);
-      localStorage.setItem('userData', JSON.stringify(user));
+      localStorage.setItem('userData', JSON.stringify(this.user));
+      if (this.expiresAt) localStorage.setItem('authTokenExpiresAt', String(this.expiresAt));
+      this.scheduleRefresh();
     }
+    this.notify();
   }
 
   getToken(): string | null {
@@ -34,13 +86,36 @@ class AuthService {
     return !!this.token;
   }
 
-  logout() {
-    this.token = null;
-    this.user = null;
-    
-    if (typeof window !== 'undefined') {
-      localStorage.removeItem('authToken');
-      localStorage.removeItem('userData');
+  // Called with the new user (or null after a logout or failed refresh)
+  onChange(listener: (user: AuthUser | null) => void): () => void {
+    this.listeners.add(listener);
+    return () => { this.listeners.delete(listener); };
+  }
+
+  // Swap the refresh cookie for a new access token. Concurrent callers share one request.
+  refresh(): Promise<string | null> {
+    if (!this.refreshing) {
+      this.refreshing = this.requestRefresh().finally(() => {
+        this.refreshing = null;
+      });
+    }
+    return this.refreshing;
+  }
+
+  // Server-side logout revokes this device's session, then local state is cleared
+  async logout() {
+    const token = this.token;
+    this.clearLocal();
+
+    try {
+      await fetch('/api/auth/logout', {
+        method: 'POST',
+        headers: token ? { 'Authorization': `Bearer ${token}` } : {},
+        credentials: 'same-origin',
+        keepalive: true
+      });
+    } catch {
+      // Offline: the session simply expires on its own
     }
   }
 
@@ -50,6 +125,73 @@ class AuthService {
       ...(this.token ? { 'Authorization': `Bearer ${this.token}` } : {})
     };
   }
+
+  private async requestRefresh(): Promise<string | null> {
+    const tokenBefore = this.token;
+    try {
+      const response = await fetch('/api/auth/refresh', {
+        method: 'POST',
+        credentials: 'same-origin'
+      });
+
+      if (!response.ok) {
+        // Another tab may have rotated the refresh token first and stored the result
+        const stored = localStorage.getItem('authToken');
+        const storedExpiry = Number(localStorage.getItem('authTokenExpiresAt'));
+        if (stored && stored !== tokenBefore && storedExpiry > Date.now()) {
+          this.token = stored;
+          this.expiresAt = storedExpiry;
+          this.scheduleRefresh();
+          return stored;
+        }
+
+        if (response.status === 401) this.clearLocal();
+        return null;
+      }
+
+      const data: TokenResponse = await response.json();
+      this.setAuth(data.token, { ...this.user, ...data }, data.expiresIn);
+      return data.token;
+    } catch {
+      // Network error: keep the current token and try again later
+      this.refreshTimer = setTimeout(() => this.refresh(), REFRESH_MARGIN_MS / 2);
+      return null;
+    }
+  }
+
+  private scheduleRefresh() {
+    this.clearRefreshTimer();
+    if (!this.token) return;
+
+    // Tokens stored before expiry tracking get refreshed right away
+    const delay = this.expiresAt ? Math.max(0, this.expiresAt - Date.now() - REFRESH_MARGIN_MS) : 0;
+    this.refreshTimer = setTimeout(() => this.refresh(), delay);
+  }
+
+  private clearRefreshTimer() {
+    if (this.refreshTimer) {
+      clearTimeout(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+
+  private clearLocal() {
+    this.token = null;
+    this.user = null;
+    this.expiresAt = null;
+    this.clearRefreshTimer();
+
+    if (typeof window !== 'undefined') {
+      localStorage.removeItem('authToken');
+      localStorage.removeItem('userData');
+      localStorage.removeItem('authTokenExpiresAt');
+    }
+    this.notify();
+  }
+
+  private notify() {
+    this.listeners.forEach(listener => listener(this.user));
+  }
 }
 
-export const authService = new AuthService();
\ No newline at end of file
+export const authService = new AuthService();
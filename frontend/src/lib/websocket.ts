@@ -1,13 +1,32 @@
 import { authService } from './auth';
+import { PollOption, PollStatus, QuizScore, RankedResults, RankedRound } from '@/types';
+
+// Sent by the server when the session behind this connection's token was revoked
+const SESSION_REVOKED_CLOSE_CODE = 4001;
+
+// Position in a poll's event stream; seq only means something within the same streamId
+export interface StreamPosition {
+  streamId: string;
+  seq: number;
+}
 
 export type WebSocketMessage = 
   | { type: 'connected'; message: string }
-  | { type: 'subscription_confirmed'; pollId: string }
-  | { type: 'vote_update'; pollId?: string; voteCounts: { [key: string]: number }; totalVotes: number }
+  | { type: 'subscription_confirmed'; pollId?: string; pollIds: string[]; rejected: { pollId: string; reason: string }[]; streams: { [pollId: string]: StreamPosition } }
+  | ({ type: 'vote_update'; pollId?: string; voteCounts: { [key: string]: number }; totalVotes: number; totalVoters?: number; rankedResults?: RankedResults; currentRound?: RankedRound; replayed?: boolean } & Partial<StreamPosition>)
+  | ({ type: 'vote_delta'; pollId: string; deltas: { [optionId: string]: number }; totalVotesDelta: number; totalVotersDelta: number; replayed?: boolean } & Partial<StreamPosition>)
+  | ({ type: 'poll_status_update'; pollId: string; status: PollStatus; isPublished: boolean; expiresAt?: string | null; replayed?: boolean } & Partial<StreamPosition>)
+  | ({ type: 'options_changed'; pollId: string; change: 'added' | 'updated' | 'removed' | 'reordered'; optionId?: string; options: PollOption[]; replayed?: boolean } & Partial<StreamPosition>)
+  | ({ type: 'poll_snapshot'; pollId: string; voteCounts: { [key: string]: number }; totalVotes: number; totalVoters?: number; rankedResults?: RankedResults; status: PollStatus; isPublished: boolean; expiresAt?: string | null } & StreamPosition)
+  | ({ type: 'quiz_leaderboard'; pollId: string; leaderboard: QuizScore[]; totalPlayers: number; correctOptions?: string[] } & Partial<StreamPosition>)
+  | { type: 'text_answers_update'; pollId: string; surveyId: string; totalAnswers: number }
   | { type: 'pong' }
+  | { type: 'session_revoked' }
   | { type: 'error'; message: string }
   | { type: string; [key: string]: unknown };
 
+type SubscriptionConfirmedMessage = Extract<WebSocketMessage, { type: 'subscription_confirmed' }>;
+
 export interface WebSocketCallbacks {
   onOpen?: (event: Event) => void;
   onClose?: (event: CloseEvent) => void;
@@ -17,27 +36,111 @@ export interface WebSocketCallbacks {
   onMaxReconnectAttempts?: () => void;
 }
 
+// One shared connection carries every poll subscription on the page
 class WebSocketService {
   private ws: WebSocket | null = null;
   private reconnectAttempts = 0;
   private maxReconnectAttempts = 5;
   private reconnectInterval = 3000; // 3 seconds
   private isManualClose = false;
-  private pollId: string | null = null;
-  private callbacks: WebSocketCallbacks = {};
+  private subscriptions = new Map<string, Set<WebSocketCallbacks>>();
+  private pendingSubscribes = new Set<string>();
+  // Last event seen per poll, sent back on resubscribe so missed events get replayed
+  private streamPositions = new Map<string, StreamPosition>();
+  // Share tokens that let this client follow unlisted polls it was linked to
+  private shareTokens = new Map<string, string>();
+  private pendingUnsubscribes = new Set<string>();
+  private flushTimeout: NodeJS.Timeout | null = null;
   private heartbeatInterval: NodeJS.Timeout | null = null;
 
   constructor(private url: string) {}
 
-  connect(pollId: string, callbacks: WebSocketCallbacks = {}) {
-    this.pollId = pollId;
-    this.callbacks = callbacks;
+  // Listen to a poll's live updates; returns a function that removes the listener.
+  // Subscriptions made in the same tick are sent to the server as one batch.
+  subscribe(pollId: string, callbacks: WebSocketCallbacks = {}, shareToken?: string): () => void {
+    const listeners = this.subscriptions.get(pollId) || new Set<WebSocketCallbacks>();
+    const isNewPoll = listeners.size === 0;
+    listeners.add(callbacks);
+    this.subscriptions.set(pollId, listeners);
+    if (shareToken) this.shareTokens.set(pollId, shareToken);
+
+    if (isNewPoll) {
+      this.pendingUnsubscribes.delete(pollId);
+      this.pendingSubscribes.add(pollId);
+      this._scheduleFlush();
+    }
+
+    if (!this.ws || this.ws.readyState === WebSocket.CLOSED) {
+      this.isManualClose = false;
+      this.reconnectAttempts = 0;
+      this._connect();
+    } else if (this.ws.readyState === WebSocket.OPEN && callbacks.onOpen) {
+      callbacks.onOpen(new Event('open'));
+    }
+
+    return () => this._removeListener(pollId, callbacks);
+  }
+
+  // Retry immediately, e.g. after the reconnect attempts ran out
+  reconnect() {
+    if (this.ws && this.ws.readyState !== WebSocket.CLOSED) return;
     this.isManualClose = false;
     this.reconnectAttempts = 0;
-    
     this._connect();
   }
 
+  private _removeListener(pollId: string, callbacks: WebSocketCallbacks) {
+    const listeners = this.subscriptions.get(pollId);
+    if (!listeners) return;
+
+    listeners.delete(callbacks);
+    if (listeners.size === 0) {
+      this.subscriptions.delete(pollId);
+      this.streamPositions.delete(pollId);
+      this.shareTokens.delete(pollId);
+      this.pendingSubscribes.delete(pollId);
+      this.pendingUnsubscribes.add(pollId);
+      this._scheduleFlush();
+    }
+  }
+
+  private _scheduleFlush() {
+    if (this.flushTimeout) return;
+    this.flushTimeout = setTimeout(() => {
+      this.flushTimeout = null;
+      this._flushSubscriptions();
+    }, 0);
+  }
+
+  // Send queued subscription changes as batch messages once the socket is open
+  private _flushSubscriptions() {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+
+    if (this.pendingUnsubscribes.size) {
+      this.send({ type: 'unsubscribe', pollIds: Array.from(this.pendingUnsubscribes) });
+      this.pendingUnsubscribes.clear();
+    }
+    if (this.pendingSubscribes.size) {
+      const pollIds = Array.from(this.pendingSubscribes);
+      const resume: { [pollId: string]: { streamId: string; lastSeq: number } } = {};
+      const shareTokens: { [pollId: string]: string } = {};
+      pollIds.forEach(pollId => {
+        const position = this.streamPositions.get(pollId);
+        if (position) resume[pollId] = { streamId: position.streamId, lastSeq: position.seq };
+        const shareToken = this.shareTokens.get(pollId);
+        if (shareToken) shareTokens[pollId] = shareToken;
+      });
+      this.send({ type: 'subscribe', pollIds, resume, shareTokens });
+      this.pendingSubscribes.clear();
+    }
+  }
+
+  private _allListeners(): WebSocketCallbacks[] {
+    const all: WebSocketCallbacks[] = [];
+    this.subscriptions.forEach(listeners => listeners.forEach(callbacks => all.push(callbacks)));
+    return all;
+  }
+
   private _connect() {
     try {
       // Add authentication token if available
@@ -50,25 +153,30 @@ class WebSocketService {
         console.log('WebSocket connected successfully');
         this.reconnectAttempts = 0;
         
-        // Subscribe to the poll
-        this.subscribeToPoll(this.pollId!);
+        // (Re)subscribe to every poll in one batch; the server forgets them on disconnect
+        this.pendingUnsubscribes.clear();
+        this.pendingSubscribes = new Set(this.subscriptions.keys());
+        this._flushSubscriptions();
         
         // Start heartbeat
         this._startHeartbeat();
         
-        if (this.callbacks.onOpen) {
-          this.callbacks.onOpen(event);
-        }
+        this._allListeners().forEach(callbacks => callbacks.onOpen?.(event));
       };
       
       this.ws.onclose = (event) => {
         console.log('WebSocket connection closed:', event.code, event.reason);
         this._stopHeartbeat();
         
-        if (this.callbacks.onClose) {
-          this.callbacks.onClose(event);
-        }
+        this._allListeners().forEach(callbacks => callbacks.onClose?.(event));
         
+        // This device was signed out elsewhere: the refresh fails and clears the login,
+        // then the socket comes back as a guest connection
+        if (event.code === SESSION_REVOKED_CLOSE_CODE) {
+          authService.refresh().finally(() => this._attemptReconnect());
+          return;
+        }
+
         // Attempt reconnect unless manually closed or normal closure
         if (!this.isManualClose && event.code !== 1000) {
           this._attemptReconnect();
@@ -78,9 +186,7 @@ class WebSocketService {
       this.ws.onerror = (event) => {
         console.error('WebSocket error:', event);
         
-        if (this.callbacks.onError) {
-          this.callbacks.onError(event);
-        }
+        this._allListeners().forEach(callbacks => callbacks.onError?.(event));
       };
       
       this.ws.onmessage = (event) => {
@@ -106,14 +212,55 @@ class WebSocketService {
         console.log('WebSocket connection confirmed:', message.message);
         break;
         
-      case 'subscription_confirmed':
-        console.log(`Subscription confirmed for poll ${message.pollId}`);
+      case 'subscription_confirmed': {
+        const { pollIds, rejected, streams } = message as SubscriptionConfirmedMessage;
+        // Start tracking new polls from the current position. A changed stream means the
+        // server started over; it sends a snapshot, so restart tracking from its position too.
+        Object.entries(streams || {}).forEach(([pollId, stream]) => {
+          const position = this.streamPositions.get(pollId);
+          if (!position || position.streamId !== stream.streamId) {
+            this.streamPositions.set(pollId, stream);
+          }
+        });
+        console.log(`Subscription confirmed for ${pollIds.length} poll(s)`);
+        if (rejected.length) {
+          console.warn('Some poll subscriptions were rejected:', rejected);
+        }
         break;
+      }
         
       case 'vote_update':
         console.log('Vote update received:', message);
         break;
+
+      case 'vote_delta':
+        console.log('Vote delta received:', message);
+        break;
+
+      case 'poll_status_update':
+        console.log(`Poll ${message.pollId} is now ${message.status}`);
+        break;
+
+      case 'options_changed':
+        console.log(`Options of poll ${message.pollId} ${message.change}`);
+        break;
+
+      case 'quiz_leaderboard':
+        console.log(`Quiz leaderboard for poll ${message.pollId}: ${message.totalPlayers} players`);
+        break;
+
+      case 'text_answers_update':
+        console.log(`Survey question ${message.pollId} now has ${message.totalAnswers} typed answers`);
+        break;
+
+      case 'poll_snapshot':
+        console.log(`Snapshot received for poll ${message.pollId} at seq ${message.seq}`);
+        break;
         
+      case 'session_revoked':
+        console.log('This session was signed out; the connection will close');
+        break;
+
       case 'pong':
         // Heartbeat response - no action needed
         break;
@@ -126,18 +273,48 @@ class WebSocketService {
         console.log('Unknown message type:', message.type);
     }
     
-    if (this.callbacks.onMessage) {
-      this.callbacks.onMessage(message);
+    if (!this._trackStreamPosition(message)) return;
+
+    // Poll events go to that poll's listeners; confirmations go to the polls they name;
+    // anything else (notifications, errors) goes to everyone
+    const pollIds = this._getMessagePollIds(message);
+
+    const listeners = pollIds
+      ? pollIds.flatMap(pollId => Array.from(this.subscriptions.get(pollId) || []))
+      : this._allListeners();
+    listeners.forEach(callbacks => callbacks.onMessage?.(message));
+  }
+
+  // Record the seq of a poll event; returns false for events already seen (e.g. replayed twice)
+  private _trackStreamPosition(message: WebSocketMessage): boolean {
+    const { pollId, seq, streamId } = message as { pollId?: unknown; seq?: unknown; streamId?: unknown };
+    if (typeof pollId !== 'string' || typeof seq !== 'number' || typeof streamId !== 'string') return true;
+    if (!this.subscriptions.has(pollId)) return false;
+
+    const position = this.streamPositions.get(pollId);
+    const isSnapshot = message.type === 'poll_snapshot';
+    if (!isSnapshot && position && position.streamId === streamId && seq <= position.seq) {
+      return false;
+    }
+
+    this.streamPositions.set(pollId, { streamId, seq });
+    return true;
+  }
+
+  private _getMessagePollIds(message: WebSocketMessage): string[] | null {
+    if (message.type === 'subscription_confirmed') {
+      const { pollIds, rejected } = message as SubscriptionConfirmedMessage;
+      return [...pollIds, ...rejected.map(r => r.pollId)];
     }
+    const { pollId } = message as { pollId?: unknown };
+    return typeof pollId === 'string' ? [pollId] : null;
   }
 
   private _attemptReconnect() {
     if (this.reconnectAttempts >= this.maxReconnectAttempts) {
       console.error('Max reconnection attempts reached');
       
-      if (this.callbacks.onMaxReconnectAttempts) {
-        this.callbacks.onMaxReconnectAttempts();
-      }
+      this._allListeners().forEach(callbacks => callbacks.onMaxReconnectAttempts?.());
       return;
     }
     
@@ -146,9 +323,7 @@ class WebSocketService {
     
     console.log(`Attempting reconnect in ${delay}ms (attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts})`);
     
-    if (this.callbacks.onReconnect) {
-      this.callbacks.onReconnect(this.reconnectAttempts);
-    }
+    this._allListeners().forEach(callbacks => callbacks.onReconnect?.(this.reconnectAttempts));
     
     setTimeout(() => {
       if (!this.isManualClose) {
@@ -173,27 +348,6 @@ class WebSocketService {
     }
   }
 
-  subscribeToPoll(pollId: string) {
-    this.pollId = pollId;
-    
-    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-      this.send({
-        type: 'subscribe',
-        pollId: pollId
-      });
-    }
-  }
-
-  unsubscribeFromPoll() {
-    if (this.ws && this.ws.readyState === WebSocket.OPEN && this.pollId) {
-      this.send({
-        type: 'unsubscribe',
-        pollId: this.pollId
-      });
-    }
-    this.pollId = null;
-  }
-
   send(message: WebSocketMessage) {
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
       try {
@@ -208,7 +362,6 @@ class WebSocketService {
 
   disconnect() {
     this.isManualClose = true;
-    this.unsubscribeFromPoll();
     this._stopHeartbeat();
     
     if (this.ws) {
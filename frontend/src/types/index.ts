@@ -5,9 +5,110 @@ export interface User {
   createdAt: string
 }
 
+export type UserRole = 'user' | 'moderator' | 'admin'
+
+// Named permissions granted by a role
+export type Capability = 'manage_users' | 'moderate_polls' | 'view_audit_log'
+
+// A user as listed in the admin console
+export interface ManagedUser extends User {
+  role: UserRole
+  capabilities: Capability[]
+  isVerified: boolean
+  isActive: boolean
+  suspendedAt?: string
+  suspensionReason?: string
+  lastLogin?: string
+}
+
 export interface AuthUser extends User {
   token: string
+  role?: UserRole
+  capabilities?: Capability[]
   isVerified?: boolean
+  twoFactorEnabled?: boolean
+  twoFactorRecoveryCodesLeft?: number
+}
+
+// Returned by login instead of a token when the account has two-factor authentication on
+export interface TwoFactorChallenge {
+  twoFactorRequired: true
+  challengeToken: string
+}
+
+// A single sign-on provider offered on the login screen
+export interface SsoProvider {
+  id: string
+  name: string
+}
+
+// What a single sign-on redirect came back with when it didn't sign straight in
+export interface SsoResult {
+  challengeToken?: string
+  error?: string
+}
+
+// Enrollment data for an authenticator app
+export interface TwoFactorSetup {
+  secret: string
+  otpauthUrl: string
+  qrCode: string
+}
+
+// A device the user is signed in on
+export interface UserSession {
+  _id: string
+  device: string
+  userAgent?: string
+  ip?: string
+  createdAt: string
+  lastActiveAt: string
+  expiresAt: string
+  current: boolean
+}
+
+export type WorkspaceRole = 'owner' | 'editor' | 'voter'
+
+export interface WorkspaceMember {
+  _id: string
+  user: Pick<User, '_id' | 'name' | 'email'>
+  role: WorkspaceRole
+  joinedAt: string
+}
+
+// A workspace as seen by one of its members; members are only included in the detail view
+export interface Workspace {
+  _id: string
+  name: string
+  description?: string
+  role: WorkspaceRole
+  memberCount: number
+  members?: WorkspaceMember[]
+  createdAt: string
+}
+
+// Who can see a poll: everyone, members of its workspace, members plus invite link holders,
+// or (unlisted) only people holding one of its share links
+export type PollVisibility = 'public' | 'workspace' | 'invite_link' | 'unlisted'
+
+// A secret link to an unlisted poll; token and url are only returned when it is created
+export interface ShareLink {
+  _id: string
+  poll: string
+  label?: string
+  createdBy?: Pick<User, '_id' | 'name'>
+  expiresAt: string | null
+  revokedAt: string | null
+  isActive: boolean
+  createdAt: string
+  token?: string
+  url?: string
+}
+
+// Earlier wording of an option renamed after votes were cast
+export interface OptionAmendment {
+  text: string
+  amendedAt: string
 }
 
 export interface PollOption {
@@ -15,24 +116,104 @@ export interface PollOption {
   text: string
   poll: string
   votes?: number
+  position?: number
+  amendments?: OptionAmendment[]
+  // Set on options voters typed in; pending ones are only listed for the poll's creator
+  isWriteIn?: boolean
+  status?: 'approved' | 'pending'
+  submittedBy?: { _id: string; name: string } | null
   createdAt: string
   updatedAt: string
 }
 
+export type VotingMode = 'single' | 'multiple' | 'limited' | 'ranked'
+
+// Write-ins wait in the creator's review queue, or go live straight away
+export type WriteInModeration = 'queue' | 'auto'
+
+// When a quiz's correct answers are shown: once it closes, or to each voter right after voting
+export type QuizReveal = 'after_close' | 'after_vote'
+
+export interface QuizScore {
+  user: { _id: string; name: string }
+  correct: boolean
+  points: number
+  speedBonus: number
+  score: number
+  answeredAt: string
+  // Seconds after the quiz's first answer
+  responseSeconds: number
+  rank: number
+}
+
+// A quiz poll as the current viewer may see it (GET /api/polls/:id/quiz)
+export interface QuizState {
+  pollId: string
+  quizReveal: QuizReveal
+  scoring: { correctPoints: number; maxSpeedBonus: number; speedWindow: number }
+  revealed: boolean
+  hasVoted: boolean
+  correctOptions?: string[]
+  myResult?: QuizScore
+  leaderboard?: QuizScore[]
+  totalPlayers: number
+}
+
+export type PollStatus = 'active' | 'expired' | 'draft' | 'scheduled' | 'archived'
+
+// How repeat ballots from guests are detected on polls that allow anonymous voting
+export type AnonymousDuplicatePolicy = 'cookie' | 'fingerprint' | 'none'
+
+export interface RankedRound {
+  round: number
+  tallies: Record<string, number>
+  activeBallots: number
+  exhausted: number
+  eliminated: string[]
+  // eliminated option id -> receiving option id (or 'exhausted') -> ballots moved
+  transfers: Record<string, Record<string, number>>
+}
+
+export interface RankedResults {
+  winner: string | null
+  tie: boolean
+  totalBallots: number
+  rounds: RankedRound[]
+}
+
 export interface Poll {
   _id: string
   question: string
   options: PollOption[]
   creator: User
+  workspace?: string | null
+  visibility?: PollVisibility
+  // Only sent to people who can manage the poll's sharing
+  inviteToken?: string
   isPublished: boolean
+  publishAt?: string | null
+  archivedAt?: string | null
   expiresAt?: string
   allowVotingAfterExpiry: boolean
   showResultsAfterExpiry: boolean
   autoArchive: boolean
+  allowVoteChange?: boolean
+  allowAnonymous?: boolean
+  anonymousDuplicatePolicy?: AnonymousDuplicatePolicy
+  votingMode: VotingMode
+  maxSelections?: number
+  allowWriteIns?: boolean
+  writeInModeration?: WriteInModeration
+  isQuiz?: boolean
+  quizReveal?: QuizReveal
+  quizSpeedWindow?: number
   totalVotes: number
+  totalVoters?: number
+  rankedResults?: RankedResults
   userVoted?: boolean
   userVoteOption?: string | null
-  status: 'active' | 'expired' | 'draft'
+  userVoteOptions?: string[]
+  status: PollStatus
   timeRemaining?: string
   isExpired: boolean
   canVote: boolean
@@ -45,11 +226,114 @@ export interface CreatePollData {
   question: string
   options: string[]
   isPublished?: boolean
+  publishAt?: string
   expiresAt?: string
   allowVotingAfterExpiry?: boolean
   showResultsAfterExpiry?: boolean
   autoArchive?: boolean
+  allowVoteChange?: boolean
+  allowAnonymous?: boolean
+  anonymousDuplicatePolicy?: AnonymousDuplicatePolicy
+  votingMode?: VotingMode
+  maxSelections?: number
+  allowWriteIns?: boolean
+  writeInModeration?: WriteInModeration
+  isQuiz?: boolean
+  quizReveal?: QuizReveal
+  quizSpeedWindow?: number
+  // Quiz polls: positions of the correct options
+  correctOptions?: number[]
+  workspace?: string
+  visibility?: PollVisibility
+}
+export type TimelineBucket = 'minute' | 'hour' | 'day'
+
+export interface VoteTimelinePoint {
+  bucketStart: string
+  // Bucket start formatted in the requested timezone
+  label: string
+  votes: number
+  cumulativeVotes: number
+  perOption: Record<string, number>
+  cumulativePerOption: Record<string, number>
+}
+
+export interface VoteTimeline {
+  pollId: string
+  bucket: TimelineBucket
+  timezone: string
+  series: VoteTimelinePoint[]
+  peakVotingTime: {
+    bucket: TimelineBucket
+    bucketStart: string
+    label: string
+    votes: number
+  } | null
 }
+
+export type SurveyQuestionType = 'single' | 'multiple' | 'rating' | 'text'
+
+// A survey question with its live totals; each question is backed by a poll
+export interface SurveyQuestion {
+  _id: string
+  question: string
+  questionType: SurveyQuestionType
+  ratingScale?: number
+  answerRequired: boolean
+  options: { _id: string; text: string; votes: number; percentage?: number }[]
+  totalVotes?: number
+  // Respondents who answered this question
+  totalAnswers?: number
+  averageRating?: number | null
+  // Respondents who picked a rule's option go to its goTo question (null ends the survey);
+  // taken counts how many did
+  branchRules: { option: string; goTo: string | null; taken: number }[]
+  // Respondents shown this question, and those who moved on to the next one without a branch
+  reached: number
+  continued: number
+  // Latest typed answers, in the creator's stats only
+  answers?: { text: string; answeredAt: string }[]
+}
+
+export interface Survey {
+  _id: string
+  title: string
+  description: string
+  creator: User
+  isPublished: boolean
+  expiresAt?: string
+  allowAnonymous: boolean
+  questionCount: number
+  responseCount: number
+  isExpired: boolean
+  canRespond: boolean
+  createdAt: string
+  questions?: SurveyQuestion[]
+  userResponded?: boolean
+}
+
+// A question as entered in the survey builder
+export interface SurveyQuestionDraft {
+  // Stable while questions are moved around, so branches can point at a question
+  key: number
+  text: string
+  type: SurveyQuestionType
+  options: string[]
+  ratingScale: number
+  required: boolean
+  // Option text (or rating value) -> key of the question to jump to, or 'end'
+  branches: Record<string, number | 'end'>
+}
+
+// One answer in a survey response; which field is set depends on the question type
+export interface SurveyAnswer {
+  question: string
+  option?: string
+  options?: string[]
+  rating?: number
+  text?: string
+}
+
 export interface LoginData {
   email: string
   password: string
@@ -66,5 +350,6 @@ export interface WebSocketMessage {
   pollId?: string
   voteCounts?: Record<string, number>
   totalVotes?: number
+  totalVoters?: number
   isPublished?: boolean
 }
\ No newline at end of file